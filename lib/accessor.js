@@ -0,0 +1,308 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+"use strict";
+
+var util = require('util'),
+
+    MESSAGES = {
+        'missing key': 'Missing required key "%s" in config "%s" of bundle "%s" for context %s',
+        'bad type': 'Value %s of key "%s" in config "%s" of bundle "%s" for context %s is not a %s'
+    },
+    BOOLEANS = {
+        'true': true,
+        'yes': true,
+        'on': true,
+        '1': true,
+        'false': false,
+        'no': false,
+        'off': false,
+        '0': false
+    },
+    DURATION_UNITS = {
+        ms: 1,
+        s: 1000,
+        m: 60000,
+        h: 3600000,
+        d: 86400000,
+        w: 604800000
+    },
+    BYTE_UNITS = {
+        b: 1,
+        kb: 1024,
+        mb: 1048576,
+        gb: 1073741824,
+        tb: 1099511627776
+    };
+
+
+/**
+ * Typed accessors for the values of a config.
+ * @module YcbConfigAccessor
+ */
+
+
+/**
+ * Converts a string to a number, if it is nothing but a number.
+ * @private
+ * @static
+ * @method parseNumber
+ * @param {string} text The string.
+ * @return {number} The number, or `NaN`.
+ */
+function parseNumber(text) {
+    return (/^\s*[+\-]?(\d+\.?\d*|\.\d+)(e[+\-]?\d+)?\s*$/i).test(text) ? Number(text) : NaN;
+}
+
+
+/**
+ * Converts a string made of numbers followed by units to a number.
+ * @private
+ * @static
+ * @method parseUnits
+ * @param {string} text The string, such as `1h 30m`.  A number without a unit is taken as is.
+ * @param {object} units Map of each lowercase unit to its value.
+ * @return {number} The sum of each number times its unit, or `NaN`.
+ */
+function parseUnits(text, units) {
+    var re = /(\d+\.?\d*|\.\d+)\s*([a-z]*)\s*/gi,
+        total = 0,
+        end = 0,
+        match;
+    text = text.trim();
+    if (!text) {
+        return NaN;
+    }
+    match = re.exec(text);
+    while (match && match.index === end) {
+        if (!match[2] && text.length === match[0].length) {
+            return Number(match[1]);
+        }
+        if (!units.hasOwnProperty(match[2].toLowerCase())) {
+            return NaN;
+        }
+        total += Number(match[1]) * units[match[2].toLowerCase()];
+        end = re.lastIndex;
+        match = re.exec(text);
+    }
+    return end === text.length ? total : NaN;
+}
+
+
+/**
+ * Wraps a config returned by `read()`, or the sections returned by `readNoMerge()`,
+ * with getters that fall back to defaults and coerce values to the expected type.
+ *
+ * Keys are given as paths, either joined with dots such as `db.host` or as a list of keys.
+ * A value of `undefined` is missing, while `null` is a value.  When wrapping the sections
+ * returned by `readNoMerge()`, which are ordered from least to most specific, each key is looked
+ * up in the most specific section which has it, so objects are not merged.  The config is never
+ * modified, so frozen configs can be wrapped.
+ * @class ConfigAccessor
+ * @constructor
+ * @param {object|array} config The config, or the list of sections.
+ * @param {object} [source] Where the config comes from, used in error messages:
+ *   @param {string} [source.bundleName] The bundle of the config.
+ *   @param {string} [source.configName] The name of the config.
+ *   @param {object} [source.context] The context in which it was read.
+ */
+function ConfigAccessor(config, source) {
+    this.config = config;
+    this._source = source || {};
+}
+ConfigAccessor.prototype = {
+
+    /**
+     * Gets a value.
+     * @method get
+     * @param {string|array} path The key path.
+     * @param {mixed} [defaultValue] Returned if the value is missing.
+     * @return {mixed} The value, or the default.
+     */
+    get: function (path, defaultValue) {
+        var keys = Array.isArray(path) ? path : String(path).split('.'),
+            sections = Array.isArray(this.config) ? this.config : [this.config],
+            s,
+            k,
+            value;
+        for (s = sections.length - 1; s >= 0; s -= 1) {
+            value = sections[s];
+            for (k = 0; k < keys.length && value !== undefined; k += 1) {
+                if (value !== null && 'object' === typeof value &&
+                        Object.prototype.hasOwnProperty.call(value, keys[k])) {
+                    value = value[keys[k]];
+                } else {
+                    value = undefined;
+                }
+            }
+            if (value !== undefined) {
+                return value;
+            }
+        }
+        return defaultValue;
+    },
+
+
+    /**
+     * Gets a number.  Strings which are nothing but a number, such as `"8080"`, are converted.
+     * @method getNumber
+     * @param {string|array} path The key path.
+     * @param {number} [defaultValue] Returned if the value is missing.
+     * @return {number} The number, or the default.
+     * @throws {Error} If the value isn't a number.
+     */
+    getNumber: function (path, defaultValue) {
+        return this._convert(path, defaultValue, 'number', function (value) {
+            if ('number' === typeof value) {
+                return value;
+            }
+            return 'string' === typeof value ? parseNumber(value) : NaN;
+        }, function (number) {
+            return !isNaN(number);
+        });
+    },
+
+
+    /**
+     * Gets a boolean.  The strings `true`, `yes`, `on` and `1`, and `false`, `no`, `off` and `0`,
+     * in any case, and the numbers 1 and 0 are converted.
+     * @method getBoolean
+     * @param {string|array} path The key path.
+     * @param {boolean} [defaultValue] Returned if the value is missing.
+     * @return {boolean} The boolean, or the default.
+     * @throws {Error} If the value isn't a boolean.
+     */
+    getBoolean: function (path, defaultValue) {
+        return this._convert(path, defaultValue, 'boolean', function (value) {
+            if ('boolean' === typeof value) {
+                return value;
+            }
+            if ('string' === typeof value || 'number' === typeof value) {
+                return BOOLEANS[String(value).trim().toLowerCase()];
+            }
+        }, function (bool) {
+            return bool !== undefined;
+        });
+    },
+
+
+    /**
+     * Gets a duration in milliseconds.  Numbers are taken as milliseconds, and strings are numbers
+     * with the units `ms`, `s`, `m`, `h`, `d` and `w`, such as `30s` or `1h 30m`.
+     * @method getDuration
+     * @param {string|array} path The key path.
+     * @param {number|string} [defaultValue] Returned if the value is missing, converted like the value.
+     * @return {number} The number of milliseconds, or the default.
+     * @throws {Error} If the value isn't a duration.
+     */
+    getDuration: function (path, defaultValue) {
+        return this._convertUnits(path, defaultValue, 'duration', DURATION_UNITS);
+    },
+
+
+    /**
+     * Gets a size in bytes.  Numbers are taken as bytes, and strings are numbers with the units
+     * `b`, `kb`, `mb`, `gb` and `tb` in any case, such as `10mb`.  A kilobyte is 1024 bytes.
+     * Fractions of a byte are rounded down.
+     * @method getBytes
+     * @param {string|array} path The key path.
+     * @param {number|string} [defaultValue] Returned if the value is missing, converted like the value.
+     * @return {number} The number of bytes, or the default.
+     * @throws {Error} If the value isn't a size.
+     */
+    getBytes: function (path, defaultValue) {
+        var bytes = this._convertUnits(path, defaultValue, 'size', BYTE_UNITS);
+        return 'number' === typeof bytes ? Math.floor(bytes) : bytes;
+    },
+
+
+    /**
+     * Gets a value which must be there.
+     * @method require
+     * @param {string|array} path The key path.
+     * @return {mixed} The value.
+     * @throws {Error} If the value is missing.
+     */
+    require: function (path) {
+        var value = this.get(path);
+        if (value === undefined) {
+            throw new Error(util.format(MESSAGES['missing key'], this._path(path), this._source.configName,
+                this._source.bundleName, JSON.stringify(this._source.context || {})));
+        }
+        return value;
+    },
+
+
+    /**
+     * Gets a value and converts it.
+     * @private
+     * @method _convert
+     * @param {string|array} path The key path.
+     * @param {mixed} defaultValue Returned if the value is missing.
+     * @param {string} type Name of the type, used in error messages.
+     * @param {Function} convert Converts the value.
+     * @param {Function} valid Whether the converted value is valid.
+     * @return {mixed} The converted value, or the default.
+     * @throws {Error} If the converted value isn't valid.
+     */
+    _convert: function (path, defaultValue, type, convert, valid) {
+        var value = this.get(path),
+            converted;
+        if (value === undefined) {
+            return defaultValue;
+        }
+        converted = convert(value);
+        if (!valid(converted)) {
+            throw new Error(util.format(MESSAGES['bad type'], JSON.stringify(value), this._path(path),
+                this._source.configName, this._source.bundleName, JSON.stringify(this._source.context || {}), type));
+        }
+        return converted;
+    },
+
+
+    /**
+     * Gets a number with units, such as a duration, and converts it.
+     * @private
+     * @method _convertUnits
+     * @param {string|array} path The key path.
+     * @param {number|string} defaultValue Returned if the value is missing, converted like the value.
+     * @param {string} type Name of the type, used in error messages.
+     * @param {object} units Map of each lowercase unit to its value.
+     * @return {number} The converted value, or the default.
+     * @throws {Error} If the value isn't a valid number with units.
+     */
+    _convertUnits: function (path, defaultValue, type, units) {
+        function convert(value) {
+            if ('number' === typeof value) {
+                return value;
+            }
+            return 'string' === typeof value ? parseUnits(value, units) : NaN;
+        }
+        if ('string' === typeof defaultValue) {
+            defaultValue = convert(defaultValue);
+        }
+        return this._convert(path, defaultValue, type, convert, function (number) {
+            return !isNaN(number);
+        });
+    },
+
+
+    /**
+     * Formats a key path for error messages.
+     * @private
+     * @method _path
+     * @param {string|array} path The key path.
+     * @return {string} The keys joined with dots.
+     */
+    _path: function (path) {
+        return Array.isArray(path) ? path.join('.') : String(path);
+    }
+};
+
+
+module.exports = ConfigAccessor;
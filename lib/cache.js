@@ -2,10 +2,18 @@
 /*jslint nomen:true, anon:true, node:true, esversion:6  */
 'use strict';
 
+var SIZES = {
+    // rough sizes in bytes, in the spirit of V8's, to compare entries with each other
+    object: 16,
+    number: 8,
+    boolean: 4,
+    char: 2
+};
+
 /**
  * Entry class used as map values and intrusive linked list nodes.
  */
-function Entry(key, value, setAt, expiresAt, groupId) {
+function Entry(key, value, setAt, expiresAt, groupId, staleAt, bytes) {
     this.next = null;
     this.prev = null;
     this.key = key;
@@ -13,16 +21,132 @@ function Entry(key, value, setAt, expiresAt, groupId) {
     this.setAt = setAt;
     this.expiresAt = expiresAt;
     this.groupId = groupId;
+    this.staleAt = staleAt; // wall clock time after which the entry is stale, 0 for never
+    this.bytes = bytes; // estimated size of the key and value, 0 without a memory budget
+}
+
+/**
+ * Counters of what happened to the entries of a group.
+ */
+function Counters() {
+    this.hits = 0;
+    this.misses = 0; // no entry for the key
+    this.staleGroup = 0; // an entry from an older group
+    this.staleTime = 0; // an entry which expired, or whose TTL passed
+    this.evictions = 0;
+    this.overwrites = 0;
+}
+
+/**
+ * Add the counts of other counters to these.
+ * @param {Counters} counters The other counters.
+ */
+Counters.prototype.add = function(counters) {
+    var self = this;
+    Object.keys(self).forEach(function(name) {
+        self[name] += counters[name];
+    });
+};
+
+/**
+ * Tell whether a read may be given to a cache.  Caches shared between processes, those with an
+ * `identifyGroup()` method, may write their entries to disk, so reads in which secrets were
+ * resolved, the ones cached with a TTL, are kept out of them.
+ * @param {object} cache The cache.
+ * @param {number} [ttl] Milliseconds after which the read is stale, regardless of its group.
+ * @returns {boolean}
+ */
+function isStorable(cache, ttl) {
+    return !ttl || typeof cache.identifyGroup !== 'function';
+}
+
+/**
+ * Move the counters of a purged group to the group which replaced it, or to the retired counters
+ * which only count towards the totals, so that the counters of the groups don't pile up.
+ * @param {Map} groups Counters of each group id.
+ * @param {Counters} retired Counters of the purged groups which weren't replaced.
+ * @param {number} groupId Id of the purged group.
+ * @param {number} [nextGroupId] Id of the group which replaced it.
+ */
+function retireCounters(groups, retired, groupId, nextGroupId) {
+    var counters = groups.get(groupId);
+    if(counters === undefined) {
+        return;
+    }
+    groups.delete(groupId);
+    if(nextGroupId === undefined) {
+        retired.add(counters);
+    } else if(groups.has(nextGroupId)) {
+        groups.get(nextGroupId).add(counters);
+    } else {
+        groups.set(nextGroupId, counters);
+    }
+}
+
+/**
+ * Converts an optional TTL into the wall clock time at which an entry becomes stale.
+ * @param {number} [ttl] Time to live in milliseconds.
+ * @returns {number} The time, or 0 if the entry never becomes stale.
+ */
+function staleAt(ttl) {
+    return ttl > 0 ? Date.now() + ttl : 0;
+}
+
+/**
+ * Estimates the memory retained by a value.
+ * Objects reachable more than once, such as shared parts of frozen configs, are counted once.
+ * @param {*} value The value.
+ * @returns {number} The estimated size in bytes.
+ */
+function estimateSize(value) {
+    var seen = new Set(),
+        bytes = 0,
+        stack = [value],
+        key;
+    while(stack.length) {
+        value = stack.pop();
+        if(typeof value === 'string') {
+            bytes += value.length * SIZES.char;
+        } else if(typeof value === 'number') {
+            bytes += SIZES.number;
+        } else if(typeof value === 'boolean') {
+            bytes += SIZES.boolean;
+        } else if(value !== null && typeof value === 'object' && !seen.has(value)) {
+            seen.add(value);
+            bytes += SIZES.object;
+            for(key in value) {
+                if(Object.prototype.hasOwnProperty.call(value, key)) {
+                    bytes += key.length * SIZES.char;
+                    stack.push(value[key]);
+                }
+            }
+        }
+    }
+    return bytes;
 }
 
 /**
  * LRU cache.
- * Supported options are {max: int} which will set the max capacity of the cache.
+ * Supported options are {max: int} which will set the max capacity of the cache, and
+ * {maxBytes: int} which will set a memory budget.  With a budget, the size of each entry is
+ * estimated when it is set, and the oldest entries are evicted until the cache is within budget.
+ * Entries larger than the budget are not cached.  Without `max`, a budget doesn't limit the count.
+ * Entries can be given a TTL, after which they are stale.
  */
 function ConfigCache(options) {
     options = options || {};
     this.max = options.max;
-    if(!Number.isInteger(options.max) || options.max < 0) {
+    this.maxBytes = 0; // 0 for no budget
+    if(options.maxBytes !== undefined) {
+        if(Number.isInteger(options.maxBytes) && options.maxBytes > 0) {
+            this.maxBytes = options.maxBytes;
+        } else {
+            console.log('WARNING: no valid cache memory budget given, ignoring it. %s', JSON.stringify(options));
+        }
+    }
+    if(options.max === undefined && this.maxBytes) {
+        this.max = Infinity;
+    } else if(!Number.isInteger(options.max) || options.max < 0) {
         console.log('WARNING: no valid cache capacity given, defaulting to 100. %s', JSON.stringify(options));
         this.max = 100;
     }
@@ -30,6 +154,9 @@ function ConfigCache(options) {
         this.get = this.set = this.getTimeAware = this.setTimeAware = function(){};
     }
     this.size = 0;
+    this.bytes = 0; // estimated size of all entries, only tracked with a budget
+    this.counters = new Map(); //groupId -> Counters
+    this.retired = new Counters(); // counters of the purged groups which weren't replaced
     this.map = new Map(); //key -> Entry
     this.youngest = null;
     this.oldest = null;
@@ -41,9 +168,10 @@ ConfigCache.prototype = {
      * @param {string} key Key mapping to this value.
      * @param {*} value Value to be cached.
      * @param {number} groupId Id of the entry's group, used to lazily invalidate subsets of the cache.
+     * @param {number} [ttl] Milliseconds after which the entry becomes stale, regardless of its group.
      */
-    set(key, value, groupId) {
-        this.setTimeAware(key, value, 0, 0, groupId);
+    set(key, value, groupId, ttl) {
+        this.setTimeAware(key, value, 0, 0, groupId, ttl);
     },
 
     /**
@@ -53,41 +181,63 @@ ConfigCache.prototype = {
      * @param {number} now  Current time.
      * @param {number} expiresAt Time at which entry will become stale.
      * @param {number} groupId Id of the entry's group, used to lazily invalidate subsets of the cache.
+     * @param {number} [ttl] Milliseconds after which the entry becomes stale, regardless of its group.
      */
-    setTimeAware(key, value, now, expiresAt, groupId) {
-        var entry = this.map.get(key);
+    setTimeAware(key, value, now, expiresAt, groupId, ttl) {
+        var entry = this.map.get(key),
+            bytes = 0;
+        if(this.maxBytes) {
+            bytes = estimateSize(key) + estimateSize(value);
+            if(bytes > this.maxBytes) {
+                if(entry !== undefined) {
+                    this._remove(entry);
+                }
+                return;
+            }
+        }
         if(entry !== undefined) {
+            this._count(groupId, 'overwrites');
+            this.bytes += bytes - entry.bytes;
             entry.value = value;
             entry.setAt = now;
             entry.expiresAt = expiresAt;
             entry.groupId = groupId;
+            entry.staleAt = staleAt(ttl);
+            entry.bytes = bytes;
             this._makeYoungest(entry);
-            return;
-        }
-        if(this.size === this.max) {
+        } else if(this.size === this.max) {
             entry = this.oldest;
+            this._count(entry.groupId, 'evictions');
             this.map.delete(entry.key);
+            this.bytes += bytes - entry.bytes;
             entry.key = key;
             entry.value = value;
             entry.setAt = now;
             entry.expiresAt = expiresAt;
             entry.groupId = groupId;
+            entry.staleAt = staleAt(ttl);
+            entry.bytes = bytes;
             this.map.set(key, entry);
             this._makeYoungest(entry);
-            return;
+        } else {
+            entry = new Entry(key, value, now, expiresAt, groupId, staleAt(ttl), bytes);
+            this.map.set(key, entry);
+            this.bytes += bytes;
+            if(this.size === 0) {
+                this.youngest = entry;
+                this.oldest = entry;
+            } else {
+                entry.next = this.youngest;
+                this.youngest.prev = entry;
+                this.youngest = entry;
+            }
+            this.size++;
         }
-        entry = new Entry(key, value, now, expiresAt, groupId);
-        this.map.set(key, entry);
-        if(this.size === 0) {
-            this.youngest = entry;
-            this.oldest = entry;
-            this.size = 1;
-            return;
+        // the new entry fits the budget on its own, so it's never evicted here
+        while(this.maxBytes && this.bytes > this.maxBytes) {
+            this._count(this.oldest.groupId, 'evictions');
+            this._remove(this.oldest);
         }
-        entry.next = this.youngest;
-        this.youngest.prev = entry;
-        this.youngest = entry;
-        this.size++;
     },
 
     /**
@@ -100,11 +250,18 @@ ConfigCache.prototype = {
         var entry = this.map.get(key);
         if(entry !== undefined) {
             if(groupId !== entry.groupId) {
+                this._count(groupId, 'staleGroup');
                 return undefined; //do not clean up stale entry as we know client code will set this key
             }
+            if(entry.staleAt !== 0 && entry.staleAt <= Date.now()) {
+                this._count(groupId, 'staleTime');
+                return undefined;
+            }
+            this._count(groupId, 'hits');
             this._makeYoungest(entry);
             return entry.value;
         }
+        this._count(groupId, 'misses');
         return undefined;
     },
 
@@ -118,15 +275,146 @@ ConfigCache.prototype = {
     getTimeAware(key, now, groupId) {
         var entry = this.map.get(key);
         if(entry !== undefined) {
-            if(groupId !== entry.groupId || now < entry.setAt || now >= entry.expiresAt){
+            if(groupId !== entry.groupId) {
+                this._count(groupId, 'staleGroup');
                 return undefined; //do not clean up stale entry as we know client code will set this key
             }
+            if(now < entry.setAt || now >= entry.expiresAt || (entry.staleAt !== 0 && entry.staleAt <= Date.now())) {
+                this._count(groupId, 'staleTime');
+                return undefined;
+            }
+            this._count(groupId, 'hits');
             this._makeYoungest(entry);
             return entry.value;
         }
+        this._count(groupId, 'misses');
         return undefined;
     },
 
+    /**
+     * Get an entry of the group whatever the time, as long as its TTL didn't pass, such as an expired
+     * time aware entry to serve while it is computed again.  It doesn't count as a read.
+     * @param {string} key Key to look up in cache.
+     * @param {number} groupId Group id to check if value is stale.
+     * @returns {object} The `value`, `setAt` and `expiresAt` of the entry, or undefined.
+     */
+    getStale(key, groupId) {
+        var entry = this.map.get(key);
+        if(entry === undefined || groupId !== entry.groupId || (entry.staleAt !== 0 && entry.staleAt <= Date.now())) {
+            return undefined;
+        }
+        this._makeYoungest(entry);
+        return {value: entry.value, setAt: entry.setAt, expiresAt: entry.expiresAt};
+    },
+
+    /**
+     * Get the current usage of the cache, and what happened to its entries since the last reset.
+     * @returns {object} The number of entries `size`, the capacity `max`, the estimated size of the entries
+     *   in `bytes` and the memory budget `maxBytes`.  `bytes` and `maxBytes` are 0 without a budget.
+     *   Also the totals of the counters, which are `hits`, `misses`, `staleGroup`, `staleTime`, `evictions`
+     *   and `overwrites`, and the counters of each group id in `groups`.
+     */
+    stats() {
+        var stats = {
+                size: this.size,
+                max: this.max,
+                bytes: this.bytes,
+                maxBytes: this.maxBytes
+            },
+            totals = new Counters(),
+            groups = {};
+        totals.add(this.retired);
+        this.counters.forEach(function(counters, groupId) {
+            totals.add(counters);
+            groups[groupId] = Object.assign({}, counters);
+        });
+        Object.assign(stats, totals);
+        stats.groups = groups;
+        return stats;
+    },
+
+    /**
+     * Remove all entries of a group, such as those of a config which was replaced.
+     * Unlike the lazy checks of `get`, this frees their slots and memory right away.
+     * The counters of the group are moved to the group which replaced it, if any.
+     * @param {number} groupId Id of the group.
+     * @param {number} [nextGroupId] Id of the group which replaced it.
+     * @returns {number} The number of removed entries.
+     */
+    purgeGroup(groupId, nextGroupId) {
+        var entry = this.oldest,
+            prev,
+            count = 0;
+        while(entry !== null) {
+            prev = entry.prev;
+            if(entry.groupId === groupId) {
+                this._remove(entry);
+                count++;
+            }
+            entry = prev;
+        }
+        retireCounters(this.counters, this.retired, groupId, nextGroupId);
+        return count;
+    },
+
+    /**
+     * Reset the counters.
+     */
+    resetStats() {
+        this.counters.clear();
+        this.retired = new Counters();
+    },
+
+    /**
+     * List the keys of the entries, including stale ones, from oldest to youngest.
+     * @returns {Array} The keys.
+     */
+    keys() {
+        var keys = [],
+            entry;
+        for(entry = this.oldest; entry !== null; entry = entry.prev) {
+            keys.push(entry.key);
+        }
+        return keys;
+    },
+
+    /**
+     * Increment a counter of a group.
+     * @param {number} groupId Id of the group.
+     * @param {string} name Name of the counter.
+     * @private
+     */
+    _count(groupId, name) {
+        var counters = this.counters.get(groupId);
+        if(counters === undefined) {
+            counters = new Counters();
+            this.counters.set(groupId, counters);
+        }
+        counters[name]++;
+    },
+
+    /**
+     * Remove an entry.
+     * @param {Entry} entry
+     * @private
+     */
+    _remove(entry) {
+        if(entry.prev) {
+            entry.prev.next = entry.next;
+        } else {
+            this.youngest = entry.next;
+        }
+        if(entry.next) {
+            entry.next.prev = entry.prev;
+        } else {
+            this.oldest = entry.prev;
+        }
+        entry.next = entry.prev = null;
+        this.map.delete(entry.key);
+        this.size--;
+        this.bytes -= entry.bytes;
+    },
+
     /**
      * Move entry to the head of the list and set as youngest.
      * @param {Entry} entry
@@ -152,3 +440,6 @@ ConfigCache.prototype = {
 };
 
 module.exports = ConfigCache;
+module.exports.Counters = Counters;
+module.exports.retireCounters = retireCounters;
+module.exports.isStorable = isStorable;
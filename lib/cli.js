@@ -0,0 +1,370 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+"use strict";
+
+var libfs   = require('fs'),
+    util    = require('util'),
+    libpath = require('path'),
+    libyaml = require('yamljs'),
+    Config  = require('./index'),
+
+    BUNDLE = 'cli',
+    USAGE = [
+        'Usage: ycb-config <command> <file> [options]',
+        '',
+        'Commands:',
+        '  read <file>            Print the config merged for the context',
+        '  read-no-merge <file>   Print the sections of the config that apply to the context',
+        '  dimensions [file]      Print the dimensions',
+        '  validate <file>        Check that the config can be read in every context',
+        '  compile <file>         Print the config merged for every context, for lib/reader.js',
+        '  diff <file> <new-file> Print the contexts which see different values in <new-file>',
+        '  lint <file>            Check the config against the dimensions',
+        '',
+        'Options:',
+        '  --context k=v,...      The context, e.g. device=iphone,locale=en-US',
+        '  --dimensions <file>    The dimensions file (defaults to dimensions.json next to <file>)',
+        '  --time <time>          Read scheduled configs at this time (milliseconds or a date)',
+        '  --schema <file>        JSON schema to validate the config against (validate only)',
+        '  --format <json|yaml>   Output format, defaults to json',
+        '  --help                 Print this message'
+    ].join('\n'),
+    MESSAGES = {
+        'unknown command': 'Unknown command "%s"',
+        'unknown option': 'Unknown option "%s"',
+        'missing value': 'Missing value for option "%s"',
+        'missing file': 'Missing <file> for command "%s"',
+        'missing new file': 'Missing <new-file> for command "%s"',
+        'bad context': 'Invalid context "%s", expected key=value pairs',
+        'bad time': 'Invalid time "%s"',
+        'bad format': 'Invalid format "%s", expected json or yaml',
+        'invalid': '%d context(s) failed validation',
+        'lint errors': '%d error(s) found'
+    },
+    OPTIONS = ['context', 'dimensions', 'time', 'schema', 'format'];
+
+
+/**
+ * The `ycb-config` command line tool.
+ * @module YcbConfigCli
+ */
+
+
+/**
+ * Parses the command line arguments.
+ * @static
+ * @method parseArgs
+ * @param {array} argv The arguments, without the node executable and script.
+ * @return {object} The `command`, `file`, `newFile` and options.  `context` is an object.
+ * @throws {Error} If the arguments are invalid.
+ */
+function parseArgs(argv) {
+    var args = {context: {}, format: 'json'},
+        positional = [],
+        i,
+        arg,
+        name,
+        value;
+
+    for (i = 0; i < argv.length; i += 1) {
+        arg = argv[i];
+        if ('--help' === arg || '-h' === arg) {
+            args.help = true;
+        } else if ('--' === arg.slice(0, 2)) {
+            name = arg.slice(2);
+            value = undefined;
+            if (name.indexOf('=') !== -1) {
+                value = name.slice(name.indexOf('=') + 1);
+                name = name.slice(0, name.indexOf('='));
+            }
+            if (OPTIONS.indexOf(name) === -1) {
+                throw new Error(util.format(MESSAGES['unknown option'], arg));
+            }
+            if (value === undefined) {
+                i += 1;
+                value = argv[i];
+                if (value === undefined) {
+                    throw new Error(util.format(MESSAGES['missing value'], arg));
+                }
+            }
+            if ('context' === name) {
+                parseContext(value, args.context);
+            } else {
+                args[name] = value;
+            }
+        } else {
+            positional.push(arg);
+        }
+    }
+    args.command = positional[0];
+    args.file = positional[1];
+    args.newFile = positional[2];
+
+    if (args.time !== undefined) {
+        value = /^\d+$/.test(args.time) ? Number(args.time) : new Date(args.time).getTime();
+        if (isNaN(value)) {
+            throw new Error(util.format(MESSAGES['bad time'], args.time));
+        }
+        args.time = value;
+    }
+    if ('json' !== args.format && 'yaml' !== args.format) {
+        throw new Error(util.format(MESSAGES['bad format'], args.format));
+    }
+    return args;
+}
+
+
+/**
+ * Parses a `key=value,key=value` context string.
+ * @private
+ * @static
+ * @method parseContext
+ * @param {string} str The context string.
+ * @param {object} context The context object to add the pairs to.
+ * @return {object} The context object.
+ */
+function parseContext(str, context) {
+    str.split(',').forEach(function (pair) {
+        var eq = pair.indexOf('=');
+        if (eq < 1) {
+            throw new Error(util.format(MESSAGES['bad context'], str));
+        }
+        context[pair.slice(0, eq).trim()] = pair.slice(eq + 1).trim();
+    });
+    return context;
+}
+
+
+/**
+ * Formats a value for output.
+ * @private
+ * @static
+ * @method format
+ * @param {mixed} value The value.
+ * @param {string} type Either `json` or `yaml`.
+ * @return {string}
+ */
+function format(value, type) {
+    if ('yaml' === type) {
+        return libyaml.stringify(value, 10, 2);
+    }
+    return JSON.stringify(value, null, 4) + '\n';
+}
+
+
+/**
+ * Creates the config helper and registers the dimensions and config files.
+ * @private
+ * @static
+ * @method load
+ * @param {object} args The parsed arguments.
+ * @param {Function} callback
+ *   @param {Error|null} callback.err
+ *   @param {Config} callback.config The config helper.
+ *   @param {string} callback.configName The name of the registered config.
+ *   @param {string} callback.dimensionsPath The dimensions file, if one was given or found.
+ */
+function load(args, callback) {
+    var file = args.file && libpath.resolve(args.file),
+        dimensions = args.dimensions && libpath.resolve(args.dimensions),
+        config,
+        configName;
+
+    if (!dimensions && file) {
+        dimensions = libpath.resolve(libpath.dirname(file), 'dimensions.json');
+        if (!libfs.existsSync(dimensions) || dimensions === file) {
+            dimensions = undefined;
+        }
+    }
+    config = new Config({
+        dimensionsPath: dimensions,
+        timeAware: args.time !== undefined
+    });
+    if (!file) {
+        return callback(null, config, undefined, dimensions);
+    }
+    configName = libpath.basename(file, libpath.extname(file));
+    config.addConfig(BUNDLE, configName, file, function (err) {
+        callback(err, config, configName, dimensions);
+    });
+}
+
+
+/**
+ * Removes the cache info that time aware reads add to configs.
+ * @private
+ * @static
+ * @method stripExpires
+ * @param {object} config The config, or list of sections.
+ * @param {string} key The expiration key.
+ * @return {object} A copy of the config without the cache info.
+ */
+function stripExpires(config, key) {
+    var copy;
+    if (Array.isArray(config)) {
+        return config.map(function (section) {
+            return stripExpires(section, key);
+        });
+    }
+    if (config && 'object' === typeof config && config.hasOwnProperty(key)) {
+        copy = JSON.parse(JSON.stringify(config));
+        delete copy[key];
+        return copy;
+    }
+    return config;
+}
+
+
+/**
+ * Runs the command line tool.
+ * @static
+ * @method run
+ * @param {array} argv The arguments, without the node executable and script.
+ * @param {object} out Stream to write the output to, usually `process.stdout`.
+ * @param {Function} callback Called once the command is done.
+ *   @param {Error|null} callback.err If the command failed, then this parameter will
+ *   contain the error.
+ */
+function run(argv, out, callback) {
+    var args,
+        commands;
+
+    try {
+        args = parseArgs(argv);
+    } catch (e) {
+        return callback(e);
+    }
+    if (args.help || !args.command) {
+        out.write(USAGE + '\n');
+        return callback(null);
+    }
+
+    function print(err, value) {
+        if (err) {
+            return callback(err);
+        }
+        out.write(format(value, args.format));
+        callback(null);
+    }
+
+    function contextWithTime() {
+        var context = JSON.parse(JSON.stringify(args.context));
+        if (args.time !== undefined) {
+            context.time = args.time;
+        }
+        return context;
+    }
+
+    commands = {
+        'read': function (config, configName) {
+            config.read(BUNDLE, configName, contextWithTime(), function (err, value) {
+                print(err, value && stripExpires(value, config.expiresKey));
+            });
+        },
+        'read-no-merge': function (config, configName) {
+            config.readNoMerge(BUNDLE, configName, contextWithTime(), function (err, value) {
+                print(err, value && stripExpires(value, config.expiresKey));
+            });
+        },
+        'dimensions': function (config) {
+            config.readDimensions(print);
+        },
+        'compile': function (config, configName) {
+            config.compile(BUNDLE, configName, {time: args.time}, print);
+        },
+        'lint': function (config, configName) {
+            config.lint(BUNDLE, configName, {time: args.time}, function (err, findings) {
+                var errors;
+                if (err) {
+                    return callback(err);
+                }
+                out.write(format(findings, args.format));
+                errors = findings.filter(function (finding) {
+                    return 'error' === finding.severity;
+                }).length;
+                callback(errors ? new Error(util.format(MESSAGES['lint errors'], errors)) : null);
+            });
+        },
+        'diff': function (config, configName, dimensionsPath) {
+            // the old version is already loaded, so this doesn't read it again
+            config.addConfig('old', configName, libpath.resolve(args.file), function (err, oldContents) {
+                if (err) {
+                    return callback(err);
+                }
+                config.addConfig('new', configName, libpath.resolve(args.newFile), function (err, newContents) {
+                    if (err) {
+                        return callback(err);
+                    }
+                    config.readDimensions(function (err, dimensions) {
+                        var report;
+                        // configs which aren't YCB can be compared without a dimensions file
+                        if (err && dimensionsPath) {
+                            return callback(err);
+                        }
+                        try {
+                            report = Config.diff(oldContents, newContents, err ? [] : dimensions);
+                        } catch (e) {
+                            return callback(e);
+                        }
+                        print(null, report);
+                    });
+                });
+            });
+        },
+        'validate': function (config, configName) {
+            var schema;
+            if (args.schema) {
+                try {
+                    schema = JSON.parse(libfs.readFileSync(libpath.resolve(args.schema), 'utf8'));
+                    config.setSchema(BUNDLE, configName, schema);
+                } catch (e) {
+                    return callback(e);
+                }
+            } else {
+                config.setSchema(BUNDLE, configName, {});
+            }
+            config.validateAll(function (err, failures) {
+                if (err) {
+                    return callback(err);
+                }
+                out.write(format(failures, args.format));
+                callback(failures.length ? new Error(util.format(MESSAGES.invalid, failures.length)) : null);
+            });
+        }
+    };
+
+    if (!commands[args.command]) {
+        return callback(new Error(util.format(MESSAGES['unknown command'], args.command)));
+    }
+    if ('dimensions' === args.command) {
+        // the dimensions file can be given either way
+        args.dimensions = args.dimensions || args.file;
+        args.file = undefined;
+        if (!args.dimensions) {
+            return callback(new Error(util.format(MESSAGES['missing file'], args.command)));
+        }
+    } else if (!args.file) {
+        return callback(new Error(util.format(MESSAGES['missing file'], args.command)));
+    } else if ('diff' === args.command && !args.newFile) {
+        return callback(new Error(util.format(MESSAGES['missing new file'], args.command)));
+    }
+    load(args, function (err, config, configName, dimensionsPath) {
+        if (err) {
+            return callback(err);
+        }
+        commands[args.command](config, configName, dimensionsPath);
+    });
+}
+
+
+module.exports = {
+    parseArgs: parseArgs,
+    run: run,
+    USAGE: USAGE
+};
@@ -0,0 +1,157 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+"use strict";
+
+var libcontexts = require('./contexts'),
+    libreader   = require('./reader');
+
+
+/**
+ * Helpers for precompiling the merged configs of a YCB file, to be read by `lib/reader.js`.
+ * @module YcbConfigCompile
+ */
+
+
+/**
+ * Finds how the YCB object turns each dimension value into its part of the cache key.
+ * Only dimensions used by some section are part of the key, in the order of the dimensions file,
+ * and values which aren't used map to their closest used ancestor.  Values which map to the
+ * default are left out.
+ * @static
+ * @method dimensionTables
+ * @param {object} ycb The YCB object.
+ * @return {array} List of `[dimension, {value: number}]` pairs, in the order of the key.
+ */
+function dimensionTables(ycb) {
+    var lineages = libcontexts.lineage(ycb.getDimensions()),
+        none = ycb.getCacheKey({}),
+        tables = [];
+
+    // configs which aren't YCB don't depend on the context
+    if (!none) {
+        return tables;
+    }
+    none = JSON.parse(none);
+    Object.keys(lineages).forEach(function (name) {
+        Object.keys(lineages[name]).forEach(function (value) {
+            var context = {},
+                key,
+                i;
+            context[name] = value;
+            key = JSON.parse(ycb.getCacheKey(context));
+            for (i = 0; i < key.length; i += 1) {
+                if (key[i] !== none[i]) {
+                    if (!tables[i]) {
+                        tables[i] = [name, {}];
+                    }
+                    tables[i][1][value] = key[i];
+                    return;
+                }
+            }
+        });
+    });
+    return tables;
+}
+
+
+/**
+ * Lists one context for each key that can be reached.
+ * @static
+ * @method reachableContexts
+ * @param {array} tables The tables returned by `dimensionTables()`.
+ * @param {object} [baseContext] The base context applied to all reads.  The default of the
+ *   dimensions it has can only be reached with values that aren't in the dimensions, so
+ *   these are given as `null` instead of being left out.
+ * @param {number} [max] Most contexts to list.  The count is checked before any is listed.
+ * @return {array} List of context objects, or null if there are more than `max`.  Each uses the
+ *   most general value for its part of the key.
+ */
+function reachableContexts(tables, baseContext, max) {
+    var contexts = [{}],
+        lists,
+        count = 1;
+    lists = tables.map(function (table) {
+        var name = table[0],
+            seen = {},
+            values = [];
+        if (baseContext && baseContext.hasOwnProperty(name)) {
+            values.push(null);
+        }
+        Object.keys(table[1]).forEach(function (value) {
+            if (!seen[table[1][value]]) {
+                seen[table[1][value]] = true;
+                values.push(value);
+            }
+        });
+        // without a base context value, the default is reached by leaving the dimension out
+        count *= values.length + (values[0] !== null ? 1 : 0);
+        return [name, values];
+    });
+    if (max !== undefined && count > max) {
+        return null;
+    }
+    lists.forEach(function (list) {
+        var name = list[0],
+            values = list[1];
+        contexts = contexts.reduce(function (all, context) {
+            if (values[0] !== null) {
+                all.push(context);
+            }
+            values.forEach(function (value) {
+                var child = {};
+                Object.keys(context).forEach(function (key) {
+                    child[key] = context[key];
+                });
+                child[name] = value;
+                all.push(child);
+            });
+            return all;
+        }, []);
+    });
+    return contexts;
+}
+
+
+/**
+ * Creates the artifact read by `lib/reader.js`.
+ * @static
+ * @method create
+ * @param {array} tables The tables returned by `dimensionTables()`.
+ * @param {array} results List of `{key, config}` objects, one for each compiled context.
+ * @param {object} [baseContext] The base context applied to all reads.
+ * @return {object} The artifact, in which each key maps to the index of a deduplicated config.
+ */
+function create(tables, results, baseContext) {
+    var artifact = {
+            version: libreader.VERSION,
+            dimensions: tables,
+            keys: {},
+            configs: []
+        },
+        indexes = {};
+    if (baseContext) {
+        artifact.baseContext = baseContext;
+    }
+    results.forEach(function (result) {
+        var json = JSON.stringify(result.config);
+        if (!indexes.hasOwnProperty(json)) {
+            indexes[json] = artifact.configs.length;
+            artifact.configs.push(JSON.parse(json));
+        }
+        artifact.keys[result.key] = indexes[json];
+    });
+    return artifact;
+}
+
+
+module.exports = {
+    dimensionTables: dimensionTables,
+    reachableContexts: reachableContexts,
+    create: create
+};
@@ -0,0 +1,138 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+"use strict";
+
+
+/**
+ * Helpers for finding all the distinct contexts of a YCB file.
+ * @module YcbConfigContexts
+ */
+
+
+/**
+ * Walks a dimension hierarchy and lists each value along with its ancestors.
+ * @static
+ * @method lineage
+ * @param {array} dimensions The dimensions definitions, as returned by `readDimensions()`.
+ * @return {object} dimension: value: list of the value and all its ancestors, most specific first.
+ *   The values of each dimension are listed in the order they appear in the hierarchy.
+ */
+function lineage(dimensions) {
+    var result = {};
+
+    function walk(values, ancestors, collector) {
+        var value;
+        for (value in values) {
+            if (values.hasOwnProperty(value)) {
+                collector[value] = [value].concat(ancestors);
+                if (values[value] && 'object' === typeof values[value]) {
+                    walk(values[value], collector[value], collector);
+                }
+            }
+        }
+    }
+
+    (dimensions || []).forEach(function (dimension) {
+        var name;
+        for (name in dimension) {
+            if (dimension.hasOwnProperty(name)) {
+                result[name] = {};
+                walk(dimension[name], [], result[name]);
+                break;
+            }
+        }
+    });
+    return result;
+}
+
+
+/**
+ * Finds every distinct context that the sections of a YCB file can reach.
+ *
+ * Two contexts are distinct only if they select a different set of sections, so
+ * only dimensions and values used by some section are considered, and a value is
+ * skipped if it selects the same sections as a value already considered.
+ * The default (unspecified) value of a dimension is always considered first, so each
+ * returned context is the most general one selecting its set of sections.
+ * @static
+ * @method enumerate
+ * @param {array} dimensions The dimensions definitions, as returned by `readDimensions()`.
+ * @param {array} selectors The `{dimension: value}` selector of each section,
+ *   as given by the YCB object's `walkSettings()`.
+ * @return {array} List of context objects.
+ */
+function enumerate(dimensions, selectors) {
+    var lineages = lineage(dimensions),
+        order = [],
+        candidates = {},
+        contexts = [];
+
+    // only look at dimensions and values used by some section, in the order of the dimensions file
+    Object.keys(lineages).forEach(function (name) {
+        var used = {};
+        selectors.forEach(function (selector) {
+            if (selector.hasOwnProperty(name)) {
+                used[selector[name]] = true;
+            }
+        });
+        candidates[name] = Object.keys(lineages[name]).filter(function (value) {
+            return used[value];
+        });
+        if (candidates[name].length) {
+            order.push(name);
+        }
+    });
+
+    function matches(selector, name, value) {
+        if (!selector.hasOwnProperty(name)) {
+            return true;
+        }
+        return value !== undefined && lineages[name][value].indexOf(selector[name]) !== -1;
+    }
+
+    function walk(depth, alive, context) {
+        var name,
+            seen = {};
+        if (depth === order.length) {
+            contexts.push(context);
+            return;
+        }
+        name = order[depth];
+        [undefined].concat(candidates[name]).forEach(function (value) {
+            var next = alive.filter(function (s) {
+                    return matches(selectors[s], name, value);
+                }),
+                signature = next.join(','),
+                child;
+            if (seen[signature]) {
+                return;
+            }
+            seen[signature] = true;
+            child = {};
+            Object.keys(context).forEach(function (key) {
+                child[key] = context[key];
+            });
+            if (value !== undefined) {
+                child[name] = value;
+            }
+            walk(depth + 1, next, child);
+        });
+    }
+
+    walk(0, selectors.map(function (selector, s) {
+        return s;
+    }), {});
+    return contexts;
+}
+
+
+module.exports = {
+    lineage: lineage,
+    enumerate: enumerate
+};
@@ -0,0 +1,449 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+"use strict";
+
+var libcontexts = require('./contexts'),
+    libexplain  = require('./explain');
+
+
+/**
+ * Helpers for finding how a change to a YCB file affects each context.
+ * The helpers which look at the sections are shared with `lib/lint.js`.
+ * @module YcbConfigDiff
+ */
+
+
+/**
+ * Lists the leaf values of a config by key path.
+ * Objects are walked key by key, while arrays and other values are leaves, as in `explain()`.
+ * @static
+ * @method flatten
+ * @param {object} config The config.
+ * @return {object} Map of each key path, joined with dots, to its value.
+ */
+function flatten(config) {
+    var leaves = {};
+    function walk(obj, prefix) {
+        Object.keys(obj).forEach(function (name) {
+            var value = obj[name];
+            if (value && 'object' === typeof value && !Array.isArray(value) && Object.keys(value).length) {
+                walk(value, prefix + name + '.');
+            } else {
+                leaves[prefix + name] = value;
+            }
+        });
+    }
+    if (config && 'object' === typeof config) {
+        walk(config, '');
+    }
+    return leaves;
+}
+
+
+/**
+ * Lists the leaf key paths of a section, ignoring its settings.
+ * @static
+ * @method sectionPaths
+ * @param {object} section The section.
+ * @return {array} The key paths, joined with dots.
+ */
+function sectionPaths(section) {
+    var config = {};
+    Object.keys(section).forEach(function (key) {
+        if ('settings' !== key) {
+            config[key] = section[key];
+        }
+    });
+    return Object.keys(flatten(config));
+}
+
+
+/**
+ * Whether setting one key path replaces the value at another.
+ * @private
+ * @static
+ * @method overrides
+ * @param {string} path The key path being set.
+ * @param {string} other The other key path.
+ * @return {boolean} Whether the value at `other` is replaced.
+ */
+function overrides(path, other) {
+    return path === other || other.indexOf(path + '.') === 0 || path.indexOf(other + '.') === 0;
+}
+
+
+/**
+ * Finds the later sections overriding each value of a section.  ycb merges sections with the same
+ * settings in the order they appear, so `later` should only have the sections after it with the same settings.
+ * @private
+ * @static
+ * @method overriders
+ * @param {array} paths The key paths of the section, as given by `sectionPaths()`.
+ * @param {array} later The `{index, paths}` of the later sections, in order.
+ * @return {array} For each path, the indexes of the sections overriding it, in order.
+ */
+function overriders(paths, later) {
+    return paths.map(function (path) {
+        return later.filter(function (other) {
+            return other.paths.some(function (otherPath) {
+                return overrides(otherPath, path);
+            });
+        }).map(function (other) {
+            return other.index;
+        });
+    });
+}
+
+
+/**
+ * Checks each setting of a section against the dimensions.  Settings which aren't an array,
+ * and sections for `master`, aren't checked.
+ * @static
+ * @method settingsProblems
+ * @param {array} settings The settings of the section, without their schedule.
+ * @param {object} lineages The lineages of the dimensions, as given by `lineage()` of `lib/contexts.js`.
+ * @return {array} List of the problems, each an object with:
+ *   @return {string} return.rule Either `invalid-settings`, `unknown-dimension` or `unknown-value`.
+ *   @return {string} [return.setting] The setting, for invalid settings.
+ *   @return {string} [return.dimension] The dimension, for unknown dimensions and values.
+ *   @return {string} [return.value] The value, for unknown values.
+ */
+function settingsProblems(settings, lineages) {
+    var problems = [];
+    if (!Array.isArray(settings) || 'master' === settings[0] || 'main' === settings[0]) {
+        return problems;
+    }
+    settings.forEach(function (setting) {
+        var kv = String(setting).split(':');
+        if (kv.length !== 2) {
+            problems.push({rule: 'invalid-settings', setting: setting});
+        } else if (!lineages.hasOwnProperty(kv[0])) {
+            problems.push({rule: 'unknown-dimension', dimension: kv[0]});
+        } else {
+            kv[1].split(',').forEach(function (value) {
+                if (!lineages[kv[0]].hasOwnProperty(value)) {
+                    problems.push({rule: 'unknown-value', dimension: kv[0], value: value});
+                }
+            });
+        }
+    });
+    return problems;
+}
+
+
+/**
+ * Finds the sections of a YCB file which ycb ignores, because their settings are invalid or
+ * select dimensions or values which aren't in the dimensions.
+ * @static
+ * @method unreachableSections
+ * @param {array} contents The contents of the YCB file.
+ * @param {array} dimensions The dimensions definitions.
+ * @return {array} List of `{index, settings, reason}` objects.
+ */
+function unreachableSections(contents, dimensions) {
+    var lineages = libcontexts.lineage(dimensions),
+        unreachable = [];
+    if (!Array.isArray(contents)) {
+        return unreachable;
+    }
+    contents.forEach(function (section, index) {
+        var settings = section && section.settings,
+            problem,
+            reason;
+        if (!settings) {
+            return;
+        }
+        if (!Array.isArray(settings)) {
+            settings = settings.dimensions;
+        }
+        problem = settingsProblems(settings, lineages)[0];
+        if (!Array.isArray(settings) || !settings.length) {
+            reason = 'invalid settings';
+        } else if (problem) {
+            if ('invalid-settings' === problem.rule) {
+                reason = 'invalid setting ' + problem.setting;
+            } else if ('unknown-dimension' === problem.rule) {
+                reason = 'unknown dimension ' + problem.dimension;
+            } else {
+                reason = 'unknown value ' + problem.value + ' of dimension ' + problem.dimension;
+            }
+        }
+        if (reason) {
+            unreachable.push({index: index, settings: settings, reason: reason});
+        }
+    });
+    return unreachable;
+}
+
+
+/**
+ * Groups the sections of a YCB file which ycb merges with each other in the order they appear: those
+ * with the same settings, `main` being the same as `master`.  Scheduled sections, which are merged by
+ * time, and sections which ycb ignores because of their settings are left out.
+ * @private
+ * @static
+ * @method sectionGroups
+ * @param {array} contents The contents of the YCB file.
+ * @param {object} lineages The lineages of the dimensions, as given by `lineage()` of `lib/contexts.js`.
+ * @return {array} The groups, in the order of their first section.  Each is a list of
+ *   `{index, settings, paths}` objects, where `paths` are given by `sectionPaths()`.
+ */
+function sectionGroups(contents, lineages) {
+    var groups = [],
+        byKey = {};
+    if (!Array.isArray(contents)) {
+        return groups;
+    }
+    contents.forEach(function (section, index) {
+        var settings = section && section.settings,
+            key;
+        if (!settings || (!Array.isArray(settings) && settings.schedule !== undefined)) {
+            return;
+        }
+        settings = Array.isArray(settings) ? settings : settings.dimensions;
+        if (!Array.isArray(settings) || !settings.length || settingsProblems(settings, lineages).length ||
+                (('master' === settings[0] || 'main' === settings[0]) && settings.length > 1)) {
+            return;
+        }
+        key = 'main' === settings[0] ? 'master' : settings.slice().sort().join();
+        if (!byKey[key]) {
+            byKey[key] = [];
+            groups.push(byKey[key]);
+        }
+        byKey[key].push({index: index, settings: settings, paths: sectionPaths(section)});
+    });
+    return groups;
+}
+
+
+/**
+ * Finds, for each section merged in order with others, the values which later sections with the same
+ * settings set again, so that they're never seen.  A section whose values are all set again is shadowed.
+ * Scheduled sections, and sections which ycb ignores, are left out.
+ * @static
+ * @method shadowing
+ * @param {array} contents The contents of the YCB file.
+ * @param {object} lineages The lineages of the dimensions, as given by `lineage()` of `lib/contexts.js`.
+ * @return {array} List of objects in the order of the sections, each with:
+ *   @return {number} return.index The index of the section.
+ *   @return {array} return.settings The settings of the section.
+ *   @return {number} [return.first] The index of the first section with the same settings, if it's another.
+ *   @return {array} return.unread List of `{path, by}` objects, where `by` is the index of the last
+ *     section setting the value, whose value is the one seen.
+ *   @return {boolean} return.shadowed Whether all the values of the section are unread.
+ */
+function shadowing(contents, lineages) {
+    var sections = [];
+    sectionGroups(contents, lineages).forEach(function (group) {
+        group.forEach(function (section, s) {
+            var byPath = overriders(section.paths, group.slice(s + 1)),
+                unread = [];
+            section.paths.forEach(function (path, p) {
+                // the last section setting the value wins
+                if (byPath[p].length) {
+                    unread.push({path: path, by: byPath[p][byPath[p].length - 1]});
+                }
+            });
+            sections.push({
+                index: section.index,
+                settings: section.settings,
+                first: s ? group[0].index : undefined,
+                unread: unread,
+                shadowed: unread.length > 0 && unread.length === section.paths.length
+            });
+        });
+    });
+    return sections.sort(function (a, b) {
+        return a.index - b.index;
+    });
+}
+
+
+/**
+ * Finds the sections of a YCB file whose values are all overridden by later sections with the
+ * same settings.  ycb merges such sections in order, so these values are never seen.
+ * Scheduled sections, and sections which ycb ignores, are left out.
+ * @static
+ * @method shadowedSections
+ * @param {array} contents The contents of the YCB file.
+ * @param {array} dimensions The dimensions definitions.
+ * @return {array} List of `{index, settings, by}` objects, where `by` lists the indexes of the
+ *   sections whose values are seen instead of those of the section at `index`.
+ */
+function shadowedSections(contents, dimensions) {
+    return shadowing(contents, libcontexts.lineage(dimensions)).filter(function (section) {
+        return section.shadowed;
+    }).map(function (section) {
+        return {
+            index: section.index,
+            settings: section.settings,
+            by: section.unread.map(function (u) {
+                return u.by;
+            }).filter(function (by, i, all) {
+                return all.indexOf(by) === i;
+            }).sort(function (a, b) {
+                return a - b;
+            })
+        };
+    });
+}
+
+
+/**
+ * Finds which section supplies each value in each context.
+ * @private
+ * @static
+ * @method analyze
+ * @param {object} ycb The YCB object.
+ * @param {array} dimensions The dimensions definitions.
+ * @param {array} contexts The contexts.
+ * @return {object} With `sections`, the `{selector, config}` sections, and `sources`, the map
+ *   of each key path to the settings of the section supplying it, for each context.
+ */
+function analyze(ycb, dimensions, contexts) {
+    var sections = [];
+    ycb.walkSettings(function (selector, config) {
+        sections.push({selector: selector, config: config});
+        return true;
+    });
+    return {
+        sections: sections,
+        sources: contexts.map(function (context) {
+            var explanation = libexplain.explain(libexplain.applicableSections(dimensions, sections, context), ''),
+                sources = {};
+            Object.keys(explanation.sources).forEach(function (path) {
+                sources[path] = explanation.sources[path].settings;
+            });
+            return sources;
+        })
+    };
+}
+
+
+/**
+ * Keeps the sections found in the new version of a YCB file unless the same section was
+ * found in the old version.
+ * @private
+ * @static
+ * @method newlyFound
+ * @param {array} oldFound The `{index}` sections found in the old version.
+ * @param {array} newFound The `{index}` sections found in the new version.
+ * @param {array} oldContents The contents of the old version.
+ * @param {array} newContents The contents of the new version.
+ * @return {array} The sections only found in the new version.
+ */
+function newlyFound(oldFound, newFound, oldContents, newContents) {
+    var seen = {};
+    oldFound.forEach(function (found) {
+        seen[JSON.stringify(oldContents[found.index])] = true;
+    });
+    return newFound.filter(function (found) {
+        return !seen[JSON.stringify(newContents[found.index])];
+    });
+}
+
+
+/**
+ * Compares two versions of a YCB file in every context which can tell them apart.
+ * Scheduled sections are ignored.
+ * @static
+ * @method diff
+ * @param {array} oldContents The contents of the old version.
+ * @param {array} newContents The contents of the new version.
+ * @param {array} dimensions The dimensions definitions.
+ * @param {Function} build Creates the YCB object of some contents.
+ * @return {object} An object with:
+ *   @return {array} return.contexts List of `{context, groups}` for each context which sees a change,
+ *   where `groups` is a list of `{settings, changes}`, grouping the `{path, before, after}` changes by
+ *   the settings of the section which caused them.
+ *   @return {array} return.unreachable The sections of the new version found by `unreachableSections()`,
+ *   unless the same section was already unreachable in the old version.
+ *   @return {array} return.shadowed The sections of the new version found by `shadowedSections()`,
+ *   unless the same section was already shadowed in the old version.
+ */
+function diff(oldContents, newContents, dimensions, build) {
+    var oldYCB = build(oldContents),
+        newYCB = build(newContents),
+        selectors = [],
+        contexts,
+        before,
+        after,
+        report = {contexts: [], unreachable: [], shadowed: []};
+
+    [oldYCB, newYCB].forEach(function (ycb) {
+        ycb.walkSettings(function (selector) {
+            selectors.push(selector);
+            return true;
+        });
+    });
+    contexts = libcontexts.enumerate(dimensions, selectors);
+    before = analyze(oldYCB, dimensions, contexts);
+    after = analyze(newYCB, dimensions, contexts);
+
+    // whether a section of the new version still supplies a value
+    function supplies(settings, path) {
+        return after.sections.some(function (section) {
+            return libexplain.selectorToSettings(section.selector).join() === settings.join() &&
+                flatten(section.config).hasOwnProperty(path);
+        });
+    }
+
+    contexts.forEach(function (context, c) {
+        var oldLeaves = flatten(oldYCB.read(context, {})),
+            newLeaves = flatten(newYCB.read(context, {})),
+            paths = Object.keys(oldLeaves),
+            groups = [],
+            byKey = {};
+        Object.keys(newLeaves).forEach(function (path) {
+            if (!oldLeaves.hasOwnProperty(path)) {
+                paths.push(path);
+            }
+        });
+        paths.forEach(function (path) {
+            var oldSource = before.sources[c][path],
+                newSource = after.sources[c][path],
+                settings = newSource,
+                key;
+            if (JSON.stringify(oldLeaves[path]) === JSON.stringify(newLeaves[path])) {
+                return;
+            }
+            // a removed value, or one no longer overridden, is caused by the section which had it
+            if (oldSource && (!newSource || (oldSource.join() !== newSource.join() && !supplies(oldSource, path)))) {
+                settings = oldSource;
+            }
+            settings = settings || ['master'];
+            key = settings.join();
+            if (!byKey[key]) {
+                byKey[key] = {settings: settings, changes: []};
+                groups.push(byKey[key]);
+            }
+            byKey[key].changes.push({path: path, before: oldLeaves[path], after: newLeaves[path]});
+        });
+        if (groups.length) {
+            report.contexts.push({context: context, groups: groups});
+        }
+    });
+
+    report.unreachable = newlyFound(unreachableSections(oldContents, dimensions),
+        unreachableSections(newContents, dimensions), oldContents, newContents);
+    report.shadowed = newlyFound(shadowedSections(oldContents, dimensions), shadowedSections(newContents, dimensions),
+        oldContents, newContents);
+    return report;
+}
+
+
+module.exports = {
+    flatten: flatten,
+    sectionPaths: sectionPaths,
+    settingsProblems: settingsProblems,
+    unreachableSections: unreachableSections,
+    shadowing: shadowing,
+    shadowedSections: shadowedSections,
+    diff: diff
+};
@@ -0,0 +1,153 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+"use strict";
+
+var libcrypto = require('crypto'),
+
+    DEFAULT_SEPARATOR = '__';
+
+
+/**
+ * Helpers for overriding config values with environment variables.
+ * @module YcbConfigEnv
+ */
+
+
+/**
+ * Finds the environment variables which override config values.
+ * A variable named `<prefix><sep><bundle><sep><config><sep><key>[<sep><key>...]`
+ * overrides the value at that key path of that config.
+ * @static
+ * @method scan
+ * @param {object} env The environment, usually `process.env`.
+ * @param {string} prefix The prefix of the variable names.
+ * @param {string} [separator] The separator between parts of the names.  Defaults to `__`.
+ * @return {object} bundle: config: `{key, overrides}` where `overrides` is a list of
+ *   `{path, value}` objects sorted by variable name, and `key` is a hash identifying them,
+ *   so that values such as passwords don't end up in cache keys.
+ */
+function scan(env, prefix, separator) {
+    var result = {},
+        start;
+    separator = separator || DEFAULT_SEPARATOR;
+    start = prefix + separator;
+    Object.keys(env).sort().forEach(function (name) {
+        var parts,
+            bundleName,
+            configName,
+            entry;
+        if (name.slice(0, start.length) !== start) {
+            return;
+        }
+        parts = name.slice(start.length).split(separator);
+        if (parts.length < 3 || parts.some(function (part) { return !part; })) {
+            return;
+        }
+        bundleName = parts[0];
+        configName = parts[1];
+        if (!result[bundleName]) {
+            result[bundleName] = {};
+        }
+        entry = result[bundleName][configName];
+        if (!entry) {
+            entry = result[bundleName][configName] = {key: '', overrides: []};
+        }
+        entry.overrides.push({path: parts.slice(2), value: env[name]});
+    });
+    Object.keys(result).forEach(function (bundleName) {
+        Object.keys(result[bundleName]).forEach(function (configName) {
+            var entry = result[bundleName][configName];
+            entry.key = libcrypto.createHash('sha1').update(JSON.stringify(entry.overrides)).digest('hex');
+        });
+    });
+    return result;
+}
+
+
+/**
+ * Converts the string value of an environment variable to the type of the value it overrides.
+ * Numbers, booleans, objects and arrays are converted, if the string can be converted.
+ * @static
+ * @method coerce
+ * @param {string} value The value of the environment variable.
+ * @param {mixed} existing The value being overridden.
+ * @return {mixed} The converted value.
+ */
+function coerce(value, existing) {
+    var lower,
+        parsed;
+    if ('number' === typeof existing) {
+        parsed = Number(value);
+        return value.trim() === '' || isNaN(parsed) ? value : parsed;
+    }
+    if ('boolean' === typeof existing) {
+        lower = value.toLowerCase();
+        if ('true' === lower || '1' === lower || 'yes' === lower) {
+            return true;
+        }
+        if ('false' === lower || '0' === lower || 'no' === lower) {
+            return false;
+        }
+        return value;
+    }
+    if (existing && 'object' === typeof existing) {
+        try {
+            parsed = JSON.parse(value);
+        } catch (e) {
+            return value;
+        }
+        if (parsed && 'object' === typeof parsed && Array.isArray(parsed) === Array.isArray(existing)) {
+            return parsed;
+        }
+    }
+    return value;
+}
+
+
+/**
+ * Applies overrides to a config.
+ * The config isn't modified: objects along the path of each override are copied.
+ * @static
+ * @method apply
+ * @param {object} config The merged config.
+ * @param {array} overrides List of `{path, value}` objects, as found by `scan()`.
+ * @return {object} The overridden config.
+ */
+function apply(config, overrides) {
+    var result = config;
+    overrides.forEach(function (override) {
+        var cur,
+            i,
+            key;
+        if (!result || 'object' !== typeof result) {
+            return;
+        }
+        result = Array.isArray(result) ? result.slice() : Object.assign({}, result);
+        cur = result;
+        for (i = 0; i < override.path.length - 1; i += 1) {
+            key = override.path[i];
+            if (cur[key] && 'object' === typeof cur[key]) {
+                cur[key] = Array.isArray(cur[key]) ? cur[key].slice() : Object.assign({}, cur[key]);
+            } else {
+                cur[key] = {};
+            }
+            cur = cur[key];
+        }
+        key = override.path[override.path.length - 1];
+        cur[key] = coerce(override.value, cur[key]);
+    });
+    return result;
+}
+
+
+module.exports = {
+    scan: scan,
+    coerce: coerce,
+    apply: apply
+};
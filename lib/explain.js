@@ -0,0 +1,241 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+"use strict";
+
+var libcontexts = require('./contexts');
+
+
+/**
+ * Helpers for explaining which section of a YCB file supplied each value of a merged config.
+ * @module YcbConfigExplain
+ */
+
+
+/**
+ * Converts a `{dimension: value}` selector to the form used in the `settings` of a YCB file.
+ * @static
+ * @method selectorToSettings
+ * @param {object} selector The selector.
+ * @return {array} Such as `['device:mobile', 'lang:en']`, or `['master']` for the empty selector.
+ */
+function selectorToSettings(selector) {
+    var settings = Object.keys(selector).map(function (name) {
+        return name + ':' + selector[name];
+    });
+    return settings.length ? settings : ['master'];
+}
+
+
+/**
+ * Finds the sections that apply to a context, in the order in which they are merged.
+ * This is the same order in which YCB merges them: least specific first.
+ * @static
+ * @method applicableSections
+ * @param {array} dimensions The dimensions definitions.
+ * @param {array} sections List of `{selector, config}` objects, as given by `walkSettings()`.
+ * @param {object} context The runtime context.
+ * @return {array} The applicable sections.
+ */
+function applicableSections(dimensions, sections, context) {
+    var lineages = libcontexts.lineage(dimensions),
+        names = Object.keys(lineages),
+        ranked = [];
+
+    context = context || {};
+    sections.forEach(function (section) {
+        var rank = [],
+            n,
+            name,
+            values,
+            best,
+            v,
+            i;
+        for (n = 0; n < names.length; n += 1) {
+            name = names[n];
+            if (!section.selector.hasOwnProperty(name)) {
+                rank.push(0);
+                continue;
+            }
+            values = [].concat(context[name] === undefined ? [] : context[name]);
+            best = -1;
+            for (v = 0; v < values.length; v += 1) {
+                // the more specific the matching value, the later it is merged
+                i = (lineages[name][values[v]] || []).indexOf(section.selector[name]);
+                if (i !== -1) {
+                    best = Math.max(best, lineages[name][values[v]].length - i);
+                }
+            }
+            if (best === -1) {
+                return;
+            }
+            rank.push(best);
+        }
+        ranked.push({rank: rank, section: section});
+    });
+
+    ranked.sort(function (a, b) {
+        var i;
+        for (i = 0; i < a.rank.length; i += 1) {
+            if (a.rank[i] !== b.rank[i]) {
+                return a.rank[i] - b.rank[i];
+            }
+        }
+        return 0;
+    });
+    return ranked.map(function (r) {
+        return r.section;
+    });
+}
+
+
+/**
+ * Finds where a key is set in the source of a file, on a best-effort basis.
+ * @static
+ * @method keyOffset
+ * @param {string} source The text of the file.
+ * @param {number} start Offset from which to look for the key.
+ * @param {string} key The key.
+ * @return {number} The offset of the key, or -1 if it wasn't found.
+ */
+function keyOffset(source, start, key) {
+    var re = new RegExp('(^|[\\s{,"\'])' + key.replace(/[\^$\\.*+?()\[\]{}|]/g, '\\$&') + '["\']?\\s*:', 'mg'),
+        match;
+    re.lastIndex = start;
+    match = re.exec(source);
+    return match ? match.index + match[1].length : -1;
+}
+
+
+/**
+ * Finds the line of the source file on which a value is set, on a best-effort basis.
+ * The line of the section is found by looking for its selector, then the line of the
+ * value by looking for its key after that.
+ * @private
+ * @static
+ * @method findLine
+ * @param {string} source The text of the source file.
+ * @param {array} settings The settings of the section.
+ * @param {array} path The path of keys to the value.
+ * @return {number|undefined} The 1-based line number, if it was found.
+ */
+function findLine(source, settings, path) {
+    var start = 0,
+        key,
+        offset,
+        i;
+    if (!source) {
+        return undefined;
+    }
+    settings.forEach(function (setting) {
+        var index = source.indexOf(setting);
+        if (index > start) {
+            start = index;
+        }
+    });
+    for (i = path.length - 1; i >= 0; i -= 1) {
+        if (!/^\d+$/.test(path[i])) {
+            key = path[i];
+            break;
+        }
+    }
+    if (key === undefined) {
+        return undefined;
+    }
+    offset = keyOffset(source, start, key);
+    if (offset === -1) {
+        return undefined;
+    }
+    return source.slice(0, offset).split('\n').length;
+}
+
+
+/**
+ * Explains which section supplied each leaf value of a merged config.
+ * Objects are merged key by key, while arrays and other values replace each other.
+ * @static
+ * @method explain
+ * @param {array} sections The applicable `{selector, config}` sections, least specific first.
+ * @param {string} path Full path of the source file.
+ * @param {string} [source] The text of the source file, used to find line numbers.
+ * @return {object} An object with:
+ *   @return {object} return.sources Map of each leaf key path to the `{settings, path, line}`
+ *   that supplied its value.
+ *   @return {array} return.overridden List of the `{key, value, settings, path, line, by}` values that
+ *   were overridden, where `by` is the settings of the section that overrode it.
+ */
+function explain(sections, path, source) {
+    var sources = {},
+        values = {},
+        overridden = [];
+
+    function override(key, settings) {
+        overridden.push({
+            key: key,
+            value: values[key],
+            settings: sources[key].settings,
+            path: sources[key].path,
+            line: sources[key].line,
+            by: settings
+        });
+        delete sources[key];
+        delete values[key];
+    }
+
+    function set(keys, value, settings) {
+        var key = keys.join('.'),
+            prefix = key + '.';
+        Object.keys(sources).forEach(function (have) {
+            if (have === key || have.slice(0, prefix.length) === prefix) {
+                override(have, settings);
+            }
+        });
+        sources[key] = {
+            settings: settings,
+            path: path,
+            line: findLine(source, settings, keys)
+        };
+        values[key] = value;
+    }
+
+    function walk(obj, keys, settings) {
+        Object.keys(obj).forEach(function (name) {
+            var value = obj[name],
+                child = keys.concat(name),
+                key = child.join('.');
+            if (value && 'object' === typeof value && !Array.isArray(value) && Object.keys(value).length) {
+                // a value replaced by an object is overridden
+                if (sources.hasOwnProperty(key)) {
+                    override(key, settings);
+                }
+                walk(value, child, settings);
+            } else {
+                set(child, value, settings);
+            }
+        });
+    }
+
+    sections.forEach(function (section) {
+        if (section.config) {
+            walk(section.config, [], selectorToSettings(section.selector));
+        }
+    });
+
+    return {
+        sources: sources,
+        overridden: overridden
+    };
+}
+
+
+module.exports = {
+    keyOffset: keyOffset,
+    selectorToSettings: selectorToSettings,
+    applicableSections: applicableSections,
+    explain: explain
+};
@@ -0,0 +1,515 @@
+/*jslint nomen:true, anon:true, node:true, esversion:6  */
+'use strict';
+
+var libfs = require('fs'),
+    libpath = require('path'),
+    crypto = require('crypto'),
+    libcache = require('./cache'),
+    Counters = libcache.Counters;
+
+var SUFFIX = '.json',
+    DEFAULT_MAX = 1000;
+
+/**
+ * Cache backend which stores each entry as a JSON file in a directory, so that the processes and
+ * worker threads of a server can share the configs merged by any of them.
+ *
+ * Group ids start over with each process, so entries are only shared through the identity of the
+ * contents of their group, which the config helper gives to `identifyGroup()`: an entry is returned
+ * for any group with the identity with which it was set.  Entries of groups which weren't identified
+ * aren't cached.
+ *
+ * Reads and writes go through an index kept in memory, so that they never wait on the disk.  Entries
+ * are written to the directory in the background, and a read which doesn't find a fresh entry in the
+ * index loads the file of its key in the background, for the reads which follow.
+ *
+ * Values are stored as JSON, so `get` returns a copy of what was set, and values which don't
+ * survive `JSON.stringify()` aren't cached.  Once the index or the directory holds more than `max`
+ * entries, the least recently used entry of the index is dropped, or the least recently set tenth
+ * of the directory is removed.
+ * @param {object} options
+ * @param {string} options.dir Directory of the entries, created if missing.
+ * @param {number} [options.max] Maximum number of entries in the index and the directory, 1000 by default.
+ */
+function FileCache(options) {
+    options = options || {};
+    if(typeof options.dir !== 'string' || !options.dir) {
+        throw new Error('No directory given to the file cache, as the dir option. ' + JSON.stringify(options));
+    }
+    this.dir = options.dir;
+    this.max = Number.isInteger(options.max) && options.max > 0 ? options.max : DEFAULT_MAX;
+    libfs.mkdirSync(this.dir, {recursive: true, mode: 0o700});
+    this.size = this._files().length; // estimated, since other processes add entries too
+    this.entries = new Map(); //key -> entry, from the least to the most recently used
+    this.loading = new Set(); //keys whose file is being read
+    this.writing = new Map(); //key -> entry to write once the current write is done, or null
+    this.evicting = false;
+    this.pending = 0; // file operations in progress
+    this.waiting = []; // callbacks of flush()
+    this.counters = new Map(); //groupId -> Counters, of this process only
+    this.retired = new Counters(); // counters of the purged groups which weren't replaced
+    this.identities = new Map(); //groupId -> identity of its contents
+}
+
+FileCache.prototype = {
+    /**
+     * Set a cache entry.
+     * @param {string} key Key mapping to this value.
+     * @param {*} value Value to be cached.
+     * @param {number} groupId Id of the entry's group, used to lazily invalidate subsets of the cache.
+     * @param {number} [ttl] Milliseconds after which the entry becomes stale, regardless of its group.
+     */
+    set(key, value, groupId, ttl) {
+        this.setTimeAware(key, value, 0, Infinity, groupId, ttl);
+    },
+
+    /**
+     * Set a time aware cache entry.
+     * The entry is written in the background to a temporary file which is then renamed, so that
+     * readers never see part of it.
+     * @param {string} key Key mapping to this value.
+     * @param {*} value Value to be cached.
+     * @param {number} now  Current time.
+     * @param {number} expiresAt Time at which entry will become stale.
+     * @param {number} groupId Id of the entry's group, used to lazily invalidate subsets of the cache.
+     * @param {number} [ttl] Milliseconds after which the entry becomes stale, regardless of its group.
+     */
+    setTimeAware(key, value, now, expiresAt, groupId, ttl) {
+        var identity = this._identity(groupId),
+            json,
+            entry;
+        try {
+            json = JSON.stringify(value);
+        } catch(e) {
+            return;
+        }
+        if(identity === null || json === undefined) {
+            return;
+        }
+        if(this.entries.has(key)) {
+            this._count(groupId, 'overwrites');
+            this.entries.delete(key);
+        } else {
+            this.size++;
+        }
+        entry = {
+            key: key,
+            identity: identity,
+            setAt: now,
+            expiresAt: expiresAt === Infinity ? null : expiresAt, // JSON has no Infinity
+            staleAt: ttl > 0 ? Date.now() + ttl : 0,
+            value: json
+        };
+        this._remember(entry, groupId);
+        this._write(entry);
+    },
+
+    /**
+     * Get value from the cache. Will return undefined if entry is not in cache or is stale.
+     * @param {string} key Key to look up in cache.
+     * @param {number} groupId Group id to check if value is stale.
+     * @returns {*}
+     */
+    get(key, groupId) {
+        return this.getTimeAware(key, 0, groupId);
+    },
+
+    /**
+     * Get value from the cache with time awareness. Will return undefined if entry is not in cache or is stale.
+     * Unless it's fresh, the file of the key is then loaded in the background, in case another
+     * process set it.
+     * @param {string} key Key to look up in cache.
+     * @param {number} now Current time to check if value is stale.
+     * @param {number} groupId Group id to check if value is stale.
+     * @returns {*}
+     */
+    getTimeAware(key, now, groupId) {
+        var entry = this.entries.get(key),
+            counter = 'hits';
+        if(entry === undefined) {
+            counter = 'misses';
+        } else if(this._identity(groupId) !== entry.identity) {
+            counter = 'staleGroup';
+        } else if(this._isStale(entry) || now < entry.setAt || (entry.expiresAt !== null && now >= entry.expiresAt)) {
+            counter = 'staleTime';
+        }
+        this._count(groupId, counter);
+        if(counter !== 'hits') {
+            this._load(key, groupId);
+            return undefined;
+        }
+        this._remember(entry, groupId);
+        return JSON.parse(entry.value);
+    },
+
+    /**
+     * Get an entry of the group whatever the time, as long as its TTL didn't pass, such as an expired
+     * time aware entry to serve while it is computed again.  It doesn't count as a read.
+     * @param {string} key Key to look up in cache.
+     * @param {number} groupId Group id to check if value is stale.
+     * @returns {object} The `value`, `setAt` and `expiresAt` of the entry, or undefined.
+     */
+    getStale(key, groupId) {
+        var entry = this.entries.get(key);
+        if(entry === undefined || this._identity(groupId) !== entry.identity || this._isStale(entry)) {
+            return undefined;
+        }
+        return {
+            value: JSON.parse(entry.value),
+            setAt: entry.setAt,
+            expiresAt: entry.expiresAt === null ? Infinity : entry.expiresAt
+        };
+    },
+
+    /**
+     * Set the identity of the contents of a group, such as a hash of the config and the dimensions
+     * from which its entries are merged.  Entries set with another identity are stale for the group.
+     * @param {number} groupId Id of the group.
+     * @param {string} identity Identity of its contents.
+     */
+    identifyGroup(groupId, identity) {
+        this.identities.set(groupId, identity);
+    },
+
+    /**
+     * Forget a group once it is replaced, and drop its entries from the index.  Their files are left
+     * for the processes which still have the same contents, until they are evicted.  The counters of
+     * the group are moved to the group which replaced it, if any.
+     * @param {number} groupId Id of the group.
+     * @param {number} [nextGroupId] Id of the group which replaced it.
+     */
+    purgeGroup(groupId, nextGroupId) {
+        var self = this;
+        this.entries.forEach(function(entry, key) {
+            if(entry.groupId === groupId) {
+                self.entries.delete(key);
+            }
+        });
+        this.identities.delete(groupId);
+        libcache.retireCounters(this.counters, this.retired, groupId, nextGroupId);
+    },
+
+    /**
+     * Get the estimated number of entries in the directory, and what happened to the reads of this
+     * process since the last reset, in the same shape as `ConfigCache.stats()`.  There is no memory
+     * budget, so `bytes` and `maxBytes` are 0.
+     * @returns {object} The stats.
+     */
+    stats() {
+        var stats = {
+                size: this.size,
+                max: this.max,
+                bytes: 0,
+                maxBytes: 0
+            },
+            totals = new Counters(),
+            groups = {};
+        totals.add(this.retired);
+        this.counters.forEach(function(counters, groupId) {
+            totals.add(counters);
+            groups[groupId] = Object.assign({}, counters);
+        });
+        Object.assign(stats, totals);
+        stats.groups = groups;
+        return stats;
+    },
+
+    /**
+     * Reset the counters of this process.
+     */
+    resetStats() {
+        this.counters.clear();
+        this.retired = new Counters();
+    },
+
+    /**
+     * List the keys of the index, including stale entries, from the least to the most recently used.
+     * @returns {Array} The keys.
+     */
+    keys() {
+        return Array.from(this.entries.keys());
+    },
+
+    /**
+     * Remove all entries, such as those left by a previous deployment.  Entries which are being
+     * written in the background may still reach the directory.
+     */
+    clear() {
+        this.entries.clear();
+        this._files().forEach(function(file) {
+            try {
+                libfs.unlinkSync(file);
+            } catch(ignore) {}
+        });
+        this.size = 0;
+    },
+
+    /**
+     * Wait for the entries being written and loaded in the background, such as before a process exits.
+     * @param {Function} callback Called once there are none left.
+     */
+    flush(callback) {
+        if(this.pending === 0) {
+            setImmediate(callback);
+        } else {
+            this.waiting.push(callback);
+        }
+    },
+
+    /**
+     * Get the path of the file of a key.
+     * @param {string} key
+     * @returns {string}
+     * @private
+     */
+    _file(key) {
+        return libpath.join(this.dir, crypto.createHash('sha1').update(key).digest('hex') + SUFFIX);
+    },
+
+    /**
+     * List the paths of the entries of the directory.  Only used when creating and clearing the cache.
+     * @returns {Array}
+     * @private
+     */
+    _files() {
+        var names;
+        try {
+            names = libfs.readdirSync(this.dir);
+        } catch(e) {
+            return [];
+        }
+        return this._entryPaths(names);
+    },
+
+    /**
+     * Get the paths of the entries among the names of the files of the directory.
+     * @param {Array} names The names of the files.
+     * @returns {Array}
+     * @private
+     */
+    _entryPaths(names) {
+        var dir = this.dir;
+        return names.filter(function(name) {
+            return name.slice(-SUFFIX.length) === SUFFIX;
+        }).map(function(name) {
+            return libpath.join(dir, name);
+        });
+    },
+
+    /**
+     * Add an entry to the index as the most recently used, dropping the least recently used entry
+     * once there are more than `max`.
+     * @param {object} entry The entry.
+     * @param {number} groupId Id of the group of this process which uses the entry.
+     * @private
+     */
+    _remember(entry, groupId) {
+        var oldest;
+        entry.groupId = groupId; // not written, since group ids belong to this process
+        this.entries.delete(entry.key);
+        this.entries.set(entry.key, entry);
+        if(this.entries.size > this.max) {
+            oldest = this.entries.values().next().value;
+            this.entries.delete(oldest.key);
+            this._count(oldest.groupId, 'evictions');
+        }
+    },
+
+    /**
+     * Tell whether the TTL of an entry passed.
+     * @param {object} entry The entry.
+     * @returns {boolean}
+     * @private
+     */
+    _isStale(entry) {
+        return entry.staleAt !== 0 && entry.staleAt <= Date.now();
+    },
+
+    /**
+     * Write an entry to its file in the background.  Writes of the same key are done one at a time,
+     * and only the last entry set while a write is in progress is written after it.
+     * @param {object} entry The entry.
+     * @private
+     */
+    _write(entry) {
+        var self = this,
+            key = entry.key,
+            file = this._file(key),
+            temp = file + '.' + crypto.randomBytes(6).toString('hex') + '.tmp',
+            contents = JSON.stringify({
+                key: key,
+                identity: entry.identity,
+                setAt: entry.setAt,
+                expiresAt: entry.expiresAt,
+                staleAt: entry.staleAt,
+                value: entry.value
+            });
+        if(this.writing.has(key)) {
+            this.writing.set(key, entry);
+            return;
+        }
+        this.writing.set(key, null);
+        this.pending++;
+        libfs.writeFile(temp, contents, {mode: 0o600}, function(err) {
+            if(err) {
+                // the cache only saves work, so a full disk or a removed directory doesn't fail reads
+                return libfs.unlink(temp, done);
+            }
+            libfs.rename(temp, file, function(err) {
+                if(err) {
+                    return libfs.unlink(temp, done);
+                }
+                if(self.size > self.max) {
+                    self._evict();
+                }
+                done();
+            });
+        });
+
+        function done() {
+            var next = self.writing.get(key);
+            self.writing.delete(key);
+            if(next) {
+                self._write(next);
+            }
+            self._done();
+        }
+    },
+
+    /**
+     * Load the file of a key in the background, keeping its entry if it belongs to the identity of the
+     * group and the key wasn't set in the meantime.
+     * @param {string} key The key.
+     * @param {number} groupId Id of the group which read the key.
+     * @private
+     */
+    _load(key, groupId) {
+        var self = this,
+            before = this.entries.get(key);
+        if(this.loading.has(key)) {
+            return;
+        }
+        this.loading.add(key);
+        this.pending++;
+        libfs.readFile(this._file(key), 'utf8', function(err, contents) {
+            var entry;
+            self.loading.delete(key);
+            if(!err) {
+                try {
+                    entry = JSON.parse(contents);
+                } catch(ignore) {}
+            }
+            if(entry && entry.key === key && typeof entry.value === 'string' &&
+                    entry.identity === self._identity(groupId) && self.entries.get(key) === before) {
+                self._remember(entry, groupId);
+            }
+            self._done();
+        });
+    },
+
+    /**
+     * Remove the least recently set tenth of the entries of the directory in the background, once
+     * there are more than `max`.
+     * @private
+     */
+    _evict() {
+        var self = this,
+            keep = this.max - Math.ceil(this.max / 10);
+        if(this.evicting) {
+            return;
+        }
+        this.evicting = true;
+        this.pending++;
+        libfs.readdir(this.dir, function(err, names) {
+            var files = err ? [] : self._entryPaths(names),
+                entries = [],
+                left = files.length;
+            if(!left) {
+                return stated();
+            }
+            files.forEach(function(file) {
+                libfs.stat(file, function(err, stat) {
+                    // entries removed by another process in the meantime are left out
+                    if(!err) {
+                        entries.push({file: file, mtime: stat.mtimeMs});
+                    }
+                    if(--left === 0) {
+                        stated();
+                    }
+                });
+            });
+
+            function stated() {
+                self.size = entries.length;
+                if(entries.length > self.max) {
+                    entries.sort(function(a, b) {
+                        return a.mtime - b.mtime;
+                    }).slice(0, entries.length - keep).forEach(function(entry) {
+                        self._unlink(entry.file);
+                    });
+                }
+                self.evicting = false;
+                self._done();
+            }
+        });
+    },
+
+    /**
+     * Remove a file of the directory in the background, if it is still there.
+     * @param {string} file Path of the entry.
+     * @private
+     */
+    _unlink(file) {
+        var self = this;
+        this.pending++;
+        libfs.unlink(file, function(err) {
+            if(!err) {
+                self.size--;
+            }
+            self._done();
+        });
+    },
+
+    /**
+     * Count a file operation as done, and call back those waiting once there are none left.
+     * @private
+     */
+    _done() {
+        var waiting;
+        if(--this.pending === 0) {
+            waiting = this.waiting;
+            this.waiting = [];
+            waiting.forEach(function(callback) {
+                callback();
+            });
+        }
+    },
+
+    /**
+     * Get the identity of the contents of a group.
+     * @param {number} groupId Id of the group.
+     * @returns {string} The identity, or null if the group wasn't identified.
+     * @private
+     */
+    _identity(groupId) {
+        var identity = this.identities.get(groupId);
+        return identity === undefined ? null : identity;
+    },
+
+    /**
+     * Increment a counter of a group.
+     * @param {number} groupId Id of the group.
+     * @param {string} name Name of the counter.
+     * @private
+     */
+    _count(groupId, name) {
+        var counters = this.counters.get(groupId);
+        if(counters === undefined) {
+            counters = new Counters();
+            this.counters.set(groupId, counters);
+        }
+        counters[name]++;
+    }
+};
+
+module.exports = FileCache;
@@ -0,0 +1,347 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+// Typings of the config helper.  The types of the configs themselves can be generated with
+// `generateTypes()`, and given to the read methods, as in `helper.read<HomepageAppConfig>(...)`.
+
+import { EventEmitter } from 'events';
+
+type Callback<T> = (err: Error | null, value: T) => void;
+
+declare namespace Config {
+    /** A runtime context, such as `{device: 'iphone', lang: 'en-US'}`. */
+    type Context = { [dimension: string]: any };
+
+    /** The dimensions definitions, as found in a dimensions file. */
+    type Dimensions = Array<{ [dimension: string]: any }>;
+
+    interface Options {
+        /** Context to apply to all reads.  The context passed to `read()` overrides it key by key. */
+        baseContext?: Context;
+        /** The options of the LRU cache, which stores 250 configs by default, or a cache backend. */
+        cache?: {
+            max?: number;
+            /** A memory budget in bytes, for the estimated size of the cached configs. */
+            maxBytes?: number;
+        } | CacheBackend;
+        /** Whether the returned YCB object should be cloned. */
+        clone?: boolean;
+        /** Full path to the dimensions file. */
+        dimensionsPath?: string;
+        /** Bundle in which to find the dimensions file. */
+        dimensionsBundle?: string;
+        /** Whether to freeze the returned configs. */
+        safeMode?: boolean;
+        /** Whether reads take the time from the context, to apply scheduled sections. */
+        timeAware?: boolean;
+        /** Name of the time dimension of the context, which turns on `timeAware`.  Defaults to `time`. */
+        timeDimension?: string;
+        /**
+         * In time aware mode, compute the next version of cached reads shortly before they expire, and
+         * serve expired reads while they are computed again.
+         */
+        staleWhileRevalidate?: boolean | {
+            /** How long after it expired, in the time of the context, a read can be served.  Defaults to 10000. */
+            maxStale?: number;
+            /** How long before a read expires, in milliseconds, its next version is computed.  Defaults to 1000. */
+            prewarm?: number;
+        };
+        /** Whether to watch the registered files and reload them when they change. */
+        watch?: boolean;
+        /** How often, in milliseconds, to poll watched files.  Defaults to 1000. */
+        watchInterval?: number;
+        /** Override values returned by `read()` with environment variables. */
+        envOverrides?: string | {
+            prefix: string;
+            /** Defaults to `__`. */
+            separator?: string;
+            /** Defaults to `process.env`. */
+            env?: { [name: string]: string | undefined };
+        };
+        /** What `read()` does when a config fails validation against its schema. */
+        schemaMode?: 'error' | 'warn';
+        /** Whether to fail, or only warn about, reads whose context has unknown dimensions or values. */
+        strictContext?: boolean | 'warn';
+        /** Resolve secret references with the built-in `env` and `file` resolvers. */
+        secrets?: {
+            dir?: string;
+            env?: { [name: string]: string | undefined };
+            /** How long, in milliseconds, reads containing secrets are cached.  Defaults to 5 minutes. */
+            ttl?: number;
+        };
+    }
+
+    interface SnapshotOptions extends Options {
+        /** The hash which the snapshot must have, as given by `snapshot()`. */
+        hash?: string;
+    }
+
+    interface CacheCounters {
+        hits: number;
+        misses: number;
+        staleGroup: number;
+        staleTime: number;
+        evictions: number;
+        overwrites: number;
+    }
+
+    interface CacheStats extends CacheCounters {
+        size: number;
+        max: number;
+        bytes: number;
+        maxBytes: number;
+        configs: { [bundleName: string]: { [configName: string]: CacheCounters } };
+    }
+
+    /**
+     * A cache of reads, such as the `FileCache` of `lib/filecache.js`.  Entries must only be returned
+     * for the group id, or with `identifyGroup()` the identity, with which they were set.
+     * `getCacheStats()`, `resetCacheStats()` and `getCacheKeys()` need the optional methods.
+     */
+    interface CacheBackend {
+        get(key: string, groupId: number): any;
+        set(key: string, value: any, groupId: number, ttl?: number): void;
+        getTimeAware(key: string, now: number, groupId: number): any;
+        setTimeAware(key: string, value: any, now: number, expiresAt: number, groupId: number, ttl?: number): void;
+        /** Gets an expired entry, for the `staleWhileRevalidate` option. */
+        getStale?(key: string, groupId: number): { value: any; setAt: number; expiresAt: number } | undefined;
+        /**
+         * Receives a hash of the contents and dimensions of a group, for caches shared between processes,
+         * which then return entries for the identity with which they were set rather than the group id.
+         * Reads with secrets aren't given to such caches.
+         */
+        identifyGroup?(groupId: number, identity: string): void;
+        /** Removes the entries of a replaced or deleted config, and moves its counters to the next group. */
+        purgeGroup?(groupId: number, nextGroupId?: number): void;
+        stats?(): Pick<CacheStats, Exclude<keyof CacheStats, 'configs'>> & { groups: { [groupId: string]: CacheCounters } };
+        resetStats?(): void;
+        keys?(): string[];
+    }
+
+    interface SignalOptions {
+        signal?: AbortSignal;
+    }
+
+    interface DirectoryOptions {
+        include?: string[];
+        exclude?: string[];
+        bundleName?: string;
+    }
+
+    interface Manifest {
+        added: Array<{ bundleName: string; configName: string; path: string }>;
+        skipped: Array<{ path: string; reason: string }>;
+    }
+
+    interface Source {
+        settings: string[];
+        path: string;
+        line?: number;
+    }
+
+    interface Explanation<T = any> {
+        config: T;
+        sources: { [key: string]: Source };
+        overridden: Array<Source & { key: string; value: any; by: string[] }>;
+    }
+
+    interface ContextResult<T = any> {
+        context: Context;
+        config: T;
+    }
+
+    interface SchemaError {
+        path: string;
+        message: string;
+    }
+
+    interface ValidationFailure {
+        bundleName: string;
+        configName: string;
+        context: Context;
+        errors: SchemaError[];
+    }
+
+    interface CompileOptions {
+        /** The contexts to compile, instead of every context. */
+        contexts?: Context[];
+        /** Time at which to read scheduled sections, in time aware mode. */
+        time?: number;
+        /** Most reachable contexts to compile without `contexts`, 10000 by default. */
+        maxContexts?: number;
+    }
+
+    /** Compiled configs, to be read with `lib/reader.js`. */
+    interface CompiledConfigs {
+        version: number;
+        dimensions: Array<[string, { [value: string]: number }]>;
+        keys: { [key: string]: number };
+        configs: any[];
+        baseContext?: Context;
+    }
+
+    interface LintFinding {
+        rule: 'invalid-settings' | 'unknown-dimension' | 'unknown-value' | 'invalid-schedule' |
+            'ended-schedule' | 'duplicate-selector' | 'shadowed-section' | 'unread-key';
+        severity: 'error' | 'warning' | 'info';
+        message: string;
+        index: number;
+        settings: string[];
+        key?: string;
+        path: string;
+        line?: number;
+    }
+
+    interface DiffReport {
+        contexts: Array<{
+            context: Context;
+            groups: Array<{
+                settings: string[];
+                changes: Array<{ path: string; before?: any; after?: any }>;
+            }>;
+        }>;
+        unreachable: Array<{ index: number; settings: string[]; reason: string }>;
+        shadowed: Array<{ index: number; settings: string[]; by: number[] }>;
+    }
+
+    /** Parses the text of a config file, throwing if it is malformed. */
+    type Parser = (contents: string, path: string) => any;
+
+    /** Resolves a secret reference, such as `db/password` of `${vault:db/password}`. */
+    type SecretResolver = (ref: string, callback: Callback<any>) => void;
+
+    /** Typed getters for the values of a config, see `readAccessor()`. */
+    interface Accessor<T = any> {
+        readonly config: T;
+        get(path: string | string[], defaultValue?: any): any;
+        getNumber(path: string | string[], defaultValue?: number): number;
+        getBoolean(path: string | string[], defaultValue?: boolean): boolean;
+        getDuration(path: string | string[], defaultValue?: number | string): number;
+        getBytes(path: string | string[], defaultValue?: number | string): number;
+        require(path: string | string[]): any;
+    }
+
+    interface ConfigEvent {
+        bundleName: string;
+        configName: string;
+        path: string;
+        groupId: number;
+    }
+
+    interface CacheEvent extends ConfigEvent {
+        key: string;
+    }
+
+    interface ChangeEvent {
+        path: string;
+        dimensions: boolean;
+        configs: Array<{ bundleName: string; configName: string; groupId: number }>;
+    }
+
+    interface ValidationErrorEvent {
+        bundleName: string;
+        configName: string;
+        context: Context;
+        errors: SchemaError[];
+    }
+
+    /** The promise versions of the methods of the config helper, available as `helper.promises`. */
+    interface Promises {
+        addConfig(bundleName: string, configName: string, fullPath: string, options?: SignalOptions): Promise<any>;
+        addConfigContents(bundleName: string, configName: string, fullPath: string, contents: any): Promise<any>;
+        addConfigDirectory(root: string, options?: DirectoryOptions & SignalOptions): Promise<Manifest>;
+        deleteConfig(bundleName: string, configName: string, fullPath: string): Promise<void>;
+        read<T = any>(bundleName: string, configName: string, context?: Context, options?: SignalOptions): Promise<T>;
+        readNoMerge<T = any>(bundleName: string, configName: string, context?: Context,
+            options?: SignalOptions): Promise<T[]>;
+        readAccessor<T = any>(bundleName: string, configName: string, context?: Context,
+            options?: SignalOptions): Promise<Accessor<T>>;
+        readNoMergeAccessor<T = any>(bundleName: string, configName: string, context?: Context,
+            options?: SignalOptions): Promise<Accessor<T[]>>;
+        readExplain<T = any>(bundleName: string, configName: string, context?: Context,
+            options?: SignalOptions): Promise<Explanation<T>>;
+        readAllContexts<T = any>(bundleName: string, configName: string,
+            options?: { time?: number } & SignalOptions): Promise<Array<ContextResult<T>>>;
+        compile(bundleName: string, configName: string, options?: CompileOptions & SignalOptions): Promise<CompiledConfigs>;
+        lint(bundleName: string, configName: string, options?: { time?: number } & SignalOptions): Promise<LintFinding[]>;
+        generateTypes(options?: SignalOptions): Promise<string>;
+        readDimensions(options?: SignalOptions): Promise<Dimensions>;
+        validateAll(options?: SignalOptions): Promise<ValidationFailure[]>;
+        snapshot(file: string, options?: SignalOptions): Promise<string>;
+    }
+}
+
+declare class Config extends EventEmitter {
+    constructor(options?: Config.Options);
+
+    /** Present when `fs.promises` is available. */
+    promises: Config.Promises;
+    timeAware: boolean;
+    timeDimension: string;
+    /** Key of the expiration time which time aware reads add to configs. */
+    expiresKey: string;
+
+    addConfig(bundleName: string, configName: string, fullPath: string, callback?: Callback<any>): void;
+    addConfigContents(bundleName: string, configName: string, fullPath: string, contents: any,
+        callback?: Callback<any>): void;
+    addConfigDirectory(root: string, callback?: Callback<Config.Manifest>): void;
+    addConfigDirectory(root: string, options: Config.DirectoryOptions, callback?: Callback<Config.Manifest>): void;
+    deleteConfig(bundleName: string, configName: string, fullPath: string): void;
+    close(): void;
+    getCacheStats(): Config.CacheStats;
+    resetCacheStats(): void;
+    getCacheKeys(): string[];
+    snapshot(file: string, callback?: Callback<string>): void;
+    refreshEnvOverrides(): void;
+    addSecretResolver(name: string, resolver: Config.SecretResolver): void;
+    setSchema(bundleName: string, configName: string, schema: object | null): void;
+    validateAll(callback: Callback<Config.ValidationFailure[]>): void;
+
+    read<T = any>(bundleName: string, configName: string, context: Config.Context | undefined,
+        callback: Callback<T>): void;
+    readNoMerge<T = any>(bundleName: string, configName: string, context: Config.Context | undefined,
+        callback: Callback<T[]>): void;
+    readAccessor<T = any>(bundleName: string, configName: string, context: Config.Context | undefined,
+        callback: Callback<Config.Accessor<T>>): void;
+    readNoMergeAccessor<T = any>(bundleName: string, configName: string, context: Config.Context | undefined,
+        callback: Callback<Config.Accessor<T[]>>): void;
+    readExplain<T = any>(bundleName: string, configName: string, context: Config.Context | undefined,
+        callback: Callback<Config.Explanation<T>>): void;
+    readAllContexts<T = any>(bundleName: string, configName: string,
+        callback: Callback<Array<Config.ContextResult<T>>>): void;
+    readAllContexts<T = any>(bundleName: string, configName: string, options: { time?: number },
+        callback: Callback<Array<Config.ContextResult<T>>>): void;
+    readDimensions(callback: Callback<Config.Dimensions>): void;
+
+    readSync<T = any>(bundleName: string, configName: string, context?: Config.Context): T;
+    readNoMergeSync<T = any>(bundleName: string, configName: string, context?: Config.Context): T[];
+    readDimensionsSync(): Config.Dimensions;
+
+    compile(bundleName: string, configName: string, callback: Callback<Config.CompiledConfigs>): void;
+    compile(bundleName: string, configName: string, options: Config.CompileOptions,
+        callback: Callback<Config.CompiledConfigs>): void;
+    lint(bundleName: string, configName: string, callback: Callback<Config.LintFinding[]>): void;
+    lint(bundleName: string, configName: string, options: { time?: number },
+        callback: Callback<Config.LintFinding[]>): void;
+    generateTypes(callback: Callback<string>): void;
+
+    on(event: 'configAdded', listener: (event: Config.ConfigEvent & { replaced: boolean }) => void): this;
+    on(event: 'configDeleted', listener: (event: Config.ConfigEvent) => void): this;
+    on(event: 'dimensionsLoaded', listener: (event: { path: string; dimensions: Config.Dimensions }) => void): this;
+    on(event: 'cacheHit' | 'cacheMiss', listener: (event: Config.CacheEvent) => void): this;
+    on(event: 'parseError', listener: (event: { path: string; error: Error }) => void): this;
+    on(event: 'change', listener: (event: Config.ChangeEvent) => void): this;
+    on(event: 'validationError', listener: (event: Config.ValidationErrorEvent) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+
+    static registerParser(extensions: string | string[], parse: Config.Parser): void;
+    static accessor<T = any>(config: T, bundleName: string, configName: string,
+        context?: Config.Context): Config.Accessor<T>;
+    static diff(oldContents: any, newContents: any, dimensions: Config.Dimensions): Config.DiffReport;
+    static fromSnapshot(file: string, options?: Config.SnapshotOptions): Config;
+}
+
+export = Config;
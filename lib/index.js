@@ -9,14 +9,29 @@
 "use strict";
 
 var libfs       = require('fs'),
+    libcrypto   = require('crypto'),
     util        = require('util'),
+    libevents   = require('events'),
     libpath     = require('path'),
     libycb      = require('ycb'),
-    libjson5    = require('json5'),
-    libyaml     = require('yamljs'),
     libcache    = require('./cache'),
+    libparsers  = require('./parsers'),
+    libscan     = require('./scan'),
+    libschema   = require('./schema'),
+    libcontexts = require('./contexts'),
+    libcompile  = require('./compile'),
+    libdiff     = require('./diff'),
+    liblint     = require('./lint'),
+    libtypings  = require('./typings'),
+    libexplain  = require('./explain'),
+    libenv      = require('./env'),
+    libsecrets  = require('./secrets'),
+    libsnapshot = require('./snapshot'),
+    libstrict   = require('./strict'),
     deepFreeze  = require('deep-freeze'),
-    promisify   = require('util').promisify,
+    ConfigPromises = require('./promises'),
+    ConfigAccessor = require('./accessor'),
+    ConfigRevalidator = require('./revalidate'),
 
     MESSAGES = {
         'unknown bundle': 'Unknown bundle "%s"',
@@ -24,16 +39,102 @@ var libfs       = require('fs'),
         'unknown cache data': 'Unknown cache data with config "%s" in bundle "%s"',
         'missing dimensions': 'Failed to find a dimensions.json file',
         'parse error': 'Failed to parse "%s"\n%s',
-        'missing time': 'No time dimension, %s, in context, %s, during time aware mode'
+        'unsupported format': 'Unsupported format "%s" of config file "%s"',
+        'missing time': 'No time dimension, %s, in context, %s, during time aware mode',
+        'duplicate config': 'Duplicate config "%s" in bundle "%s"',
+        'schema error': 'Config "%s" in bundle "%s" failed schema validation for context %s\n%s',
+        'secret error': 'Failed to resolve secret "%s" in config "%s" of bundle "%s"\n%s',
+        'not preloaded': 'The contents of "%s" have not been loaded, register them with ' +
+            'addConfig() or addConfigContents() before reading synchronously',
+        'async secrets': 'Config "%s" in bundle "%s" has secrets which are resolved asynchronously, use read() instead',
+        'unsupported cache method': 'The cache given as the cache option has no %s() method',
+        'compile secrets': 'Config "%s" in bundle "%s" has secrets, which compile() doesn\'t embed in artifacts',
+        'too many contexts': 'Config "%s" in bundle "%s" has more than %d reachable contexts, ' +
+            'pass the contexts to compile or a higher maxContexts'
     },
     DEFAULT_CACHE_OPTIONS = {
         max: 250
-    };
+    },
+    SCRIPT_EXTENSIONS = ['.js'],
+    DEFAULT_WATCH_INTERVAL = 1000,
+    DEFAULT_MAX_STALE = 10000,
+    DEFAULT_PREWARM = 1000,
+    DEFAULT_SECRET_TTL = 300000,
+    DEFAULT_MAX_CONTEXTS = 10000;
 
 function clone(o) {
     return JSON.parse(JSON.stringify(o));
 }
 
+/**
+ * Runs a callback-based function which is expected to call back synchronously,
+ * and returns the result.
+ * @private
+ * @static
+ * @method runSync
+ * @param {Function} fn Called with the callback.
+ * @param {string} message Message of the error thrown if the callback isn't called synchronously.
+ * @return {mixed} The value given to the callback.
+ * @throws {Error} The error given to the callback.
+ */
+function runSync(fn, message) {
+    var done = false,
+        error,
+        result;
+    fn(function (err, value) {
+        done = true;
+        error = err;
+        result = value;
+    });
+    if (!done) {
+        throw new Error(message);
+    }
+    if (error) {
+        throw error;
+    }
+    return result;
+}
+
+/**
+ * Coalesces concurrent calls of an operation, so that it's only done once.
+ * @private
+ * @static
+ * @method joinPending
+ * @param {object} pending Map of keys to the callbacks waiting on each operation in flight.
+ * @param {string} key Key identifying the operation.
+ * @param {Function} callback Called with the result of the operation.
+ * @return {Function|undefined} If the operation isn't in flight, the callback to give the operation,
+ *   which calls every waiting callback.  Otherwise undefined, since the operation is already being done.
+ *   If waiting callbacks throw, the others are still called, and the first error is thrown afterwards.
+ */
+function joinPending(pending, key, callback) {
+    if (pending[key]) {
+        pending[key].push(callback);
+        return;
+    }
+    pending[key] = [callback];
+    return function () {
+        var callbacks = pending[key],
+            args = arguments,
+            thrown = false,
+            error;
+        delete pending[key];
+        callbacks.forEach(function (cb) {
+            try {
+                cb.apply(null, args);
+            } catch (e) {
+                if (!thrown) {
+                    thrown = true;
+                    error = e;
+                }
+            }
+        });
+        if (thrown) {
+            throw error;
+        }
+    };
+}
+
 function mix(target, source, overwrite) {
     var prop;
     for (prop in source) {
@@ -136,42 +237,114 @@ function makeFakeYCB(dimensions, contents) {
 
 
 /**
+ * The config object is an `EventEmitter`, which emits the following events:
+ *
+ * * `configAdded` with `{bundleName, configName, path, groupId, replaced}`
+ * * `configDeleted` with `{bundleName, configName, path, groupId}`
+ * * `dimensionsLoaded` with `{path, dimensions}`
+ * * `cacheHit` and `cacheMiss` with `{bundleName, configName, path, groupId, key}`
+ * * `parseError` with `{path, error}`
+ * * `change` with `{path, dimensions, configs}`, when the `watch` option is set
+ * * `validationError` with `{bundleName, configName, context, errors}`, when a config fails
+ *   validation against its schema
+ *
  * @class YcbConfig
  * @constructor
  * @param {object} [options] Options for how the configuration files are handled.
  *   @param {object}  [options.baseContext] Context to apply to all reads.
  *   @param {object}  [options.cache] The configuration options passed to the LRU cache.
- *     By default, it stores a maximum of 250 configurations.
+ *     By default, it stores a maximum of 250 configurations.  A cache backend can be given instead,
+ *     such as the shared `FileCache` of `lib/filecache.js`.  It must have the `get`, `set`,
+ *     `getTimeAware` and `setTimeAware` methods of `lib/cache.js`, which store each entry with the
+ *     group id of its config and only return it for that group id.  Its `identifyGroup`, `purgeGroup`,
+ *     `getStale`, `stats`, `resetStats` and `keys` methods are optional.  A cache with `identifyGroup`
+ *     returns entries for the identity of the contents of their group instead.
+ *     @param {number} [options.cache.max] The maximum number of configurations.
+ *     @param {number} [options.cache.maxBytes] A memory budget, in bytes.  The size of each configuration
+ *       is estimated when it is cached, and the least recently used ones are evicted to stay within budget.
+ *       Without `max`, the number of configurations isn't limited.
  *   @param {boolean} [options.clone] Whether the returned YCB object should be cloned.
  *     Use this if you plan on modifying the configuration object later.
  *   @param {string}  [options.dimensionsBundle] Bundle in which to find the dimensions file.
  *     See `readDimensions()` for details.
+ *   @param {boolean} [options.keepContents] Keep the contents given to `addConfigContents()` once the
+ *     config has been read.  Otherwise they're freed, and `snapshot()`, `compile()`, `lint()` and the
+ *     other methods which work on the sections read the file at their path again.
+ *   @param {boolean|object} [options.staleWhileRevalidate] In time aware mode, compute the next version
+ *     of a cached read shortly before it expires, when the next section of its schedule starts or ends,
+ *     and serve an expired read while it's computed again in the background.  Either `true`, or an object with:
+ *     @param {number} [options.staleWhileRevalidate.maxStale] How long after it expired, in the time of
+ *       the context, a read can be served.  Defaults to 10000.
+ *     @param {number} [options.staleWhileRevalidate.prewarm] How long before a read expires, in milliseconds,
+ *       its next version is computed.  Defaults to 1000, and 0 only refreshes expired reads.
+ *     Call `close()` to stop computing reads ahead of time and in the background.
+ *   @param {boolean} [options.watch] Whether to watch the registered config files and the
+ *     dimensions file, and reload them when they change.  A `change` event is emitted after
+ *     each reload.  Call `close()` to stop watching.
+ *   @param {number}  [options.watchInterval] How often, in milliseconds, to poll watched files.
+ *     Defaults to 1000.
+ *   @param {string|object} [options.envOverrides] Override values returned by `read()` with
+ *     environment variables.  Either the prefix of the variable names, or an object with:
+ *     @param {string} options.envOverrides.prefix The prefix of the variable names.
+ *     @param {string} [options.envOverrides.separator] Separator between parts of the names,
+ *       defaults to `__`.
+ *     @param {object} [options.envOverrides.env] The environment, defaults to `process.env`.
+ *     A variable named `MYAPP__bundle__config__db__host` overrides `db.host` of config `config`
+ *     in bundle `bundle`, when the prefix is `MYAPP`.  See `refreshEnvOverrides()`.
+ *   @param {string}  [options.schemaMode] What `read()` does when a config fails validation against
+ *     the schema given to `setSchema()`.  Either `error` (the default) to fail the read, or `warn`
+ *     to log a warning and return the config anyway.
+ *   @param {boolean|string} [options.strictContext] Check the context of each read of a YCB file
+ *     against the dimensions.  Either `true` to fail reads whose context has an unknown dimension or
+ *     value, with an error suggesting the closest known one, or `warn` to log a warning and read anyway.
+ *     The time dimension is not checked.
+ *   @param {object}  [options.secrets] Resolve secret references in values returned by `read()`
+ *     with the built-in `env` and `file` resolvers.  See `addSecretResolver()`.
+ *     @param {string} [options.secrets.dir] Directory against which the paths of `${file:...}`
+ *       references are resolved, such as `/var/run/secrets`.  Defaults to the current directory.
+ *     @param {object} [options.secrets.env] The environment used by `${env:...}` references,
+ *       defaults to `process.env`.
+ *     @param {number} [options.secrets.ttl] How long, in milliseconds, reads containing secrets
+ *       are cached, so that rotated secrets are picked up.  Defaults to 5 minutes.
  *
  * @param {string} [options.dimensionsPath] Full path to the dimensions file.
  * See `readDimensions()` for details.
  * The context passed to `read()` will override this on a key-by-key bases.
  */
 function Config(options) {
+    libevents.EventEmitter.call(this);
     this._options = options || {};
     this._dimensionsPath = this._options.dimensionsPath;
     this._configPaths = {};     // bundle: config: fullpath
     this._configContents = {};  // fullpath: contents
     this._configYCBs = {};  // fullpath: YCB object
-    if (promisify) {
-        this.promises = {
-          addConfig: promisify(Config.prototype.addConfig).bind(this),
-          addConfigContents: promisify(Config.prototype.addConfigContents).bind(this),
-          read: promisify(Config.prototype.read).bind(this),
-          readNoMerge: promisify(Config.prototype.readNoMerge).bind(this),
-          readDimensions: promisify(Config.prototype.readDimensions).bind(this)
-        };
+    this._configIdentities = {};  // fullpath: identity of its YCB object, for caches shared between processes
+    if (libfs.promises) {
+        this.promises = new ConfigPromises(this);
     }
     this._pathCount = {}; // fullpath: number of configs using this path
+    this._pendingYCBs = {}; // fullpath + group id: callbacks waiting for the YCB object being built
+    this._pendingDimensions = {}; // fullpath: callbacks waiting for the dimensions being loaded
+    this._watchers = {}; // fullpath: listener given to fs.watchFile()
+    this._schemas = {}; // bundle: config: JSON schema
+    this._envOverrides = {}; // bundle: config: {key, overrides}
+    this._secretResolvers = {}; // name: function (ref, callback)
+    if (this._options.secrets) {
+        this._secretResolvers.env = libsecrets.envResolver(this._options.secrets.env);
+        this._secretResolvers.file = libsecrets.fileResolver(this._options.secrets.dir);
+    }
+    if (this._options.envOverrides) {
+        this.refreshEnvOverrides();
+    }
     this._configCache = {}; // unused object for compability
     //cache fields:
     this._configIdCounter = 0; //incrementing counter assigned to config bundles to uniquely identify them for cache invalidation.
     this._configIdMap = {}; //id = _configIdMap[bundleName][configName]
-    this._cache = new libcache(this._options.cache || DEFAULT_CACHE_OPTIONS);
+    this._groupNames = {}; // group id: [bundleName, configName], until the group is purged
+    this._cache = this._options.cache || DEFAULT_CACHE_OPTIONS;
+    if ('function' !== typeof this._cache.get) {
+        this._cache = new libcache(this._cache);
+    }
     //time fields:
     this.timeAware = false;
     this.timeDimension = 'time';
@@ -183,8 +356,12 @@ function Config(options) {
         this.timeAware = true;
         this.timeDimension = this._options.timeDimension;
     }
+    this._revalidator = null;
+    if (this.timeAware && this._options.staleWhileRevalidate) {
+        this._revalidator = this._makeRevalidator(this._options.staleWhileRevalidate);
+    }
 }
-Config.prototype = {
+Config.prototype = mix(Object.create(libevents.EventEmitter.prototype), {
 
     /**
      * Registers a configuration file.
@@ -227,12 +404,14 @@ Config.prototype = {
      *   JavaScript object.
      */
     addConfigContents: function (bundleName, configName, fullPath, contents, callback) {
-        var self = this;
+        var self = this,
+            previous,
+            replaced = !!(self._configPaths[bundleName] && self._configPaths[bundleName][configName]);
 
         contents = this._parseConfigContents(fullPath, contents);
 
-        // deregister old config (if any)
-        self.deleteConfig(bundleName, configName, fullPath);
+        // deregister old config (if any), whose group is purged once the new one replaces it
+        previous = self._deleteConfig(bundleName, configName, fullPath, true);
 
         // register so that _readConfigContents() will use
         self._configContents[fullPath] = contents;
@@ -247,13 +426,18 @@ Config.prototype = {
         }
         self._pathCount[fullPath]++;
 
+        if (self._options.watch) {
+            self._watch(fullPath);
+        }
+
         //assign new config bundle a unique id by incrementing counter
         if (!self._configIdMap[bundleName]) {
             self._configIdMap[bundleName] = {};
         }
-
-        self._configIdCounter = (self._configIdCounter+1) % Number.MAX_SAFE_INTEGER;
-        self._configIdMap[bundleName][configName] = self._configIdCounter;
+        self._newGroupId(bundleName, configName);
+        if (previous !== undefined) {
+            self._purgeGroup(previous, self._configIdMap[bundleName][configName]);
+        }
 
         // keep path to dimensions file up-to-date
         if ('dimensions' === configName && !self._options.dimensionsPath) {
@@ -272,12 +456,126 @@ Config.prototype = {
             }
         }
 
+        self.emit('configAdded', {
+            bundleName: bundleName,
+            configName: configName,
+            path: fullPath,
+            groupId: self._configIdCounter,
+            replaced: replaced
+        });
+
         if (callback) {
             callback(null, contents);
         }
     },
 
 
+    /**
+     * Registers every configuration file found under a directory.
+     *
+     * The bundle name of each file is the `name` from the closest package.json
+     * at or above the file (but not above `root`), and the config name is the
+     * file's basename without the extension.  So `node_modules/roster/configs/roster.json`
+     * is registered as config `roster` of bundle `roster`.
+     * Files are read via `addConfig()`, so every supported file type works the same way.
+     * @method addConfigDirectory
+     * @async
+     * @param {string} root Full filesystem path to the directory to scan.
+     * @param {object} [options] Options for the scan.
+     *   @param {array}  [options.include] Glob patterns, relative to `root`, of files to register.
+     *     By default all files with a supported extension are registered, except `.js` files, which
+     *     are only registered when included since loading them runs them.
+     *   @param {array}  [options.exclude] Glob patterns, relative to `root`, of files to skip.
+     *     Directories whose every file would be skipped, such as those of `node_modules/**`,
+     *     aren't scanned.
+     *   @param {string} [options.bundleName] Bundle name for files not under any package.json.
+     *     Defaults to the basename of `root`.
+     * @param {Function} [callback] Called once the directory has been scanned.
+     *   @param {Error|null} callback.err If an error occurred, then this parameter will
+     *   contain the error. If the operation succeeded, then `err` will be null.
+     *   @param {Object} callback.manifest An object with an `added` array of
+     *   `{bundleName, configName, path}` objects and a `skipped` array of `{path, reason}` objects.
+     *   Files and directories which can't be read are skipped, with the error message as reason.
+     */
+    addConfigDirectory: function (root, options, callback) {
+        var self = this,
+            include,
+            exclude,
+            manifest = {added: [], skipped: []};
+        if ('function' === typeof options) {
+            callback = options;
+            options = {};
+        }
+        options = options || {};
+        callback = callback || function(){};
+        root = libpath.resolve(root);
+        include = (options.include || []).map(libscan.globToRegExp);
+        exclude = (options.exclude || []).map(libscan.globToRegExp);
+
+        libscan.walk(root, options.bundleName || libpath.basename(root), exclude, function (err, files, skipped) {
+            var seen = {};
+            if (err) {
+                return callback(err);
+            }
+            manifest.skipped = skipped;
+            (function next(i) {
+                var file,
+                    ext,
+                    configName,
+                    key;
+                if (i >= files.length) {
+                    return callback(null, manifest);
+                }
+                file = files[i];
+                ext = libpath.extname(file.path);
+                configName = libpath.basename(file.path, ext);
+                key = file.bundleName + '\u0000' + configName;
+                if ('package.json' === libpath.basename(file.path)) {
+                    manifest.skipped.push({path: file.path, reason: 'package metadata'});
+                    return next(i + 1);
+                }
+                if (libscan.matchesAny(file.relPath, exclude)) {
+                    manifest.skipped.push({path: file.path, reason: 'excluded'});
+                    return next(i + 1);
+                }
+                if (include.length) {
+                    if (!libscan.matchesAny(file.relPath, include)) {
+                        manifest.skipped.push({path: file.path, reason: 'not included'});
+                        return next(i + 1);
+                    }
+                } else if (!libparsers.get(ext)) {
+                    manifest.skipped.push({path: file.path, reason: 'unsupported extension'});
+                    return next(i + 1);
+                } else if (SCRIPT_EXTENSIONS.indexOf(ext) !== -1) {
+                    // loading a script runs it, so scripts must be asked for
+                    manifest.skipped.push({path: file.path, reason: 'script not included'});
+                    return next(i + 1);
+                }
+                if (seen[key]) {
+                    manifest.skipped.push({
+                        path: file.path,
+                        reason: util.format(MESSAGES['duplicate config'], configName, file.bundleName)
+                    });
+                    return next(i + 1);
+                }
+                self.addConfig(file.bundleName, configName, file.path, function (err) {
+                    if (err) {
+                        manifest.skipped.push({path: file.path, reason: err.message});
+                    } else {
+                        seen[key] = true;
+                        manifest.added.push({
+                            bundleName: file.bundleName,
+                            configName: configName,
+                            path: file.path
+                        });
+                    }
+                    next(i + 1);
+                });
+            }(0));
+        });
+    },
+
+
     /**
      * Deregisters a configuration file.
      * @method deleteConfig
@@ -287,273 +585,1450 @@ Config.prototype = {
      * @return {undefined} Nothing appreciable is returned.
      */
     deleteConfig: function (bundleName, configName, fullPath) {
+        this._deleteConfig(bundleName, configName, fullPath);
+    },
+
+    /**
+     * Deregisters a configuration file, and purges its group unless it's about to be replaced.
+     * @private
+     * @method _deleteConfig
+     * @param {string} bundleName Name of the bundle to which this config file belongs.
+     * @param {string} configName Name of the config file.
+     * @param {string} fullPath Full filesystem path to the config file.
+     * @param {boolean} [replacing] Whether the config is about to be registered again, in which
+     *   case the caller purges the group once it has the group id which replaces it.
+     * @return {number} The group id of the config, if it was registered.
+     */
+    _deleteConfig: function (bundleName, configName, fullPath, replacing) {
         var bundleMap = this._configPaths[bundleName];
         if(bundleMap) {
-            var path = bundleMap[configName];
+            var path = bundleMap[configName],
+                groupId = this._configIdMap[bundleName][configName];
             if(path) {
                 this._pathCount[path]--;
                 if(this._pathCount[path] === 0) {
                     delete this._configYCBs[path];
+                    delete this._configIdentities[path];
                     delete this._configContents[path];
                     delete this._pathCount[path];
+                    if(path !== this._dimensionsPath) {
+                        this._unwatch(path);
+                    }
                 }
             }
             delete bundleMap[configName];
             delete this._configIdMap[bundleName][configName];
+            if (groupId !== undefined && !replacing) {
+                this._purgeGroup(groupId);
+            }
             if(Object.keys(bundleMap).length === 0) {
                 delete this._configPaths[bundleName];
             }
             if(Object.keys(this._configIdMap[bundleName]).length === 0) {
                 delete this._configIdMap[bundleName];
             }
+            if(path) {
+                this.emit('configDeleted', {
+                    bundleName: bundleName,
+                    configName: configName,
+                    path: path,
+                    groupId: groupId
+                });
+            }
+            return groupId;
         }
     },
 
     /**
-     * Generates a cache key based on config and bundle names, a separator, and a context based key.
-     * Distinct separators can be used to distinguish distinct types of keys, e.g., merged and unmerged reads.
-     *
-     * @param {string} bundleName Name of bundle.
-     * @param {string} separator Separator string to join bundle and config names.
-     * @param {string} configName Name of config.
-     * @param {string} contextKey Key based on the context.
-     * @returns {string} cache key
-     * @private
+     * Stops watching all files, and computing time aware reads ahead of time.
+     * This only has an effect if the `watch` or `staleWhileRevalidate` option was given to the constructor.
+     * @method close
+     * @return {undefined} Nothing appreciable is returned.
      */
-    _getCacheKey: function (bundleName, separator, configName, contextKey) {
-        return bundleName + separator + configName + contextKey;
+    close: function () {
+        var path;
+        for (path in this._watchers) {
+            if (this._watchers.hasOwnProperty(path)) {
+                this._unwatch(path);
+            }
+        }
+        if (this._revalidator) {
+            this._revalidator.close();
+        }
     },
 
 
     /**
-     * Reads the contents of the named configuration file.
-     * This will auto-detect if the configuration file is YCB and read it in a context-sensitive way if so.
-     *
-     * This can possibly return the configuration object that is stored in a cache, so the caller should
-     * copy it if they intend to make a modifications.
-     * @method read
-     * @async
-     * @param {string} bundleName The bundle in which to find the configuration file.
-     * @param {string} configName Which configuration to read.
-     * @param {object} [context] The runtime context.
-     * @param {Function} callback
-     *   @param {Error|null} callback.err If an error occurred, then this parameter will
-     *   contain the error. If the operation succeeded, then `err` will be null.
-     *   @param {Object} callback.config The merged configuration object, based on the
-     *   provided context.
+     * Gets the current usage of the cache of reads, and counts of what happened to the cached reads
+     * since the helper was created or `resetCacheStats()` was called.
+     * @method getCacheStats
+     * @return {object} An object with:
+     *   @return {number} return.size The number of cached reads.
+     *   @return {number} return.max The maximum number of cached reads.
+     *   @return {number} return.bytes The estimated size of the cached reads, with the `cache.maxBytes` option.
+     *   @return {number} return.maxBytes The memory budget, 0 without the `cache.maxBytes` option.
+     *   @return {number} return.hits Reads served from the cache.
+     *   @return {number} return.misses Reads which weren't cached.
+     *   @return {number} return.staleGroup Cached reads rejected because their config was re-added or changed.
+     *   @return {number} return.staleTime Cached reads rejected because they expired, or their TTL passed.
+     *   @return {number} return.evictions Cached reads evicted to make room.
+     *   @return {number} return.overwrites Cached reads replaced by a new read.
+     *   @return {object} return.configs The same counters for each bundle and config, as `configs[bundleName][configName]`.
      */
-    read: function (bundleName, configName, context, callback) {
-        var self = this;
-        self._getYCB(bundleName, configName, function (err, groupId, ycb) {
-            if (err) {
-                callback(err);
+    getCacheStats: function () {
+        var self = this,
+            stats = self._cacheMethod('stats')(),
+            configs = {};
+        Object.keys(stats.groups).forEach(function (groupId) {
+            var names = self._groupNames[groupId],
+                counters = stats.groups[groupId],
+                bundle;
+            if (!names) {
                 return;
             }
-            if(self._options.baseContext) {
-                context = self._mergeBaseContext(context);
-            }
-            var key, config;
-            key = self._getCacheKey(bundleName, ':m:', configName, ycb.getCacheKey(context));
-            if (self.timeAware) {
-                var now = context[self.timeDimension];
-                if (now === undefined) {
-                    callback(new Error(util.format(MESSAGES['missing time'], self.timeDimension, JSON.stringify(context))));
-                    return;
-                }
-                config = self._cache.getTimeAware(key, now, groupId);
-                if(config === undefined) {
-                    config = ycb.readTimeAware(context, now, {cacheInfo: true});
-                    var expiresAt = config[self.expiresKey];
-                    if(expiresAt === undefined) {
-                        expiresAt = Number.POSITIVE_INFINITY;
-                    }
-                    if(self._options.safeMode) {
-                        config = deepFreeze(config);
-                    }
-                    self._cache.setTimeAware(key, config, now, expiresAt, groupId);
-                }
+            bundle = configs[names[0]] = configs[names[0]] || {};
+            if (bundle[names[1]]) {
+                Object.keys(counters).forEach(function (name) {
+                    bundle[names[1]][name] += counters[name];
+                });
             } else {
-                config = self._cache.get(key, groupId);
-                if(config === undefined) {
-                    config = ycb.read(context, {});
-                    if(self._options.safeMode) {
-                        config = deepFreeze(config);
-                    }
-                    self._cache.set(key, config, groupId);
-                }
+                bundle[names[1]] = counters;
             }
-            callback(null, config);
         });
+        delete stats.groups;
+        stats.configs = configs;
+        return stats;
     },
 
 
     /**
-     * Reads the contents of the named configuration file and returns the sections
-     * appropriate to the context.  The sections are returned in priority order
-     * (most important first).
-     *
-     * If the file is not context sensitive then the list will contain a single section.
-     *
-     * This can possibly return the configuration object that is stored in a cache, so the caller should
-     * copy it if they intend to make a modifications.
-     * @method readNoMerge
-     * @async
-     * @param {string} bundleName The bundle in which to find the configuration file.
-     * @param {string} configName Which configuration to read.
-     * @param {object} [context] The runtime context.
-     * @return {Function} callback
-     *   @param {Error|null} callback.err If an error occurred, then this parameter will
-     *   contain the error. If the operation succeeded, then the `err` will be null.
-     *   @param {Object} callback.contents The object containing the prioritized sections
-     *   of the configuration file appropriate to the provided context.
+     * Resets the counters of `getCacheStats()`.
+     * @method resetCacheStats
+     * @return {undefined} Nothing appreciable is returned.
      */
-    readNoMerge: function (bundleName, configName, context, callback) {
-        var self = this;
-        self._getYCB(bundleName, configName, function (err, groupId, ycb) {
-            if (err) {
-                callback(err);
-                return;
-            }
-            if(self._options.baseContext) {
-                context = self._mergeBaseContext(context);
-            }
-            var key, config;
-            key = self._getCacheKey(bundleName, ':um:', configName, ycb.getCacheKey(context));
-            if(self.timeAware) {
-                var now = context[self.timeDimension];
-                if(now === undefined) {
-                    callback(new Error(util.format(MESSAGES['missing time'], self.timeDimension, JSON.stringify(context))));
-                    return;
-                }
-                config = self._cache.getTimeAware(key, now, groupId);
-                if(config === undefined) {
-                    config = config = ycb.readNoMergeTimeAware(context, now, {cacheInfo: true});
-                    var expiresAt = config.length > 0 ? config[0][self.expiresKey] : undefined;
-                    if(expiresAt === undefined) {
-                        expiresAt = Number.POSITIVE_INFINITY;
-                    }
-                    if(self._options.safeMode) {
-                        config = deepFreeze(config);
-                    }
-                    self._cache.setTimeAware(key, config, now, expiresAt, groupId);
-                }
-            } else {
-                config = self._cache.get(key, groupId);
-                if(config === undefined) {
-                    config = ycb.readNoMerge(context, {});
-                    if(self._options.safeMode) {
-                        config = deepFreeze(config);
-                    }
-                    self._cache.set(key, config, groupId);
-                }
-            }
-            callback(null, config);
-        });
+    resetCacheStats: function () {
+        this._cacheMethod('resetStats')();
     },
 
+
     /**
-     * Reads the dimensions file for the application.
-     *
-     * If `options.dimensionsPath` is given to the constructor that'll be used.
-     * Otherwise, the dimensions file found in `options.dimensionsBundle` will be used.
-     * Otherwise, the dimensions file with the shortest path will be used.
-     *
-     * The returned dimensions object is shared, so it should not be modified.
-     * @method readDimensions
-     * @param {Function} callback
-     *   @param {Error|null} callback.err If an error occurred, then this parameter will
-     *   contain the error. If the operation succeeded, then `err` will be null.
-     *   @param {array} callback.dimensions The returned dimensions array.
+     * Lists the keys of the cached reads from the least to the most recently used, for debugging.
+     * The list includes reads which are stale but haven't been replaced yet.
+     * @method getCacheKeys
+     * @return {array} The cache keys.
      */
-    readDimensions: function (callback) {
-        var self = this;
-        if (!self._dimensionsPath) {
-            return callback(new Error(MESSAGES['missing dimensions']));
-        }
-        if (self._cachedDimensions) {
-            return callback(null, self._cachedDimensions);
-        }
-
-        self._readConfigContents(self._dimensionsPath, function (err, body) {
-            if (err) {
-                return callback(err);
-            }
-            self._cachedDimensions = body[0].dimensions;
-            delete self._configContents[self._dimensionsPath]; // no longer need this copy of dimensions
-            return callback(null, self._cachedDimensions);
-        });
+    getCacheKeys: function () {
+        return this._cacheMethod('keys')();
     },
 
 
     /**
-     * Provides a YCB object for the configuration file.
-     * This returns a YCB object even if the configuration file isn't a YCB file.
+     * Gets an optional method of the cache.
      * @private
-     * @method _getYCB
+     * @method _cacheMethod
+     * @param {string} name Name of the method.
+     * @return {Function} The method, bound to the cache.
+     * @throws {Error} If the cache given as the `cache` option doesn't have it.
+     */
+    _cacheMethod: function (name) {
+        if ('function' !== typeof this._cache[name]) {
+            throw new Error(util.format(MESSAGES['unsupported cache method'], name));
+        }
+        return this._cache[name].bind(this._cache);
+    },
+
+
+    /**
+     * Writes a snapshot of the registered configs, their parsed contents and the dimensions
+     * to a file, from which `Config.fromSnapshot()` can create a helper without reading or
+     * parsing the config files.
+     * The snapshot is versioned and carries a hash of its contents, which is given to the
+     * callback so that it can be handed to `Config.fromSnapshot()` to reject other snapshots.
+     * It also records the modification time and size of the files at the paths of the configs
+     * and dimensions, so that `Config.fromSnapshot()` rejects it once they've changed.
+     * @method snapshot
      * @async
-     * @param {string} bundleName The bundle in which to find the configuration file.
-     * @param {string} configName Which configuration to read.
-     * @param {object} [context] The runtime context.
-     * @param {Function} callback
+     * @param {string} file Full filesystem path of the snapshot file to write.
+     * @param {Function} [callback] Called once the snapshot has been written.
      *   @param {Error|null} callback.err If an error occurred, then this parameter will
      *   contain the error. If the operation succeeded, then `err` will be null.
-     *   @param {Object} callback.ycb The returned YCB object.
+     *   @param {string} callback.hash The hash of the snapshot.
      */
-    _getYCB: function (bundleName, configName, callback) {
+    snapshot: function (file, callback) {
         var self = this,
-            path,
-            contents,
-            dimensions,
-            ycb,
-            isYCB;
-
-        if (!self._configPaths[bundleName]) {
-            return callback(new Error(util.format(MESSAGES['unknown bundle'], bundleName)));
-        }
-        path = self._configPaths[bundleName][configName];
-        if (!path) {
-            return callback(new Error(util.format(MESSAGES['unknown config'], configName, bundleName)));
+            configs = [],
+            paths = [],
+            contents = {},
+            sources = {},
+            bundleName,
+            configName,
+            path;
+        callback = callback || function(){};
+        for (bundleName in self._configPaths) {
+            if (self._configPaths.hasOwnProperty(bundleName)) {
+                for (configName in self._configPaths[bundleName]) {
+                    if (self._configPaths[bundleName].hasOwnProperty(configName)) {
+                        path = self._configPaths[bundleName][configName];
+                        configs.push({bundleName: bundleName, configName: configName, path: path});
+                        if (paths.indexOf(path) === -1) {
+                            paths.push(path);
+                        }
+                    }
+                }
+            }
         }
-
-        var groupId = self._configIdMap[bundleName][configName];
-        if (self._configYCBs[path]) {
-            return callback(null, groupId, self._configYCBs[path]);
+        if (self._dimensionsPath && paths.indexOf(self._dimensionsPath) === -1) {
+            paths.push(self._dimensionsPath);
         }
 
-        self._readConfigContents(path, function (err, contents) {
+        function add(i, err, body) {
+            if (!err && body instanceof Error) {
+                err = body;
+            }
             if (err) {
                 return callback(err);
             }
+            contents[paths[i]] = body;
+            next(i + 1);
+        }
 
-            isYCB = contentsIsYCB(contents);
-
-            if (isYCB) {
-                self.readDimensions(function (err, data) {
-                    if (err) {
-                        return callback(err);
-                    }
-
-                    dimensions = data;
-                    ycb = self._makeYCBFromDimensions(path, dimensions, contents);
-                    self._cacheYCB(bundleName, configName, path, groupId, ycb);
-                    callback(null, groupId, ycb);
+        function next(i) {
+            var snapshot,
+                path = paths[i];
+            if (i >= paths.length) {
+                snapshot = libsnapshot.create(configs, contents, self._dimensionsPath, sources);
+                return libfs.writeFile(file, JSON.stringify(snapshot), 'utf8', function (err) {
+                    return err ? callback(err) : callback(null, snapshot.hash);
                 });
-            } else {
-                ycb = self._makeYCBFromDimensions(path, dimensions, contents);
-                self._cacheYCB(bundleName, configName, path, groupId, ycb);
-                callback(null, groupId, ycb);
             }
-        });
+            // the file is looked at before it's read, so that a change in between leaves the snapshot stale
+            libfs.stat(path, function (err, stats) {
+                if (!err) {
+                    sources[path] = libsnapshot.source(stats);
+                }
+                if (path === self._dimensionsPath && self._cachedDimensions) {
+                    return add(i, null, [{dimensions: self._cachedDimensions}]);
+                }
+                self._readConfigContents(path, add.bind(null, i));
+            });
+        }
+        next(0);
     },
 
+
     /**
-     * Determines whether to make a YCB or fake YCB object from
-     * a dimensions object.
+     * Starts watching a file for changes, unless it is already being watched.
      * @private
-     * @method _makeYCBFromDimensions
+     * @method _watch
+     * @param {string} path Full path to the file.
      */
-
-    _makeYCBFromDimensions: function (path, dimensions, contents) {
+    _watch: function (path) {
+        var self = this,
+            listener;
+        if (self._watchers[path]) {
+            return;
+        }
+        listener = function (curr, prev) {
+            // a zero mtime means the file doesn't exist (yet or anymore)
+            if (curr.mtimeMs && (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size)) {
+                self._reload(path);
+            }
+        };
+        self._watchers[path] = listener;
+        libfs.watchFile(path, {
+            persistent: false,
+            interval: self._options.watchInterval || DEFAULT_WATCH_INTERVAL
+        }, listener);
+    },
+
+
+    /**
+     * Stops watching a file.
+     * @private
+     * @method _unwatch
+     * @param {string} path Full path to the file.
+     */
+    _unwatch: function (path) {
+        if (this._watchers[path]) {
+            libfs.unwatchFile(path, this._watchers[path]);
+            delete this._watchers[path];
+        }
+    },
+
+
+    /**
+     * Re-reads a watched file and re-registers every config using it.
+     * If the file is the dimensions file then every config is invalidated.
+     * If the file fails to parse, the last good version is kept and a `parseError`
+     * event is emitted.
+     * @private
+     * @method _reload
+     * @param {string} path Full path to the file.
+     */
+    _reload: function (path) {
+        var self = this;
+
+        if ('.js' === libpath.extname(path)) {
+            delete require.cache[path];
+        }
+        self._readConfigFile(path, function (err, contents) {
+            var isDimensions = path === self._dimensionsPath,
+                configs = [],
+                bundleName,
+                configName;
+
+            if (!err && isDimensions && !(Array.isArray(contents) && contents[0] && contents[0].dimensions)) {
+                err = new Error(util.format(MESSAGES['parse error'], path, MESSAGES['missing dimensions']));
+                self.emit('parseError', {path: path, error: err});
+            }
+            if (err) {
+                // _readConfigFile() has already emitted a parseError event
+                return;
+            }
+
+            if (isDimensions && self._cachedDimensions) {
+                self._cachedDimensions = contents[0].dimensions;
+                self.emit('dimensionsLoaded', {
+                    path: path,
+                    dimensions: self._cachedDimensions
+                });
+            }
+            delete self._configYCBs[path];
+            delete self._configIdentities[path];
+            for (bundleName in self._configPaths) {
+                if (self._configPaths.hasOwnProperty(bundleName)) {
+                    for (configName in self._configPaths[bundleName]) {
+                        if (self._configPaths[bundleName].hasOwnProperty(configName)) {
+                            if (self._configPaths[bundleName][configName] === path) {
+                                self.addConfigContents(bundleName, configName, path, contents);
+                            } else if (isDimensions) {
+                                // every YCB object was built using the old dimensions
+                                delete self._configYCBs[self._configPaths[bundleName][configName]];
+                                delete self._configIdentities[self._configPaths[bundleName][configName]];
+                                self._newGroupId(bundleName, configName);
+                            } else {
+                                continue;
+                            }
+                            configs.push({
+                                bundleName: bundleName,
+                                configName: configName,
+                                groupId: self._configIdMap[bundleName][configName]
+                            });
+                        }
+                    }
+                }
+            }
+            if (isDimensions) {
+                // readDimensions() doesn't need to keep a copy of the dimensions
+                delete self._configContents[path];
+            }
+            self.emit('change', {
+                path: path,
+                dimensions: isDimensions,
+                configs: configs
+            });
+        });
+    },
+
+
+    /**
+     * Re-reads the environment variables given by the `envOverrides` constructor option.
+     *
+     * The environment is read when the config helper is created.  Call this if it changes
+     * afterwards.  Cached reads of configs whose overrides changed are invalidated.
+     * @method refreshEnvOverrides
+     * @return {undefined} Nothing appreciable is returned.
+     */
+    refreshEnvOverrides: function () {
+        var self = this,
+            options = self._options.envOverrides,
+            previous = self._envOverrides,
+            bundleName,
+            configName;
+        if ('string' === typeof options) {
+            options = {prefix: options};
+        }
+        self._envOverrides = libenv.scan(options.env || process.env, options.prefix, options.separator);
+
+        function changed(bundleName, configName) {
+            var before = previous[bundleName] && previous[bundleName][configName],
+                after = self._envOverrides[bundleName] && self._envOverrides[bundleName][configName];
+            return (before && before.key) !== (after && after.key);
+        }
+
+        for (bundleName in self._configIdMap) {
+            if (self._configIdMap.hasOwnProperty(bundleName)) {
+                for (configName in self._configIdMap[bundleName]) {
+                    if (self._configIdMap[bundleName].hasOwnProperty(configName) && changed(bundleName, configName)) {
+                        self._newGroupId(bundleName, configName);
+                    }
+                }
+            }
+        }
+    },
+
+
+    /**
+     * Registers a resolver for secret references in config values.
+     *
+     * After a config is merged by `read()`, each string value containing `${<name>:<ref>}`
+     * is passed to the resolver registered under `<name>`.  A value which is just the
+     * reference is replaced by the resolved value, while references inside longer strings
+     * are replaced by the resolved value converted to a string.  References to names
+     * without a resolver are left alone.  The `env` and `file` resolvers are built in,
+     * and registered when the `secrets` constructor option is given.
+     *
+     * Reads containing secrets are cached for the `secrets.ttl` constructor option.
+     * Resolved values are removed from the messages of schema validation errors.
+     * @method addSecretResolver
+     * @param {string} name Name used in the references, such as `vault` for `${vault:db/password}`.
+     * @param {Function} resolver Called with the reference and a callback.
+     *   @param {string} resolver.ref The reference, such as `db/password`.
+     *   @param {Function} resolver.callback Called with `(err, value)`.  The error message
+     *   shouldn't contain the secret.
+     * @return {undefined} Nothing appreciable is returned.
+     */
+    addSecretResolver: function (name, resolver) {
+        var bundleName,
+            configName;
+        this._secretResolvers[name] = resolver;
+        // reads cached before the resolver was registered may contain unresolved references
+        for (bundleName in this._configIdMap) {
+            if (this._configIdMap.hasOwnProperty(bundleName)) {
+                for (configName in this._configIdMap[bundleName]) {
+                    if (this._configIdMap[bundleName].hasOwnProperty(configName)) {
+                        this._newGroupId(bundleName, configName);
+                    }
+                }
+            }
+        }
+    },
+
+
+    /**
+     * Sets the JSON schema that the merged config must validate against.
+     *
+     * Once set, `read()` validates each newly merged config before caching it.
+     * See the `schemaMode` constructor option for what happens if validation fails.
+     * Only local `$ref`s (such as `#/definitions/foo`) are supported, nothing is ever fetched.
+     * @method setSchema
+     * @param {string} bundleName Name of the bundle to which the config belongs.
+     * @param {string} configName Name of the config.
+     * @param {object|null} schema The JSON schema, or `null` to remove the schema.
+     * @return {undefined} Nothing appreciable is returned.
+     */
+    setSchema: function (bundleName, configName, schema) {
+        if (schema) {
+            libschema.check(schema);
+            if (!this._schemas[bundleName]) {
+                this._schemas[bundleName] = {};
+            }
+            this._schemas[bundleName][configName] = schema;
+        } else if (this._schemas[bundleName]) {
+            delete this._schemas[bundleName][configName];
+        }
+        // configs which were already read might not have been validated
+        if (this._configIdMap[bundleName] && this._configIdMap[bundleName][configName] !== undefined) {
+            this._newGroupId(bundleName, configName);
+        }
+    },
+
+
+    /**
+     * Validates every config which has a schema.
+     *
+     * Each config is merged and validated for every distinct context it can be read in,
+     * as found by `readAllContexts()`.
+     * @method validateAll
+     * @async
+     * @param {Function} callback
+     *   @param {Error|null} callback.err If an error occurred while reading the configs, then this
+     *   parameter will contain the error. Validation failures are not reported as errors.
+     *   @param {array} callback.failures List of `{bundleName, configName, context, errors}`
+     *   objects, one for each context in which a config failed validation.
+     *   It is empty if all configs are valid.
+     */
+    validateAll: function (callback) {
+        var self = this,
+            pairs = [],
+            failures = [];
+
+        Object.keys(self._schemas).forEach(function (bundleName) {
+            Object.keys(self._schemas[bundleName]).forEach(function (configName) {
+                pairs.push([bundleName, configName]);
+            });
+        });
+
+        (function next(i) {
+            var bundleName,
+                configName;
+            if (i >= pairs.length) {
+                return callback(null, failures);
+            }
+            bundleName = pairs[i][0];
+            configName = pairs[i][1];
+            self.readAllContexts(bundleName, configName, function (err, results) {
+                if (err) {
+                    return callback(err);
+                }
+                results.forEach(function (result) {
+                    var errors = self._schemaErrors(bundleName, configName, result.config);
+                    if (errors.length) {
+                        failures.push({
+                            bundleName: bundleName,
+                            configName: configName,
+                            context: result.context,
+                            errors: errors
+                        });
+                    }
+                });
+                next(i + 1);
+            });
+        }(0));
+    },
+
+
+    /**
+     * Reads the named configuration file in every distinct context it can be read in.
+     *
+     * The contexts are found from the dimensions and the selectors of the sections in the file.
+     * Only the dimensions and values used by some section are considered, and only one context
+     * is returned for each distinct set of sections that can be selected, so the list is usually
+     * much smaller than every combination of dimension values.  Each context is the most general one
+     * for its set of sections.  A file which isn't context sensitive has the single context `{}`.
+     *
+     * The results are not cached.
+     * @method readAllContexts
+     * @async
+     * @param {string} bundleName The bundle in which to find the configuration file.
+     * @param {string} configName Which configuration to read.
+     * @param {object} [options]
+     *   @param {number} [options.time] Time at which to read scheduled sections.
+     *     By default scheduled sections are ignored.
+     * @param {Function} callback
+     *   @param {Error|null} callback.err If an error occurred, then this parameter will
+     *   contain the error. If the operation succeeded, then `err` will be null.
+     *   @param {array} callback.results List of `{context, config}` objects, where `config` is
+     *   the merged configuration object for the context.
+     */
+    readAllContexts: function (bundleName, configName, options, callback) {
+        if ('function' === typeof options) {
+            callback = options;
+            options = {};
+        }
+        options = options || {};
+        this._getYCB(bundleName, configName, function (err, groupId, ycb) {
+            var selectors = [];
+            if (err) {
+                return callback(err);
+            }
+            ycb.walkSettings(function (selector) {
+                selectors.push(selector);
+                return true;
+            });
+            callback(null, libcontexts.enumerate(ycb.getDimensions(), selectors).map(function (context) {
+                return {
+                    context: context,
+                    config: options.time === undefined ? ycb.read(context, {}) : ycb.readTimeAware(context, options.time, {})
+                };
+            }));
+        });
+    },
+
+
+    /**
+     * Precompiles what `read()` returns for a list of contexts, or for every context, into an artifact
+     * which `lib/reader.js` can read without ycb, such as in a CDN edge worker.
+     *
+     * Each context key, computed the same way as the YCB object's `getCacheKey()`, maps to one of
+     * a list of deduplicated configs.  By default every key that can be reached is compiled, which
+     * is every combination of the dimension values used by some section.  The artifact is plain
+     * JSON, so configs with secret references, in their sections or environment overrides, aren't
+     * compiled: the artifact would hold the resolved secrets.
+     * @method compile
+     * @async
+     * @param {string} bundleName The bundle in which to find the configuration file.
+     * @param {string} configName Which configuration to read.
+     * @param {object} [options]
+     *   @param {array} [options.contexts] The contexts to compile, instead of every context.
+     *   @param {number} [options.time] Time at which to read scheduled sections, in time aware mode.
+     *   @param {number} [options.maxContexts=10000] Most reachable contexts to compile without
+     *     `options.contexts`.  Configs which have more fail instead.
+     * @param {Function} callback
+     *   @param {Error|null} callback.err If an error occurred, then this parameter will
+     *   contain the error. If the operation succeeded, then `err` will be null.
+     *   @param {object} callback.artifact The compiled configs, to be given to `lib/reader.js`.
+     */
+    compile: function (bundleName, configName, options, callback) {
+        var self = this;
+        if ('function' === typeof options) {
+            callback = options;
+            options = {};
+        }
+        options = options || {};
+        if (!self._configPaths[bundleName]) {
+            return callback(new Error(util.format(MESSAGES['unknown bundle'], bundleName)));
+        }
+        if (!self._configPaths[bundleName][configName]) {
+            return callback(new Error(util.format(MESSAGES['unknown config'], configName, bundleName)));
+        }
+        // the contents are read before the YCB object is built, which frees them
+        self._readConfigContents(self._configPaths[bundleName][configName], function (err, contents) {
+            if (!err && contents instanceof Error) {
+                err = contents;
+            }
+            if (err) {
+                return callback(err);
+            }
+            if (self._hasSecrets(bundleName, configName, contents)) {
+                return callback(new Error(util.format(MESSAGES['compile secrets'], configName, bundleName)));
+            }
+            self._getYCB(bundleName, configName, function (err, groupId, ycb) {
+                if (err) {
+                    return callback(err);
+                }
+                self._compileContexts(bundleName, configName, groupId, ycb, options, callback);
+            });
+        });
+    },
+
+
+    /**
+     * Compiles the contexts of a config which has no secrets, see `compile()`.
+     * @private
+     * @method _compileContexts
+     * @async
+     * @param {string} bundleName Name of the bundle.
+     * @param {string} configName Name of the config.
+     * @param {number} groupId Id of the config's cache group.
+     * @param {object} ycb The YCB object.
+     * @param {object} options The options given to `compile()`.
+     * @param {Function} callback Called with the error or the artifact.
+     */
+    _compileContexts: function (bundleName, configName, groupId, ycb, options, callback) {
+        var self = this,
+            tables = libcompile.dimensionTables(ycb),
+            max = options.maxContexts || DEFAULT_MAX_CONTEXTS,
+            contexts = options.contexts || libcompile.reachableContexts(tables, self._options.baseContext, max),
+            results = [];
+        if (!contexts) {
+            return callback(new Error(util.format(MESSAGES['too many contexts'], configName, bundleName, max)));
+        }
+
+        (function next(i) {
+            var context;
+            if (i >= contexts.length) {
+                return callback(null, libcompile.create(tables, results, self._options.baseContext));
+            }
+            context = mix({}, contexts[i]);
+            if (options.time !== undefined) {
+                context[self.timeDimension] = options.time;
+            }
+            self._readMerged(bundleName, configName, context, groupId, ycb, function (err, config) {
+                if (err) {
+                    return callback(err);
+                }
+                if (config && config.hasOwnProperty(self.expiresKey)) {
+                    config = mix({}, config);
+                    delete config[self.expiresKey];
+                }
+                results.push({
+                    key: ycb.getCacheKey(self._options.baseContext ? self._mergeBaseContext(context) : context) ||
+                        JSON.stringify([]),
+                    config: config
+                });
+                next(i + 1);
+            });
+        }(0));
+    },
+
+
+    /**
+     * Checks a YCB file against the dimensions, finding:
+     *
+     * * `unknown-dimension`, `unknown-value` and `invalid-settings` errors, for sections which ycb ignores
+     * * `invalid-schedule` errors and `ended-schedule` warnings, for schedules which have already ended
+     * * `duplicate-selector` warnings, for sections with the same settings as an earlier one
+     * * `shadowed-section` warnings and `unread-key` infos, for sections and keys whose values are
+     *   overridden by later sections with the same settings, so that they are never read
+     *
+     * Configs which aren't YCB have no findings.
+     * @method lint
+     * @async
+     * @param {string} bundleName The bundle in which to find the configuration file.
+     * @param {string} configName Which configuration to check.
+     * @param {object} [options]
+     *   @param {number} [options.time] Time against which schedules are checked, defaults to now.
+     * @param {Function} callback
+     *   @param {Error|null} callback.err If an error occurred, then this parameter will
+     *   contain the error. If the operation succeeded, then `err` will be null.
+     *   @param {array} callback.findings List of `{rule, severity, message, index, settings, key, path, line}`
+     *   objects, in the order of the sections.  `index` is that of the section in the file, and `line` is
+     *   found on a best-effort basis.
+     */
+    lint: function (bundleName, configName, options, callback) {
+        var self = this,
+            path;
+        if ('function' === typeof options) {
+            callback = options;
+            options = {};
+        }
+        options = options || {};
+        if (!self._configPaths[bundleName]) {
+            return callback(new Error(util.format(MESSAGES['unknown bundle'], bundleName)));
+        }
+        path = self._configPaths[bundleName][configName];
+        if (!path) {
+            return callback(new Error(util.format(MESSAGES['unknown config'], configName, bundleName)));
+        }
+        self._readConfigContents(path, function (err, contents) {
+            if (!err && contents instanceof Error) {
+                err = contents;
+            }
+            if (err) {
+                return callback(err);
+            }
+            if (!contentsIsYCB(contents)) {
+                return callback(null, []);
+            }
+            self._loadDimensions(false, function (err, dimensions) {
+                if (err) {
+                    return callback(err);
+                }
+                libfs.readFile(path, 'utf8', function (err, source) {
+                    // without the source there are no line numbers
+                    callback(null, liblint.lint(contents, dimensions, {
+                        path: path,
+                        source: err ? undefined : source,
+                        time: options.time
+                    }));
+                });
+            });
+        });
+    },
+
+
+    /**
+     * Generates TypeScript declarations for the values returned by `read()`.
+     *
+     * Every section of each registered config is walked, and the shapes of their values are
+     * unioned into an interface per config.  Keys which don't appear in the `master` section,
+     * so only under some dimensions, are optional.  Scheduled sections and dimensions files are ignored.
+     * A `Configs` interface maps each bundle and config name to its interface.
+     * @method generateTypes
+     * @async
+     * @param {Function} callback
+     *   @param {Error|null} callback.err If an error occurred, then this parameter will
+     *   contain the error. If the operation succeeded, then `err` will be null.
+     *   @param {string} callback.declarations The contents of the `.d.ts` file.
+     */
+    generateTypes: function (callback) {
+        var self = this,
+            pairs = [],
+            configs = [];
+
+        Object.keys(self._configPaths).forEach(function (bundleName) {
+            Object.keys(self._configPaths[bundleName]).forEach(function (configName) {
+                if ('dimensions' !== configName && self._configPaths[bundleName][configName] !== self._dimensionsPath) {
+                    pairs.push([bundleName, configName]);
+                }
+            });
+        });
+
+        (function next(i) {
+            if (i >= pairs.length) {
+                return callback(null, libtypings.render(configs));
+            }
+            self._getYCB(pairs[i][0], pairs[i][1], function (err, groupId, ycb) {
+                var sections = [];
+                if (err) {
+                    return callback(err);
+                }
+                ycb.walkSettings(function (selector, config) {
+                    sections.push({selector: selector, config: config});
+                    return true;
+                });
+                configs.push({bundleName: pairs[i][0], configName: pairs[i][1], type: libtypings.infer(sections)});
+                next(i + 1);
+            });
+        }(0));
+    },
+
+
+    /**
+     * Generates a cache key based on config and bundle names, a separator, and a context based key.
+     * Distinct separators can be used to distinguish distinct types of keys, e.g., merged and unmerged reads.
+     *
+     * @param {string} bundleName Name of bundle.
+     * @param {string} separator Separator string to join bundle and config names.
+     * @param {string} configName Name of config.
+     * @param {string} contextKey Key based on the context.
+     * @returns {string} cache key
+     * @private
+     */
+    _getCacheKey: function (bundleName, separator, configName, contextKey) {
+        return bundleName + separator + configName + contextKey;
+    },
+
+
+    /**
+     * Reads the contents of the named configuration file.
+     * This will auto-detect if the configuration file is YCB and read it in a context-sensitive way if so.
+     *
+     * Secret references in the merged config are resolved, see `addSecretResolver()`.
+     *
+     * This can possibly return the configuration object that is stored in a cache, so the caller should
+     * copy it if they intend to make a modifications.
+     * @method read
+     * @async
+     * @param {string} bundleName The bundle in which to find the configuration file.
+     * @param {string} configName Which configuration to read.
+     * @param {object} [context] The runtime context.
+     * @param {Function} callback
+     *   @param {Error|null} callback.err If an error occurred, then this parameter will
+     *   contain the error. If the operation succeeded, then `err` will be null.
+     *   @param {Object} callback.config The merged configuration object, based on the
+     *   provided context.
+     */
+    read: function (bundleName, configName, context, callback) {
+        var self = this;
+        self._getYCB(bundleName, configName, function (err, groupId, ycb) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            self._readMerged(bundleName, configName, context, groupId, ycb, callback);
+        });
+    },
+
+
+    /**
+     * Reads the contents of the named configuration file and returns the sections
+     * appropriate to the context.  The sections are returned in priority order
+     * (most important first).
+     *
+     * If the file is not context sensitive then the list will contain a single section.
+     *
+     * This can possibly return the configuration object that is stored in a cache, so the caller should
+     * copy it if they intend to make a modifications.
+     * @method readNoMerge
+     * @async
+     * @param {string} bundleName The bundle in which to find the configuration file.
+     * @param {string} configName Which configuration to read.
+     * @param {object} [context] The runtime context.
+     * @return {Function} callback
+     *   @param {Error|null} callback.err If an error occurred, then this parameter will
+     *   contain the error. If the operation succeeded, then the `err` will be null.
+     *   @param {Object} callback.contents The object containing the prioritized sections
+     *   of the configuration file appropriate to the provided context.
+     */
+    readNoMerge: function (bundleName, configName, context, callback) {
+        var self = this;
+        self._getYCB(bundleName, configName, function (err, groupId, ycb) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            self._readUnmerged(bundleName, configName, context, groupId, ycb, callback);
+        });
+    },
+
+
+    /**
+     * Reads the named configuration file like `read()`, and wraps the merged config with typed getters
+     * such as `get(path, default)`, `getNumber()`, `getDuration()` and `require()`.
+     * See `ConfigAccessor` in `lib/accessor.js`.
+     * @method readAccessor
+     * @async
+     * @param {string} bundleName The bundle in which to find the configuration file.
+     * @param {string} configName Which configuration to read.
+     * @param {object} [context] The runtime context.
+     * @param {Function} callback
+     *   @param {Error|null} callback.err If an error occurred, then this parameter will
+     *   contain the error. If the operation succeeded, then `err` will be null.
+     *   @param {ConfigAccessor} callback.accessor The accessor of the merged configuration object.
+     */
+    readAccessor: function (bundleName, configName, context, callback) {
+        this.read(bundleName, configName, context, function (err, config) {
+            if (err) {
+                return callback(err);
+            }
+            callback(null, Config.accessor(config, bundleName, configName, context));
+        });
+    },
+
+
+    /**
+     * Reads the named configuration file like `readNoMerge()`, and wraps the sections with typed getters.
+     * Each key is looked up in the most specific section which has it.
+     * @method readNoMergeAccessor
+     * @async
+     * @param {string} bundleName The bundle in which to find the configuration file.
+     * @param {string} configName Which configuration to read.
+     * @param {object} [context] The runtime context.
+     * @param {Function} callback
+     *   @param {Error|null} callback.err If an error occurred, then this parameter will
+     *   contain the error. If the operation succeeded, then `err` will be null.
+     *   @param {ConfigAccessor} callback.accessor The accessor of the prioritized sections.
+     */
+    readNoMergeAccessor: function (bundleName, configName, context, callback) {
+        this.readNoMerge(bundleName, configName, context, function (err, sections) {
+            if (err) {
+                return callback(err);
+            }
+            callback(null, Config.accessor(sections, bundleName, configName, context));
+        });
+    },
+
+    /**
+     * Reads the named configuration file like `read()`, and also explains where each value came from.
+     *
+     * For every leaf value of the merged config (objects are merged key by key, while arrays and
+     * other values are leaves) this finds the section which supplied it, and lists the values
+     * of less specific sections which were overridden.  Line numbers are found by searching the
+     * source file for the section's selector and then the key, so they are a best guess.
+     * The config is read like `read()` does, with its environment overrides, secrets and scheduled
+     * sections, but the sources only come from the sections of the file which aren't scheduled, so a
+     * value replaced by an environment variable or a secret is explained by the section which set it.
+     * @method readExplain
+     * @async
+     * @param {string} bundleName The bundle in which to find the configuration file.
+     * @param {string} configName Which configuration to read.
+     * @param {object} [context] The runtime context.
+     * @param {Function} callback
+     *   @param {Error|null} callback.err If an error occurred, then this parameter will
+     *   contain the error. If the operation succeeded, then `err` will be null.
+     *   @param {Object} callback.explanation An object with:
+     *     @param {Object} callback.explanation.config The merged configuration object.
+     *     @param {Object} callback.explanation.sources Map of each leaf key path, such as `db.host`,
+     *     to the `{settings, path, line}` of the section which supplied its value.
+     *     @param {array} callback.explanation.overridden List of the `{key, value, settings, path, line, by}`
+     *     values which were overridden, where `by` is the settings of the overriding section.
+     */
+    readExplain: function (bundleName, configName, context, callback) {
+        var self = this;
+        self._getYCB(bundleName, configName, function (err, groupId, ycb) {
+            if (err) {
+                return callback(err);
+            }
+            self._readMerged(bundleName, configName, context, groupId, ycb, function (err, config) {
+                var sections = [],
+                    path;
+                if (err) {
+                    return callback(err);
+                }
+                if (self._options.baseContext) {
+                    context = self._mergeBaseContext(context);
+                }
+                ycb.walkSettings(function (selector, config) {
+                    sections.push({selector: selector, config: config});
+                    return true;
+                });
+                sections = libexplain.applicableSections(ycb.getDimensions(), sections, context);
+                path = self._configPaths[bundleName][configName];
+                libfs.readFile(path, 'utf8', function (err, source) {
+                    // without the source there are no line numbers
+                    var explanation = libexplain.explain(sections, path, err ? undefined : source);
+                    callback(null, {
+                        config: config,
+                        sources: explanation.sources,
+                        overridden: explanation.overridden
+                    });
+                });
+            });
+        });
+    },
+
+
+    /**
+     * Reads the dimensions file for the application.
+     *
+     * If `options.dimensionsPath` is given to the constructor that'll be used.
+     * Otherwise, the dimensions file found in `options.dimensionsBundle` will be used.
+     * Otherwise, the dimensions file with the shortest path will be used.
+     *
+     * The returned dimensions object is shared, so it should not be modified.
+     * @method readDimensions
+     * @param {Function} callback
+     *   @param {Error|null} callback.err If an error occurred, then this parameter will
+     *   contain the error. If the operation succeeded, then `err` will be null.
+     *   @param {array} callback.dimensions The returned dimensions array.
+     */
+    readDimensions: function (callback) {
+        this._loadDimensions(false, callback);
+    },
+
+
+    /**
+     * Like `read()`, but returns the merged config instead of calling back.
+     *
+     * This is meant for startup code, such as module initialization, where nothing can wait.
+     * The config (and the dimensions file, if it's a YCB file) must already be loaded, either
+     * with `addConfigContents()` or by waiting for `addConfig()` to call back.  Reads are shared
+     * with `read()` through the same cache.
+     * @method readSync
+     * @param {string} bundleName The bundle in which to find the configuration file.
+     * @param {string} configName Which configuration to read.
+     * @param {object} [context] The runtime context.
+     * @return {Object} The merged configuration object, based on the provided context.
+     * @throws {Error} If the contents haven't been loaded, if the config has secrets which are
+     *   resolved asynchronously, or for any error which `read()` would give.
+     */
+    readSync: function (bundleName, configName, context) {
+        var self = this;
+        return runSync(function (callback) {
+            self._getYCB(bundleName, configName, function (err, groupId, ycb) {
+                if (err) {
+                    return callback(err);
+                }
+                self._readMerged(bundleName, configName, context, groupId, ycb, callback);
+            }, true);
+        }, util.format(MESSAGES['async secrets'], configName, bundleName));
+    },
+
+
+    /**
+     * Like `readNoMerge()`, but returns the sections instead of calling back.
+     * See `readSync()` for when this can be used.
+     * @method readNoMergeSync
+     * @param {string} bundleName The bundle in which to find the configuration file.
+     * @param {string} configName Which configuration to read.
+     * @param {object} [context] The runtime context.
+     * @return {Object} The prioritized sections of the configuration file appropriate to the context.
+     * @throws {Error} If the contents haven't been loaded, or for any error which `readNoMerge()` would give.
+     */
+    readNoMergeSync: function (bundleName, configName, context) {
+        var self = this;
+        return runSync(function (callback) {
+            self._getYCB(bundleName, configName, function (err, groupId, ycb) {
+                if (err) {
+                    return callback(err);
+                }
+                self._readUnmerged(bundleName, configName, context, groupId, ycb, callback);
+            }, true);
+        });
+    },
+
+
+    /**
+     * Like `readDimensions()`, but returns the dimensions instead of calling back.
+     * The dimensions file must already be loaded, see `readSync()`.
+     * @method readDimensionsSync
+     * @return {Object} The dimensions.
+     * @throws {Error} If there is no dimensions file or it hasn't been loaded.
+     */
+    readDimensionsSync: function () {
+        var self = this;
+        return runSync(function (callback) {
+            self._loadDimensions(true, callback);
+        });
+    },
+
+
+    /**
+     * Loads the dimensions for `readDimensions()` and `readDimensionsSync()`.
+     * @private
+     * @method _loadDimensions
+     * @param {boolean} sync Whether the dimensions file must already be loaded,
+     *   in which case the callback is called synchronously.
+     * @param {Function} callback Called with the error or dimensions.
+     * @param {object} [io] How the promise API reads the dimensions file, see `_readConfigFile()`.
+     *   With a signal, the read isn't shared with concurrent loads, so that aborting it doesn't fail them.
+     */
+    _loadDimensions: function (sync, callback, io) {
+        var self = this;
+        if (!self._dimensionsPath) {
+            return callback(new Error(MESSAGES['missing dimensions']));
+        }
+        if (self._cachedDimensions) {
+            return callback(null, self._cachedDimensions);
+        }
+        if (!sync && !(io && io.signal)) {
+            callback = joinPending(self._pendingDimensions, self._dimensionsPath, callback);
+            if (!callback) {
+                return;
+            }
+        }
+
+        self[sync ? '_readLoadedContents' : '_readConfigContents'](self._dimensionsPath, function (err, body) {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, self._setDimensions(self._dimensionsPath, body));
+        }, io);
+    },
+
+
+    /**
+     * Keeps the dimensions once the dimensions file has been loaded.
+     * @private
+     * @method _setDimensions
+     * @param {string} path Full path to the dimensions file.
+     * @param {array} body The contents of the dimensions file.
+     * @return {array} The dimensions.
+     */
+    _setDimensions: function (path, body) {
+        this._cachedDimensions = body[0].dimensions;
+        delete this._configContents[path]; // no longer need this copy of dimensions
+        if (this._options.watch) {
+            this._watch(path);
+        }
+        this.emit('dimensionsLoaded', {
+            path: path,
+            dimensions: this._cachedDimensions
+        });
+        return this._cachedDimensions;
+    },
+
+
+    /**
+     * Reads the merged config from its YCB object, going through the cache.
+     * The callback is called synchronously unless secrets have to be resolved asynchronously.
+     * @private
+     * @method _readMerged
+     * @param {string} bundleName The bundle in which to find the configuration file.
+     * @param {string} configName Which configuration to read.
+     * @param {object} [context] The runtime context.
+     * @param {number} groupId Id of the config's cache group.
+     * @param {object} ycb The YCB object.
+     * @param {Function} callback Called with the error or merged config, as for `read()`.
+     */
+    _readMerged: function (bundleName, configName, context, groupId, ycb, callback) {
+        var self = this;
+        if(self._options.baseContext) {
+            context = self._mergeBaseContext(context);
+        }
+        var key, config, now, compute,
+            env = self._envOverrides[bundleName] && self._envOverrides[bundleName][configName],
+            error = self._checkContext(context, ycb);
+        if (error) {
+            callback(error);
+            return;
+        }
+        key = self._getCacheKey(bundleName, ':m:', configName, ycb.getCacheKey(context));
+        if (env) {
+            key += ':e:' + env.key;
+        }
+        if (self.timeAware) {
+            now = context[self.timeDimension];
+            if (now === undefined) {
+                callback(new Error(util.format(MESSAGES['missing time'], self.timeDimension, JSON.stringify(context))));
+                return;
+            }
+            config = self._cache.getTimeAware(key, now, groupId);
+            if (config === undefined && self._revalidator) {
+                compute = self._mergedReader(bundleName, configName, context, ycb, env);
+                config = self._revalidator.get(key, now, groupId, compute);
+            }
+        } else {
+            config = self._cache.get(key, groupId);
+        }
+        self._emitCacheEvent(config !== undefined, bundleName, configName, groupId, key);
+        if (config !== undefined) {
+            callback(null, self._freezeCached(config));
+            return;
+        }
+        compute = compute || self._mergedReader(bundleName, configName, context, ycb, env);
+        compute(now, function (err, config, expiresAt, ttl) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            if (!libcache.isStorable(self._cache, ttl)) {
+                // resolved secrets are kept out of caches shared between processes, which may write them to disk
+                callback(null, config);
+                return;
+            }
+            if (self._revalidator) {
+                self._revalidator.set(key, config, now, expiresAt, groupId, ttl, compute);
+            } else if (self.timeAware) {
+                self._cache.setTimeAware(key, config, now, expiresAt, groupId, ttl);
+            } else {
+                self._cache.set(key, config, groupId, ttl);
+            }
+            callback(null, config);
+        });
+    },
+
+
+    /**
+     * Makes the function which merges a config for a context, with its environment overrides and
+     * secrets, and validates it.  It's kept by the `staleWhileRevalidate` option to merge it again later.
+     * @private
+     * @method _mergedReader
+     * @param {string} bundleName The bundle in which to find the configuration file.
+     * @param {string} configName Which configuration to read.
+     * @param {object} context The runtime context, including the base context.
+     * @param {object} ycb The YCB object.
+     * @param {object} [env] The environment overrides of the config.
+     * @return {Function} Takes the time, in time aware mode, and a callback which is called with the error,
+     *   or the merged config, the time at which it expires and how long it may be cached if it has secrets.
+     */
+    _mergedReader: function (bundleName, configName, context, ycb, env) {
+        var self = this;
+        return function (now, callback) {
+            var config = self.timeAware ? ycb.readTimeAware(context, now, {cacheInfo: true}) : ycb.read(context, {});
+            if (env) {
+                config = libenv.apply(config, env.overrides);
+            }
+            self._resolveSecrets(bundleName, configName, config, function (err, config, secrets) {
+                var expiresAt,
+                    ttl;
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                err = self._validateConfig(bundleName, configName, context, config, secrets);
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                if (secrets.length) {
+                    ttl = (self._options.secrets && self._options.secrets.ttl) || DEFAULT_SECRET_TTL;
+                }
+                if(self._options.safeMode) {
+                    config = deepFreeze(config);
+                }
+                if (self.timeAware) {
+                    expiresAt = config[self.expiresKey];
+                    if(expiresAt === undefined) {
+                        expiresAt = Number.POSITIVE_INFINITY;
+                    }
+                }
+                callback(null, config, expiresAt, ttl);
+            });
+        };
+    },
+
+
+    /**
+     * Reads the sections of a config appropriate to the context from its YCB object,
+     * going through the cache.  The callback is always called synchronously.
+     * @private
+     * @method _readUnmerged
+     * @param {string} bundleName The bundle in which to find the configuration file.
+     * @param {string} configName Which configuration to read.
+     * @param {object} [context] The runtime context.
+     * @param {number} groupId Id of the config's cache group.
+     * @param {object} ycb The YCB object.
+     * @param {Function} callback Called with the error or sections, as for `readNoMerge()`.
+     */
+    _readUnmerged: function (bundleName, configName, context, groupId, ycb, callback) {
+        var self = this;
+        if(self._options.baseContext) {
+            context = self._mergeBaseContext(context);
+        }
+        var key, config, compute,
+            error = self._checkContext(context, ycb);
+        if (error) {
+            callback(error);
+            return;
+        }
+        key = self._getCacheKey(bundleName, ':um:', configName, ycb.getCacheKey(context));
+        if(self.timeAware) {
+            var now = context[self.timeDimension];
+            if(now === undefined) {
+                callback(new Error(util.format(MESSAGES['missing time'], self.timeDimension, JSON.stringify(context))));
+                return;
+            }
+            config = self._cache.getTimeAware(key, now, groupId);
+            if (config === undefined && self._revalidator) {
+                compute = self._unmergedReader(context, ycb);
+                config = self._revalidator.get(key, now, groupId, compute);
+            }
+            self._emitCacheEvent(config !== undefined, bundleName, configName, groupId, key);
+            if(config !== undefined) {
+                config = self._freezeCached(config);
+            } else {
+                compute = compute || self._unmergedReader(context, ycb);
+                compute(now, function (err, sections, expiresAt) {
+                    config = sections;
+                    if (self._revalidator) {
+                        self._revalidator.set(key, config, now, expiresAt, groupId, undefined, compute);
+                    } else {
+                        self._cache.setTimeAware(key, config, now, expiresAt, groupId);
+                    }
+                });
+            }
+        } else {
+            config = self._cache.get(key, groupId);
+            self._emitCacheEvent(config !== undefined, bundleName, configName, groupId, key);
+            if(config !== undefined) {
+                config = self._freezeCached(config);
+            } else {
+                config = ycb.readNoMerge(context, {});
+                if(self._options.safeMode) {
+                    config = deepFreeze(config);
+                }
+                self._cache.set(key, config, groupId);
+            }
+        }
+        callback(null, config);
+    },
+
+
+    /**
+     * Makes the function which reads the sections of a config for a context in time aware mode.
+     * It's kept by the `staleWhileRevalidate` option to read them again later.
+     * @private
+     * @method _unmergedReader
+     * @param {object} context The runtime context, including the base context.
+     * @param {object} ycb The YCB object.
+     * @return {Function} Takes the time and a callback, which is called synchronously with no error,
+     *   the sections and the time at which they expire.
+     */
+    _unmergedReader: function (context, ycb) {
+        var self = this;
+        return function (now, callback) {
+            var config = ycb.readNoMergeTimeAware(context, now, {cacheInfo: true}),
+                expiresAt = config.length > 0 ? config[0][self.expiresKey] : undefined;
+            if(expiresAt === undefined) {
+                expiresAt = Number.POSITIVE_INFINITY;
+            }
+            if(self._options.safeMode) {
+                config = deepFreeze(config);
+            }
+            callback(null, config, expiresAt);
+        };
+    },
+
+
+    /**
+     * Freezes a config returned by the cache in safe mode.  Those of the LRU cache are already frozen,
+     * but cache backends which serialize their entries return copies.
+     * @private
+     * @method _freezeCached
+     * @param {object} config The config, or list of sections.
+     * @return {object} The config.
+     */
+    _freezeCached: function (config) {
+        if (this._options.safeMode && !Object.isFrozen(config)) {
+            config = deepFreeze(config);
+        }
+        return config;
+    },
+
+
+    /**
+     * Checks the context of a read against the dimensions, as set by the `strictContext` option.
+     * Only YCB files are checked, since the context doesn't matter to other configs.
+     * In `warn` mode, each unknown dimension or value is only logged once per dimensions file.
+     * @private
+     * @method _checkContext
+     * @param {object} [context] The runtime context, including the base context.
+     * @param {object} ycb The YCB object of the config being read.
+     * @return {Error|null} The error with which the read fails, if any.
+     */
+    _checkContext: function (context, ycb) {
+        var mode = this._options.strictContext,
+            dimensions = this._cachedDimensions,
+            warning,
+            error;
+        if (!mode || !dimensions || !(ycb instanceof libycb.Ycb)) {
+            return null;
+        }
+        // the lineages are kept until the dimensions are reloaded
+        if (!this._lineages || this._lineages.dimensions !== dimensions) {
+            this._lineages = {dimensions: dimensions, lineages: libcontexts.lineage(dimensions), warned: {}};
+        }
+        error = libstrict.checkContext(this._lineages.lineages, context, this.timeAware ? [this.timeDimension] : []);
+        if (error && 'warn' === mode) {
+            warning = error.dimension + (error.hasOwnProperty('value') ? '\u0000' + error.value : '');
+            if (!this._lineages.warned[warning]) {
+                this._lineages.warned[warning] = true;
+                console.log('WARNING: %s', error.message);
+            }
+            return null;
+        }
+        return error;
+    },
+
+
+    /**
+     * Provides a YCB object for the configuration file.
+     * This returns a YCB object even if the configuration file isn't a YCB file.
+     * Concurrent calls for a config which hasn't been built yet share a single build,
+     * keyed by the path and group id of the config.
+     * @private
+     * @method _getYCB
+     * @async
+     * @param {string} bundleName The bundle in which to find the configuration file.
+     * @param {string} configName Which configuration to read.
+     * @param {Function} callback
+     *   @param {Error|null} callback.err If an error occurred, then this parameter will
+     *   contain the error. If the operation succeeded, then `err` will be null.
+     *   @param {number} callback.groupId Id of the config's cache group.
+     *   @param {Object} callback.ycb The returned YCB object.
+     * @param {boolean} [sync] Whether the contents must already be loaded, in which case
+     *   the callback is called synchronously.
+     * @param {object} [io] How the promise API reads the files, see `_readConfigFile()`.
+     *   With a signal, the build isn't shared with concurrent calls, so that aborting it doesn't fail them.
+     */
+    _getYCB: function (bundleName, configName, callback, sync, io) {
+        var self = this,
+            path,
+            contents,
+            dimensions,
+            ycb,
+            isYCB;
+
+        if (!self._configPaths[bundleName]) {
+            return callback(new Error(util.format(MESSAGES['unknown bundle'], bundleName)));
+        }
+        path = self._configPaths[bundleName][configName];
+        if (!path) {
+            return callback(new Error(util.format(MESSAGES['unknown config'], configName, bundleName)));
+        }
+
+        var groupId = self._configIdMap[bundleName][configName];
+        if (self._configYCBs[path]) {
+            self._identifyGroup(groupId, path);
+            return callback(null, groupId, self._configYCBs[path]);
+        }
+        if (!sync && !(io && io.signal)) {
+            // concurrent cold reads wait on the same build
+            callback = joinPending(self._pendingYCBs, path + '\u0000' + groupId, callback);
+            if (!callback) {
+                return;
+            }
+        }
+
+        self[sync ? '_readLoadedContents' : '_readConfigContents'](path, function (err, contents) {
+            if (err) {
+                return callback(err);
+            }
+
+            isYCB = contentsIsYCB(contents);
+
+            if (isYCB) {
+                self._loadDimensions(sync, function (err, data) {
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    dimensions = data;
+                    ycb = self._makeYCBFromDimensions(path, dimensions, contents);
+                    self._cacheYCB(bundleName, configName, path, groupId, ycb,
+                        self._identifyGroup(groupId, path, contents, dimensions));
+                    callback(null, groupId, ycb);
+                }, io);
+            } else {
+                ycb = self._makeYCBFromDimensions(path, dimensions, contents);
+                self._cacheYCB(bundleName, configName, path, groupId, ycb,
+                    self._identifyGroup(groupId, path, contents, dimensions));
+                callback(null, groupId, ycb);
+            }
+        }, io);
+    },
+
+    /**
+     * Determines whether to make a YCB or fake YCB object from
+     * a dimensions object.
+     * @private
+     * @method _makeYCBFromDimensions
+     */
+
+    _makeYCBFromDimensions: function (path, dimensions, contents) {
         var ycb;
 
         if (dimensions) {
@@ -572,13 +2047,44 @@ Config.prototype = {
      * @param {string} path full path corresponding to the ycb instance
      * @param {number} groupId the initial id value to check against current value
      * @param ycb the ycb instance to cache
+     * @param {string} [identity] the identity of the ycb instance, for caches shared between processes
      * @private
      */
-    _cacheYCB: function(bundleName, configName, path, groupId, ycb) {
+    _cacheYCB: function(bundleName, configName, path, groupId, ycb, identity) {
         if(this._configIdMap[bundleName] && this._configIdMap[bundleName][configName] === groupId) {
             this._configYCBs[path] = ycb;
-            delete this._configContents[path]; // no longer need to keep a copy of the config
+            if (!this._options.keepContents) {
+                delete this._configContents[path]; // no longer need to keep a copy of the config
+            }
+            if (identity !== undefined) {
+                this._configIdentities[path] = identity;
+            }
+        }
+    },
+
+    /**
+     * Gives the identity of the contents of a group to a cache which has an `identifyGroup()` method,
+     * such as one shared between processes, in which the same group id may stand for other contents.
+     * The identity is a hash of the contents and dimensions from which the YCB object was built.
+     * @private
+     * @method _identifyGroup
+     * @param {number} groupId Id of the config's cache group.
+     * @param {string} path Full path to the config file.
+     * @param {array} [contents] The contents from which the YCB object was just built.
+     *   Without them, the identity of the cached YCB object is given.
+     * @param {object} [dimensions] The dimensions with which it was built.
+     * @return {string} The identity, or undefined if the cache doesn't need it.
+     */
+    _identifyGroup: function (groupId, path, contents, dimensions) {
+        var identity = this._configIdentities[path];
+        if (!this._cache.identifyGroup) {
+            return undefined;
+        }
+        if (contents !== undefined) {
+            identity = libcrypto.createHash('sha1').update(JSON.stringify([dimensions || null, contents])).digest('hex');
         }
+        this._cache.identifyGroup(groupId, identity);
+        return identity;
     },
 
     /**
@@ -591,57 +2097,106 @@ Config.prototype = {
      *   @param {Error|null} callback.err If an error occurred, then this parameter will
      *   contain the error. If the operation succeeded, then `err` will be null.
      *   @param {Object} callback.contents The returned contents of the configuration file.
+     * @param {object} [io] How the promise API reads the file, see `_readConfigFile()`.
      */
-    _readConfigContents: function (path, callback) {
-        var self = this,
-            ext = libpath.extname(path),
-            contents;
+    _readConfigContents: function (path, callback, io) {
+        if (this._configContents[path]) {
+            callback(null, this._configContents[path]);
+            return;
+        }
+        this._readConfigFile(path, callback, io);
+    },
 
+
+    /**
+     * Provides the contents of a configuration file which has already been loaded,
+     * without touching the filesystem.  The callback is called synchronously.
+     * @private
+     * @method _readLoadedContents
+     * @param {string} path Full path to the file.
+     * @param {Function} callback Called with the error or contents.
+     */
+    _readLoadedContents: function (path, callback) {
         if (this._configContents[path]) {
             callback(null, this._configContents[path]);
             return;
         }
+        callback(new Error(util.format(MESSAGES['not preloaded'], path)));
+    },
 
-        // really try to do things async as much as possible
-        if ('.json' === ext || '.json5' === ext || '.yaml' === ext || '.yml' === ext) {
-            libfs.readFile(path, 'utf8', function (err, contents) {
-                if (err) {
-                    return callback(err);
-                }
-                self._parseConfigContents(path, contents, function (err, contents) {
-                    return callback(err, contents);
-                });
-            });
-        } else {
-            try {
-                contents = require(path);
-            } catch (e) {
-                return callback(new Error(util.format(MESSAGES['parse error'], path, e.message)));
+
+    /**
+     * Reads and parses a configuration file from the filesystem,
+     * ignoring any contents registered for the path.
+     * The promise API reads it with `fs.promises`, so that aborting stops the reading.
+     * @private
+     * @method _readConfigFile
+     * @async
+     * @param {string} path Full path to the file.
+     * @param {Function} callback
+     *   @param {Error|null} callback.err If an error occurred, then this parameter will
+     *   contain the error. If the operation succeeded, then `err` will be null.
+     *   @param {Object} callback.contents The returned contents of the configuration file.
+     * @param {object} [io] Given by the promise API, to read the file with `fs.promises`.
+     *   @param {AbortSignal} [io.signal] Aborts reading the file.
+     */
+    _readConfigFile: function (path, callback, io) {
+        var self = this,
+            ext = libpath.extname(path);
+
+        if (!libparsers.get(ext)) {
+            return callback(new Error(util.format(MESSAGES['unsupported format'], ext, path)));
+        }
+
+        function parse(err, contents) {
+            if (err) {
+                return callback(err);
             }
+            self._parseConfigContents(path, contents, function (err, contents) {
+                return callback(err, contents);
+            });
+        }
 
-            return callback(null, contents);
+        if (io) {
+            // called back outside of the promise, so that errors thrown by the callback aren't swallowed
+            libfs.promises.readFile(path, {encoding: 'utf8', signal: io.signal}).then(function (contents) {
+                process.nextTick(parse, null, contents);
+            }, function (err) {
+                process.nextTick(parse, err);
+            });
+        } else {
+            libfs.readFile(path, 'utf8', parse);
         }
     },
 
 
+    /**
+     * Parses the text of a configuration file with the parser registered for its extension.
+     * See `Config.registerParser()`.
+     * @private
+     * @method _parseConfigContents
+     * @param {string} path Full path to the file.
+     * @param {string|object} contents The text of the file, or the already parsed contents.
+     * @param {Function} [callback] Called with the error or parsed contents.  If not given,
+     *   the error or parsed contents are returned instead.
+     * @return {mixed} The error or parsed contents, if there is no callback.
+     */
     _parseConfigContents: function (path, contents, callback) {
-        var ext,
+        var parse,
             error;
         // Sometimes the contents are already parsed.
         if ('object' !== typeof contents) {
-            ext = libpath.extname(path);
-            try {
-                if ('.json' === ext) {
-                    contents = JSON.parse(contents);
-                } else if ('.json5' === ext) {
-                    contents = libjson5.parse(contents);
-                } else if ('.js' === ext) {
-                    contents = require(path);
-                } else {
-                    contents = libyaml.parse(contents);
+            parse = libparsers.get(libpath.extname(path));
+            if (!parse) {
+                error = new Error(util.format(MESSAGES['unsupported format'], libpath.extname(path), path));
+            } else {
+                try {
+                    contents = parse(contents, path);
+                } catch (e) {
+                    error = this._parseError(path, e);
                 }
-            } catch (e) {
-                error = new Error(util.format(MESSAGES['parse error'], path, e.message));
+            }
+            if (error) {
                 if (callback) {
                     return callback(error);
                 } else {
@@ -654,6 +2209,213 @@ Config.prototype = {
     },
 
 
+    /**
+     * Assigns a new group id to a config, which invalidates all cache entries for the previous one.
+     * Those entries are purged from the cache, so that they don't take the place of live ones.
+     * @private
+     * @method _newGroupId
+     * @param {string} bundleName Name of the bundle.
+     * @param {string} configName Name of the config.
+     * @return {number} The new group id.
+     */
+    _newGroupId: function (bundleName, configName) {
+        var previous = this._configIdMap[bundleName][configName];
+        this._configIdCounter = (this._configIdCounter+1) % Number.MAX_SAFE_INTEGER;
+        this._configIdMap[bundleName][configName] = this._configIdCounter;
+        this._groupNames[this._configIdCounter] = [bundleName, configName];
+        if (previous !== undefined) {
+            this._purgeGroup(previous, this._configIdCounter);
+        }
+        return this._configIdCounter;
+    },
+
+
+    /**
+     * Removes the cached reads of a replaced or deleted config, and forgets its group.
+     * The cache counts what happened to them towards the group which replaced it, if any.
+     * @private
+     * @method _purgeGroup
+     * @param {number} groupId The group id of the config.
+     * @param {number} [nextGroupId] The group id which replaced it.
+     * @return {undefined} Nothing appreciable is returned.
+     */
+    _purgeGroup: function (groupId, nextGroupId) {
+        if (this._cache.purgeGroup) {
+            this._cache.purgeGroup(groupId, nextGroupId);
+        }
+        if (this._revalidator) {
+            this._revalidator.purgeGroup(groupId);
+        }
+        delete this._groupNames[groupId];
+    },
+
+
+    /**
+     * Makes the revalidator of time aware reads, for the `staleWhileRevalidate` option.
+     * @private
+     * @method _makeRevalidator
+     * @param {boolean|object} options The option.
+     * @return {ConfigRevalidator} The revalidator.
+     */
+    _makeRevalidator: function (options) {
+        var self = this;
+        options = 'object' === typeof options ? options : {};
+        return new ConfigRevalidator(self._cache, {
+            maxStale: options.maxStale !== undefined ? options.maxStale : DEFAULT_MAX_STALE,
+            prewarm: options.prewarm !== undefined ? options.prewarm : DEFAULT_PREWARM
+        }, function (groupId) {
+            var names = self._groupNames[groupId];
+            return Boolean(names && self._configIdMap[names[0]] && self._configIdMap[names[0]][names[1]] === groupId);
+        });
+    },
+
+
+    /**
+     * Validates a config against its schema, if it has one.
+     * @private
+     * @method _schemaErrors
+     * @param {string} bundleName Name of the bundle.
+     * @param {string} configName Name of the config.
+     * @param {object} config The merged config.
+     * @return {array} List of `{path, message}` errors, empty if the config is valid.
+     */
+    _schemaErrors: function (bundleName, configName, config) {
+        var schema = this._schemas[bundleName] && this._schemas[bundleName][configName];
+        if (!schema) {
+            return [];
+        }
+        if (config && config.hasOwnProperty(this.expiresKey)) {
+            config = mix({}, config);
+            delete config[this.expiresKey];
+        }
+        return libschema.validate(schema, config);
+    },
+
+
+    /**
+     * Resolves the secret references in a newly merged config during `read()`.
+     * @private
+     * @method _resolveSecrets
+     * @param {string} bundleName Name of the bundle.
+     * @param {string} configName Name of the config.
+     * @param {object} config The merged config.
+     * @param {Function} callback Called synchronously if there are no references.
+     *   @param {Error|null} callback.err
+     *   @param {object} callback.config The config with the references resolved.
+     *   @param {array} callback.secrets The resolved values.
+     */
+    _resolveSecrets: function (bundleName, configName, config, callback) {
+        libsecrets.resolve(config, this._secretResolvers, function (err, config, secrets) {
+            if (err) {
+                return callback(new Error(util.format(MESSAGES['secret error'], err.placeholder,
+                    configName, bundleName, err.message)));
+            }
+            callback(null, config, secrets);
+        });
+    },
+
+
+    /**
+     * Tells whether a config has references to secrets, in its sections or environment overrides.
+     * @private
+     * @method _hasSecrets
+     * @param {string} bundleName Name of the bundle.
+     * @param {string} configName Name of the config.
+     * @param {mixed} contents The contents of the config file.
+     * @return {boolean} Whether some value references a secret of a registered resolver.
+     */
+    _hasSecrets: function (bundleName, configName, contents) {
+        var self = this,
+            env = self._envOverrides[bundleName] && self._envOverrides[bundleName][configName];
+        // the contents have every section, including the scheduled ones
+        return Object.keys(libsecrets.find(contents, self._secretResolvers)).length > 0 ||
+            Boolean(env && env.overrides.some(function (override) {
+                return Object.keys(libsecrets.find(override.value, self._secretResolvers)).length > 0;
+            }));
+    },
+
+
+    /**
+     * Validates a newly merged config during `read()`.
+     * Emits a `validationError` event if it fails validation, and depending on
+     * the `schemaMode` option either returns an error or logs a warning.
+     * @private
+     * @method _validateConfig
+     * @param {string} bundleName Name of the bundle.
+     * @param {string} configName Name of the config.
+     * @param {object} context The runtime context.
+     * @param {object} config The merged config.
+     * @param {array} [secrets] Resolved secret values, which are redacted from the messages.
+     * @return {Error|undefined} The error, if the read should fail.
+     */
+    _validateConfig: function (bundleName, configName, context, config, secrets) {
+        var errors = this._schemaErrors(bundleName, configName, config),
+            error;
+        if (!errors.length) {
+            return;
+        }
+        if (secrets && secrets.length) {
+            errors = errors.map(function (e) {
+                return {path: e.path, message: libsecrets.redact(e.message, secrets)};
+            });
+        }
+        this.emit('validationError', {
+            bundleName: bundleName,
+            configName: configName,
+            context: context,
+            errors: errors
+        });
+        error = new Error(util.format(MESSAGES['schema error'], configName, bundleName,
+            JSON.stringify(context), libschema.format(errors)));
+        if ('warn' === this._options.schemaMode) {
+            console.log('WARNING: %s', error.message);
+            return;
+        }
+        error.errors = errors;
+        return error;
+    },
+
+
+    /**
+     * Creates the error for a file that failed to parse, and emits a `parseError` event.
+     * @private
+     * @method _parseError
+     * @param {string} path Full path to the file.
+     * @param {Error} e The error thrown by the parser.
+     * @return {Error} The error to report.
+     */
+    _parseError: function (path, e) {
+        var error = new Error(util.format(MESSAGES['parse error'], path, e.message));
+        this.emit('parseError', {path: path, error: error});
+        return error;
+    },
+
+
+    /**
+     * Emits a `cacheHit` or `cacheMiss` event.
+     * The event object is only created if someone is listening, since this is called on every read.
+     * @private
+     * @method _emitCacheEvent
+     * @param {boolean} hit Whether the read was served from the cache.
+     * @param {string} bundleName Name of the bundle.
+     * @param {string} configName Name of the config.
+     * @param {number} groupId Id of the config's cache group.
+     * @param {string} key The cache key.
+     */
+    _emitCacheEvent: function (hit, bundleName, configName, groupId, key) {
+        var name = hit ? 'cacheHit' : 'cacheMiss';
+        if (this.listenerCount(name)) {
+            this.emit(name, {
+                bundleName: bundleName,
+                configName: configName,
+                path: this._configPaths[bundleName] && this._configPaths[bundleName][configName],
+                groupId: groupId,
+                key: key
+            });
+        }
+    },
+
+
     /**
      * Merges the base context under the runtime context.
      * @private
@@ -665,6 +2427,104 @@ Config.prototype = {
         context = context || {};
         return mix(clone(context), this._options.baseContext);
     }
+}, true);
+
+
+/**
+ * Registers a parser for config files with the given extensions, for all config helpers.
+ * The built-in formats are JSON (`.json`), JSON5 (`.json5`), YAML (`.yaml` and `.yml`),
+ * TOML (`.toml`), HJSON (`.hjson`) and JavaScript modules (`.js`), and can be replaced.
+ * Files with any other extension fail with an "unsupported format" error.
+ * @static
+ * @method registerParser
+ * @param {string|array} extensions The extension, such as `.ini`, or a list of them.
+ * @param {Function} parse Parses the text of a file, throwing if it is malformed.
+ *   @param {string} parse.contents The text of the file.
+ *   @param {string} parse.path Full path of the file.
+ *   @param {mixed} parse.return The parsed contents.
+ * @return {undefined} Nothing appreciable is returned.
+ */
+Config.registerParser = libparsers.register;
+
+
+/**
+ * Wraps a config with typed getters, for configs which weren't read with `readAccessor()`,
+ * such as those returned by `readSync()` or `helper.promises.read()`.
+ * @static
+ * @method accessor
+ * @param {object|array} config The merged config, or the sections returned by `readNoMerge()`.
+ * @param {string} bundleName The bundle of the config, used in error messages.
+ * @param {string} configName The name of the config, used in error messages.
+ * @param {object} [context] The context in which the config was read, used in error messages.
+ * @return {ConfigAccessor} The accessor.
+ */
+Config.accessor = function (config, bundleName, configName, context) {
+    return new ConfigAccessor(config, {bundleName: bundleName, configName: configName, context: context});
+};
+
+
+/**
+ * Compares two versions of a config file, to find which contexts see different values.
+ *
+ * Both versions are read in every context that can tell their sections apart, and each context
+ * which sees a change is reported with the changed key paths, grouped by the section that caused
+ * the change.  Sections of the new version which can't be reached, or whose values are always
+ * overridden, are reported too.  Scheduled sections are ignored.
+ * @static
+ * @method diff
+ * @param {array|object} oldContents The parsed contents of the old version.
+ * @param {array|object} newContents The parsed contents of the new version.
+ * @param {array} dimensions The dimensions, as returned by `readDimensions()`.
+ * @return {object} An object with:
+ *   @return {array} return.contexts List of `{context, groups}` objects, one for each context which
+ *   sees a change.  `groups` is a list of `{settings, changes}` objects, where `settings` are those of
+ *   the section which caused the `{path, before, after}` changes.
+ *   @return {array} return.unreachable List of the `{settings, reason}` sections which ycb ignores,
+ *   because they select unknown dimensions or values.
+ *   @return {array} return.shadowed List of the `{settings, by}` sections whose values are overridden,
+ *   wherever they apply, by the sections with the settings in `by`.
+ */
+Config.diff = function (oldContents, newContents, dimensions) {
+    return libdiff.diff(oldContents, newContents, dimensions, function (contents) {
+        return contentsIsYCB(contents) ? makeYCB(null, dimensions, contents) : makeFakeYCB(dimensions, contents);
+    });
+};
+
+
+/**
+ * Creates a config helper from a snapshot written by `snapshot()`, without reading the
+ * original config files.  Reads work as soon as this returns, including `readSync()`.
+ * The files from which the snapshot was written are only looked at to check that they haven't changed.
+ * @static
+ * @method fromSnapshot
+ * @param {string} file Full filesystem path of the snapshot file.
+ * @param {object} [options] The options of the constructor, and:
+ *   @param {string} [options.hash] The hash which the snapshot must have, as given by `snapshot()`.
+ *     A snapshot with any other hash is rejected as stale.
+ * @return {Config} The config helper, with every config of the snapshot registered.
+ * @throws {Error} If the snapshot can't be read or parsed, was written by an unsupported version,
+ *   doesn't match its own hash, isn't the expected one, or one of the files from which it was
+ *   written has changed since.
+ */
+Config.fromSnapshot = function (file, options) {
+    var snapshot,
+        config;
+    options = mix({}, options || {});
+    snapshot = libsnapshot.parse(libfs.readFileSync(file, 'utf8'), file, options.hash);
+    libsnapshot.checkSources(snapshot, file);
+    delete options.hash;
+    config = new Config(options);
+    snapshot.configs.forEach(function (entry) {
+        config.addConfigContents(entry.bundleName, entry.configName, entry.path, snapshot.contents[entry.path]);
+    });
+    if (snapshot.dimensionsPath && !options.dimensionsPath) {
+        config._dimensionsPath = snapshot.dimensionsPath;
+    }
+    if (config._dimensionsPath && !config._configContents[config._dimensionsPath] &&
+            snapshot.contents.hasOwnProperty(config._dimensionsPath)) {
+        config._configContents[config._dimensionsPath] = snapshot.contents[config._dimensionsPath];
+    }
+    return config;
 };
 
 
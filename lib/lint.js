@@ -0,0 +1,225 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+"use strict";
+
+var util        = require('util'),
+    libcontexts = require('./contexts'),
+    libdiff     = require('./diff'),
+    libexplain  = require('./explain'),
+
+    MESSAGES = {
+        'invalid-settings': 'Invalid settings %s',
+        'unknown-dimension': 'Unknown dimension "%s" in settings %s',
+        'unknown-value': 'Unknown value "%s" of dimension "%s" in settings %s',
+        'invalid-schedule': 'Invalid schedule %s of settings %s',
+        'ended-schedule': 'Schedule of settings %s ended at %s',
+        'duplicate-selector': 'Settings %s are the same as those of section %d',
+        'shadowed-section': 'Every value of settings %s is overridden by section(s) %s',
+        'unread-key': 'Key "%s" of settings %s is overridden by section %d'
+    },
+    SEVERITIES = {
+        'invalid-settings': 'error',
+        'unknown-dimension': 'error',
+        'unknown-value': 'error',
+        'invalid-schedule': 'error',
+        'ended-schedule': 'warning',
+        'duplicate-selector': 'warning',
+        'shadowed-section': 'warning',
+        'unread-key': 'info'
+    };
+
+
+/**
+ * Helpers for finding mistakes in YCB files.
+ * @module YcbConfigLint
+ */
+
+
+/**
+ * Finds where each section starts in the source of a YCB file, on a best-effort basis,
+ * by looking for each `settings` key in turn.
+ * @private
+ * @static
+ * @method sectionOffsets
+ * @param {array} contents The contents of the YCB file.
+ * @param {string} [source] The text of the file.
+ * @return {object} Map of the index of each section to its offset in the source.
+ */
+function sectionOffsets(contents, source) {
+    var offsets = {},
+        re = /(^|[\s{,"'])settings["']?\s*:/mg,
+        match;
+    if (!source) {
+        return offsets;
+    }
+    contents.forEach(function (section, index) {
+        if (section && section.settings) {
+            match = re.exec(source);
+            if (match) {
+                offsets[index] = match.index + match[1].length;
+            }
+        }
+    });
+    return offsets;
+}
+
+
+/**
+ * Finds the line of a key within a section, on a best-effort basis.
+ * @private
+ * @static
+ * @method findLine
+ * @param {string} source The text of the file.
+ * @param {number} start Offset at which the section starts.
+ * @param {string} [path] The key path, joined with dots.  The line of the section is returned without it.
+ * @return {number|undefined} The 1-based line number, if it was found.
+ */
+function findLine(source, start, path) {
+    var offset;
+    if (!source || start === undefined) {
+        return undefined;
+    }
+    if (path) {
+        offset = libexplain.keyOffset(source, start, path.split('.').pop());
+        if (offset !== -1) {
+            start = offset;
+        }
+    }
+    return source.slice(0, start).split('\n').length;
+}
+
+
+/**
+ * Checks a YCB file against the dimensions.
+ *
+ * ycb only reads a section in contexts which select its own settings or more specific values,
+ * and merges sections with the same settings in the order they appear, so sections and keys
+ * can only be shadowed by later sections with the same settings.
+ * @static
+ * @method lint
+ * @param {array} contents The contents of the YCB file.
+ * @param {array} dimensions The dimensions definitions.
+ * @param {object} [options]
+ *   @param {string} [options.path] Full path to the file, given to each finding.
+ *   @param {string} [options.source] The text of the file, used to find line numbers.
+ *   @param {number} [options.time] Time against which schedules are checked, defaults to now.
+ * @return {array} List of findings, each an object with:
+ *   @return {string} return.rule The rule, such as `unknown-value`.
+ *   @return {string} return.severity Either `error`, `warning` or `info`.
+ *   @return {string} return.message Describes the problem.
+ *   @return {number} return.index Index of the section in the file.
+ *   @return {array} return.settings The settings of the section.
+ *   @return {string} [return.key] The key path, for findings about a single key.
+ *   @return {string} return.path Full path to the file.
+ *   @return {number} [return.line] The line of the section or key, if it was found.
+ */
+function lint(contents, dimensions, options) {
+    var lineages = libcontexts.lineage(dimensions),
+        findings = [],
+        offsets,
+        time;
+
+    options = options || {};
+    if (!Array.isArray(contents)) {
+        return findings;
+    }
+    time = options.time === undefined ? Date.now() : options.time;
+    offsets = sectionOffsets(contents, options.source);
+
+    function report(rule, index, settings, key, args) {
+        var finding = {
+            rule: rule,
+            severity: SEVERITIES[rule],
+            message: util.format.apply(util, [MESSAGES[rule]].concat(args)),
+            index: index,
+            settings: settings
+        };
+        if (key !== undefined) {
+            finding.key = key;
+        }
+        finding.path = options.path;
+        finding.line = findLine(options.source, offsets[index], key);
+        findings.push(finding);
+    }
+
+    contents.forEach(function (section, index) {
+        var settings = section && section.settings,
+            schedule,
+            text,
+            problems;
+        if (!settings) {
+            return;
+        }
+        if (!Array.isArray(settings)) {
+            schedule = settings.schedule;
+            settings = settings.dimensions;
+        }
+        text = JSON.stringify(settings);
+        if (!Array.isArray(settings) || !settings.length ||
+                (('master' === settings[0] || 'main' === settings[0]) && settings.length > 1)) {
+            return report('invalid-settings', index, settings, undefined, [text]);
+        }
+        problems = libdiff.settingsProblems(settings, lineages);
+        problems.forEach(function (problem) {
+            var args = [text];
+            if ('unknown-value' === problem.rule) {
+                args = [problem.value, problem.dimension, text];
+            } else if ('unknown-dimension' === problem.rule) {
+                args = [problem.dimension, text];
+            }
+            report(problem.rule, index, settings, undefined, args);
+        });
+        if (schedule !== undefined) {
+            if (!schedule || (schedule.start === undefined && schedule.end === undefined) ||
+                    (schedule.start !== undefined && isNaN(new Date(schedule.start))) ||
+                    (schedule.end !== undefined && isNaN(new Date(schedule.end)))) {
+                return report('invalid-schedule', index, settings, undefined, [JSON.stringify(schedule), text]);
+            }
+            if (schedule.end !== undefined && new Date(schedule.end).getTime() <= time) {
+                report('ended-schedule', index, settings, undefined, [text, new Date(schedule.end).toISOString()]);
+            }
+            // scheduled sections are merged by time, so they don't shadow each other
+            return;
+        }
+    });
+
+    libdiff.shadowing(contents, lineages).forEach(function (section) {
+        if (section.first !== undefined) {
+            report('duplicate-selector', section.index, section.settings, undefined,
+                [JSON.stringify(section.settings), section.first]);
+        }
+        if (section.shadowed) {
+            report('shadowed-section', section.index, section.settings, undefined, [
+                JSON.stringify(section.settings),
+                section.unread.map(function (u) {
+                    return u.by;
+                }).filter(function (by, i, all) {
+                    return all.indexOf(by) === i;
+                }).sort(function (a, b) {
+                    return a - b;
+                }).join(', ')
+            ]);
+        } else {
+            section.unread.forEach(function (u) {
+                report('unread-key', section.index, section.settings, u.path,
+                    [u.path, JSON.stringify(section.settings), u.by]);
+            });
+        }
+    });
+
+    findings.sort(function (a, b) {
+        return a.index - b.index;
+    });
+    return findings;
+}
+
+
+module.exports = {
+    lint: lint
+};
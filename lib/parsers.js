@@ -0,0 +1,109 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+"use strict";
+
+var libjson5 = require('json5'),
+    libyaml  = require('yamljs'),
+    libtoml  = require('toml'),
+    libhjson = require('hjson'),
+
+    PARSERS = {}; // extension: function (contents, path)
+
+
+/**
+ * The registry of parsers for the formats of config files.
+ * @module YcbConfigParsers
+ */
+
+
+/**
+ * Normalizes an extension, so that `json`, `.json` and `.JSON` are the same.
+ * @private
+ * @static
+ * @method normalize
+ * @param {string} ext The extension.
+ * @return {string} The extension, lowercased and with a leading dot.
+ */
+function normalize(ext) {
+    ext = String(ext).toLowerCase();
+    return '.' === ext.charAt(0) ? ext : '.' + ext;
+}
+
+
+/**
+ * Registers a parser for one or more file extensions, replacing any parser already
+ * registered for them.
+ * @static
+ * @method register
+ * @param {string|array} extensions The extension, such as `.ini`, or a list of them.
+ * @param {Function} parse Parses the text of a file.  It should throw if the text is malformed.
+ *   @param {string} parse.contents The text of the file.
+ *   @param {string} parse.path Full path of the file.
+ *   @param {mixed} parse.return The parsed contents.
+ * @return {undefined} Nothing appreciable is returned.
+ */
+function register(extensions, parse) {
+    if ('function' !== typeof parse) {
+        throw new TypeError('The parser must be a function');
+    }
+    [].concat(extensions).forEach(function (ext) {
+        PARSERS[normalize(ext)] = parse;
+    });
+}
+
+
+/**
+ * Finds the parser for a file extension.
+ * @static
+ * @method get
+ * @param {string} ext The extension, such as `.json`.
+ * @return {Function|undefined} The parser, if one is registered.
+ */
+function get(ext) {
+    var key = normalize(ext);
+    return PARSERS.hasOwnProperty(key) ? PARSERS[key] : undefined;
+}
+
+
+/**
+ * Lists the extensions that have a parser.
+ * @static
+ * @method extensions
+ * @return {array} The extensions, with leading dots.
+ */
+function extensions() {
+    return Object.keys(PARSERS);
+}
+
+
+register('.json', function (contents) {
+    return JSON.parse(contents);
+});
+register('.json5', function (contents) {
+    return libjson5.parse(contents);
+});
+register(['.yaml', '.yml'], function (contents) {
+    return libyaml.parse(contents);
+});
+register('.toml', function (contents) {
+    return libtoml.parse(contents);
+});
+register('.hjson', function (contents) {
+    return libhjson.parse(contents);
+});
+register('.js', function (contents, path) {
+    return require(path);
+});
+
+
+module.exports = {
+    register: register,
+    get: get,
+    extensions: extensions
+};
@@ -0,0 +1,430 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true, esversion:6 */
+"use strict";
+
+var ConfigAccessor = require('./accessor');
+
+
+/**
+ * The promise API of the config helper, available as `helper.promises`.
+ * @module YcbConfigPromises
+ */
+
+
+/**
+ * Creates the error used when an operation is aborted.
+ * @private
+ * @static
+ * @method abortError
+ * @param {AbortSignal} signal The signal that was aborted.
+ * @return {Error} The error.
+ */
+function abortError(signal) {
+    var error;
+    if (signal.reason !== undefined) {
+        return signal.reason;
+    }
+    error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+    error.code = 'ABORT_ERR';
+    return error;
+}
+
+
+/**
+ * Makes waiting on a promise abortable.
+ * Aborting rejects the returned promise but doesn't stop the work behind the given
+ * promise, which may be shared with other callers.
+ * @private
+ * @static
+ * @method abortable
+ * @param {Promise} promise The promise.
+ * @param {AbortSignal} [signal] The signal.
+ * @return {Promise} A promise settled like the given one, or rejected when the signal aborts.
+ */
+function abortable(promise, signal) {
+    if (!signal) {
+        return promise;
+    }
+    if (signal.aborted) {
+        return Promise.reject(abortError(signal));
+    }
+    return new Promise(function (resolve, reject) {
+        function onAbort() {
+            reject(abortError(signal));
+        }
+        signal.addEventListener('abort', onAbort);
+        promise.then(function (value) {
+            signal.removeEventListener('abort', onAbort);
+            resolve(value);
+        }, function (err) {
+            signal.removeEventListener('abort', onAbort);
+            reject(err);
+        });
+    });
+}
+
+
+/**
+ * The promise versions of the methods of the config helper.
+ * Each method takes an optional last `options` argument, whose `signal` is an `AbortSignal`
+ * which rejects the returned promise with an `AbortError` when aborted.
+ * `addConfig()`, the reads and `readDimensions()` read the files they need with `fs.promises`,
+ * and aborting stops the reading.  The other methods are built on the callback API, so aborting
+ * only stops waiting for them.
+ * @class ConfigPromises
+ * @constructor
+ * @param {Config} config The config helper.
+ */
+function ConfigPromises(config) {
+    this._config = config;
+}
+ConfigPromises.prototype = {
+
+    /**
+     * Registers a configuration file, reading it with `fs.promises`.  As with `helper.addConfig()`,
+     * contents already registered for the path are used instead of reading the file.
+     * @method addConfig
+     * @async
+     * @param {string} bundleName Name of the bundle to which this config file belongs.
+     * @param {string} configName Name of the config file.
+     * @param {string} fullPath Full filesystem path to the config file.
+     * @param {object} [options]
+     *   @param {AbortSignal} [options.signal] Aborts reading the file.
+     * @return {Promise} The contents of the config file, as a JavaScript object.
+     */
+    addConfig: function (bundleName, configName, fullPath, options) {
+        var self = this;
+        return self._readConfigContents(fullPath, options && options.signal).then(function (contents) {
+            return self.addConfigContents(bundleName, configName, fullPath, contents);
+        });
+    },
+
+
+    /**
+     * Registers the contents of a configuration file.
+     * Unlike `helper.addConfigContents()`, contents which fail to parse reject the promise.
+     * @method addConfigContents
+     * @async
+     * @param {string} bundleName Name of the bundle to which this config file belongs.
+     * @param {string} configName Name of the config file.
+     * @param {string} fullPath Full filesystem path to the config file.
+     * @param {string|object} contents The contents of the config file.
+     * @return {Promise} The parsed contents.
+     */
+    addConfigContents: function (bundleName, configName, fullPath, contents) {
+        var config = this._config;
+        return new Promise(function (resolve, reject) {
+            contents = config._parseConfigContents(fullPath, contents);
+            if (contents instanceof Error) {
+                return reject(contents);
+            }
+            config.addConfigContents(bundleName, configName, fullPath, contents);
+            resolve(contents);
+        });
+    },
+
+
+    /**
+     * Registers every configuration file in a directory tree.
+     * See `helper.addConfigDirectory()`.
+     * @method addConfigDirectory
+     * @async
+     * @param {string} root Full path to the directory.
+     * @param {object} [options] The options of `helper.addConfigDirectory()`, and:
+     *   @param {AbortSignal} [options.signal] Stops waiting for the scan.
+     * @return {Promise} The manifest of added and skipped files.
+     */
+    addConfigDirectory: function (root, options) {
+        return this._call('addConfigDirectory', [root, options || {}], options);
+    },
+
+
+    /**
+     * Unregisters a configuration file.
+     * @method deleteConfig
+     * @async
+     * @param {string} bundleName Name of the bundle to which this config file belongs.
+     * @param {string} configName Name of the config file.
+     * @param {string} fullPath Full filesystem path to the config file.
+     * @return {Promise} Resolved once the config is unregistered.
+     */
+    deleteConfig: function (bundleName, configName, fullPath) {
+        var config = this._config;
+        return new Promise(function (resolve) {
+            config.deleteConfig(bundleName, configName, fullPath);
+            resolve();
+        });
+    },
+
+
+    /**
+     * Reads the merged config.  See `helper.read()`.
+     * @method read
+     * @async
+     * @param {string} bundleName The bundle in which to find the configuration file.
+     * @param {string} configName Which configuration to read.
+     * @param {object} [context] The runtime context.
+     * @param {object} [options]
+     *   @param {AbortSignal} [options.signal] Aborts reading the files, or stops waiting for the read.
+     * @return {Promise} The merged configuration object.
+     */
+    read: function (bundleName, configName, context, options) {
+        var config = this._config,
+            signal = options && options.signal;
+        return this._getYCB(bundleName, configName, signal).then(function (found) {
+            return abortable(new Promise(function (resolve, reject) {
+                config._readMerged(bundleName, configName, context, found.groupId, found.ycb, function (err, value) {
+                    return err ? reject(err) : resolve(value);
+                });
+            }), signal);
+        });
+    },
+
+
+    /**
+     * Reads the sections of the config appropriate to the context.  See `helper.readNoMerge()`.
+     * @method readNoMerge
+     * @async
+     * @param {string} bundleName The bundle in which to find the configuration file.
+     * @param {string} configName Which configuration to read.
+     * @param {object} [context] The runtime context.
+     * @param {object} [options]
+     *   @param {AbortSignal} [options.signal] Aborts reading the files, or stops waiting for the read.
+     * @return {Promise} The prioritized sections of the configuration file.
+     */
+    readNoMerge: function (bundleName, configName, context, options) {
+        var config = this._config,
+            signal = options && options.signal;
+        return this._getYCB(bundleName, configName, signal).then(function (found) {
+            return abortable(new Promise(function (resolve, reject) {
+                config._readUnmerged(bundleName, configName, context, found.groupId, found.ycb, function (err, value) {
+                    return err ? reject(err) : resolve(value);
+                });
+            }), signal);
+        });
+    },
+
+
+    /**
+     * Reads the merged config and wraps it with typed getters.  See `helper.readAccessor()`.
+     * @method readAccessor
+     * @async
+     * @param {string} bundleName The bundle in which to find the configuration file.
+     * @param {string} configName Which configuration to read.
+     * @param {object} [context] The runtime context.
+     * @param {object} [options]
+     *   @param {AbortSignal} [options.signal] Aborts reading the files, or stops waiting for the read.
+     * @return {Promise} The accessor of the merged configuration object.
+     */
+    readAccessor: function (bundleName, configName, context, options) {
+        return this.read(bundleName, configName, context, options).then(function (config) {
+            return new ConfigAccessor(config, {bundleName: bundleName, configName: configName, context: context});
+        });
+    },
+
+
+    /**
+     * Reads the sections of the config and wraps them with typed getters.  See `helper.readNoMergeAccessor()`.
+     * @method readNoMergeAccessor
+     * @async
+     * @param {string} bundleName The bundle in which to find the configuration file.
+     * @param {string} configName Which configuration to read.
+     * @param {object} [context] The runtime context.
+     * @param {object} [options]
+     *   @param {AbortSignal} [options.signal] Aborts reading the files, or stops waiting for the read.
+     * @return {Promise} The accessor of the prioritized sections.
+     */
+    readNoMergeAccessor: function (bundleName, configName, context, options) {
+        return this.readNoMerge(bundleName, configName, context, options).then(function (sections) {
+            return new ConfigAccessor(sections, {bundleName: bundleName, configName: configName, context: context});
+        });
+    },
+
+
+    /**
+     * Reads the merged config and explains where each value came from.  See `helper.readExplain()`.
+     * @method readExplain
+     * @async
+     * @param {string} bundleName The bundle in which to find the configuration file.
+     * @param {string} configName Which configuration to read.
+     * @param {object} [context] The runtime context.
+     * @param {object} [options]
+     *   @param {AbortSignal} [options.signal] Stops waiting for the read.
+     * @return {Promise} The `{config, sources, overridden}` explanation.
+     */
+    readExplain: function (bundleName, configName, context, options) {
+        return this._call('readExplain', [bundleName, configName, context], options);
+    },
+
+
+    /**
+     * Reads the config in every context it can distinguish.  See `helper.readAllContexts()`.
+     * @method readAllContexts
+     * @async
+     * @param {string} bundleName The bundle in which to find the configuration file.
+     * @param {string} configName Which configuration to read.
+     * @param {object} [options] The options of `helper.readAllContexts()`, and:
+     *   @param {AbortSignal} [options.signal] Stops waiting for the reads.
+     * @return {Promise} List of `{context, config}` objects.
+     */
+    readAllContexts: function (bundleName, configName, options) {
+        return this._call('readAllContexts', [bundleName, configName, options || {}], options);
+    },
+
+
+    /**
+     * Precompiles the config for edge deployment.  See `helper.compile()`.
+     * @method compile
+     * @async
+     * @param {string} bundleName The bundle in which to find the configuration file.
+     * @param {string} configName Which configuration to read.
+     * @param {object} [options] The options of `helper.compile()`, and:
+     *   @param {AbortSignal} [options.signal] Stops waiting for the compilation.
+     * @return {Promise} The compiled configs, to be given to `lib/reader.js`.
+     */
+    compile: function (bundleName, configName, options) {
+        return this._call('compile', [bundleName, configName, options || {}], options);
+    },
+
+
+    /**
+     * Checks a YCB file against the dimensions.  See `helper.lint()`.
+     * @method lint
+     * @async
+     * @param {string} bundleName The bundle in which to find the configuration file.
+     * @param {string} configName Which configuration to check.
+     * @param {object} [options] The options of `helper.lint()`, and:
+     *   @param {AbortSignal} [options.signal] Stops waiting for the checks.
+     * @return {Promise} The findings.
+     */
+    lint: function (bundleName, configName, options) {
+        return this._call('lint', [bundleName, configName, options || {}], options);
+    },
+
+
+    /**
+     * Generates TypeScript declarations for the registered configs.  See `helper.generateTypes()`.
+     * @method generateTypes
+     * @async
+     * @param {object} [options]
+     *   @param {AbortSignal} [options.signal] Stops waiting for the declarations.
+     * @return {Promise} The contents of the `.d.ts` file.
+     */
+    generateTypes: function (options) {
+        return this._call('generateTypes', [], options);
+    },
+
+
+    /**
+     * Reads the dimensions.  See `helper.readDimensions()`.
+     * @method readDimensions
+     * @async
+     * @param {object} [options]
+     *   @param {AbortSignal} [options.signal] Aborts reading the dimensions file.
+     * @return {Promise} The dimensions.
+     */
+    readDimensions: function (options) {
+        var config = this._config,
+            signal = options && options.signal;
+        return abortable(new Promise(function (resolve, reject) {
+            config._loadDimensions(false, function (err, dimensions) {
+                return err ? reject(err) : resolve(dimensions);
+            }, {signal: signal});
+        }), signal);
+    },
+
+
+    /**
+     * Validates every config which has a schema in every context.  See `helper.validateAll()`.
+     * @method validateAll
+     * @async
+     * @param {object} [options]
+     *   @param {AbortSignal} [options.signal] Stops waiting for the validation.
+     * @return {Promise} List of `{bundleName, configName, context, errors}` failures.
+     */
+    validateAll: function (options) {
+        return this._call('validateAll', [], options);
+    },
+
+
+    /**
+     * Writes a snapshot of the registered configs.  See `helper.snapshot()`.
+     * @method snapshot
+     * @async
+     * @param {string} file Full filesystem path of the snapshot file to write.
+     * @param {object} [options]
+     *   @param {AbortSignal} [options.signal] Stops waiting for the snapshot.
+     * @return {Promise} The hash of the snapshot.
+     */
+    snapshot: function (file, options) {
+        return this._call('snapshot', [file], options);
+    },
+
+
+    /**
+     * Calls a callback-based method of the config helper.
+     * @private
+     * @method _call
+     * @param {string} method Name of the method.
+     * @param {array} args The arguments, without the callback.
+     * @param {object} [options] Options with the `signal`.
+     * @return {Promise} The value given to the callback.
+     */
+    _call: function (method, args, options) {
+        var config = this._config;
+        return abortable(new Promise(function (resolve, reject) {
+            config[method].apply(config, args.concat(function (err, value) {
+                return err ? reject(err) : resolve(value);
+            }));
+        }), options && options.signal);
+    },
+
+
+    /**
+     * Provides the YCB object of a config.
+     * Without a signal, concurrent calls share a single build with each other and with the callback API.
+     * @private
+     * @method _getYCB
+     * @param {string} bundleName The bundle in which to find the configuration file.
+     * @param {string} configName Which configuration to read.
+     * @param {AbortSignal} [signal] Aborts reading the files of the build.
+     * @return {Promise} The `{groupId, ycb}` of the config.
+     */
+    _getYCB: function (bundleName, configName, signal) {
+        var config = this._config;
+        return abortable(new Promise(function (resolve, reject) {
+            config._getYCB(bundleName, configName, function (err, groupId, ycb) {
+                return err ? reject(err) : resolve({groupId: groupId, ycb: ycb});
+            }, false, {signal: signal});
+        }), signal);
+    },
+
+
+    /**
+     * Provides the contents of a config file, either those already registered for the path,
+     * or those read from the file with `fs.promises`.
+     * @private
+     * @method _readConfigContents
+     * @param {string} path Full path to the file.
+     * @param {AbortSignal} [signal] Aborts reading the file.
+     * @return {Promise} The parsed contents.
+     */
+    _readConfigContents: function (path, signal) {
+        var config = this._config;
+        return abortable(new Promise(function (resolve, reject) {
+            config._readConfigContents(path, function (err, contents) {
+                return err ? reject(err) : resolve(contents);
+            }, {signal: signal});
+        }), signal);
+    }
+};
+
+
+module.exports = ConfigPromises;
@@ -0,0 +1,115 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+"use strict";
+
+// This file must not require anything, so that it can be copied as is into
+// environments which can't run ycb, such as CDN edge workers.
+
+var VERSION = 1;
+
+
+/**
+ * Reads the precompiled configs made by `helper.compile()`, without ycb.
+ * @module YcbConfigReader
+ */
+
+
+/**
+ * Computes the key of a context, the same way as the `getCacheKey()` of the YCB object the
+ * artifact was compiled from.  Values which aren't in the dimensions, or which no section uses,
+ * fall back to their closest used ancestor, or to the default if there is none.
+ * @static
+ * @method getCacheKey
+ * @param {object} artifact The artifact made by `helper.compile()`.
+ * @param {object} [context] The runtime context.
+ * @return {string} The key.
+ */
+function getCacheKey(artifact, context) {
+    var key = [],
+        base = artifact.baseContext || {},
+        name;
+    context = context || {};
+    artifact.dimensions.forEach(function (dimension) {
+        var values = dimension[1],
+            value;
+        name = dimension[0];
+        // the helper copies the context as JSON before merging the base context, which drops undefined values
+        value = context.hasOwnProperty(name) && context[name] !== undefined ? context[name] : base[name];
+        if (Array.isArray(value)) {
+            value = value.filter(function (v) {
+                return values.hasOwnProperty(v);
+            }).map(function (v) {
+                return values[v];
+            });
+            key.push(value.length ? value : 0);
+        } else {
+            key.push(value !== undefined && values.hasOwnProperty(value) ? values[value] : 0);
+        }
+    });
+    return JSON.stringify(key);
+}
+
+
+/**
+ * Replaces the lists of values of a context by their first value which some section uses,
+ * since only single values are compiled.  Lists without such a value are kept, and read the default.
+ * @private
+ * @static
+ * @method firstUsedValues
+ * @param {object} artifact The artifact made by `helper.compile()`.
+ * @param {object} [context] The runtime context.
+ * @return {object} The context, with single values.
+ */
+function firstUsedValues(artifact, context) {
+    var resolved = {};
+    context = context || {};
+    Object.keys(context).forEach(function (name) {
+        resolved[name] = context[name];
+    });
+    artifact.dimensions.forEach(function (dimension) {
+        var value = resolved[dimension[0]];
+        if (Array.isArray(value)) {
+            value = value.filter(function (v) {
+                return dimension[1].hasOwnProperty(v);
+            });
+            if (value.length) {
+                resolved[dimension[0]] = value[0];
+            }
+        }
+    });
+    return resolved;
+}
+
+
+/**
+ * Finds the merged config for a context, as `helper.read()` would return it.
+ * A list of values for a dimension reads the first of them which some section uses.
+ * The returned object is shared between reads, so it must not be modified.
+ * @static
+ * @method read
+ * @param {object} artifact The artifact made by `helper.compile()`.
+ * @param {object} [context] The runtime context.
+ * @return {object|undefined} The merged config, or undefined if the context wasn't compiled.
+ * @throws {Error} If the artifact was made by an unsupported version.
+ */
+function read(artifact, context) {
+    var index;
+    if (artifact.version !== VERSION) {
+        throw new Error('Unsupported version ' + artifact.version + ' of compiled configs, expected version ' + VERSION);
+    }
+    index = artifact.keys[getCacheKey(artifact, firstUsedValues(artifact, context))];
+    return index === undefined ? undefined : artifact.configs[index];
+}
+
+
+module.exports = {
+    VERSION: VERSION,
+    getCacheKey: getCacheKey,
+    read: read
+};
@@ -0,0 +1,249 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+"use strict";
+
+var libcache = require('./cache'),
+
+    MAX_DELAY = 2147483647, // longer timeouts fire right away
+    NEXT_SUFFIX = ':next'; // suffix of the cache keys of the versions computed ahead of time
+
+
+/**
+ * Stale-while-revalidate for the time aware reads of the cache.
+ * @module YcbConfigRevalidate
+ */
+
+
+/**
+ * Keeps the time aware reads of a cache fresh, so that reads don't pay for merging a config again
+ * once its cached version expires.
+ *
+ * Each read is given to the methods below with the function which computes it, as
+ * `compute(time, callback)` where the callback takes the error, the value, the time at which it
+ * expires and its TTL, if any.  When a cached read is about to expire, its next version is computed
+ * ahead of time.  For a YCB object, a read expires at the next start or end of the intervals of the
+ * sections which apply to its context, so only the next boundary of the contexts which were read is
+ * computed ahead: sections of other contexts, and later boundaries, are left to the reads.
+ * The versions computed ahead are kept in the cache, under the key of the read followed by `:next`,
+ * so that they count towards its limits.
+ * When a read finds an expired entry which wasn't computed ahead, such as one which expired while
+ * the process was busy, the entry is served while it is computed again in the background.
+ * Both need the `getStale()` method of the cache.
+ * @class ConfigRevalidator
+ * @constructor
+ * @param {object} cache The cache of reads.
+ * @param {object} options
+ *   @param {number} options.maxStale How long after it expired an entry can be served, in the time of the context.
+ *   @param {number} options.prewarm How long before an entry expires its next version is computed,
+ *     in milliseconds.  0 to only refresh entries once they are read.
+ * @param {Function} isCurrent Tells whether a group id is still the one of its config.
+ */
+function ConfigRevalidator(cache, options, isCurrent) {
+    this._cache = cache;
+    this._maxStale = options.maxStale;
+    this._prewarm = options.prewarm;
+    this._isCurrent = isCurrent;
+    this._refreshing = {}; // key: immediate of the refresh of an entry served expired
+    this._timers = {}; // time of the pre-warm: {timer, reads: {key: {groupId, compute}}}
+    this._closed = false;
+}
+ConfigRevalidator.prototype = {
+
+    /**
+     * Gets a read which the cache didn't return, either from the versions computed ahead of time, or
+     * an expired entry of the cache, whose refresh is then scheduled.
+     * @method get
+     * @param {string} key The cache key.
+     * @param {number} now The time of the read.
+     * @param {number} groupId Id of the config's cache group.
+     * @param {Function} compute Computes the read at a given time.
+     * @return {mixed} The read, or `undefined` if it must be computed right away.
+     */
+    get: function (key, now, groupId, compute) {
+        var next,
+            entry;
+        if (this._closed || !this._cache.getStale) {
+            return undefined;
+        }
+        next = this._cache.getStale(key + NEXT_SUFFIX, groupId);
+        if (next !== undefined && now >= next.setAt && now < next.expiresAt) {
+            this.set(key, next.value.value, next.setAt, next.expiresAt, groupId, next.value.ttl, compute);
+            return next.value.value;
+        }
+        entry = this._cache.getStale(key, groupId);
+        if (entry !== undefined && now >= entry.expiresAt && now < entry.expiresAt + this._maxStale) {
+            this._refresh(key, now, groupId, compute);
+            return entry.value;
+        }
+        return undefined;
+    },
+
+
+    /**
+     * Caches a read, and schedules the computation of its next version.  Reads with secrets aren't
+     * given to caches shared between processes, so they aren't computed ahead either.
+     * @method set
+     * @param {string} key The cache key.
+     * @param {mixed} value The read.
+     * @param {number} now The time of the read.
+     * @param {number} expiresAt The time at which the read expires.
+     * @param {number} groupId Id of the config's cache group.
+     * @param {number} [ttl] Milliseconds after which the read is stale, regardless of its group.
+     * @param {Function} compute Computes the read at a given time.
+     * @return {undefined} Nothing appreciable is returned.
+     */
+    set: function (key, value, now, expiresAt, groupId, ttl, compute) {
+        if (!libcache.isStorable(this._cache, ttl)) {
+            return;
+        }
+        this._cache.setTimeAware(key, value, now, expiresAt, groupId, ttl);
+        this._schedule(key, expiresAt, groupId, compute);
+    },
+
+
+    /**
+     * Stops computing the reads of a replaced config ahead of time.  Their versions computed ahead
+     * are in the cache, which purges them with the rest of the group.
+     * @method purgeGroup
+     * @param {number} groupId Id of the group.
+     * @return {undefined} Nothing appreciable is returned.
+     */
+    purgeGroup: function (groupId) {
+        var self = this;
+        Object.keys(self._timers).forEach(function (at) {
+            var slot = self._timers[at];
+            Object.keys(slot.reads).forEach(function (key) {
+                if (slot.reads[key].groupId === groupId) {
+                    delete slot.reads[key];
+                }
+            });
+            if (!Object.keys(slot.reads).length) {
+                clearTimeout(slot.timer);
+                delete self._timers[at];
+            }
+        });
+    },
+
+
+    /**
+     * Stops computing reads ahead of time and in the background.  Reads which are being computed
+     * are dropped, and expired entries are no longer served.
+     * @method close
+     * @return {undefined} Nothing appreciable is returned.
+     */
+    close: function () {
+        var self = this;
+        self._closed = true;
+        Object.keys(self._timers).forEach(function (at) {
+            clearTimeout(self._timers[at].timer);
+        });
+        Object.keys(self._refreshing).forEach(function (key) {
+            clearImmediate(self._refreshing[key]);
+        });
+        self._timers = {};
+        self._refreshing = {};
+    },
+
+
+    /**
+     * Schedules the computation of the next version of a read, shortly before it expires.
+     * Reads which expire at the same time share a timer.  Reads of times which have passed, or which
+     * are too far ahead for a timer, aren't computed ahead.
+     * @private
+     * @method _schedule
+     * @param {string} key The cache key.
+     * @param {number} expiresAt The time at which the read expires.
+     * @param {number} groupId Id of the config's cache group.
+     * @param {Function} compute Computes the read at a given time.
+     * @return {undefined} Nothing appreciable is returned.
+     */
+    _schedule: function (key, expiresAt, groupId, compute) {
+        var self = this,
+            at = expiresAt - self._prewarm,
+            delay = Math.max(0, at - Date.now()),
+            slot = self._timers[at];
+        if (self._closed || !self._prewarm || !self._cache.getStale || expiresAt <= Date.now() || delay > MAX_DELAY) {
+            return;
+        }
+        if (!slot) {
+            slot = self._timers[at] = {reads: {}};
+            slot.timer = setTimeout(function () {
+                delete self._timers[at];
+                Object.keys(slot.reads).forEach(function (key) {
+                    self._prewarmRead(key, expiresAt, slot.reads[key].groupId, slot.reads[key].compute);
+                });
+            }, delay);
+            if (slot.timer.unref) {
+                slot.timer.unref();
+            }
+        }
+        slot.reads[key] = {groupId: groupId, compute: compute};
+    },
+
+
+    /**
+     * Computes the next version of a read, which replaces the cached one once it expires.
+     * @private
+     * @method _prewarmRead
+     * @param {string} key The cache key.
+     * @param {number} time The time at which the cached read expires.
+     * @param {number} groupId Id of the config's cache group.
+     * @param {Function} compute Computes the read at a given time.
+     * @return {undefined} Nothing appreciable is returned.
+     */
+    _prewarmRead: function (key, time, groupId, compute) {
+        var self = this;
+        if (self._closed || !self._isCurrent(groupId)) {
+            return;
+        }
+        // failures, thrown or not, are left to the read which needs the next version
+        try {
+            compute(time, function (err, value, expiresAt, ttl) {
+                if (!err && !self._closed && self._isCurrent(groupId) && libcache.isStorable(self._cache, ttl)) {
+                    self._cache.setTimeAware(key + NEXT_SUFFIX, {value: value, ttl: ttl}, time, expiresAt, groupId, ttl);
+                }
+            });
+        } catch (ignore) {
+        }
+    },
+
+
+    /**
+     * Computes an expired read again in the background, once at a time for each key.
+     * @private
+     * @method _refresh
+     * @param {string} key The cache key.
+     * @param {number} now The time of the read which found the expired entry.
+     * @param {number} groupId Id of the config's cache group.
+     * @param {Function} compute Computes the read at a given time.
+     * @return {undefined} Nothing appreciable is returned.
+     */
+    _refresh: function (key, now, groupId, compute) {
+        var self = this;
+        if (self._refreshing[key]) {
+            return;
+        }
+        self._refreshing[key] = setImmediate(function () {
+            // on failure the expired entry is served until maxStale passes, then reads fail as usual
+            try {
+                compute(now, function (err, value, expiresAt, ttl) {
+                    delete self._refreshing[key];
+                    if (!err && !self._closed && self._isCurrent(groupId)) {
+                        self.set(key, value, now, expiresAt, groupId, ttl, compute);
+                    }
+                });
+            } catch (e) {
+                delete self._refreshing[key];
+            }
+        });
+    }
+};
+
+
+module.exports = ConfigRevalidator;
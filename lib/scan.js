@@ -0,0 +1,253 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+"use strict";
+
+var libfs   = require('fs'),
+    libpath = require('path');
+
+
+/**
+ * Helpers for discovering configuration files on the filesystem.
+ * @module YcbConfigScan
+ */
+
+
+/**
+ * Converts a glob pattern into a regular expression.
+ * Supports `**` (any number of path segments), `*` (anything but a slash),
+ * `?` (a single character other than a slash) and `{a,b}` alternatives.
+ * Patterns are matched against `/`-separated paths relative to the scanned root.
+ * @static
+ * @method globToRegExp
+ * @param {string} glob The glob pattern.
+ * @return {RegExp} The equivalent regular expression.
+ */
+function globToRegExp(glob) {
+    var re = '',
+        inGroup = false,
+        i,
+        c;
+    for (i = 0; i < glob.length; i += 1) {
+        c = glob.charAt(i);
+        if ('*' === c) {
+            if ('*' === glob.charAt(i + 1)) {
+                i += 1;
+                if ('/' === glob.charAt(i + 1)) {
+                    // "**/" matches zero or more directories
+                    i += 1;
+                    re += '(?:.*/)?';
+                } else {
+                    re += '.*';
+                }
+            } else {
+                re += '[^/]*';
+            }
+        } else if ('?' === c) {
+            re += '[^/]';
+        } else if ('{' === c) {
+            inGroup = true;
+            re += '(?:';
+        } else if ('}' === c && inGroup) {
+            inGroup = false;
+            re += ')';
+        } else if (',' === c && inGroup) {
+            re += '|';
+        } else if ('\\^$+.()|[]{}'.indexOf(c) !== -1) {
+            re += '\\' + c;
+        } else {
+            re += c;
+        }
+    }
+    return new RegExp('^' + re + '$');
+}
+
+
+/**
+ * Tests a relative path against a list of glob patterns.
+ * @static
+ * @method matchesAny
+ * @param {string} relPath `/`-separated path relative to the scanned root.
+ * @param {array} patterns List of glob patterns (strings or RegExps).
+ * @return {boolean} Whether any of the patterns matched.
+ */
+function matchesAny(relPath, patterns) {
+    var p;
+    for (p = 0; p < patterns.length; p += 1) {
+        if (patterns[p].test(relPath)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+
+/**
+ * Tests whether a directory, and so everything under it, is excluded.  That is when
+ * a pattern matches any path under it, which is probed with segments no real path has.
+ * @private
+ * @static
+ * @method excludesAll
+ * @param {string} relDir `/`-separated path of the directory relative to the scanned root.
+ * @param {array} patterns List of glob patterns (RegExps).
+ * @return {boolean} Whether every path under the directory is excluded.
+ */
+function excludesAll(relDir, patterns) {
+    return matchesAny(relDir + '/\u0000/\u0000', patterns);
+}
+
+
+/**
+ * Reads the `name` out of the package.json file in a directory, if any.
+ * @private
+ * @static
+ * @method readPackageName
+ * @param {string} dir Full path to the directory.
+ * @param {Function} callback
+ *   @param {string|undefined} callback.name The package name, if one was found.
+ */
+function readPackageName(dir, callback) {
+    libfs.readFile(libpath.join(dir, 'package.json'), 'utf8', function (err, body) {
+        var pkg;
+        if (err) {
+            return callback();
+        }
+        try {
+            pkg = JSON.parse(body);
+        } catch (e) {
+            return callback();
+        }
+        callback(pkg && 'string' === typeof pkg.name ? pkg.name : undefined);
+    });
+}
+
+
+/**
+ * Walks a directory tree and lists every file in it, along with the name of the
+ * bundle the file belongs to.  The bundle of a file is the `name` from the closest
+ * package.json at or above the file's directory (but not above `root`).
+ * Directories starting with a dot, and directories whose every path is excluded, are not
+ * descended into.  Symbolic links are followed, but each directory is only walked once,
+ * so that links to a parent don't loop forever.  Entries which can't be looked at are
+ * skipped, and only a `root` which can't be read fails the walk.
+ * Files are reported in a stable, sorted order.
+ * @static
+ * @method walk
+ * @async
+ * @param {string} root Full path to the directory to walk.
+ * @param {string} defaultBundle Bundle name to use for files not under any package.json.
+ * @param {array} [exclude] Glob patterns (RegExps), relative to `root`, of the paths to skip.
+ *   Files which match are still listed, but excluded directories are skipped.
+ * @param {Function} callback
+ *   @param {Error|null} callback.err If an error occurred, then this parameter will
+ *   contain the error. If the operation succeeded, then `err` will be null.
+ *   @param {array} callback.files List of `{path, relPath, bundleName}` objects.
+ *   @param {array} callback.skipped List of `{path, reason}` objects for the skipped entries.
+ */
+function walk(root, defaultBundle, exclude, callback) {
+    var files = [],
+        skipped = [],
+        visited = {}; // real path of each directory walked
+
+    if ('function' === typeof exclude) {
+        callback = exclude;
+        exclude = [];
+    }
+    exclude = exclude || [];
+
+    // records an entry below the root which can't be walked, instead of failing
+    function skip(dir, done) {
+        return function (err) {
+            if (err && dir !== root) {
+                skipped.push({path: dir, reason: err.message});
+                return done(null);
+            }
+            done(err);
+        };
+    }
+
+    function walkDir(dir, relDir, bundleName, done) {
+        done = skip(dir, done);
+        libfs.realpath(dir, function (err, realPath) {
+            if (err) {
+                return done(err);
+            }
+            if (visited[realPath]) {
+                return done(null);
+            }
+            visited[realPath] = true;
+            walkFiles(dir, relDir, bundleName, done);
+        });
+    }
+
+    function walkFiles(dir, relDir, bundleName, done) {
+        readPackageName(dir, function (name) {
+            bundleName = name || bundleName;
+            libfs.readdir(dir, function (err, entries) {
+                if (err) {
+                    return done(err);
+                }
+                entries.sort();
+                (function next(i) {
+                    var entry,
+                        path,
+                        relPath;
+                    if (i >= entries.length) {
+                        return done(null);
+                    }
+                    entry = entries[i];
+                    path = libpath.join(dir, entry);
+                    relPath = relDir ? relDir + '/' + entry : entry;
+                    libfs.stat(path, function (err, stat) {
+                        if (err) {
+                            skipped.push({path: path, reason: err.message});
+                            return next(i + 1);
+                        }
+                        if (stat.isDirectory()) {
+                            if ('.' === entry.charAt(0)) {
+                                return next(i + 1);
+                            }
+                            if (excludesAll(relPath, exclude)) {
+                                skipped.push({path: path, reason: 'excluded'});
+                                return next(i + 1);
+                            }
+                            return walkDir(path, relPath, bundleName, function (err) {
+                                if (err) {
+                                    return done(err);
+                                }
+                                next(i + 1);
+                            });
+                        }
+                        if (stat.isFile()) {
+                            files.push({
+                                path: path,
+                                relPath: relPath,
+                                bundleName: bundleName
+                            });
+                        }
+                        next(i + 1);
+                    });
+                }(0));
+            });
+        });
+    }
+
+    walkDir(root, '', defaultBundle, function (err) {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, files, skipped);
+    });
+}
+
+
+module.exports = {
+    globToRegExp: globToRegExp,
+    matchesAny: matchesAny,
+    walk: walk
+};
@@ -0,0 +1,359 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+"use strict";
+
+var util = require('util'),
+
+    MESSAGES = {
+        'remote ref': 'Unsupported $ref "%s", only local references ("#/...") are allowed',
+        'missing ref': 'Unresolvable $ref "%s"',
+        'type': 'should be %s',
+        'enum': 'should be one of %s',
+        'const': 'should be %s',
+        'required': 'should have required property "%s"',
+        'additional': 'should not have additional property "%s"',
+        'minimum': 'should be >= %s',
+        'maximum': 'should be <= %s',
+        'exclusiveMinimum': 'should be > %s',
+        'exclusiveMaximum': 'should be < %s',
+        'multipleOf': 'should be a multiple of %s',
+        'minLength': 'should not be shorter than %s characters',
+        'maxLength': 'should not be longer than %s characters',
+        'pattern': 'should match pattern "%s"',
+        'minItems': 'should not have fewer than %s items',
+        'maxItems': 'should not have more than %s items',
+        'uniqueItems': 'should not have duplicate items',
+        'minProperties': 'should not have fewer than %s properties',
+        'maxProperties': 'should not have more than %s properties',
+        'anyOf': 'should match some schema in anyOf',
+        'oneOf': 'should match exactly one schema in oneOf',
+        'not': 'should not match the schema in not'
+    };
+
+
+/**
+ * A small JSON Schema validator, supporting the commonly used keywords of draft-07.
+ * It never fetches anything: only local `$ref`s (such as `#/definitions/foo`) are supported.
+ * @module YcbConfigSchema
+ */
+
+
+/**
+ * Determines the JSON Schema type of a value.
+ * @private
+ * @static
+ * @method typeOf
+ * @param {mixed} value The value.
+ * @return {string} The type.
+ */
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return typeof value;
+}
+
+
+/**
+ * Whether a value is of the given JSON Schema type.
+ * @private
+ * @static
+ * @method isType
+ * @param {mixed} value The value.
+ * @param {string} type The JSON Schema type.
+ * @return {boolean}
+ */
+function isType(value, type) {
+    if ('integer' === type) {
+        return 'number' === typeof value && value % 1 === 0;
+    }
+    return typeOf(value) === type;
+}
+
+
+/**
+ * Whether two JSON values are equal.
+ * @private
+ * @static
+ * @method equal
+ * @param {mixed} a
+ * @param {mixed} b
+ * @return {boolean}
+ */
+function equal(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+
+/**
+ * Resolves a local JSON pointer, such as `#/definitions/foo`, against the root schema.
+ * @private
+ * @static
+ * @method resolveRef
+ * @param {object} root The root schema.
+ * @param {string} ref The reference.
+ * @return {object|undefined} The referenced schema.
+ */
+function resolveRef(root, ref) {
+    var parts,
+        cur = root,
+        i;
+    if ('#' === ref) {
+        return root;
+    }
+    parts = ref.slice(2).split('/');
+    for (i = 0; i < parts.length; i += 1) {
+        if (!cur || 'object' !== typeof cur) {
+            return undefined;
+        }
+        cur = cur[decodeURIComponent(parts[i]).replace(/~1/g, '/').replace(/~0/g, '~')];
+    }
+    return cur;
+}
+
+
+/**
+ * Checks that a schema can be used, throwing if it can't.
+ * Currently this means that all `$ref`s must be local and resolvable.
+ * @static
+ * @method check
+ * @param {object} schema The schema.
+ * @param {object} [root] The root schema, used when recursing.
+ * @return {undefined} Nothing appreciable is returned.
+ */
+function check(schema, root) {
+    var key;
+    root = root || schema;
+    if (!schema || 'object' !== typeof schema) {
+        return;
+    }
+    if ('string' === typeof schema.$ref) {
+        if ('#' !== schema.$ref.charAt(0)) {
+            throw new Error(util.format(MESSAGES['remote ref'], schema.$ref));
+        }
+        if (resolveRef(root, schema.$ref) === undefined) {
+            throw new Error(util.format(MESSAGES['missing ref'], schema.$ref));
+        }
+    }
+    for (key in schema) {
+        if (schema.hasOwnProperty(key) && 'enum' !== key && 'const' !== key) {
+            check(schema[key], root);
+        }
+    }
+}
+
+
+/**
+ * Validates a value against a schema.
+ * @static
+ * @method validate
+ * @param {object} schema The schema.
+ * @param {mixed} value The value to validate.
+ * @return {array} List of `{path, message}` errors, which is empty if the value is valid.
+ *   The `path` is a dotted path to the invalid value (empty for the value itself).
+ */
+function validate(schema, value) {
+    var errors = [];
+
+    function fail(path, message) {
+        errors.push({path: path, message: message});
+    }
+
+    function sub(path, key) {
+        return path ? path + '.' + key : String(key);
+    }
+
+    function countErrors(s, v, path) {
+        var before = errors.length,
+            count;
+        walk(s, v, path);
+        count = errors.length - before;
+        errors.length = before;
+        return count;
+    }
+
+    // walks a property against the schemas of the patterns it matches, and tells whether there were any
+    function walkPatternProperties(patterns, v, key, path) {
+        var matches = false;
+        Object.keys(patterns).forEach(function (pattern) {
+            if (new RegExp(pattern).test(key)) {
+                matches = true;
+                walk(patterns[pattern], v[key], sub(path, key));
+            }
+        });
+        return matches;
+    }
+
+    function walk(s, v, path) {
+        var type,
+            key,
+            i,
+            seen,
+            matches;
+
+        if (true === s || undefined === s) {
+            return;
+        }
+        if (false === s) {
+            return fail(path, MESSAGES.not);
+        }
+        if (s.$ref) {
+            return walk(resolveRef(schema, s.$ref), v, path);
+        }
+
+        if (s.type !== undefined) {
+            type = [].concat(s.type);
+            if (!type.some(function (t) { return isType(v, t); })) {
+                return fail(path, util.format(MESSAGES.type, type.join(' or ')));
+            }
+        }
+        if (s['enum'] && !s['enum'].some(function (e) { return equal(e, v); })) {
+            fail(path, util.format(MESSAGES['enum'], JSON.stringify(s['enum'])));
+        }
+        if (s.hasOwnProperty('const') && !equal(s['const'], v)) {
+            fail(path, util.format(MESSAGES['const'], JSON.stringify(s['const'])));
+        }
+
+        if ('number' === typeof v) {
+            if (s.minimum !== undefined && v < s.minimum) {
+                fail(path, util.format(MESSAGES.minimum, s.minimum));
+            }
+            if (s.maximum !== undefined && v > s.maximum) {
+                fail(path, util.format(MESSAGES.maximum, s.maximum));
+            }
+            if ('number' === typeof s.exclusiveMinimum && v <= s.exclusiveMinimum) {
+                fail(path, util.format(MESSAGES.exclusiveMinimum, s.exclusiveMinimum));
+            }
+            if ('number' === typeof s.exclusiveMaximum && v >= s.exclusiveMaximum) {
+                fail(path, util.format(MESSAGES.exclusiveMaximum, s.exclusiveMaximum));
+            }
+            if (s.multipleOf && (v / s.multipleOf) % 1 !== 0) {
+                fail(path, util.format(MESSAGES.multipleOf, s.multipleOf));
+            }
+        }
+
+        if ('string' === typeof v) {
+            if (s.minLength !== undefined && v.length < s.minLength) {
+                fail(path, util.format(MESSAGES.minLength, s.minLength));
+            }
+            if (s.maxLength !== undefined && v.length > s.maxLength) {
+                fail(path, util.format(MESSAGES.maxLength, s.maxLength));
+            }
+            if (s.pattern !== undefined && !new RegExp(s.pattern).test(v)) {
+                fail(path, util.format(MESSAGES.pattern, s.pattern));
+            }
+        }
+
+        if (Array.isArray(v)) {
+            if (s.minItems !== undefined && v.length < s.minItems) {
+                fail(path, util.format(MESSAGES.minItems, s.minItems));
+            }
+            if (s.maxItems !== undefined && v.length > s.maxItems) {
+                fail(path, util.format(MESSAGES.maxItems, s.maxItems));
+            }
+            if (s.uniqueItems) {
+                seen = {};
+                for (i = 0; i < v.length; i += 1) {
+                    key = JSON.stringify(v[i]);
+                    if (seen[key]) {
+                        fail(path, MESSAGES.uniqueItems);
+                        break;
+                    }
+                    seen[key] = true;
+                }
+            }
+            if (Array.isArray(s.items)) {
+                for (i = 0; i < v.length; i += 1) {
+                    walk(i < s.items.length ? s.items[i] : s.additionalItems, v[i], sub(path, i));
+                }
+            } else if (s.items !== undefined) {
+                for (i = 0; i < v.length; i += 1) {
+                    walk(s.items, v[i], sub(path, i));
+                }
+            }
+        }
+
+        if ('object' === typeOf(v)) {
+            if (s.required) {
+                s.required.forEach(function (name) {
+                    if (!v.hasOwnProperty(name)) {
+                        fail(path, util.format(MESSAGES.required, name));
+                    }
+                });
+            }
+            if (s.minProperties !== undefined && Object.keys(v).length < s.minProperties) {
+                fail(path, util.format(MESSAGES.minProperties, s.minProperties));
+            }
+            if (s.maxProperties !== undefined && Object.keys(v).length > s.maxProperties) {
+                fail(path, util.format(MESSAGES.maxProperties, s.maxProperties));
+            }
+            for (key in v) {
+                if (v.hasOwnProperty(key)) {
+                    matches = false;
+                    if (s.properties && s.properties.hasOwnProperty(key)) {
+                        matches = true;
+                        walk(s.properties[key], v[key], sub(path, key));
+                    }
+                    if (s.patternProperties && walkPatternProperties(s.patternProperties, v, key, path)) {
+                        matches = true;
+                    }
+                    if (!matches && s.additionalProperties !== undefined) {
+                        if (false === s.additionalProperties) {
+                            fail(path, util.format(MESSAGES.additional, key));
+                        } else {
+                            walk(s.additionalProperties, v[key], sub(path, key));
+                        }
+                    }
+                }
+            }
+        }
+
+        if (s.allOf) {
+            s.allOf.forEach(function (one) {
+                walk(one, v, path);
+            });
+        }
+        if (s.anyOf && !s.anyOf.some(function (one) { return countErrors(one, v, path) === 0; })) {
+            fail(path, MESSAGES.anyOf);
+        }
+        if (s.oneOf && s.oneOf.filter(function (one) { return countErrors(one, v, path) === 0; }).length !== 1) {
+            fail(path, MESSAGES.oneOf);
+        }
+        if (s.not !== undefined && countErrors(s.not, v, path) === 0) {
+            fail(path, MESSAGES.not);
+        }
+    }
+
+    walk(schema, value, '');
+    return errors;
+}
+
+
+/**
+ * Formats a list of errors returned by `validate()` into a readable string.
+ * @static
+ * @method format
+ * @param {array} errors List of `{path, message}` errors.
+ * @return {string} One line per error.
+ */
+function format(errors) {
+    return errors.map(function (error) {
+        return (error.path || '(root)') + ' ' + error.message;
+    }).join('\n');
+}
+
+
+module.exports = {
+    check: check,
+    validate: validate,
+    format: format
+};
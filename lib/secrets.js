@@ -0,0 +1,239 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+"use strict";
+
+var libfs   = require('fs'),
+    util    = require('util'),
+    libpath = require('path'),
+
+    PLACEHOLDER = /\$\{([A-Za-z][\w\-]*):([^}]+)\}/g,
+    REDACTED = '[redacted]',
+    MESSAGES = {
+        'missing env': 'Environment variable "%s" is not set',
+        'bad file': 'Unable to read secret file "%s": %s'
+    };
+
+
+/**
+ * Helpers for resolving secret references, such as `${env:DB_PASSWORD}`, in config values.
+ * @module YcbConfigSecrets
+ */
+
+
+/**
+ * Calls a function for each placeholder of a registered resolver in a string.
+ * @private
+ * @static
+ * @method eachPlaceholder
+ * @param {string} str The string.
+ * @param {object} resolvers Map of resolver names to resolvers.
+ * @param {Function} fn Called with the placeholder, the resolver name and the reference.
+ */
+function eachPlaceholder(str, resolvers, fn) {
+    var match;
+    PLACEHOLDER.lastIndex = 0;
+    while ((match = PLACEHOLDER.exec(str)) !== null) {
+        if (resolvers.hasOwnProperty(match[1])) {
+            fn(match[0], match[1], match[2]);
+        }
+    }
+}
+
+
+/**
+ * Finds the placeholders in a config.
+ * Only placeholders whose name is that of a registered resolver are found, so other
+ * strings which happen to look like `${foo:bar}` are left alone.
+ * @static
+ * @method find
+ * @param {mixed} config The config.
+ * @param {object} resolvers Map of resolver names to resolvers.
+ * @return {object} Map of each placeholder found to its `{name, ref}`.
+ */
+function find(config, resolvers) {
+    var found = {};
+
+    function walk(value) {
+        var key;
+        if ('string' === typeof value) {
+            if (value.indexOf('${') !== -1) {
+                eachPlaceholder(value, resolvers, function (placeholder, name, ref) {
+                    found[placeholder] = {name: name, ref: ref};
+                });
+            }
+        } else if (value && 'object' === typeof value) {
+            for (key in value) {
+                if (value.hasOwnProperty(key)) {
+                    walk(value[key]);
+                }
+            }
+        }
+    }
+
+    walk(config);
+    return found;
+}
+
+
+/**
+ * Replaces the placeholders in a config with their values.
+ * A string which is just a placeholder is replaced by the value itself, whatever its type,
+ * while placeholders inside longer strings are replaced by the value converted to a string.
+ * The config isn't modified: objects containing placeholders are copied.
+ * @static
+ * @method substitute
+ * @param {mixed} config The config.
+ * @param {object} values Map of each placeholder to its value.
+ * @return {mixed} The config with the values substituted.
+ */
+function substitute(config, values) {
+    var copy,
+        changed,
+        key,
+        value;
+    if ('string' === typeof config) {
+        if (values.hasOwnProperty(config)) {
+            return values[config];
+        }
+        return config.indexOf('${') === -1 ? config : config.replace(PLACEHOLDER, function (placeholder) {
+            return values.hasOwnProperty(placeholder) ? String(values[placeholder]) : placeholder;
+        });
+    }
+    if (!config || 'object' !== typeof config) {
+        return config;
+    }
+    copy = Array.isArray(config) ? [] : {};
+    for (key in config) {
+        if (config.hasOwnProperty(key)) {
+            value = substitute(config[key], values);
+            changed = changed || value !== config[key];
+            copy[key] = value;
+        }
+    }
+    return changed ? copy : config;
+}
+
+
+/**
+ * Resolves the placeholders in a config.
+ * Each distinct placeholder is resolved once, and all are resolved in parallel.
+ * If there are none the callback is called synchronously.
+ * @static
+ * @method resolve
+ * @param {mixed} config The config.
+ * @param {object} resolvers Map of resolver names to resolvers.  A resolver is a
+ *   `function (ref, callback)` which calls `callback(err, value)`.
+ * @param {Function} callback
+ *   @param {Error|null} callback.err The error of the first resolver that failed.
+ *   @param {mixed} callback.config The config with the placeholders replaced.
+ *   @param {array} callback.values The resolved values, for use with `redact()`.
+ *     Empty if the config had no placeholders.
+ */
+function resolve(config, resolvers, callback) {
+    var found = find(config, resolvers),
+        placeholders = Object.keys(found),
+        values = {},
+        pending = placeholders.length,
+        failed = false;
+
+    if (!pending) {
+        return callback(null, config, []);
+    }
+    placeholders.forEach(function (placeholder) {
+        var resolver = resolvers[found[placeholder].name];
+        resolver(found[placeholder].ref, function (err, value) {
+            if (failed) {
+                return;
+            }
+            if (err) {
+                failed = true;
+                err.placeholder = placeholder;
+                return callback(err);
+            }
+            values[placeholder] = value;
+            pending -= 1;
+            if (!pending) {
+                callback(null, substitute(config, values), placeholders.map(function (p) {
+                    return values[p];
+                }));
+            }
+        });
+    });
+}
+
+
+/**
+ * Removes secret values from a message, such as an error message or a log line.
+ * @static
+ * @method redact
+ * @param {string} text The message.
+ * @param {array} values The secret values.
+ * @return {string} The message with each value replaced by `[redacted]`.
+ */
+function redact(text, values) {
+    values.forEach(function (value) {
+        value = String(value);
+        if (value) {
+            text = text.split(value).join(REDACTED);
+        }
+    });
+    return text;
+}
+
+
+/**
+ * Creates a resolver which looks up environment variables, for placeholders
+ * such as `${env:DB_PASSWORD}`.
+ * @static
+ * @method envResolver
+ * @param {object} [env] The environment, defaults to `process.env`.
+ * @return {Function} The resolver.
+ */
+function envResolver(env) {
+    return function (ref, callback) {
+        var vars = env || process.env;
+        if (!vars.hasOwnProperty(ref)) {
+            return callback(new Error(util.format(MESSAGES['missing env'], ref)));
+        }
+        callback(null, vars[ref]);
+    };
+}
+
+
+/**
+ * Creates a resolver which reads files, for placeholders such as `${file:db/password}`.
+ * This is how Kubernetes and Docker expose mounted secrets.
+ * A single trailing newline is removed from the contents.
+ * @static
+ * @method fileResolver
+ * @param {string} [dir] Directory against which relative paths are resolved,
+ *   defaults to the current directory.
+ * @return {Function} The resolver.
+ */
+function fileResolver(dir) {
+    return function (ref, callback) {
+        var path = libpath.resolve(dir || '', ref);
+        libfs.readFile(path, 'utf8', function (err, contents) {
+            if (err) {
+                return callback(new Error(util.format(MESSAGES['bad file'], path, err.code || err.message)));
+            }
+            callback(null, contents.replace(/\r?\n$/, ''));
+        });
+    };
+}
+
+
+module.exports = {
+    find: find,
+    substitute: substitute,
+    resolve: resolve,
+    redact: redact,
+    envResolver: envResolver,
+    fileResolver: fileResolver
+};
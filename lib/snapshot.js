@@ -0,0 +1,153 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+"use strict";
+
+var util      = require('util'),
+    libfs     = require('fs'),
+    libcrypto = require('crypto'),
+
+    VERSION = 2,
+    MESSAGES = {
+        'bad snapshot': 'Failed to parse snapshot "%s"\n%s',
+        'bad version': 'Unsupported version %s of snapshot "%s", expected version %s',
+        'bad hash': 'Snapshot "%s" is corrupt, its contents do not match its hash',
+        'stale': 'Snapshot "%s" is stale, its hash is %s but %s was expected',
+        'stale source': 'Snapshot "%s" is stale, "%s" has changed since it was written'
+    };
+
+
+/**
+ * Helpers for snapshots of the registered configs, used for fast cold starts.
+ * @module YcbConfigSnapshot
+ */
+
+
+/**
+ * Computes the content hash of a snapshot.
+ * @static
+ * @method hash
+ * @param {object} snapshot The snapshot.
+ * @return {string} The hex SHA-256 of the version, registrations, contents and sources.
+ */
+function hash(snapshot) {
+    return libcrypto.createHash('sha256').update(JSON.stringify([
+        snapshot.version,
+        snapshot.dimensionsPath || null,
+        snapshot.configs,
+        snapshot.contents,
+        snapshot.sources
+    ])).digest('hex');
+}
+
+
+/**
+ * Describes a source file of a snapshot, so that changes to it can be noticed.
+ * @static
+ * @method source
+ * @param {fs.Stats} stats The stats of the file.
+ * @return {object} The `{mtime, size}` of the file.
+ */
+function source(stats) {
+    return {mtime: stats.mtime.getTime(), size: stats.size};
+}
+
+
+/**
+ * Creates a snapshot.
+ * @static
+ * @method create
+ * @param {array} configs List of the `{bundleName, configName, path}` of the registered configs.
+ * @param {object} contents Map of each path to its parsed contents.
+ * @param {string} [dimensionsPath] Full path to the dimensions file, whose contents must be
+ *   included in `contents`.
+ * @param {object} [sources] Map of the paths which have a file to the file, as given by `source()`.
+ * @return {object} The snapshot, with its `version` and `hash`.
+ */
+function create(configs, contents, dimensionsPath, sources) {
+    var snapshot = {
+        version: VERSION,
+        hash: '',
+        dimensionsPath: dimensionsPath,
+        configs: configs,
+        contents: contents,
+        sources: sources || {}
+    };
+    snapshot.hash = hash(snapshot);
+    return snapshot;
+}
+
+
+/**
+ * Parses and checks a snapshot.
+ * @static
+ * @method parse
+ * @param {string} text The text of the snapshot file.
+ * @param {string} file Path of the snapshot file, used in error messages.
+ * @param {string} [expectedHash] The hash which the snapshot must have.
+ * @return {object} The snapshot.
+ * @throws {Error} If the snapshot can't be parsed, is of another version, doesn't match
+ *   its hash, or doesn't have the expected hash.
+ */
+function parse(text, file, expectedHash) {
+    var snapshot;
+    try {
+        snapshot = JSON.parse(text);
+    } catch (e) {
+        throw new Error(util.format(MESSAGES['bad snapshot'], file, e.message));
+    }
+    if (!snapshot || snapshot.version !== VERSION) {
+        throw new Error(util.format(MESSAGES['bad version'], snapshot && snapshot.version, file, VERSION));
+    }
+    if (snapshot.hash !== hash(snapshot)) {
+        throw new Error(util.format(MESSAGES['bad hash'], file));
+    }
+    if (expectedHash && snapshot.hash !== expectedHash) {
+        throw new Error(util.format(MESSAGES.stale, file, snapshot.hash, expectedHash));
+    }
+    return snapshot;
+}
+
+
+/**
+ * Checks that the source files of a snapshot haven't changed since it was written.
+ * Source files which no longer exist aren't checked, so that a snapshot can be used without them.
+ * @static
+ * @method checkSources
+ * @param {object} snapshot The snapshot, as given by `parse()`.
+ * @param {string} file Path of the snapshot file, used in error messages.
+ * @throws {Error} If a source file has another modification time or size.
+ */
+function checkSources(snapshot, file) {
+    Object.keys(snapshot.sources || {}).forEach(function (path) {
+        var stats,
+            now;
+        try {
+            stats = libfs.statSync(path);
+        } catch (e) {
+            if ('ENOENT' === e.code) {
+                return;
+            }
+            throw e;
+        }
+        now = source(stats);
+        if (now.mtime !== snapshot.sources[path].mtime || now.size !== snapshot.sources[path].size) {
+            throw new Error(util.format(MESSAGES['stale source'], file, path));
+        }
+    });
+}
+
+
+module.exports = {
+    VERSION: VERSION,
+    hash: hash,
+    source: source,
+    create: create,
+    parse: parse,
+    checkSources: checkSources
+};
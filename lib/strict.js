@@ -0,0 +1,148 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+"use strict";
+
+var util = require('util'),
+
+    MESSAGES = {
+        'unknown dimension': 'Unknown dimension "%s" in context %s',
+        'unknown value': 'Unknown value "%s" of dimension "%s" in context %s',
+        'suggestion': '%s, did you mean "%s"?'
+    };
+
+
+/**
+ * Helpers for checking runtime contexts against the dimensions.
+ * @module YcbConfigStrict
+ */
+
+
+/**
+ * Counts the edits needed to turn one word into another, where swapping two neighbouring
+ * characters counts as a single edit.
+ * @private
+ * @static
+ * @method distance
+ * @param {string} a One word.
+ * @param {string} b The other word.
+ * @return {number} The number of insertions, deletions, substitutions and swaps.
+ */
+function distance(a, b) {
+    var rows = [],
+        i,
+        j;
+    for (i = 0; i <= a.length; i += 1) {
+        rows[i] = [i];
+        for (j = 1; j <= b.length; j += 1) {
+            if (i === 0) {
+                rows[i][j] = j;
+                continue;
+            }
+            rows[i][j] = Math.min(
+                rows[i - 1][j] + 1,
+                rows[i][j - 1] + 1,
+                rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+
+/**
+ * Finds the candidate closest to a misspelled word.
+ * Case is ignored, and candidates needing more than one edit per three characters of the word
+ * are too far to be suggested.
+ * @static
+ * @method closest
+ * @param {string} word The misspelled word.
+ * @param {array} candidates The valid words.
+ * @return {string|undefined} The closest candidate, the first one on ties, if any is close enough.
+ */
+function closest(word, candidates) {
+    var best,
+        bestDistance = Math.max(1, Math.floor(word.length / 3)) + 1;
+    word = word.toLowerCase();
+    candidates.forEach(function (candidate) {
+        var d = distance(word, candidate.toLowerCase());
+        if (d < bestDistance) {
+            best = candidate;
+            bestDistance = d;
+        }
+    });
+    return best;
+}
+
+
+/**
+ * Checks a runtime context against the dimensions.
+ * Values which are `null` or `undefined` are unspecified, so they are not checked.
+ * @static
+ * @method checkContext
+ * @param {object} lineages The lineage of each dimension, as returned by `lineage()` in `lib/contexts.js`.
+ * @param {object} [context] The runtime context.
+ * @param {array} [ignore] Keys of the context which aren't dimensions, such as the time dimension.
+ * @return {Error|null} An error naming the first unknown dimension or value, and suggesting the closest
+ *   known one.  Its `dimension`, `value` (for unknown values) and `suggestion` (if any) are also set.
+ */
+function checkContext(lineages, context, ignore) {
+    var names = Object.keys(context || {}),
+        error,
+        n,
+        name,
+        values,
+        v,
+        value;
+
+    // the context is only formatted for errors, since valid contexts are checked on every read
+    function fail(format, args, suggestion) {
+        var message = util.format.apply(null, [format].concat(args, JSON.stringify(context)));
+        if (suggestion !== undefined) {
+            message = util.format(MESSAGES.suggestion, message, suggestion);
+        }
+        error = new Error(message);
+        error.dimension = name;
+        if (value !== undefined) {
+            error.value = value;
+        }
+        if (suggestion !== undefined) {
+            error.suggestion = suggestion;
+        }
+        return error;
+    }
+
+    for (n = 0; n < names.length; n += 1) {
+        name = names[n];
+        values = context[name];
+        if (values === null || values === undefined || (ignore && ignore.indexOf(name) !== -1)) {
+            continue;
+        }
+        if (!lineages.hasOwnProperty(name)) {
+            return fail(MESSAGES['unknown dimension'], [name], closest(name, Object.keys(lineages)));
+        }
+        values = Array.isArray(values) ? values : [values];
+        for (v = 0; v < values.length; v += 1) {
+            value = String(values[v]);
+            if (!lineages[name].hasOwnProperty(value)) {
+                return fail(MESSAGES['unknown value'], [value, name], closest(value, Object.keys(lineages[name])));
+            }
+        }
+        value = undefined;
+    }
+    return null;
+}
+
+
+module.exports = {
+    closest: closest,
+    checkContext: checkContext
+};
@@ -0,0 +1,248 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+"use strict";
+
+var PRIMITIVES = ['string', 'number', 'boolean', 'null'],
+    INDENT = '    ',
+    HEADER = '// Generated by ycb-config from the registered configs, do not edit.\n';
+
+
+/**
+ * Helpers for generating TypeScript declarations from the sections of configs.
+ *
+ * A type is a union, represented as an object with the `primitives` which are part of it,
+ * the `items` type if arrays are, and the `properties` if objects are.  Each property is
+ * an object with its `type` and whether it's `optional`.
+ * @module YcbConfigTypings
+ */
+
+
+/**
+ * Finds the type of a value.
+ * @private
+ * @static
+ * @method typeOf
+ * @param {mixed} value The value.
+ * @param {boolean} optional Whether the properties of objects are optional.
+ * @return {object} The type.
+ */
+function typeOf(value, optional) {
+    var type = {primitives: []};
+    if (null === value) {
+        type.primitives.push('null');
+    } else if (Array.isArray(value)) {
+        // each element of an array only has the properties which every element has
+        type.items = value.reduce(function (items, element) {
+            return items ? merge(items, typeOf(element, false), true) : typeOf(element, false);
+        }, null);
+    } else if ('object' === typeof value) {
+        type.properties = {};
+        Object.keys(value).forEach(function (name) {
+            type.properties[name] = {type: typeOf(value[name], optional), optional: optional};
+        });
+    } else if (PRIMITIVES.indexOf(typeof value) !== -1) {
+        type.primitives.push(typeof value);
+    }
+    return type;
+}
+
+
+/**
+ * Merges two types into their union.
+ * @private
+ * @static
+ * @method merge
+ * @param {object} a One type.
+ * @param {object} b The other type.
+ * @param {boolean} [strict] Whether properties which only one of the types has become optional.
+ *   Otherwise a property is optional only if it's optional in every type which has it.
+ * @return {object} The union.
+ */
+function merge(a, b, strict) {
+    var type = {primitives: a.primitives.slice()};
+    b.primitives.forEach(function (primitive) {
+        if (type.primitives.indexOf(primitive) === -1) {
+            type.primitives.push(primitive);
+        }
+    });
+    if (a.hasOwnProperty('items') || b.hasOwnProperty('items')) {
+        if (a.items && b.items) {
+            type.items = merge(a.items, b.items, true);
+        } else {
+            type.items = a.items || b.items || null;
+        }
+    }
+    if (a.properties && b.properties) {
+        type.properties = {};
+        Object.keys(a.properties).concat(Object.keys(b.properties)).forEach(function (name) {
+            var pa = a.properties[name],
+                pb = b.properties[name];
+            if (type.properties[name]) {
+                return;
+            }
+            if (pa && pb) {
+                type.properties[name] = {type: merge(pa.type, pb.type, strict), optional: pa.optional && pb.optional};
+            } else {
+                type.properties[name] = {type: (pa || pb).type, optional: strict || (pa || pb).optional};
+            }
+        });
+    } else if (a.properties || b.properties) {
+        type.properties = a.properties || b.properties;
+    }
+    return type;
+}
+
+
+/**
+ * Finds the type of the merged config from its sections.
+ *
+ * Keys of the sections which apply to every context (those with the empty selector) are always
+ * there, while keys which only appear under some dimensions are optional.  Sections which set
+ * the same key to different kinds of values make its type a union.
+ * @static
+ * @method infer
+ * @param {array} sections List of `{selector, config}` objects, as given by the YCB object's `walkSettings()`.
+ * @return {object} The type.
+ */
+function infer(sections) {
+    return sections.reduce(function (type, section) {
+        var sectionType = typeOf(section.config, Object.keys(section.selector).length > 0);
+        return type ? merge(type, sectionType) : sectionType;
+    }, null) || typeOf({}, false);
+}
+
+
+/**
+ * Makes the name of the interface of a config.
+ * @static
+ * @method interfaceName
+ * @param {string} bundleName The bundle of the config.
+ * @param {string} configName The name of the config.
+ * @return {string} Such as `HomepageWeatherWidgetConfig` for config `weather-widget` of bundle `homepage`.
+ */
+function interfaceName(bundleName, configName) {
+    var name = (bundleName + ' ' + configName + ' config').split(/[^A-Za-z0-9]+/).map(function (word) {
+        return word.charAt(0).toUpperCase() + word.slice(1);
+    }).join('');
+    return (/^[0-9]/).test(name) ? '_' + name : name;
+}
+
+
+/**
+ * Formats a property name, quoting it unless it's an identifier.
+ * @private
+ * @static
+ * @method propertyName
+ * @param {string} name The name.
+ * @return {string} The name as written in a declaration.
+ */
+function propertyName(name) {
+    return (/^[A-Za-z_$][A-Za-z0-9_$]*$/).test(name) ? name : JSON.stringify(name);
+}
+
+
+/**
+ * Renders a type.
+ * @private
+ * @static
+ * @method renderType
+ * @param {object} type The type.
+ * @param {string} indent Indentation of the line on which the type starts.
+ * @return {string} The TypeScript type.
+ */
+function renderType(type, indent) {
+    var parts = [],
+        items;
+    if (type.properties) {
+        parts.push(renderObject(type.properties, indent));
+    }
+    if (type.hasOwnProperty('items')) {
+        items = type.items ? renderType(type.items, indent) : 'unknown';
+        parts.push((/^[\w$"]+$/).test(items) ? items + '[]' : 'Array<' + items + '>');
+    }
+    PRIMITIVES.forEach(function (primitive) {
+        if (type.primitives.indexOf(primitive) !== -1) {
+            parts.push(primitive);
+        }
+    });
+    return parts.length ? parts.join(' | ') : 'unknown';
+}
+
+
+/**
+ * Renders the properties of an object type.
+ * @private
+ * @static
+ * @method renderObject
+ * @param {object} properties The properties.
+ * @param {string} indent Indentation of the line on which the object starts.
+ * @return {string} The TypeScript object type.
+ */
+function renderObject(properties, indent) {
+    var names = Object.keys(properties);
+    if (!names.length) {
+        return '{}';
+    }
+    return '{\n' + names.map(function (name) {
+        var property = properties[name];
+        return indent + INDENT + propertyName(name) + (property.optional ? '?' : '') + ': ' +
+            renderType(property.type, indent + INDENT) + ';\n';
+    }).join('') + indent + '}';
+}
+
+
+/**
+ * Renders the declarations of configs.
+ *
+ * Each config gets an interface, or a type alias if it isn't an object, and the `Configs`
+ * interface maps each bundle and config name to it.
+ * @static
+ * @method render
+ * @param {array} configs List of `{bundleName, configName, type}` objects.
+ * @return {string} The contents of the `.d.ts` file.
+ */
+function render(configs) {
+    var used = {},
+        declarations = [],
+        bundles = {};
+
+    configs.forEach(function (config) {
+        var name = interfaceName(config.bundleName, config.configName),
+            unique = name,
+            n = 2,
+            type = config.type;
+        while (used[unique]) {
+            unique = name + n;
+            n += 1;
+        }
+        used[unique] = true;
+        if (type.properties && !type.primitives.length && !type.hasOwnProperty('items')) {
+            declarations.push('export interface ' + unique + ' ' + renderObject(type.properties, '') + '\n');
+        } else {
+            declarations.push('export type ' + unique + ' = ' + renderType(type, '') + ';\n');
+        }
+        bundles[config.bundleName] = bundles[config.bundleName] || {};
+        bundles[config.bundleName][config.configName] = unique;
+    });
+
+    declarations.push('export interface Configs {\n' + Object.keys(bundles).map(function (bundleName) {
+        return INDENT + propertyName(bundleName) + ': {\n' + Object.keys(bundles[bundleName]).map(function (configName) {
+            return INDENT + INDENT + propertyName(configName) + ': ' + bundles[bundleName][configName] + ';\n';
+        }).join('') + INDENT + '};\n';
+    }).join('') + '}\n');
+
+    return HEADER + '\n' + declarations.join('\n');
+}
+
+
+module.exports = {
+    infer: infer,
+    interfaceName: interfaceName,
+    render: render
+};
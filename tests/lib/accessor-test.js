@@ -0,0 +1,148 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+/*globals describe, it */
+"use strict";
+
+
+var expect = require('chai').expect,
+    deepFreeze = require('deep-freeze'),
+    ConfigAccessor = require('../../lib/accessor'),
+    source = {bundleName: 'foo', configName: 'app', context: {device: 'mobile'}};
+
+
+describe('ConfigAccessor', function () {
+    var accessor = new ConfigAccessor(deepFreeze({
+        db: {host: 'db1', port: '5432', options: null},
+        retries: 3,
+        debug: 'off',
+        secure: 1,
+        timeout: '1m 30s',
+        maxBody: '10mb',
+        name: 'app',
+        'a.b': 'dotted'
+    }), source);
+
+    describe('get()', function () {
+        it('gets values by path', function () {
+            expect(accessor.get('db.host')).to.equal('db1');
+            expect(accessor.get(['db', 'port'])).to.equal('5432');
+            expect(accessor.get(['a.b'])).to.equal('dotted');
+            expect(accessor.get('db')).to.equal(accessor.config.db);
+        });
+
+        it('falls back to the default for missing values only', function () {
+            expect(accessor.get('db.user', 'root')).to.equal('root');
+            expect(accessor.get('db.host.name', 'x')).to.equal('x');
+            expect(accessor.get('db.options', {})).to.equal(null);
+            expect(accessor.get('db.options.ssl', false)).to.equal(false);
+            expect(accessor.get('name.length', 0)).to.equal(0);
+            expect(accessor.get('nope')).to.equal(undefined);
+        });
+
+        it('looks up each key in the most specific section which has it', function () {
+            var sections = new ConfigAccessor([
+                {db: {host: 'db1', port: 5432}, name: 'app'},
+                {db: {host: 'mobile-db'}}
+            ]);
+            expect(sections.get('db.host')).to.equal('mobile-db');
+            expect(sections.getNumber('db.port')).to.equal(5432);
+            expect(sections.get('db')).to.deep.equal({host: 'mobile-db'});
+            expect(sections.require('name')).to.equal('app');
+            expect(new ConfigAccessor([]).get('a', 1)).to.equal(1);
+        });
+    });
+
+    describe('getNumber()', function () {
+        it('converts numbers', function () {
+            expect(accessor.getNumber('retries')).to.equal(3);
+            expect(accessor.getNumber('db.port')).to.equal(5432);
+            expect(accessor.getNumber('missing', 7)).to.equal(7);
+        });
+
+        it('throws for values which are not numbers', function () {
+            expect(function () {
+                accessor.getNumber('db.host');
+            }).to.throw('Value "db1" of key "db.host" in config "app" of bundle "foo" for context ' +
+                '{"device":"mobile"} is not a number');
+            expect(function () {
+                new ConfigAccessor({port: ''}).getNumber('port');
+            }).to.throw('is not a number');
+        });
+    });
+
+    describe('getBoolean()', function () {
+        it('converts booleans', function () {
+            expect(accessor.getBoolean('debug')).to.equal(false);
+            expect(accessor.getBoolean('secure')).to.equal(true);
+            expect(new ConfigAccessor({a: ' YES '}).getBoolean('a')).to.equal(true);
+            expect(accessor.getBoolean('missing', true)).to.equal(true);
+        });
+
+        it('throws for values which are not booleans', function () {
+            expect(function () {
+                accessor.getBoolean('name');
+            }).to.throw('Value "app" of key "name" in config "app" of bundle "foo" for context ' +
+                '{"device":"mobile"} is not a boolean');
+        });
+    });
+
+    describe('getDuration()', function () {
+        it('converts durations to milliseconds', function () {
+            expect(accessor.getDuration('timeout')).to.equal(90000);
+            expect(accessor.getDuration('retries')).to.equal(3);
+            expect(new ConfigAccessor({a: '250ms'}).getDuration('a')).to.equal(250);
+            expect(new ConfigAccessor({a: '1.5h'}).getDuration('a')).to.equal(5400000);
+            expect(new ConfigAccessor({a: '2D'}).getDuration('a')).to.equal(172800000);
+            expect(new ConfigAccessor({a: '100'}).getDuration('a')).to.equal(100);
+            expect(accessor.getDuration('missing', '30s')).to.equal(30000);
+            expect(accessor.getDuration('missing', 5)).to.equal(5);
+        });
+
+        it('throws for values which are not durations', function () {
+            ['30 lightyears', '1h30', 's', '', 'soon', '-5s'].forEach(function (value) {
+                expect(function () {
+                    new ConfigAccessor({a: value}).getDuration('a');
+                }).to.throw('is not a duration');
+            });
+        });
+    });
+
+    describe('getBytes()', function () {
+        it('converts sizes to bytes', function () {
+            expect(accessor.getBytes('maxBody')).to.equal(10485760);
+            expect(new ConfigAccessor({a: '1.5 KB'}).getBytes('a')).to.equal(1536);
+            expect(new ConfigAccessor({a: '1gb'}).getBytes('a')).to.equal(1073741824);
+            expect(new ConfigAccessor({a: 100.7}).getBytes('a')).to.equal(100);
+            expect(accessor.getBytes('missing', '1kb')).to.equal(1024);
+        });
+
+        it('throws for values which are not sizes', function () {
+            expect(function () {
+                new ConfigAccessor({a: '10 megs'}, source).getBytes('a');
+            }).to.throw('Value "10 megs" of key "a" in config "app" of bundle "foo" for context ' +
+                '{"device":"mobile"} is not a size');
+        });
+    });
+
+    describe('require()', function () {
+        it('gets values which are there', function () {
+            expect(accessor.require('db.host')).to.equal('db1');
+            expect(accessor.require('db.options')).to.equal(null);
+        });
+
+        it('throws for missing values', function () {
+            expect(function () {
+                accessor.require('db.user');
+            }).to.throw('Missing required key "db.user" in config "app" of bundle "foo" for context {"device":"mobile"}');
+            expect(function () {
+                new ConfigAccessor({}).require(['a', 'b']);
+            }).to.throw('Missing required key "a.b"');
+        });
+    });
+});
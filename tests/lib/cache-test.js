@@ -250,6 +250,29 @@ describe('cache', function () {
             cache.setTimeAware('foo', 'bar', 10, 1000, 1);
             assertEqual(cache.getTimeAware('foo', 999, 1), 'bar');
         });
+        it('should not return keys past their ttl', function () {
+            var cache = new LRU({max: 20});
+            var realNow = Date.now;
+            var now = 1000;
+            Date.now = function () { return now; };
+            try {
+                cache.set('foo', 'bar', 1, 100);
+                cache.setTimeAware('baz', 'qux', 10, 1000, 1, 100);
+                cache.set('forever', 'bar', 1);
+                now = 1099;
+                assertEqual(cache.get('foo', 1), 'bar');
+                assertEqual(cache.getTimeAware('baz', 500, 1), 'qux');
+                now = 1100;
+                assertEqual(cache.get('foo', 1), undefined);
+                assertEqual(cache.getTimeAware('baz', 500, 1), undefined);
+                assertEqual(cache.get('forever', 1), 'bar');
+                expect(cache.stats()).to.include({hits: 3, staleTime: 2});
+                cache.set('foo', 'bar', 1);
+                assertEqual(cache.get('foo', 1), 'bar');
+            } finally {
+                Date.now = realNow;
+            }
+        });
     });
 
     describe('time', function () {
@@ -304,4 +327,205 @@ describe('cache', function () {
             validateCacheStructure(cache);
         });
     });
+
+    describe('stats', function () {
+        it('should count what happens to entries by group', function () {
+            var cache = new LRU({max: 2}),
+                stats;
+            cache.get('a', 1);
+            cache.set('a', 'A', 1);
+            cache.get('a', 1);
+            cache.get('a', 2);
+            cache.set('a', 'A2', 2);
+            cache.set('b', 'B', 1);
+            cache.get('b', 1);
+            cache.set('c', 'C', 1);
+            stats = cache.stats();
+            expect(stats).to.include({size: 2, max: 2, hits: 2, misses: 1, staleGroup: 1, staleTime: 0,
+                evictions: 1, overwrites: 1});
+            expect(stats.groups).to.deep.equal({
+                1: {hits: 2, misses: 1, staleGroup: 0, staleTime: 0, evictions: 0, overwrites: 0},
+                2: {hits: 0, misses: 0, staleGroup: 1, staleTime: 0, evictions: 1, overwrites: 1}
+            });
+        });
+        it('should count stale entries by time', function () {
+            var cache = new LRU({max: 10});
+            cache.setTimeAware('a', 'A', 10, 20, 1);
+            cache.getTimeAware('a', 5, 1);
+            cache.getTimeAware('a', 20, 1);
+            cache.getTimeAware('a', 15, 2);
+            cache.getTimeAware('a', 15, 1);
+            cache.getTimeAware('b', 15, 1);
+            expect(cache.stats()).to.include({hits: 1, misses: 1, staleGroup: 1, staleTime: 2});
+            expect(cache.stats().groups[1].hits).to.equal(1);
+        });
+        it('should count evictions to stay within budget', function () {
+            var cache = new LRU({maxBytes: 100});
+            cache.set('a', new Array(41).join('x'), 1);
+            cache.set('b', new Array(41).join('x'), 2);
+            expect(cache.stats()).to.include({size: 1, evictions: 1});
+            expect(cache.stats().groups[1].evictions).to.equal(1);
+        });
+        it('should reset the counters', function () {
+            var cache = new LRU({max: 10});
+            cache.set('a', 'A', 1);
+            cache.get('a', 1);
+            cache.resetStats();
+            expect(cache.stats()).to.include({size: 1, hits: 0});
+            expect(cache.stats().groups).to.deep.equal({});
+        });
+    });
+
+    describe('keys', function () {
+        it('should list the keys from oldest to youngest', function () {
+            var cache = new LRU({max: 3});
+            assertEqual(cache.keys().length, 0);
+            cache.set('a', 'A', 1);
+            cache.set('b', 'B', 1);
+            cache.set('c', 'C', 1);
+            cache.get('a', 1);
+            cache.set('d', 'D', 1);
+            expect(cache.keys()).to.deep.equal(['c', 'a', 'd']);
+        });
+    });
+
+    describe('getStale', function () {
+        it('should return expired entries of the group', function () {
+            var cache = new LRU({max: 2}),
+                now = Date.now;
+            cache.setTimeAware('a', 'A', 100, 200, 1);
+            cache.setTimeAware('b', 'B', 100, 200, 1, 1000);
+            cache.setTimeAware('c', 'C', 100, 200, 1);
+            expect(cache.getStale('b', 1)).to.deep.equal({value: 'B', setAt: 100, expiresAt: 200});
+            expect(cache.getStale('b', 2)).to.equal(undefined);
+            expect(cache.getStale('a', 1)).to.equal(undefined);
+            expect(cache.keys()).to.deep.equal(['c', 'b']);
+            try {
+                Date.now = function () {
+                    return now() + 2000;
+                };
+                expect(cache.getStale('b', 1)).to.equal(undefined);
+            } finally {
+                Date.now = now;
+            }
+            expect(cache.stats()).to.include({hits: 0, misses: 0, staleGroup: 0, staleTime: 0});
+        });
+    });
+
+    describe('purgeGroup', function () {
+        it('should remove every entry of the group', function () {
+            var cache = new LRU({max: 5, maxBytes: 10000});
+            cache.set('a', 'A', 1);
+            cache.set('b', 'B', 2);
+            cache.set('c', 'C', 1);
+            cache.set('d', 'D', 2);
+            cache.set('e', 'E', 1);
+            assertEqual(cache.purgeGroup(1), 3);
+            validateCacheStructure(cache);
+            expect(cache.keys()).to.deep.equal(['b', 'd']);
+            assertEqual(cache.bytes, 2 * (2 + 2));
+            assertEqual(cache.purgeGroup(1), 0);
+            assertEqual(cache.get('b', 2), 'B');
+            cache.set('f', 'F', 3);
+            expect(cache.keys()).to.deep.equal(['d', 'b', 'f']);
+        });
+        it('should move the counters to the next group', function () {
+            var cache = new LRU({max: 5});
+            cache.set('a', 'A', 1);
+            cache.get('a', 1);
+            cache.get('b', 2);
+            cache.purgeGroup(1, 2);
+            expect(cache.stats().groups).to.deep.equal({
+                2: {hits: 1, misses: 1, staleGroup: 0, staleTime: 0, evictions: 0, overwrites: 0}
+            });
+            cache.purgeGroup(2);
+            expect(cache.stats().groups).to.deep.equal({});
+            expect(cache.stats()).to.include({hits: 1, misses: 1});
+            cache.resetStats();
+            expect(cache.stats()).to.include({hits: 0, misses: 0});
+        });
+        it('should not count purged entries as evicted', function () {
+            var cache = new LRU({max: 5});
+            cache.set('a', 'A', 1);
+            cache.purgeGroup(1);
+            expect(cache.stats()).to.include({size: 0, evictions: 0});
+        });
+    });
+
+    describe('memory budget', function () {
+        // 'k' + i is 4 bytes, and each value is an object of 16 bytes with a 2 byte key and a string of 100 chars
+        function value() {
+            return {v: new Array(101).join('x')};
+        }
+
+        it('should not limit the count without max', function () {
+            var cache = new LRU({maxBytes: 1000000});
+            assertEqual(cache.max, Infinity);
+            assertEqual(cache.maxBytes, 1000000);
+            cache = new LRU({max: 10, maxBytes: 1000000});
+            assertEqual(cache.max, 10);
+        });
+        it('should ignore invalid budgets', function () {
+            var log = console.log,
+                cache;
+            console.log = function () {};
+            cache = new LRU({max: 10, maxBytes: 'lots'});
+            console.log = log;
+            assertEqual(cache.maxBytes, 0);
+            cache.set('k1', value(), 1);
+            expect(cache.stats()).to.include({size: 1, max: 10, bytes: 0, maxBytes: 0});
+        });
+        it('should track the estimated size', function () {
+            var cache = new LRU({maxBytes: 10000});
+            cache.set('k1', value(), 1);
+            expect(cache.stats()).to.include({size: 1, max: Infinity, bytes: 222, maxBytes: 10000});
+            cache.set('k1', {v: 1, w: true}, 1);
+            assertEqual(cache.bytes, 4 + 16 + 2 + 8 + 2 + 4);
+            cache.set('k2', [1, 2], 1);
+            assertEqual(cache.bytes, 36 + 4 + 16 + 2 + 8 + 2 + 8);
+        });
+        it('should count shared objects once', function () {
+            var cache = new LRU({maxBytes: 10000}),
+                shared = value();
+            cache.set('k1', {a: shared, b: shared}, 1);
+            assertEqual(cache.bytes, 4 + 16 + 2 + 2 + 218);
+        });
+        it('should evict the oldest entries until within budget', function () {
+            var cache = new LRU({maxBytes: 700});
+            cache.set('k1', value(), 1);
+            cache.set('k2', value(), 1);
+            cache.set('k3', value(), 1);
+            assertEqual(cache.get('k1', 1).v.length, 100);
+            cache.set('k4', value(), 1);
+            validateCacheStructure(cache);
+            assertEqual(cache.size, 3);
+            assertEqual(cache.bytes, 666);
+            assertEqual(cache.get('k2', 1), undefined);
+            assertEqual(cache.get('k1', 1).v.length, 100);
+            cache.set('k5', {v: new Array(301).join('x')}, 1);
+            validateCacheStructure(cache);
+            assertEqual(cache.size, 1);
+            assertEqual(cache.get('k5', 1).v.length, 300);
+        });
+        it('should not cache entries larger than the budget', function () {
+            var cache = new LRU({maxBytes: 300});
+            cache.set('k1', value(), 1);
+            cache.set('k2', {v: new Array(201).join('x')}, 1);
+            assertEqual(cache.get('k2', 1), undefined);
+            assertEqual(cache.get('k1', 1).v.length, 100);
+            cache.set('k1', {v: new Array(201).join('x')}, 1);
+            validateCacheStructure(cache);
+            assertEqual(cache.get('k1', 1), undefined);
+            expect(cache.stats()).to.include({size: 0, max: Infinity, bytes: 0, maxBytes: 300});
+        });
+        it('should combine with max', function () {
+            var cache = new LRU({max: 2, maxBytes: 10000});
+            cache.set('k1', value(), 1);
+            cache.set('k2', value(), 1);
+            cache.set('k3', value(), 1);
+            validateCacheStructure(cache);
+            assertEqual(cache.size, 2);
+            assertEqual(cache.bytes, 444);
+        });
+    });
 });
@@ -0,0 +1,199 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+/*globals describe, it */
+"use strict";
+
+
+var libpath = require('path'),
+    expect = require('chai').expect,
+    cli = require('../../lib/cli'),
+    reader = require('../../lib/reader'),
+    fixtures = libpath.resolve(__dirname, '../fixtures/'),
+    touchdown = libpath.resolve(fixtures, 'touchdown-simple');
+
+
+// runs the cli and collects its output
+function run(argv, callback) {
+    var output = '';
+    cli.run(argv, {
+        write: function (str) {
+            output += str;
+        }
+    }, function (err) {
+        callback(err, output);
+    });
+}
+
+
+describe('cli', function () {
+    describe('parseArgs()', function () {
+        it('parses commands and options', function () {
+            var args = cli.parseArgs(['read', 'app.json', '--context', 'device=iphone,locale=en-US',
+                '--context=bucket=a', '--format', 'yaml', '--time', '1000']);
+            expect(args.command).to.equal('read');
+            expect(args.file).to.equal('app.json');
+            expect(args.context).to.deep.equal({device: 'iphone', locale: 'en-US', bucket: 'a'});
+            expect(args.format).to.equal('yaml');
+            expect(args.time).to.equal(1000);
+        });
+
+        it('parses dates', function () {
+            expect(cli.parseArgs(['read', 'x', '--time', '2010-11-29T00:04:00Z']).time).to.equal(1290989040000);
+        });
+
+        it('rejects bad arguments', function () {
+            expect(function () {
+                cli.parseArgs(['read', 'x', '--bogus', '1']);
+            }).to.throw('Unknown option "--bogus"');
+            expect(function () {
+                cli.parseArgs(['read', 'x', '--context']);
+            }).to.throw('Missing value for option "--context"');
+            expect(function () {
+                cli.parseArgs(['read', 'x', '--context', 'device']);
+            }).to.throw('Invalid context "device"');
+            expect(function () {
+                cli.parseArgs(['read', 'x', '--time', 'later']);
+            }).to.throw('Invalid time "later"');
+            expect(function () {
+                cli.parseArgs(['read', 'x', '--format', 'xml']);
+            }).to.throw('Invalid format "xml"');
+        });
+    });
+
+    describe('run()', function () {
+        it('prints usage', function (next) {
+            run(['--help'], function (err, output) {
+                expect(err).to.equal(null);
+                expect(output).to.equal(cli.USAGE + '\n');
+                next();
+            });
+        });
+
+        it('reads', function (next) {
+            run(['read', libpath.resolve(touchdown, 'configs/foo.js'), '--context', 'device=mobile'], function (err, output) {
+                expect(err).to.equal(null);
+                expect(JSON.parse(output)).to.deep.equal({TODO: 'TODO', selector: 'mobile'});
+                next();
+            });
+        });
+
+        it('reads as yaml', function (next) {
+            run(['read', libpath.resolve(touchdown, 'configs/foo.js'), '--format', 'yaml'], function (err, output) {
+                expect(output).to.equal('TODO: TODO\n');
+                next();
+            });
+        });
+
+        it('reads without merging', function (next) {
+            run(['read-no-merge', libpath.resolve(touchdown, 'configs/foo.js'), '--context', 'device=mobile'], function (err, output) {
+                expect(JSON.parse(output)).to.deep.equal([{TODO: 'TODO'}, {selector: 'mobile'}]);
+                next();
+            });
+        });
+
+        it('reads at a time', function (next) {
+            var file = libpath.resolve(touchdown, 'configs/no-master.js');
+            run(['read', file, '--context', 'device=mobile', '--time', '2020-01-01'], function (err, output) {
+                expect(JSON.parse(output)).to.deep.equal({selector: 'mobile', name: 'new'});
+                next();
+            });
+        });
+
+        it('uses the given dimensions', function (next) {
+            var file = libpath.resolve(fixtures, 'mojito-newsboxes/application.json'),
+                dimensions = libpath.resolve(touchdown, 'configs/dimensions.json');
+            run(['read', file, '--context', 'device=mobile', '--dimensions', dimensions], function (err, output) {
+                expect(JSON.parse(output).selector).to.equal('mobile');
+                next();
+            });
+        });
+
+        it('prints dimensions', function (next) {
+            run(['dimensions', libpath.resolve(touchdown, 'configs/dimensions.json')], function (err, output) {
+                expect(JSON.parse(output)[0]).to.have.property('ynet');
+                next();
+            });
+        });
+
+        it('validates', function (next) {
+            run(['validate', libpath.resolve(touchdown, 'configs/foo.js')], function (err, output) {
+                expect(err).to.equal(null);
+                expect(JSON.parse(output)).to.deep.equal([]);
+                next();
+            });
+        });
+
+        it('fails validation against a schema', function (next) {
+            var file = libpath.resolve(touchdown, 'configs/foo.js');
+            run(['validate', file, '--schema', libpath.resolve(fixtures, 'cli/foo-schema.json')], function (err, output) {
+                expect(err.message).to.equal('1 context(s) failed validation');
+                expect(JSON.parse(output)[0].context).to.deep.equal({device: 'mobile'});
+                next();
+            });
+        });
+
+        it('compiles', function (next) {
+            run(['compile', libpath.resolve(touchdown, 'configs/foo.js')], function (err, output) {
+                var artifact = JSON.parse(output);
+                expect(err).to.equal(null);
+                expect(reader.read(artifact, {device: 'mobile'})).to.deep.equal({TODO: 'TODO', selector: 'mobile'});
+                expect(reader.read(artifact, {device: 'desktop'})).to.deep.equal({TODO: 'TODO'});
+                next();
+            });
+        });
+
+        it('diffs', function (next) {
+            var dir = libpath.resolve(fixtures, 'diff');
+            run(['diff', libpath.resolve(dir, 'old.json'), libpath.resolve(dir, 'new.json')], function (err, output) {
+                var report = JSON.parse(output);
+                expect(err).to.equal(null);
+                expect(report.contexts).to.have.length(4);
+                expect(report.shadowed).to.deep.equal([{index: 3, settings: ['lang:fr'], by: [4]}]);
+                next();
+            });
+        });
+
+        it('fails to diff without a new file', function (next) {
+            run(['diff', libpath.resolve(fixtures, 'diff/old.json')], function (err) {
+                expect(err.message).to.equal('Missing <new-file> for command "diff"');
+                next();
+            });
+        });
+
+        it('lints', function (next) {
+            var dir = libpath.resolve(fixtures, 'lint');
+            run(['lint', libpath.resolve(dir, 'app.json')], function (err, output) {
+                expect(err.message).to.equal('2 error(s) found');
+                expect(JSON.parse(output)).to.have.length(7);
+                next();
+            });
+        });
+
+        it('fails on unknown commands', function (next) {
+            run(['bogus', 'x'], function (err) {
+                expect(err.message).to.equal('Unknown command "bogus"');
+                next();
+            });
+        });
+
+        it('fails without a file', function (next) {
+            run(['read'], function (err) {
+                expect(err.message).to.equal('Missing <file> for command "read"');
+                next();
+            });
+        });
+
+        it('fails on broken files', function (next) {
+            run(['read', libpath.resolve(fixtures, 'mojito-newsboxes/broken.json')], function (err) {
+                expect(err.message).to.contain('Failed to parse');
+                next();
+            });
+        });
+    });
+});
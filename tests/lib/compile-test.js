@@ -0,0 +1,103 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+/*globals describe, it */
+"use strict";
+
+
+var expect = require('chai').expect,
+    Config = require('../../lib/index'),
+    compile = require('../../lib/compile'),
+    dimensions = [
+        {environment: {dev: null, prod: {stage: null}}},
+        {device: {desktop: null, mobile: {tablet: null, phone: null}}},
+        {lang: {en: {'en-US': null}, fr: null}}
+    ],
+    contents = [
+        {settings: ['master'], name: 'master'},
+        {settings: ['device:mobile'], name: 'mobile'},
+        {settings: ['device:phone', 'lang:en'], name: 'english phone'}
+    ];
+
+
+describe('compile', function () {
+    describe('dimensionTables()', function () {
+        it('maps the values to their part of the key', function () {
+            var ycb = Config.test.makeYCB(null, dimensions, contents, 'app.json'),
+                have = compile.dimensionTables(ycb);
+            expect(have.map(function (table) {
+                return table[0];
+            })).to.deep.equal(['device', 'lang']);
+            // unused values map to their closest used ancestor
+            expect(have[0][1].tablet).to.equal(have[0][1].mobile);
+            expect(have[0][1].phone).to.not.equal(have[0][1].mobile);
+            expect(have[0][1]).to.not.have.property('desktop');
+            expect(have[1][1]['en-US']).to.equal(have[1][1].en);
+            expect(have[1][1]).to.not.have.property('fr');
+        });
+
+        it('is empty for configs which are not YCB', function () {
+            expect(compile.dimensionTables(Config.test.makeFakeYCB(dimensions, {a: 1}))).to.deep.equal([]);
+        });
+    });
+
+    describe('reachableContexts()', function () {
+        it('lists every combination of used values', function () {
+            var tables = [
+                ['device', {mobile: 1, tablet: 1, phone: 2}],
+                ['lang', {en: 3, 'en-US': 3}]
+            ];
+            expect(compile.reachableContexts(tables)).to.deep.equal([
+                {},
+                {lang: 'en'},
+                {device: 'mobile'},
+                {device: 'mobile', lang: 'en'},
+                {device: 'phone'},
+                {device: 'phone', lang: 'en'}
+            ]);
+        });
+
+        it('gives the default of base context dimensions as null', function () {
+            expect(compile.reachableContexts([['lang', {en: 1}]], {lang: 'en'})).to.deep.equal([
+                {lang: null},
+                {lang: 'en'}
+            ]);
+        });
+
+        it('has the single empty context without dimensions', function () {
+            expect(compile.reachableContexts([])).to.deep.equal([{}]);
+        });
+
+        it('lists nothing beyond the maximum', function () {
+            var tables = [
+                ['device', {mobile: 1, tablet: 1, phone: 2}],
+                ['lang', {en: 3, 'en-US': 3}]
+            ];
+            expect(compile.reachableContexts(tables, undefined, 6)).to.have.length(6);
+            expect(compile.reachableContexts(tables, undefined, 5)).to.equal(null);
+        });
+    });
+
+    describe('create()', function () {
+        it('deduplicates the configs', function () {
+            var have = compile.create([], [
+                {key: '[0]', config: {a: 1}},
+                {key: '[1]', config: {a: 2}},
+                {key: '[2]', config: {a: 1}}
+            ]);
+            expect(have.version).to.equal(1);
+            expect(have.keys).to.deep.equal({'[0]': 0, '[1]': 1, '[2]': 0});
+            expect(have.configs).to.deep.equal([{a: 1}, {a: 2}]);
+            expect(have).to.not.have.property('baseContext');
+        });
+
+        it('keeps the base context', function () {
+            expect(compile.create([], [], {device: 'mobile'}).baseContext).to.deep.equal({device: 'mobile'});
+        });
+    });
+});
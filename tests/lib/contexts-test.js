@@ -0,0 +1,86 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+/*globals describe, it */
+"use strict";
+
+
+var expect = require('chai').expect,
+    contexts = require('../../lib/contexts'),
+    dimensions = [
+        {environment: {dev: null, prod: {stage: null}}},
+        {device: {desktop: null, mobile: {tablet: null, phone: null}}},
+        {lang: {en: {'en-US': null}, fr: null}}
+    ];
+
+
+describe('contexts', function () {
+    describe('lineage()', function () {
+        it('lists the ancestors of each value', function () {
+            var have = contexts.lineage(dimensions);
+            expect(have.environment).to.deep.equal({dev: ['dev'], prod: ['prod'], stage: ['stage', 'prod']});
+            expect(have.device.phone).to.deep.equal(['phone', 'mobile']);
+            expect(Object.keys(have.lang)).to.deep.equal(['en', 'en-US', 'fr']);
+        });
+
+        it('handles missing dimensions', function () {
+            expect(contexts.lineage(undefined)).to.deep.equal({});
+        });
+    });
+
+    describe('enumerate()', function () {
+        it('returns a single context for master only', function () {
+            expect(contexts.enumerate(dimensions, [{}])).to.deep.equal([{}]);
+        });
+
+        it('only uses dimensions and values used by sections', function () {
+            expect(contexts.enumerate(dimensions, [
+                {},
+                {device: 'mobile'},
+                {device: 'phone'}
+            ])).to.deep.equal([
+                {},
+                {device: 'mobile'},
+                {device: 'phone'}
+            ]);
+        });
+
+        it('combines dimensions', function () {
+            expect(contexts.enumerate(dimensions, [
+                {},
+                {environment: 'prod'},
+                {device: 'mobile'}
+            ])).to.deep.equal([
+                {},
+                {device: 'mobile'},
+                {environment: 'prod'},
+                {environment: 'prod', device: 'mobile'}
+            ]);
+        });
+
+        it('prunes combinations that select the same sections', function () {
+            // mobile only matters in prod, so {device: 'mobile'} alone is the same as {}
+            expect(contexts.enumerate(dimensions, [
+                {},
+                {environment: 'prod'},
+                {environment: 'prod', device: 'mobile'},
+                {environment: 'stage'}
+            ])).to.deep.equal([
+                {},
+                {environment: 'prod'},
+                {environment: 'prod', device: 'mobile'},
+                {environment: 'stage'},
+                {environment: 'stage', device: 'mobile'}
+            ]);
+        });
+
+        it('ignores selectors of unknown dimensions', function () {
+            expect(contexts.enumerate(dimensions, [{}, {region: 'US'}])).to.deep.equal([{}]);
+        });
+    });
+});
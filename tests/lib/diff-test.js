@@ -0,0 +1,199 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+/*globals describe, it */
+"use strict";
+
+
+var libpath = require('path'),
+    expect = require('chai').expect,
+    Config = require('../../lib/index'),
+    diff = require('../../lib/diff'),
+    fixtures = libpath.resolve(__dirname, '../fixtures/diff'),
+    dimensions = require(libpath.resolve(fixtures, 'dimensions.json'))[0].dimensions;
+
+
+describe('diff', function () {
+    describe('settingsProblems()', function () {
+        it('lists every problem of the settings', function () {
+            var lineages = {device: {mobile: ['mobile'], phone: ['phone', 'mobile']}};
+            expect(diff.settingsProblems(['device:tablet,tv', 'lang:en', 'device'], lineages)).to.deep.equal([
+                {rule: 'unknown-value', dimension: 'device', value: 'tablet'},
+                {rule: 'unknown-value', dimension: 'device', value: 'tv'},
+                {rule: 'unknown-dimension', dimension: 'lang'},
+                {rule: 'invalid-settings', setting: 'device'}
+            ]);
+            expect(diff.settingsProblems(['device:phone'], lineages)).to.deep.equal([]);
+            expect(diff.settingsProblems(['master', 'lang:en'], lineages)).to.deep.equal([]);
+        });
+    });
+
+    describe('shadowing()', function () {
+        it('lists the values of each section set again by the last later section', function () {
+            var lineages = {device: {mobile: ['mobile'], phone: ['phone', 'mobile']}};
+            expect(diff.shadowing([
+                {settings: ['master'], a: {b: 1}, c: 1, d: 1},
+                {settings: ['main'], a: 2},
+                {settings: ['device:phone'], e: 1},
+                {settings: ['master'], a: {b: {c: 3}}, c: 2}
+            ], lineages)).to.deep.equal([
+                {
+                    index: 0,
+                    settings: ['master'],
+                    first: undefined,
+                    unread: [{path: 'a.b', by: 3}, {path: 'c', by: 3}],
+                    shadowed: false
+                },
+                {index: 1, settings: ['main'], first: 0, unread: [{path: 'a', by: 3}], shadowed: true},
+                {index: 2, settings: ['device:phone'], first: undefined, unread: [], shadowed: false},
+                {index: 3, settings: ['master'], first: 0, unread: [], shadowed: false}
+            ]);
+        });
+    });
+
+    describe('unreachableSections()', function () {
+        it('finds sections that ycb ignores', function () {
+            expect(diff.unreachableSections([
+                {settings: ['master'], a: 1},
+                {settings: ['device:mobile,phone'], a: 2},
+                {settings: {dimensions: ['lang:de']}, a: 3},
+                {settings: ['region:us'], a: 4},
+                {settings: ['device'], a: 5},
+                {settings: [], a: 6},
+                {dimensions: dimensions}
+            ], dimensions)).to.deep.equal([
+                {index: 2, settings: ['lang:de'], reason: 'unknown value de of dimension lang'},
+                {index: 3, settings: ['region:us'], reason: 'unknown dimension region'},
+                {index: 4, settings: ['device'], reason: 'invalid setting device'},
+                {index: 5, settings: [], reason: 'invalid settings'}
+            ]);
+        });
+
+        it('ignores configs which are not YCB', function () {
+            expect(diff.unreachableSections({a: 1}, dimensions)).to.deep.equal([]);
+        });
+    });
+
+    describe('shadowedSections()', function () {
+        it('finds sections overridden by later ones with the same settings', function () {
+            expect(diff.shadowedSections([
+                {settings: ['device:mobile', 'lang:en'], a: {b: 1}, c: 1},
+                {settings: ['master'], a: 1},
+                {settings: ['lang:en', 'device:mobile'], a: 2},
+                {settings: ['device:mobile', 'lang:en'], c: [1]},
+                {settings: ['master'], b: 1}
+            ], dimensions)).to.deep.equal([
+                {index: 0, settings: ['device:mobile', 'lang:en'], by: [2, 3]}
+            ]);
+        });
+
+        it('ignores scheduled and empty sections', function () {
+            expect(diff.shadowedSections([
+                {settings: {dimensions: ['master'], schedule: {start: 0}}, a: 1},
+                {settings: ['master']},
+                {settings: ['master'], a: 2}
+            ], dimensions)).to.deep.equal([]);
+        });
+
+        it('treats main as master', function () {
+            expect(diff.shadowedSections([
+                {settings: ['main'], a: 1},
+                {settings: ['master'], a: 2}
+            ], dimensions)).to.deep.equal([
+                {index: 0, settings: ['main'], by: [1]}
+            ]);
+        });
+
+        it('ignores sections which ycb ignores', function () {
+            expect(diff.shadowedSections([
+                {settings: ['device:mobile', 'lang:de'], a: 1},
+                {settings: ['device:mobile', 'lang:de'], a: 2},
+                {settings: ['master', 'lang:en'], a: 3},
+                {settings: ['master', 'lang:en'], a: 4}
+            ], dimensions)).to.deep.equal([]);
+        });
+    });
+
+    describe('Config.diff()', function () {
+        var oldContents = require(libpath.resolve(fixtures, 'old.json')),
+            newContents = require(libpath.resolve(fixtures, 'new.json'));
+
+        it('reports the changes of each affected context', function () {
+            var have = Config.diff(oldContents, newContents, dimensions);
+            expect(have.contexts.map(function (entry) {
+                return entry.context;
+            })).to.deep.equal([
+                {lang: 'fr'},
+                {device: 'mobile', lang: 'fr'},
+                {device: 'phone'},
+                {device: 'phone', lang: 'fr'}
+            ]);
+            expect(have.contexts[3].groups).to.deep.equal([
+                {
+                    settings: ['lang:fr'],
+                    changes: [{path: 'title', before: 'Nouvelles', after: 'Les nouvelles'}]
+                },
+                {
+                    settings: ['device:phone'],
+                    changes: [{path: 'ads.enabled', before: true, after: false}]
+                }
+            ]);
+        });
+
+        it('reports new unreachable and shadowed sections', function () {
+            var have = Config.diff(oldContents, newContents, dimensions);
+            expect(have.unreachable).to.deep.equal([
+                {index: 5, settings: ['lang:de'], reason: 'unknown value de of dimension lang'}
+            ]);
+            expect(have.shadowed).to.deep.equal([{index: 3, settings: ['lang:fr'], by: [4]}]);
+            have = Config.diff(newContents, newContents, dimensions);
+            expect(have).to.deep.equal({contexts: [], unreachable: [], shadowed: []});
+        });
+
+        it('blames removed sections', function () {
+            var have = Config.diff(newContents, oldContents, dimensions);
+            expect(have.contexts[2]).to.deep.equal({
+                context: {device: 'phone'},
+                groups: [{
+                    settings: ['device:phone'],
+                    changes: [{path: 'ads.enabled', before: false, after: true}]
+                }]
+            });
+        });
+
+        it('reports added and removed keys', function () {
+            var have = Config.diff([
+                {settings: ['master'], a: 1}
+            ], [
+                {settings: ['master']},
+                {settings: ['device:mobile'], b: {c: 1}}
+            ], dimensions);
+            expect(have.contexts).to.deep.equal([
+                {
+                    context: {},
+                    groups: [{settings: ['master'], changes: [{path: 'a', before: 1, after: undefined}]}]
+                },
+                {
+                    context: {device: 'mobile'},
+                    groups: [
+                        {settings: ['master'], changes: [{path: 'a', before: 1, after: undefined}]},
+                        {settings: ['device:mobile'], changes: [{path: 'b.c', before: undefined, after: 1}]}
+                    ]
+                }
+            ]);
+        });
+
+        it('compares configs which are not YCB', function () {
+            var have = Config.diff({a: 1, b: 2}, {a: 1, b: 3}, dimensions);
+            expect(have.contexts).to.deep.equal([{
+                context: {},
+                groups: [{settings: ['master'], changes: [{path: 'b', before: 2, after: 3}]}]
+            }]);
+        });
+    });
+});
@@ -0,0 +1,86 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+/*globals describe, it */
+"use strict";
+
+
+var libcrypto = require('crypto'),
+    expect = require('chai').expect,
+    env = require('../../lib/env');
+
+
+describe('env', function () {
+    function hash(json) {
+        return libcrypto.createHash('sha1').update(json).digest('hex');
+    }
+
+    describe('scan()', function () {
+        it('finds overrides', function () {
+            var have = env.scan({
+                MYAPP__app__db__host: 'db',
+                MYAPP__app__db__port: '80',
+                MYAPP__app__web__timeout: '10',
+                MYAPP__app: 'too short',
+                MYAPP__app__db____port: 'empty part',
+                OTHER__app__db__host: 'other',
+                PATH: '/bin'
+            }, 'MYAPP');
+            expect(have).to.deep.equal({
+                app: {
+                    db: {
+                        key: hash('[{"path":["host"],"value":"db"},{"path":["port"],"value":"80"}]'),
+                        overrides: [
+                            {path: ['host'], value: 'db'},
+                            {path: ['port'], value: '80'}
+                        ]
+                    },
+                    web: {
+                        key: hash('[{"path":["timeout"],"value":"10"}]'),
+                        overrides: [{path: ['timeout'], value: '10'}]
+                    }
+                }
+            });
+        });
+
+        it('supports custom separators', function () {
+            expect(env.scan({'X.a.b.c.d': '1'}, 'X', '.')).to.deep.equal({
+                a: {b: {key: hash('[{"path":["c","d"],"value":"1"}]'), overrides: [{path: ['c', 'd'], value: '1'}]}}
+            });
+        });
+    });
+
+    describe('coerce()', function () {
+        it('converts to the existing type', function () {
+            expect(env.coerce('8080', 80)).to.equal(8080);
+            expect(env.coerce('x', 80)).to.equal('x');
+            expect(env.coerce('', 80)).to.equal('');
+            expect(env.coerce('false', true)).to.equal(false);
+            expect(env.coerce('YES', false)).to.equal(true);
+            expect(env.coerce('maybe', false)).to.equal('maybe');
+            expect(env.coerce('["a"]', [])).to.deep.equal(['a']);
+            expect(env.coerce('{"a":1}', {})).to.deep.equal({a: 1});
+            expect(env.coerce('{"a":1}', [])).to.equal('{"a":1}');
+            expect(env.coerce('80', 'string')).to.equal('80');
+            expect(env.coerce('80', undefined)).to.equal('80');
+        });
+    });
+
+    describe('apply()', function () {
+        it('does not modify the config', function () {
+            var config = {db: {host: 'localhost', port: 5432}, web: {}},
+                have = env.apply(config, [
+                    {path: ['db', 'port'], value: '5433'},
+                    {path: ['cache', 'ttl'], value: '10'}
+                ]);
+            expect(have).to.deep.equal({db: {host: 'localhost', port: 5433}, web: {}, cache: {ttl: '10'}});
+            expect(config).to.deep.equal({db: {host: 'localhost', port: 5432}, web: {}});
+            expect(have.web).to.equal(config.web);
+        });
+    });
+});
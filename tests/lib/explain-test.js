@@ -0,0 +1,104 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+/*globals describe, it */
+"use strict";
+
+
+var expect = require('chai').expect,
+    explain = require('../../lib/explain'),
+    dimensions = [
+        {environment: {dev: null, prod: null}},
+        {device: {desktop: null, mobile: {tablet: null, phone: null}}}
+    ],
+    sections = [
+        {selector: {}, config: {a: 1}},
+        {selector: {device: 'mobile'}, config: {a: 2}},
+        {selector: {device: 'phone'}, config: {a: 3}},
+        {selector: {environment: 'prod'}, config: {a: 4}},
+        {selector: {environment: 'prod', device: 'mobile'}, config: {a: 5}}
+    ];
+
+
+describe('explain', function () {
+    describe('selectorToSettings()', function () {
+        it('converts selectors', function () {
+            expect(explain.selectorToSettings({})).to.deep.equal(['master']);
+            expect(explain.selectorToSettings({environment: 'prod', device: 'mobile'})).to.deep.equal([
+                'environment:prod',
+                'device:mobile'
+            ]);
+        });
+    });
+
+    describe('applicableSections()', function () {
+        function configs(context) {
+            return explain.applicableSections(dimensions, sections, context).map(function (section) {
+                return section.config.a;
+            });
+        }
+
+        it('orders sections least specific first', function () {
+            expect(configs({})).to.deep.equal([1]);
+            expect(configs({device: 'phone'})).to.deep.equal([1, 2, 3]);
+            expect(configs({device: 'tablet'})).to.deep.equal([1, 2]);
+            expect(configs({environment: 'prod', device: 'phone'})).to.deep.equal([1, 2, 3, 4, 5]);
+        });
+
+        it('handles unknown values', function () {
+            expect(configs({device: 'watch', environment: 'prod'})).to.deep.equal([1, 4]);
+        });
+    });
+
+    describe('explain()', function () {
+        it('tracks leaf values', function () {
+            var have = explain.explain([
+                {selector: {}, config: {a: {b: 1, c: 2}, d: [1]}},
+                {selector: {device: 'mobile'}, config: {a: {b: 3}, d: [2]}}
+            ], 'app.json');
+            expect(have.sources).to.deep.equal({
+                'a.b': {settings: ['device:mobile'], path: 'app.json', line: undefined},
+                'a.c': {settings: ['master'], path: 'app.json', line: undefined},
+                'd': {settings: ['device:mobile'], path: 'app.json', line: undefined}
+            });
+            expect(have.overridden).to.deep.equal([
+                {key: 'a.b', value: 1, settings: ['master'], path: 'app.json', line: undefined, by: ['device:mobile']},
+                {key: 'd', value: [1], settings: ['master'], path: 'app.json', line: undefined, by: ['device:mobile']}
+            ]);
+        });
+
+        it('handles values replaced by objects and the other way around', function () {
+            var have = explain.explain([
+                {selector: {}, config: {a: 1, b: {c: 1}}},
+                {selector: {device: 'mobile'}, config: {a: {x: 1}, b: 2}}
+            ], 'app.json');
+            expect(Object.keys(have.sources).sort()).to.deep.equal(['a.x', 'b']);
+            expect(have.overridden.map(function (o) {
+                return o.key;
+            })).to.deep.equal(['a', 'b.c']);
+        });
+
+        it('finds line numbers', function () {
+            var source = [
+                '[{',
+                '    "settings": ["master"],',
+                '    "a": 1',
+                '}, {',
+                '    "settings": ["device:mobile"],',
+                '    "a": 2',
+                '}]'
+            ].join('\n');
+            var have = explain.explain([
+                {selector: {}, config: {a: 1}},
+                {selector: {device: 'mobile'}, config: {a: 2}}
+            ], 'app.json', source);
+            expect(have.sources.a.line).to.equal(6);
+            expect(have.overridden[0].line).to.equal(3);
+        });
+    });
+});
@@ -0,0 +1,274 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true, esversion:6 */
+/*globals describe, it, beforeEach, afterEach */
+"use strict";
+
+
+var libfs = require('fs'),
+    libos = require('os'),
+    libpath = require('path'),
+    expect = require('chai').expect,
+    FileCache = require('../../lib/filecache');
+
+
+describe('FileCache', function () {
+    var dir;
+
+    beforeEach(function () {
+        dir = libfs.mkdtempSync(libpath.join(libos.tmpdir(), 'ycb-config-'));
+    });
+
+    afterEach(function () {
+        libfs.readdirSync(dir).forEach(function (name) {
+            libfs.unlinkSync(libpath.resolve(dir, name));
+        });
+        libfs.rmdirSync(dir);
+    });
+
+    it('requires a directory', function () {
+        expect(function () {
+            return new FileCache({});
+        }).to.throw('No directory given to the file cache, as the dir option. {}');
+    });
+
+    it('creates the directory', function () {
+        var cache = new FileCache({dir: libpath.join(dir, 'cache')});
+        expect(libfs.statSync(cache.dir).isDirectory()).to.equal(true);
+        libfs.rmdirSync(cache.dir);
+    });
+
+    function flush(cache) {
+        return new Promise(function (resolve) {
+            cache.flush(resolve);
+        });
+    }
+
+    it('shares entries between instances of the same contents', function () {
+        var one = new FileCache({dir: dir}),
+            two = new FileCache({dir: dir});
+        one.identifyGroup(1, 'app');
+        two.identifyGroup(7, 'app');
+        one.set('foo:m:app[]', {name: 'app', list: [1, null, true]}, 1);
+        return flush(one).then(function () {
+            var contents = JSON.parse(libfs.readFileSync(one._file('foo:m:app[]'), 'utf8'));
+            expect(contents).to.not.have.property('groupId');
+            expect(contents.identity).to.equal('app');
+            expect(two.get('foo:m:app[]', 7)).to.equal(undefined);
+            return flush(two);
+        }).then(function () {
+            var value = two.get('foo:m:app[]', 7);
+            expect(value).to.deep.equal({name: 'app', list: [1, null, true]});
+            value.name = 'changed';
+            expect(two.get('foo:m:app[]', 7).name).to.equal('app');
+            expect(two.stats()).to.include({hits: 2, misses: 1});
+            expect(libfs.readdirSync(dir)).to.have.length(1);
+        });
+    });
+
+    it('rejects entries of other contents', function () {
+        var one = new FileCache({dir: dir}),
+            two = new FileCache({dir: dir});
+        one.identifyGroup(1, 'app');
+        one.identifyGroup(2, 'app2');
+        two.identifyGroup(1, 'other');
+        expect(one.get('a', 1)).to.equal(undefined);
+        one.setTimeAware('a', 'A', 0, 100, 1);
+        expect(one.get('a', 2)).to.equal(undefined);
+        one.set('a', 'A2', 2);
+        expect(one.get('a', 2)).to.equal('A2');
+        expect(one.get('a', 1)).to.equal(undefined);
+        expect(one.stats()).to.include({size: 1, max: 1000, bytes: 0, maxBytes: 0,
+            hits: 1, misses: 1, staleGroup: 2, staleTime: 0, evictions: 0, overwrites: 1});
+        expect(one.stats().groups[2]).to.include({hits: 1, staleGroup: 1, overwrites: 1});
+        return flush(one).then(function () {
+            expect(two.getTimeAware('a', 0, 1)).to.equal(undefined);
+            return flush(two);
+        }).then(function () {
+            expect(two.getTimeAware('a', 0, 1)).to.equal(undefined);
+            expect(two.getStale('a', 1)).to.equal(undefined);
+            expect(two.stats()).to.include({misses: 2});
+            one.resetStats();
+            expect(one.stats()).to.include({hits: 0, staleGroup: 0});
+        });
+    });
+
+    it('does not cache groups which were not identified', function () {
+        var cache = new FileCache({dir: dir});
+        cache.set('a', 'A', 1);
+        expect(cache.get('a', 1)).to.equal(undefined);
+        return flush(cache).then(function () {
+            expect(libfs.readdirSync(dir)).to.deep.equal([]);
+        });
+    });
+
+    it('does not cache values which are not JSON', function () {
+        var cache = new FileCache({dir: dir}),
+            cycle = {};
+        cycle.cycle = cycle;
+        cache.identifyGroup(1, 'app');
+        cache.set('a', cycle, 1);
+        cache.set('b', function () {
+            return 'B';
+        }, 1);
+        expect(cache.keys()).to.deep.equal([]);
+    });
+
+    it('forgets purged groups', function () {
+        var cache = new FileCache({dir: dir});
+        cache.identifyGroup(1, 'app');
+        cache.identifyGroup(2, 'other');
+        cache.set('a', 'A', 1);
+        cache.set('b', 'B', 2);
+        cache.purgeGroup(1, 3);
+        expect(cache.keys()).to.deep.equal(['b']);
+        expect(cache.identities.has(1)).to.equal(false);
+        return flush(cache).then(function () {
+            // the file is left for other processes with the same contents
+            expect(libfs.existsSync(cache._file('a'))).to.equal(true);
+        });
+    });
+
+    it('evicts the least recently used entries of the index', function () {
+        var cache = new FileCache({dir: dir, max: 2});
+        cache.identifyGroup(1, 'app');
+        cache.set('a', 'A', 1);
+        cache.set('b', 'B', 1);
+        cache.get('a', 1);
+        cache.set('c', 'C', 1);
+        expect(cache.keys()).to.deep.equal(['a', 'c']);
+        expect(cache.stats()).to.include({evictions: 1});
+        return flush(cache);
+    });
+
+    it('evicts the oldest entries of the directory', function () {
+        var cache = new FileCache({dir: dir, max: 10}),
+            i;
+        cache.identifyGroup(1, 'app');
+        for(i = 0; i < 10; i++) {
+            cache.set('k' + i, i, 1);
+        }
+        return flush(cache).then(function () {
+            for(i = 0; i < 10; i++) {
+                libfs.utimesSync(cache._file('k' + i), new Date(1000 * i), new Date(1000 * i));
+            }
+            expect(cache.stats()).to.include({size: 10, max: 10});
+            cache.set('k0', 'again', 1);
+            expect(cache.stats()).to.include({size: 10});
+            return flush(cache);
+        }).then(function () {
+            cache.set('k10', 10, 1);
+            return flush(cache);
+        }).then(function () {
+            expect(libfs.readdirSync(dir).sort()).to.deep.equal(['k0', 'k10', 'k3', 'k4', 'k5', 'k6', 'k7', 'k8', 'k9']
+                .map(function (key) {
+                    return libpath.basename(cache._file(key));
+                }).sort());
+            expect(cache.size).to.equal(9);
+            expect(new FileCache({dir: dir, max: 0}).max).to.equal(1000);
+        });
+    });
+
+    it('handles time aware entries', function () {
+        var cache = new FileCache({dir: dir});
+        cache.identifyGroup(1, 'app');
+        cache.setTimeAware('a', 'A', 100, 200, 1);
+        cache.setTimeAware('b', 'B', 100, Infinity, 1);
+        expect(cache.getTimeAware('a', 99, 1)).to.equal(undefined);
+        expect(cache.getTimeAware('a', 100, 1)).to.equal('A');
+        expect(cache.getTimeAware('a', 199, 1)).to.equal('A');
+        expect(cache.getTimeAware('a', 200, 1)).to.equal(undefined);
+        expect(cache.getTimeAware('b', 1e15, 1)).to.equal('B');
+        expect(cache.stats()).to.include({hits: 3, staleTime: 2});
+        return flush(cache);
+    });
+
+    it('returns expired entries of the group', function () {
+        var cache = new FileCache({dir: dir});
+        cache.identifyGroup(1, 'app');
+        cache.identifyGroup(2, 'other');
+        cache.setTimeAware('a', 'A', 100, 200, 1);
+        cache.set('b', 'B', 1);
+        expect(cache.getStale('a', 1)).to.deep.equal({value: 'A', setAt: 100, expiresAt: 200});
+        expect(cache.getStale('b', 1)).to.deep.equal({value: 'B', setAt: 0, expiresAt: Infinity});
+        expect(cache.getStale('a', 2)).to.equal(undefined);
+        expect(cache.getStale('c', 1)).to.equal(undefined);
+        return flush(cache);
+    });
+
+    it('handles TTLs', function () {
+        var cache = new FileCache({dir: dir}),
+            now = Date.now;
+        cache.identifyGroup(1, 'app');
+        cache.set('a', 'A', 1, 1000);
+        cache.set('b', 'B', 1, -1);
+        try {
+            Date.now = function () {
+                return now() + 2000;
+            };
+            expect(cache.get('a', 1)).to.equal(undefined);
+            expect(cache.get('b', 1)).to.equal('B');
+        } finally {
+            Date.now = now;
+        }
+        return flush(cache);
+    });
+
+    it('treats unreadable entries as missing', function () {
+        var cache = new FileCache({dir: dir});
+        cache.identifyGroup(1, 'app');
+        libfs.writeFileSync(cache._file('a'), '{"key": "a", ');
+        expect(cache.get('a', 1)).to.equal(undefined);
+        return flush(cache).then(function () {
+            expect(cache.get('a', 1)).to.equal(undefined);
+            expect(cache.stats()).to.include({misses: 2});
+            return flush(cache);
+        });
+    });
+
+    it('lists and clears the keys', function () {
+        var cache = new FileCache({dir: dir});
+        cache.identifyGroup(1, 'app');
+        cache.set('a', 'A', 1);
+        cache.set('b', 'B', 1);
+        cache.get('a', 1);
+        return flush(cache).then(function () {
+            libfs.writeFileSync(libpath.join(dir, 'notes.txt'), 'not an entry');
+            expect(cache.keys()).to.deep.equal(['b', 'a']);
+            cache.clear();
+            expect(cache.keys()).to.deep.equal([]);
+            expect(cache.stats()).to.include({size: 0});
+            expect(libfs.readdirSync(dir)).to.deep.equal(['notes.txt']);
+        });
+    });
+
+    it('writes the last entry set while a key is written', function () {
+        var cache = new FileCache({dir: dir});
+        cache.identifyGroup(1, 'app');
+        cache.set('a', 'A1', 1);
+        cache.set('a', 'A2', 1);
+        cache.set('a', 'A3', 1);
+        return flush(cache).then(function () {
+            expect(JSON.parse(libfs.readFileSync(cache._file('a'), 'utf8')).value).to.equal('"A3"');
+        });
+    });
+
+    it('does not fail when entries cannot be written', function () {
+        var cache = new FileCache({dir: dir});
+        cache.identifyGroup(1, 'app');
+        libfs.rmdirSync(dir);
+        cache.set('a', 'A', 1);
+        return flush(cache).then(function () {
+            libfs.mkdirSync(dir);
+            expect(cache.get('a', 1)).to.equal('A');
+            return flush(cache);
+        }).then(function () {
+            expect(libfs.readdirSync(dir)).to.deep.equal([]);
+        });
+    });
+});
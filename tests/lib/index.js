@@ -5,13 +5,16 @@
  */
 
 
-/*jslint nomen:true, anon:true, node:true */
-/*globals describe, it */
+/*jslint nomen:true, anon:true, node:true, esversion:6 */
+/*globals describe, it, beforeEach, afterEach */
 "use strict";
 
 
 var libpath = require('path'),
     libfs = require('fs'),
+    libos = require('os'),
+    libevents = require('events'),
+    libcrypto = require('crypto'),
     expect = require('chai').expect,
     assert = require('chai').assert,
     Config = require('../../lib/index'),
@@ -264,297 +267,487 @@ describe('config', function () {
         });
 
 
-        describe('_mergeBaseContext()', function () {
-            it('should skip if no baseContext', function () {
-                var config,
-                    input = {foo: 'bar'},
-                    have;
-                config = new Config();
-                have = config._mergeBaseContext(input);
-                compareObjects(have, input);
+        describe('watch', function () {
+            var dir;
+
+            // writes a file and makes sure its mtime changes, even within the same millisecond
+            function writeFile(name, contents, bump) {
+                var path = libpath.resolve(dir, name),
+                    time = new Date(Date.now() + (bump || 0) * 1000);
+                libfs.writeFileSync(path, contents);
+                libfs.utimesSync(path, time, time);
+                return path;
+            }
+
+            beforeEach(function () {
+                dir = libfs.mkdtempSync(libpath.join(libos.tmpdir(), 'ycb-config-'));
             });
 
-            it('should handle undefined input', function () {
+            afterEach(function () {
+                libfs.readdirSync(dir).forEach(function (name) {
+                    libfs.unlinkSync(libpath.resolve(dir, name));
+                });
+                libfs.rmdirSync(dir);
+            });
+
+            it('does not watch by default', function () {
                 var config = new Config();
-                expect(config._mergeBaseContext()).to.be.an('object');
+                config.addConfigContents('foo', 'bar', writeFile('x.json', '{"a": 1}'), '{"a": 1}');
+                expect(Object.keys(config._watchers)).to.have.length(0);
             });
 
-            it('should mix in baseContext', function () {
-                var config,
-                    input = {foo: 'foo-in', bar: 'bar-in'},
-                    base = {bar: 'bar-base', baz: 'baz-base'},
-                    want = {bar: 'bar-in', baz: 'baz-base', foo: 'foo-in'},
-                    have;
-                config = new Config({baseContext: base});
-                have = config._mergeBaseContext(input);
-                compareObjects(have, want);
+            it('reloads changed configs', function (next) {
+                var config = new Config({watch: true, watchInterval: 10}),
+                    path = writeFile('x.json', '{"a": 1}');
+                config.addConfig('foo', 'bar', path, function (err) {
+                    config.read('foo', 'bar', {}, function (err, have) {
+                        var groupId = config._configIdMap.foo.bar;
+                        expect(have.a).to.equal(1);
+                        config.once('change', function (event) {
+                            try {
+                                expect(event.path).to.equal(path);
+                                expect(event.dimensions).to.equal(false);
+                                expect(event.configs).to.have.length(1);
+                                expect(event.configs[0].bundleName).to.equal('foo');
+                                expect(event.configs[0].configName).to.equal('bar');
+                                expect(event.configs[0].groupId).to.not.equal(groupId);
+                            } catch (e) {
+                                config.close();
+                                return next(e);
+                            }
+                            config.read('foo', 'bar', {}, function (err, have) {
+                                config.close();
+                                try {
+                                    expect(have.a).to.equal(2);
+                                    next();
+                                } catch (e) {
+                                    next(e);
+                                }
+                            });
+                        });
+                        setTimeout(function () {
+                            writeFile('x.json', '{"a": 2}', 10);
+                        }, 50);
+                    });
+                });
             });
-        });
-    });
 
+            it('keeps the last good version on parse errors', function (next) {
+                var config = new Config({watch: true, watchInterval: 10}),
+                    path = writeFile('x.json', '{"a": 1}');
+                config.addConfig('foo', 'bar', path, function (err) {
+                    config.on('change', function () {
+                        config.close();
+                        next(new Error('should not have changed'));
+                    });
+                    config.once('parseError', function (event) {
+                        expect(event.path).to.equal(path);
+                        expect(event.error.message).to.contain('Failed to parse');
+                        config.read('foo', 'bar', {}, function (err, have) {
+                            config.close();
+                            try {
+                                expect(have.a).to.equal(1);
+                                next();
+                            } catch (e) {
+                                next(e);
+                            }
+                        });
+                    });
+                    // give the watcher time to stat the original file
+                    setTimeout(function () {
+                        writeFile('x.json', '{"a": ', 10);
+                    }, 50);
+                });
+            });
 
-    describe('using fixtures', function () {
-        var mojito = libpath.resolve(fixtures, 'mojito-newsboxes'),
-            touchdown = libpath.resolve(fixtures, 'touchdown-simple');
+            it('reloads the dimensions', function (next) {
+                var config = new Config({watch: true, watchInterval: 10}),
+                    dimensionsPath = writeFile('dimensions.json', JSON.stringify([{dimensions: [{device: {mobile: null}}]}])),
+                    path = writeFile('app.json', JSON.stringify([
+                        {settings: ['master'], selector: 'master'},
+                        {settings: ['device:mobile'], selector: 'mobile'},
+                        {settings: ['device:tablet'], selector: 'tablet'}
+                    ]));
+                config.addConfig('foo', 'dimensions', dimensionsPath, function () {
+                    config.addConfig('foo', 'app', path, function () {
+                        config.read('foo', 'app', {device: 'tablet'}, function (err, have) {
+                            expect(have.selector).to.equal('master');
+                            expect(Object.keys(config._watchers)).to.have.length(2);
+                            config.once('change', function (event) {
+                                try {
+                                    expect(event.dimensions).to.equal(true);
+                                    expect(event.configs).to.have.length(2);
+                                } catch (e) {
+                                    config.close();
+                                    return next(e);
+                                }
+                                config.read('foo', 'app', {device: 'tablet'}, function (err, have) {
+                                    config.close();
+                                    try {
+                                        expect(have.selector).to.equal('tablet');
+                                        next();
+                                    } catch (e) {
+                                        next(e);
+                                    }
+                                });
+                            });
+                            setTimeout(function () {
+                                writeFile('dimensions.json', JSON.stringify([{dimensions: [{device: {mobile: null, tablet: null}}]}]), 10);
+                            }, 50);
+                        });
+                    });
+                });
+            });
 
-        describe('contentsIsYCB()', function () {
-            it('should pass YCB files', function () {
-                var contents;
-                contents = require(libpath.resolve(mojito, 'application.json'));
-                expect(Config.test.contentsIsYCB(contents)).to.equal(true);
-                expect(Config.test.contentsIsYCB([{settings: ['master']}])).to.equal(true);
+            it('stops watching deleted configs', function () {
+                var config = new Config({watch: true}),
+                    path = writeFile('x.json', '{"a": 1}');
+                config.addConfigContents('foo', 'bar', path, '{"a": 1}');
+                expect(Object.keys(config._watchers)).to.deep.equal([path]);
+                config.deleteConfig('foo', 'bar', path);
+                expect(Object.keys(config._watchers)).to.have.length(0);
             });
-            it('should reject others', function () {
-                var contents;
-                contents = require(libpath.resolve(mojito, 'package.json'));
-                expect(Config.test.contentsIsYCB(contents)).to.equal(false);
-                expect(Config.test.contentsIsYCB([])).to.equal(false);
-                expect(Config.test.contentsIsYCB(['foo', 'bar'])).to.equal(false);
-                expect(Config.test.contentsIsYCB([{foo: 'f'}, {bar: 'b'}])).to.equal(false);
-                expect(Config.test.contentsIsYCB([{foo: 'f'}, {settings: ['master']}])).to.equal(false);
+
+            it('close() stops watching', function () {
+                var config = new Config({watch: true}),
+                    path = writeFile('x.json', '{"a": 1}');
+                config.addConfigContents('foo', 'bar', path, '{"a": 1}');
+                config.close();
+                expect(Object.keys(config._watchers)).to.have.length(0);
             });
         });
 
-        describe('makeYCB()', function () {
-            it('should not error on undefined contents', function () {
-                var dimensions = [{foo: 'f'}, {settings: ['master']}];
-                expect(Config.test.makeYCB(Config, dimensions)).to.be.an('object');
+        describe('events', function () {
+            it('is an EventEmitter', function () {
+                var config = new Config();
+                expect(config).to.be.an.instanceof(require('events').EventEmitter);
             });
-        });
 
-        describe('_readConfigContents()', function () {
+            it('emits configAdded', function () {
+                var config = new Config(),
+                    events = [];
+                config.on('configAdded', function (event) {
+                    events.push(event);
+                });
+                config.addConfigContents('foo', 'bar', 'x.json', '{}');
+                config.addConfigContents('foo', 'bar', 'y.json', '{}');
+                expect(events).to.deep.equal([
+                    {bundleName: 'foo', configName: 'bar', path: 'x.json', groupId: 1, replaced: false},
+                    {bundleName: 'foo', configName: 'bar', path: 'y.json', groupId: 2, replaced: true}
+                ]);
+            });
 
-            it('reads .js config files', function (next) {
-                var config,
-                    path;
-                config = new Config();
-                path = libpath.resolve(touchdown, 'configs/foo.js');
-                config._readConfigContents(path, function (err, have) {
-                    var want = [
-                        { settings: [ 'master' ], TODO: 'TODO' },
-                        { settings: [ 'device:mobile' ], selector: 'mobile' }
-                    ];
-                    try {
-                        compareObjects(have, want);
-                        next();
-                    } catch (err) {
-                        next(err);
-                    }
+            it('emits configDeleted', function () {
+                var config = new Config(),
+                    events = [];
+                config.on('configDeleted', function (event) {
+                    events.push(event);
                 });
+                config.addConfigContents('foo', 'bar', 'x.json', '{}');
+                config.addConfigContents('foo', 'bar', 'y.json', '{}');
+                config.deleteConfig('foo', 'bar', 'y.json');
+                config.deleteConfig('foo', 'bar', 'y.json');
+                expect(events).to.deep.equal([
+                    {bundleName: 'foo', configName: 'bar', path: 'x.json', groupId: 1},
+                    {bundleName: 'foo', configName: 'bar', path: 'y.json', groupId: 2}
+                ]);
             });
 
-            it('reads .json5 config files', function (next) {
-                var config,
-                    path;
-                config = new Config();
-                path = libpath.resolve(mojito, 'testfile.json5');
-                config._readConfigContents(path, function (err, have) {
-                    var want = {
-                        foo: 'bar',
-                        boolean: true,
-                        string: 'long string multi-line string',
-                        comment: 'inline',
-                        hex: 3735928559,
-                        decimal: 0.5,
-                        delta: 10,
-                        oh: [ 'double', 'single' ]
-                    };
+            it('emits dimensionsLoaded once', function (next) {
+                var config = new Config(),
+                    events = [];
+                config.on('dimensionsLoaded', function (event) {
+                    events.push(event);
+                });
+                config.addConfigContents('foo', 'dimensions', 'dimensions.json', '[{"dimensions": [{"device": {"mobile": null}}]}]');
+                config.readDimensions(function () {
+                    config.readDimensions(function () {
+                        try {
+                            expect(events).to.deep.equal([
+                                {path: 'dimensions.json', dimensions: [{device: {mobile: null}}]}
+                            ]);
+                            next();
+                        } catch (e) {
+                            next(e);
+                        }
+                    });
+                });
+            });
+
+            it('emits cacheMiss and cacheHit', function (next) {
+                var config = new Config(),
+                    events = [];
+                ['cacheMiss', 'cacheHit'].forEach(function (name) {
+                    config.on(name, function (event) {
+                        events.push([name, event.bundleName, event.configName, event.path, event.groupId]);
+                    });
+                });
+                config.addConfigContents('foo', 'bar', 'x.json', '{"a": 1}');
+                config.read('foo', 'bar', {}, function () {
+                    config.read('foo', 'bar', {}, function () {
+                        config.readNoMerge('foo', 'bar', {}, function () {
+                            try {
+                                expect(events).to.deep.equal([
+                                    ['cacheMiss', 'foo', 'bar', 'x.json', 1],
+                                    ['cacheHit', 'foo', 'bar', 'x.json', 1],
+                                    ['cacheMiss', 'foo', 'bar', 'x.json', 1]
+                                ]);
+                                next();
+                            } catch (e) {
+                                next(e);
+                            }
+                        });
+                    });
+                });
+            });
+
+            it('emits parseError', function (next) {
+                var config = new Config(),
+                    path = libpath.resolve(fixtures, 'mojito-newsboxes/broken.json'),
+                    events = [];
+                config.on('parseError', function (event) {
+                    events.push(event);
+                });
+                config.addConfig('foo', 'bar', path, function (err) {
                     try {
-                        compareObjects(have, want);
+                        expect(events).to.have.length(1);
+                        expect(events[0].path).to.equal(path);
+                        expect(events[0].error).to.equal(err);
                         next();
-                    } catch (err) {
-                        next(err);
+                    } catch (e) {
+                        next(e);
                     }
                 });
             });
+        });
 
-            it('reads .yaml config files', function (next) {
-                var config,
-                    path;
-                config = new Config();
-                path = libpath.resolve(mojito, 'testfile.yaml');
-                config._readConfigContents(path, function (err, have) {
-                    var want = {
-                        version: 12345,
-                        customer: {
-                            name: 'John',
-                            address: { lines: '701 first ave.\nSuite #292\n', city: 'Sunnyvale' }
-                        },
-                        'ship-to': {
-                            name: 'John',
-                            address: { lines: '701 first ave.\nSuite #292\n', city: 'Sunnyvale' }
-                        },
-                        product: [ { book: '123ABC', price: 100 } ],
-                        comments: 'Contact is Bill  Phone num @ 123-4567.\n'
-                    };
+        describe('envOverrides', function () {
+            var contents = JSON.stringify({db: {host: 'localhost', port: 5432}, debug: false});
+
+            it('applies overrides to reads', function (next) {
+                var config = new Config({envOverrides: {prefix: 'MYAPP', env: {
+                    MYAPP__foo__app__db__port: '5433',
+                    MYAPP__foo__app__debug: 'true'
+                }}});
+                config.addConfigContents('foo', 'app', 'app.json', contents);
+                config.read('foo', 'app', {}, function (err, have) {
                     try {
-                        compareObjects(have, want);
+                        expect(have).to.deep.equal({db: {host: 'localhost', port: 5433}, debug: true});
+                        expect(config._configYCBs['app.json'].read().db.port).to.equal(5432);
                         next();
-                    } catch (err) {
-                        next(err);
+                    } catch (e) {
+                        next(e);
                     }
                 });
             });
 
-            it('reads .yml config files', function (next) {
-                var config,
-                    path;
-                config = new Config();
-                path = libpath.resolve(mojito, 'testfile.yml');
-                config._readConfigContents(path, function (err, have) {
-                    var want = {
-                        version: 12345,
-                        customer: {
-                            name: 'John',
-                            address: { lines: '701 first ave.\nSuite #292\n', city: 'Sunnyvale' }
-                        },
-                        'ship-to': {
-                            name: 'John',
-                            address: { lines: '701 first ave.\nSuite #292\n', city: 'Sunnyvale' }
-                        },
-                        product: [ { book: '123ABC', price: 100 } ],
-                        comments: 'Contact is Bill  Phone num @ 123-4567.\n'
-                    };
+            it('reads process.env by default', function (next) {
+                var config;
+                process.env.YCB_CONFIG_TEST__foo__app__db__host = 'db';
+                config = new Config({envOverrides: 'YCB_CONFIG_TEST'});
+                delete process.env.YCB_CONFIG_TEST__foo__app__db__host;
+                config.addConfigContents('foo', 'app', 'app.json', contents);
+                config.read('foo', 'app', {}, function (err, have) {
                     try {
-                        compareObjects(have, want);
+                        expect(have.db.host).to.equal('db');
                         next();
-                    } catch (err) {
-                        next(err);
+                    } catch (e) {
+                        next(e);
                     }
                 });
             });
 
-            it('reads .json config files', function (next) {
-                var config,
-                    path;
-                config = new Config();
-                path = libpath.resolve(mojito, 'application.json');
-                config._readConfigContents(path, function (err, have) {
-                    var want = [
-                        { settings: [ 'master' ], TODO: 'TODO' },
-                        { settings: [ 'device:mobile' ], selector: 'mobile' }
-                    ];
+            it('does not override readNoMerge', function (next) {
+                var config = new Config({envOverrides: {prefix: 'MYAPP', env: {MYAPP__foo__app__debug: 'true'}}});
+                config.addConfigContents('foo', 'app', 'app.json', contents);
+                config.readNoMerge('foo', 'app', {}, function (err, have) {
                     try {
-                        compareObjects(have, want);
+                        expect(have[0].debug).to.equal(false);
                         next();
-                    } catch (err) {
-                        next(err);
+                    } catch (e) {
+                        next(e);
                     }
                 });
             });
 
-            it('fails on malformed .json config files', function (next) {
-                var config,
-                    path;
-                config = new Config();
-                path = libpath.resolve(mojito, 'broken.json');
-                config._readConfigContents(path, function (err, config) {
-                    expect(err).to.have.property('message');
-                    expect(err).to.have.property('stack');
-                    next();
+            it('invalidates cached reads when refreshed', function (next) {
+                var env = {MYAPP__foo__app__db__port: '1'},
+                    config = new Config({envOverrides: {prefix: 'MYAPP', env: env}});
+                config.addConfigContents('foo', 'app', 'app.json', contents);
+                config.addConfigContents('foo', 'other', 'other.json', contents);
+                config.read('foo', 'app', {}, function (err, have) {
+                    var appId = config._configIdMap.foo.app,
+                        otherId = config._configIdMap.foo.other;
+                    expect(have.db.port).to.equal(1);
+                    env.MYAPP__foo__app__db__port = '2';
+                    config.refreshEnvOverrides();
+                    expect(config._configIdMap.foo.app).to.not.equal(appId);
+                    expect(config._configIdMap.foo.other).to.equal(otherId);
+                    config.read('foo', 'app', {}, function (err, have) {
+                        try {
+                            expect(have.db.port).to.equal(2);
+                            next();
+                        } catch (e) {
+                            next(e);
+                        }
+                    });
                 });
             });
 
-            it('fails on malformed .json5 config files', function (next) {
-                var config,
-                    path;
-                config = new Config();
-                path = libpath.resolve(mojito, 'broken.json5');
-                config._readConfigContents(path, function (err, config) {
-                    expect(err).to.have.property('message');
-                    expect(err).to.have.property('stack');
-                    next();
+            it('includes overrides in the cache key', function (next) {
+                var config = new Config({envOverrides: {prefix: 'MYAPP', env: {MYAPP__foo__app__db__port: '1'}}});
+                config.addConfigContents('foo', 'app', 'app.json', contents);
+                config.read('foo', 'app', {}, function () {
+                    try {
+                        expect(Array.from(config._cache.map.keys())).to.deep.equal([
+                            'foo:m:app:e:' + libcrypto.createHash('sha1')
+                                .update('[{"path":["db","port"],"value":"1"}]').digest('hex')
+                        ]);
+                        next();
+                    } catch (e) {
+                        next(e);
+                    }
                 });
             });
+        });
 
-            it('fails on malformed .yaml config files', function (next) {
-                var config,
-                    path;
-                config = new Config();
-                path = libpath.resolve(mojito, 'broken.yaml');
-                config._readConfigContents(path, function (err, config) {
-                    expect(err).to.have.property('message');
-                    expect(err).to.have.property('stack');
-                    next();
+        describe('secrets', function () {
+            var contents = JSON.stringify({
+                db: {user: 'app', password: '${env:DB_PASSWORD}', url: 'pg://app:${env:DB_PASSWORD}@db'},
+                key: '${file:api/key}',
+                other: '${unknown:foo}'
+            });
+
+            it('resolves built-in references', function (next) {
+                var dir = libfs.mkdtempSync(libpath.join(libos.tmpdir(), 'ycb-config-')),
+                    config = new Config({secrets: {dir: dir, env: {DB_PASSWORD: 'hunter2'}}});
+                libfs.mkdirSync(libpath.join(dir, 'api'));
+                libfs.writeFileSync(libpath.join(dir, 'api', 'key'), 'abc123\n');
+                config.addConfigContents('foo', 'app', 'app.json', contents);
+                config.read('foo', 'app', {}, function (err, have) {
+                    try {
+                        expect(err).to.equal(null);
+                        expect(have).to.deep.equal({
+                            db: {user: 'app', password: 'hunter2', url: 'pg://app:hunter2@db'},
+                            key: 'abc123',
+                            other: '${unknown:foo}'
+                        });
+                        expect(config._configYCBs['app.json'].read().db.password).to.equal('${env:DB_PASSWORD}');
+                        next();
+                    } catch (e) {
+                        next(e);
+                    }
                 });
             });
 
-            it('fails on malformed .yml config files', function (next) {
-                var config,
-                    path;
-                config = new Config();
-                path = libpath.resolve(mojito, 'broken.yml');
-                config._readConfigContents(path, function (err, config) {
-                    expect(err).to.have.property('message');
-                    expect(err).to.have.property('stack');
-                    next();
+            it('leaves references alone without resolvers', function (next) {
+                var config = new Config();
+                config.addConfigContents('foo', 'app', 'app.json', contents);
+                config.read('foo', 'app', {}, function (err, have) {
+                    try {
+                        expect(have.db.password).to.equal('${env:DB_PASSWORD}');
+                        next();
+                    } catch (e) {
+                        next(e);
+                    }
                 });
             });
 
-            it('fails on malformed .js config files', function (next) {
-                var config,
-                    path;
-                config = new Config();
-                path = libpath.resolve(mojito, 'broken.j');
-                config._readConfigContents(path, function (err, config) {
-                    expect(err).to.have.property('message');
-                    expect(err).to.have.property('stack');
-                    next();
+            it('uses custom resolvers', function (next) {
+                var config = new Config();
+                config.addConfigContents('foo', 'app', 'app.json', JSON.stringify({port: '${vault:port}'}));
+                config.addSecretResolver('vault', function (ref, callback) {
+                    setImmediate(function () {
+                        callback(null, ref === 'port' ? 5432 : undefined);
+                    });
+                });
+                config.read('foo', 'app', {}, function (err, have) {
+                    try {
+                        expect(have).to.deep.equal({port: 5432});
+                        next();
+                    } catch (e) {
+                        next(e);
+                    }
                 });
             });
 
-        });
-
-
-        describe('readDimensions()', function () {
-            it('mojito-newsboxes', function (next) {
-                var config = new Config();
-                config.addConfig(
-                    'modown',
-                    'dimensions',
-                    libpath.resolve(mojito, 'node_modules/modown/dimensions.json'),
-                    function (err, data) {
-                        config.readDimensions(function (err, dims) {
-                            try {
-                                expect(dims).to.be.an('array');
-                                expect(dims[0]).to.have.property('runtime');
-                                next();
-                            } catch (err) {
-                                next(err);
-                            }
-                        });
+            it('fails reads when a reference cannot be resolved', function (next) {
+                var config = new Config({secrets: {env: {}}});
+                config.addConfigContents('foo', 'app', 'app.json', contents);
+                config.read('foo', 'app', {}, function (err) {
+                    try {
+                        expect(err.message).to.equal('Failed to resolve secret "${env:DB_PASSWORD}" in config ' +
+                            '"app" of bundle "foo"\nEnvironment variable "DB_PASSWORD" is not set');
+                        next();
+                    } catch (e) {
+                        next(e);
                     }
-                );
+                });
             });
 
-            it('touchdown-simple', function (next) {
-                var config = new Config();
-                config.addConfig(
-                    'simple',
-                    'dimensions',
-                    libpath.resolve(touchdown, 'configs/dimensions.json'),
-                    function (err, data) {
-                        config.readDimensions(function (err, dims) {
-                            try {
-                                expect(dims).to.be.an('array');
-                                expect(dims[0]).to.have.property('ynet');
-                                next();
-                            } catch (err) {
-                                next(err);
-                            }
-                        });
+            it('caches reads with secrets for the TTL', function (next) {
+                var env = {DB_PASSWORD: 'one'},
+                    config = new Config({secrets: {env: env, ttl: 20}});
+                config.addConfigContents('foo', 'app', 'app.json', JSON.stringify({password: '${env:DB_PASSWORD}'}));
+                config.read('foo', 'app', {}, function (err, have) {
+                    expect(have.password).to.equal('one');
+                    env.DB_PASSWORD = 'two';
+                    config.read('foo', 'app', {}, function (err, have) {
+                        expect(have.password).to.equal('one');
+                        setTimeout(function () {
+                            config.read('foo', 'app', {}, function (err, have) {
+                                try {
+                                    expect(have.password).to.equal('two');
+                                    next();
+                                } catch (e) {
+                                    next(e);
+                                }
+                            });
+                        }, 30);
+                    });
+                });
+            });
+
+            it('keeps secrets out of validation errors', function (next) {
+                var config = new Config({safeMode: true, secrets: {env: {DB_PASSWORD: 'hunter2'}}});
+                config.addConfigContents('foo', 'app', 'app.json', JSON.stringify({password: '${env:DB_PASSWORD}'}));
+                config.setSchema('foo', 'app', {properties: {password: {'enum': ['hunter2-old']}}});
+                config.read('foo', 'app', {}, function (err) {
+                    try {
+                        expect(err.message).to.not.contain('hunter2');
+                        expect(err.message).to.contain('password should be one of ["[redacted]-old"]');
+                        next();
+                    } catch (e) {
+                        next(e);
                     }
-                );
+                });
             });
         });
 
+        describe('schema validation', function () {
+            var dimensions = '[{"dimensions": [{"device": {"mobile": null, "desktop": null}}]}]',
+                contents = JSON.stringify([
+                    {settings: ['master'], port: 80},
+                    {settings: ['device:mobile'], port: 'eighty'}
+                ]),
+                schema = {
+                    type: 'object',
+                    properties: {port: {type: 'integer'}}
+                };
 
-        describe('read()', function () {
-            it('fails on unknown bundle', function (next) {
-                var config = new Config();
-                config.read('foo', 'bar', {}, function(err, data) {
+            function makeConfig(options) {
+                var config = new Config(options);
+                config.addConfigContents('foo', 'dimensions', 'dimensions.json', dimensions);
+                config.addConfigContents('foo', 'app', 'app.json', contents);
+                config.setSchema('foo', 'app', schema);
+                return config;
+            }
+
+            it('passes valid configs', function (next) {
+                makeConfig().read('foo', 'app', {device: 'desktop'}, function (err, config) {
                     try {
-                        expect(err.message).to.equal('Unknown bundle "foo"');
+                        expect(err).to.equal(null);
+                        expect(config.port).to.equal(80);
                         next();
                     } catch (e) {
                         next(e);
@@ -562,938 +755,2940 @@ describe('config', function () {
                 });
             });
 
-            it('strips undefined', function (next) {
-                var config = new Config();
-                config.addConfig(
-                    'simple',
-                    'dimensions',
-                    libpath.resolve(touchdown, 'configs/dimensions.json'),
-                    function (err) {
-                        if (err) { throw err; }
-                        config.addConfig(
-                            'simple',
-                            'foo',
-                            libpath.resolve(touchdown, 'configs/undefined-config.js'),
-                            function (err) {
-                                if (err) { throw err; }
-                                config.read('simple', 'foo', {device: 'mobile'}, function (err, have) {
-                                    try {
-                                        expect(have).to.be.an('object');
-                                        expect(Object.keys(have).length).to.be.equal(2);
-                                        next();
-                                    } catch (err) {
-                                        next(err);
-                                    }
-                                });
-                            }
-                        );
-                    });
+            it('fails invalid configs', function (next) {
+                var config = makeConfig(),
+                    events = [];
+                config.on('validationError', function (event) {
+                    events.push(event);
+                });
+                config.read('foo', 'app', {device: 'mobile'}, function (err, have) {
+                    try {
+                        expect(have).to.equal(undefined);
+                        expect(err.message).to.equal('Config "app" in bundle "foo" failed schema validation ' +
+                            'for context {"device":"mobile"}\nport should be integer');
+                        expect(err.errors).to.deep.equal([{path: 'port', message: 'should be integer'}]);
+                        expect(events).to.have.length(1);
+                        expect(events[0].context).to.deep.equal({device: 'mobile'});
+                        expect(config._cache.size).to.equal(0);
+                        next();
+                    } catch (e) {
+                        next(e);
+                    }
+                });
             });
 
-            it('fails on unknown config', function (next) {
-                var config = new Config();
-                config.addConfig(
-                    'modown-newsboxes',
-                    'application',
-                    libpath.resolve(mojito, 'application.json'),
-                    function (err) {
-                        config.read('modown-newsboxes', 'foo', {}, function (err, data) {
-                            try {
-                                expect(err.message).to.equal('Unknown config "foo" in bundle "modown-newsboxes"');
-                                next();
-                            } catch (e) {
-                                next(e);
-                            }
-                        });
+            it('only warns with schemaMode warn', function (next) {
+                var log = console.log,
+                    logged = [];
+                console.log = function (format, message) {
+                    logged.push(message);
+                };
+                makeConfig({schemaMode: 'warn'}).read('foo', 'app', {device: 'mobile'}, function (err, config) {
+                    console.log = log;
+                    try {
+                        expect(err).to.equal(null);
+                        expect(config.port).to.equal('eighty');
+                        expect(logged).to.have.length(1);
+                        expect(logged[0]).to.contain('failed schema validation');
+                        next();
+                    } catch (e) {
+                        next(e);
                     }
-                );
+                });
             });
 
-            it('reads non-contextualized .json config files', function (next) {
-                var config = new Config();
-                config.addConfig(
-                    'simple',
-                    'routes',
-                    libpath.resolve(touchdown, 'configs/dimensions.json'),
-                    function (err) {
-                        config.read('simple', 'routes', {}, function (err, have) {
-                            try {
-                                expect(err).to.equal(null);
-                                expect(have).to.be.an('array');
-                                expect(have[0]).to.be.an('object');
-                                expect(have[0].dimensions).to.be.an('array');
-                                next();
-                            } catch (err) {
-                                next(err);
-                            }
-                        });
+            it('ignores the expiration key in time aware mode', function (next) {
+                var config = makeConfig({timeAware: true});
+                config.setSchema('foo', 'app', {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {port: {type: 'integer'}}
+                });
+                config.read('foo', 'app', {device: 'desktop', time: 0}, function (err, config) {
+                    try {
+                        expect(err).to.equal(null);
+                        expect(config.port).to.equal(80);
+                        next();
+                    } catch (e) {
+                        next(e);
                     }
-                );
+                });
             });
 
-            it('reads contextualized .js config files', function (next) {
-                var config = new Config();
-                config.addConfig(
-                    'simple',
-                    'dimensions',
-                    libpath.resolve(touchdown, 'configs/dimensions.json'),
-                    function (err) {
-                        if (err) { throw err; }
-                        config.addConfig(
-                            'simple',
-                            'foo',
-                            libpath.resolve(touchdown, 'configs/foo.js'),
-                            function (err) {
-                                if (err) { throw err; }
-                                config.read('simple', 'foo', {device: 'mobile'}, function (err, have) {
-                                    try {
-                                        expect(have).to.be.an('object');
-                                        expect(have.TODO).to.equal('TODO');
-                                        expect(have.selector).to.equal('mobile');
-                                        next();
-                                    } catch (err) {
-                                        next(err);
-                                    }
-                                });
-                            }
-                        );
+            it('invalidates cached reads when the schema changes', function (next) {
+                var config = makeConfig();
+                config.setSchema('foo', 'app', null);
+                config.read('foo', 'app', {device: 'mobile'}, function (err) {
+                    expect(err).to.equal(null);
+                    config.setSchema('foo', 'app', schema);
+                    config.read('foo', 'app', {device: 'mobile'}, function (err) {
+                        try {
+                            expect(err.errors).to.have.length(1);
+                            next();
+                        } catch (e) {
+                            next(e);
+                        }
                     });
+                });
             });
 
-            it('reads contextualized .json config files', function (next) {
+            it('rejects remote $refs', function () {
                 var config = new Config();
-                config.addConfig(
-                    'modown',
-                    'dimensions',
-                    libpath.resolve(mojito, 'node_modules/modown/dimensions.json'),
-                    function (err) {
-                        if (err) { throw err; }
-                        config.addConfig(
-                            'modown-newsboxes',
-                            'application',
-                            libpath.resolve(mojito, 'application.json'),
-                            function (err) {
-                                if (err) { throw err; }
-                                config.read('modown-newsboxes',
-                                    'application', {device: 'mobile'}, function (err, have) {
-                                        try {
-                                            expect(have).to.be.an('object');
-                                            expect(have.TODO).to.equal('TODO');
-                                            expect(have.selector).to.equal('mobile');
-                                            next();
-                                        } catch (err) {
-                                            next(err);
-                                        }
-                                    });
-                            }
-                        );
-                    });
+                expect(function () {
+                    config.setSchema('foo', 'app', {$ref: 'https://example.com/schema.json'});
+                }).to.throw('Unsupported $ref');
             });
 
-            it('applies baseContext', function (next) {
-                var config = new Config({
-                    baseContext: {
-                        device: 'mobile'
+            it('validateAll() checks every section', function (next) {
+                makeConfig().validateAll(function (err, failures) {
+                    try {
+                        expect(err).to.equal(null);
+                        expect(failures).to.deep.equal([{
+                            bundleName: 'foo',
+                            configName: 'app',
+                            context: {device: 'mobile'},
+                            errors: [{path: 'port', message: 'should be integer'}]
+                        }]);
+                        next();
+                    } catch (e) {
+                        next(e);
                     }
                 });
-                config.addConfig(
-                    'modown',
-                    'dimensions',
-                    libpath.resolve(mojito, 'node_modules/modown/dimensions.json'),
-                    function () {
-                        config.addConfig(
-                            'modown-newsboxes',
-                            'application',
-                            libpath.resolve(mojito, 'application.json'),
-                            function (err) {
-                                if (err) { throw err; }
-                                config.read('modown-newsboxes', 'application', {},
-                                    function (err, have) {
-                                        try {
-                                            expect(have).to.be.an('object');
-                                            expect(have.TODO).to.equal('TODO');
-                                            expect(have.selector).to.equal('mobile');
-                                            next();
-                                        } catch (err) {
-                                            next(err);
-                                        }
-                                    }
-                                );
-                            }
-                        );
-                    });
             });
 
-            it('survives a bad context', function (next) {
-                var config,
-                    context;
-                context = {device: 'torture'};
-                config = new Config();
-                config.addConfig(
-                    'simple',
-                    'dimensions',
-                    libpath.resolve(touchdown, 'configs/dimensions.json'),
-                    function (err) {
-                        if (err) { throw err; }
-                        config.addConfig(
-                            'simple',
-                            'foo',
-                            libpath.resolve(touchdown, 'configs/foo.js'),
-                            function (err) {
-                                if (err) { throw err; }
-                                config.read('simple', 'foo', context, function (err, have) {
-                                    try {
-                                        expect(have.selector).to.be.an('undefined');
-                                        next();
-                                    } catch (err) {
-                                        next(err);
-                                    }
-                                });
-                            }
-                        );
+            it('validateAll() reports read errors', function (next) {
+                var config = new Config();
+                config.setSchema('foo', 'bar', schema);
+                config.validateAll(function (err) {
+                    try {
+                        expect(err.message).to.equal('Unknown bundle "foo"');
+                        next();
+                    } catch (e) {
+                        next(e);
                     }
-                );
+                });
             });
+        });
 
-            it('freezes the config object if the `safeMode` option is passed', function (next) {
-                var config = new Config({
-                    safeMode: true
+        describe('strict context', function () {
+            var dimensions = '[{"dimensions": [{"device": {"mobile": {"iphone": null}, "desktop": null}}, ' +
+                    '{"lang": {"en": null, "fr": null}}]}]',
+                contents = JSON.stringify([
+                    {settings: ['master'], name: 'master'},
+                    {settings: ['device:mobile'], name: 'mobile'}
+                ]);
+
+            function makeConfig(options) {
+                var config = new Config(options);
+                config.addConfigContents('foo', 'dimensions', 'dimensions.json', dimensions);
+                config.addConfigContents('foo', 'app', 'app.json', contents);
+                config.addConfigContents('foo', 'plain', 'plain.json', '{"name": "plain"}');
+                return config;
+            }
+
+            it('fails reads with an unknown dimension', function (next) {
+                makeConfig({strictContext: true}).read('foo', 'app', {devcie: 'iphone'}, function (err, have) {
+                    try {
+                        expect(have).to.equal(undefined);
+                        expect(err.message).to.equal('Unknown dimension "devcie" in context {"devcie":"iphone"}, ' +
+                            'did you mean "device"?');
+                        expect(err.dimension).to.equal('devcie');
+                        expect(err.suggestion).to.equal('device');
+                        next();
+                    } catch (e) {
+                        next(e);
+                    }
                 });
-                config.addConfig(
-                    'simple',
-                    'dimensions',
-                    libpath.resolve(touchdown, 'configs/dimensions.json'),
-                    function (err) {
-                        if (err) { throw err; }
-                        config.addConfig(
-                            'simple',
-                            'foo',
-                            libpath.resolve(touchdown, 'configs/foo.js'),
-                            function (err) {
-                                if (err) { throw err; }
-                                config.read('simple', 'foo', {device: 'mobile'}, function (err, have) {
-                                    expect(have).to.be.an('object');
-                                    expect(have.TODO).to.equal('TODO');
-                                    try {
-                                        have.TODO = 'DONE';
-                                    } catch (err) {
-                                        expect(err.message).to.equal('Cannot assign to read only property \'TODO\' of object \'#<Object>\'');
-                                        next();
-                                    }
-                                });
-                            }
-                        );
+            });
+
+            it('fails reads with an unknown value', function (next) {
+                var config = makeConfig({strictContext: true});
+                config.readNoMerge('foo', 'app', {device: 'iphnoe'}, function (err) {
+                    try {
+                        expect(err.message).to.equal('Unknown value "iphnoe" of dimension "device" in context ' +
+                            '{"device":"iphnoe"}, did you mean "iphone"?');
+                        expect(err.value).to.equal('iphnoe');
+                        expect(function () {
+                            config.readSync('foo', 'app', {device: 'mobile', lang: 'de'});
+                        }).to.throw('Unknown value "de" of dimension "lang" in context {"device":"mobile","lang":"de"}');
+                        expect(config._cache.size).to.equal(0);
+                        next();
+                    } catch (e) {
+                        next(e);
                     }
-                );
+                });
             });
-        });
 
+            it('checks the base context and ignores the time dimension', function (next) {
+                var config = makeConfig({strictContext: true, timeAware: true, baseContext: {lang: 'en'}});
+                config.read('foo', 'app', {device: 'iphone', time: 0}, function (err, have) {
+                    try {
+                        expect(err).to.equal(null);
+                        expect(have.name).to.equal('mobile');
+                        config = makeConfig({strictContext: true, baseContext: {lnag: 'en'}});
+                        expect(function () {
+                            config.readSync('foo', 'app', {});
+                        }).to.throw('Unknown dimension "lnag"');
+                        next();
+                    } catch (e) {
+                        next(e);
+                    }
+                });
+            });
 
-        describe('readNoMerge()', function () {
-            it('fails on unknown bundle', function (next) {
-                var config = new Config();
-                config.readNoMerge('foo', 'bar', {}, function (err) {
-                    if (err) {
-                        try {
-                            expect(err.message).to.equal('Unknown bundle "foo"');
-                            next();
-                        } catch (e) {
-                            next(e);
-                        }
-                    } else {
-                        next(new Error("Shouldn't get here."));
+            it('does not check configs which are not YCB', function (next) {
+                makeConfig({strictContext: true}).read('foo', 'plain', {devcie: 'iphone'}, function (err, have) {
+                    try {
+                        expect(err).to.equal(null);
+                        expect(have.name).to.equal('plain');
+                        next();
+                    } catch (e) {
+                        next(e);
                     }
                 });
             });
 
-            it('fails on unknown config', function (next) {
-                var config = new Config();
-                config.addConfig(
-                    'modown-newsboxes',
-                    'application',
-                    libpath.resolve(mojito, 'application.json'),
-                    function (err) {
-                        if (err) { throw err; }
-                        config.readNoMerge('modown-newsboxes', 'foo', {}, function (err, have) {
-                            try {
-                                expect(err.message).to.equal('Unknown config "foo" in bundle "modown-newsboxes"');
-                                next();
-                            } catch (e) {
-                                next(e);
-                            }
-                        });
+            it('only warns once with strictContext warn', function (next) {
+                var log = console.log,
+                    logged = [],
+                    config = makeConfig({strictContext: 'warn'});
+                console.log = function (format, message) {
+                    logged.push(message);
+                };
+                config.read('foo', 'app', {devcie: 'mobile'}, function (err, have) {
+                    config.readSync('foo', 'app', {devcie: 'desktop'});
+                    config.readSync('foo', 'app', {device: 'mobile', lang: 'de'});
+                    config.readSync('foo', 'app', {device: 'desktop', lang: 'de'});
+                    config.readSync('foo', 'app', {lang: 'es'});
+                    console.log = log;
+                    try {
+                        expect(err).to.equal(null);
+                        expect(have.name).to.equal('master');
+                        expect(logged).to.deep.equal([
+                            'Unknown dimension "devcie" in context {"devcie":"mobile"}, did you mean "device"?',
+                            'Unknown value "de" of dimension "lang" in context {"device":"mobile","lang":"de"}',
+                            'Unknown value "es" of dimension "lang" in context {"lang":"es"}, did you mean "en"?'
+                        ]);
+                        next();
+                    } catch (e) {
+                        next(e);
                     }
-                );
+                });
             });
+        });
 
-            it('reads non-contextualized .json config files', function (next) {
-                var config = new Config();
-                config.addConfig(
-                    'simple',
-                    'routes',
-                    libpath.resolve(touchdown, 'configs/dimensions.json'),
-                    function (err) {
-                        if (err) { throw err; }
-                        config.readNoMerge('simple', 'routes', {}, function (err, have) {
-                            try {
-                                expect(have).to.be.an('array');
-                                expect(have[0]).to.be.an('array');
-                                expect(have[0][0]).to.be.an('object');
-                                expect(have[0][0].dimensions).to.be.an('array');
-                                next();
-                            } catch (err) {
-                                next(err);
-                            }
-                        });
-                    });
+        describe('_mergeBaseContext()', function () {
+            it('should skip if no baseContext', function () {
+                var config,
+                    input = {foo: 'bar'},
+                    have;
+                config = new Config();
+                have = config._mergeBaseContext(input);
+                compareObjects(have, input);
             });
 
-            it('reads contextualized .js config files', function (next) {
+            it('should handle undefined input', function () {
                 var config = new Config();
-                config.addConfig(
-                    'simple',
-                    'dimensions',
-                    libpath.resolve(touchdown, 'configs/dimensions.json'),
-                    function (err) {
-                        if (err) { throw err; }
-                        config.addConfig(
-                            'simple',
-                            'foo',
-                            libpath.resolve(touchdown, 'configs/foo.js'),
-                            function (err) {
-                                config.readNoMerge('simple', 'foo', {device: 'mobile'},
-                                    function (err, have) {
-                                        try {
-                                            expect(have).to.be.an('array');
-                                            expect(have[0]).to.be.an('object');
-                                            expect(have[0].TODO).to.equal('TODO');
-                                            expect(have[1]).to.be.an('object');
-                                            expect(have[1].selector).to.equal('mobile');
-                                            next();
-                                        } catch (err) {
-                                            next(err);
-                                        }
-                                    });
-                            }
-                        );
-                    });
+                expect(config._mergeBaseContext()).to.be.an('object');
             });
 
-            it('reads contextualized .json config files', function (next) {
-                var config = new Config();
-                config.addConfig(
-                    'modown',
-                    'dimensions',
-                    libpath.resolve(mojito, 'node_modules/modown/dimensions.json'),
-                    function (err) {
-                        if (err) { throw err; }
-                        config.addConfig(
-                            'modown-newsboxes',
-                            'application',
-                            libpath.resolve(mojito, 'application.json'),
-                            function (err) {
-                                if (err) { throw err; }
-                                config.readNoMerge('modown-newsboxes', 'application', {device: 'mobile'},
-                                    function (err, have) {
-                                        try {
-                                            expect(have).to.be.an('array');
-                                            expect(have[0]).to.be.an('object');
-                                            expect(have[0].TODO).to.equal('TODO');
-                                            expect(have[1]).to.be.an('object');
-                                            expect(have[1].selector).to.equal('mobile');
-                                            next();
-                                        } catch (err) {
-                                            next(err);
-                                        }
-                                    });
-                            }
-                        );
-                    });
+            it('should mix in baseContext', function () {
+                var config,
+                    input = {foo: 'foo-in', bar: 'bar-in'},
+                    base = {bar: 'bar-base', baz: 'baz-base'},
+                    want = {bar: 'bar-in', baz: 'baz-base', foo: 'foo-in'},
+                    have;
+                config = new Config({baseContext: base});
+                have = config._mergeBaseContext(input);
+                compareObjects(have, want);
             });
+        });
+    });
 
-            it('applies baseContext', function (next) {
-                var config = new Config({
-                    baseContext: {
-                        device: 'mobile'
-                    }
-                });
-                config.addConfig(
-                    'modown',
-                    'dimensions',
-                    libpath.resolve(mojito, 'node_modules/modown/dimensions.json'),
-                    function (err) {
+
+    describe('using fixtures', function () {
+        var mojito = libpath.resolve(fixtures, 'mojito-newsboxes'),
+            touchdown = libpath.resolve(fixtures, 'touchdown-simple');
+
+        describe('contentsIsYCB()', function () {
+            it('should pass YCB files', function () {
+                var contents;
+                contents = require(libpath.resolve(mojito, 'application.json'));
+                expect(Config.test.contentsIsYCB(contents)).to.equal(true);
+                expect(Config.test.contentsIsYCB([{settings: ['master']}])).to.equal(true);
+            });
+            it('should reject others', function () {
+                var contents;
+                contents = require(libpath.resolve(mojito, 'package.json'));
+                expect(Config.test.contentsIsYCB(contents)).to.equal(false);
+                expect(Config.test.contentsIsYCB([])).to.equal(false);
+                expect(Config.test.contentsIsYCB(['foo', 'bar'])).to.equal(false);
+                expect(Config.test.contentsIsYCB([{foo: 'f'}, {bar: 'b'}])).to.equal(false);
+                expect(Config.test.contentsIsYCB([{foo: 'f'}, {settings: ['master']}])).to.equal(false);
+            });
+        });
+
+        describe('makeYCB()', function () {
+            it('should not error on undefined contents', function () {
+                var dimensions = [{foo: 'f'}, {settings: ['master']}];
+                expect(Config.test.makeYCB(Config, dimensions)).to.be.an('object');
+            });
+        });
+
+        describe('_readConfigContents()', function () {
+
+            it('reads .js config files', function (next) {
+                var config,
+                    path;
+                config = new Config();
+                path = libpath.resolve(touchdown, 'configs/foo.js');
+                config._readConfigContents(path, function (err, have) {
+                    var want = [
+                        { settings: [ 'master' ], TODO: 'TODO' },
+                        { settings: [ 'device:mobile' ], selector: 'mobile' }
+                    ];
+                    try {
+                        compareObjects(have, want);
+                        next();
+                    } catch (err) {
+                        next(err);
+                    }
+                });
+            });
+
+            it('reads .json5 config files', function (next) {
+                var config,
+                    path;
+                config = new Config();
+                path = libpath.resolve(mojito, 'testfile.json5');
+                config._readConfigContents(path, function (err, have) {
+                    var want = {
+                        foo: 'bar',
+                        boolean: true,
+                        string: 'long string multi-line string',
+                        comment: 'inline',
+                        hex: 3735928559,
+                        decimal: 0.5,
+                        delta: 10,
+                        oh: [ 'double', 'single' ]
+                    };
+                    try {
+                        compareObjects(have, want);
+                        next();
+                    } catch (err) {
+                        next(err);
+                    }
+                });
+            });
+
+            it('reads .yaml config files', function (next) {
+                var config,
+                    path;
+                config = new Config();
+                path = libpath.resolve(mojito, 'testfile.yaml');
+                config._readConfigContents(path, function (err, have) {
+                    var want = {
+                        version: 12345,
+                        customer: {
+                            name: 'John',
+                            address: { lines: '701 first ave.\nSuite #292\n', city: 'Sunnyvale' }
+                        },
+                        'ship-to': {
+                            name: 'John',
+                            address: { lines: '701 first ave.\nSuite #292\n', city: 'Sunnyvale' }
+                        },
+                        product: [ { book: '123ABC', price: 100 } ],
+                        comments: 'Contact is Bill  Phone num @ 123-4567.\n'
+                    };
+                    try {
+                        compareObjects(have, want);
+                        next();
+                    } catch (err) {
+                        next(err);
+                    }
+                });
+            });
+
+            it('reads .yml config files', function (next) {
+                var config,
+                    path;
+                config = new Config();
+                path = libpath.resolve(mojito, 'testfile.yml');
+                config._readConfigContents(path, function (err, have) {
+                    var want = {
+                        version: 12345,
+                        customer: {
+                            name: 'John',
+                            address: { lines: '701 first ave.\nSuite #292\n', city: 'Sunnyvale' }
+                        },
+                        'ship-to': {
+                            name: 'John',
+                            address: { lines: '701 first ave.\nSuite #292\n', city: 'Sunnyvale' }
+                        },
+                        product: [ { book: '123ABC', price: 100 } ],
+                        comments: 'Contact is Bill  Phone num @ 123-4567.\n'
+                    };
+                    try {
+                        compareObjects(have, want);
+                        next();
+                    } catch (err) {
+                        next(err);
+                    }
+                });
+            });
+
+            it('reads .json config files', function (next) {
+                var config,
+                    path;
+                config = new Config();
+                path = libpath.resolve(mojito, 'application.json');
+                config._readConfigContents(path, function (err, have) {
+                    var want = [
+                        { settings: [ 'master' ], TODO: 'TODO' },
+                        { settings: [ 'device:mobile' ], selector: 'mobile' }
+                    ];
+                    try {
+                        compareObjects(have, want);
+                        next();
+                    } catch (err) {
+                        next(err);
+                    }
+                });
+            });
+
+            it('reads .toml config files', function (next) {
+                var config,
+                    path;
+                config = new Config();
+                path = libpath.resolve(mojito, 'testfile.toml');
+                config._readConfigContents(path, function (err, have) {
+                    var want = {
+                        version: 12345,
+                        customer: {
+                            name: 'John',
+                            address: { lines: '701 first ave.\nSuite #292\n', city: 'Sunnyvale' }
+                        },
+                        product: [ { book: '123ABC', price: 100 } ]
+                    };
+                    try {
+                        compareObjects(have, want);
+                        next();
+                    } catch (err) {
+                        next(err);
+                    }
+                });
+            });
+
+            it('reads .hjson config files', function (next) {
+                var config,
+                    path;
+                config = new Config();
+                path = libpath.resolve(mojito, 'testfile.hjson');
+                config._readConfigContents(path, function (err, have) {
+                    var want = {
+                        version: 12345,
+                        customer: {
+                            name: 'John',
+                            address: { lines: '701 first ave.\nSuite #292', city: 'Sunnyvale' }
+                        },
+                        product: [ { book: '123ABC', price: 100 } ]
+                    };
+                    try {
+                        compareObjects(have, want);
+                        next();
+                    } catch (err) {
+                        next(err);
+                    }
+                });
+            });
+
+            it('reads config files with registered parsers', function (next) {
+                var config = new Config();
+                Config.registerParser(['.ycbtest', 'ycbtest2'], function (contents, path) {
+                    return {contents: contents, path: path};
+                });
+                config.addConfigContents('foo', 'bar', 'bar.YCBTEST2', 'a=b', function (err) {
+                    try {
+                        expect(err).to.equal(null);
+                        expect(config._configContents['bar.YCBTEST2']).to.deep.equal({contents: 'a=b', path: 'bar.YCBTEST2'});
+                        next();
+                    } catch (e) {
+                        next(e);
+                    }
+                });
+            });
+
+            it('fails on malformed .json config files', function (next) {
+                var config,
+                    path;
+                config = new Config();
+                path = libpath.resolve(mojito, 'broken.json');
+                config._readConfigContents(path, function (err, config) {
+                    expect(err).to.have.property('message');
+                    expect(err).to.have.property('stack');
+                    next();
+                });
+            });
+
+            it('fails on malformed .json5 config files', function (next) {
+                var config,
+                    path;
+                config = new Config();
+                path = libpath.resolve(mojito, 'broken.json5');
+                config._readConfigContents(path, function (err, config) {
+                    expect(err).to.have.property('message');
+                    expect(err).to.have.property('stack');
+                    next();
+                });
+            });
+
+            it('fails on malformed .yaml config files', function (next) {
+                var config,
+                    path;
+                config = new Config();
+                path = libpath.resolve(mojito, 'broken.yaml');
+                config._readConfigContents(path, function (err, config) {
+                    expect(err).to.have.property('message');
+                    expect(err).to.have.property('stack');
+                    next();
+                });
+            });
+
+            it('fails on malformed .yml config files', function (next) {
+                var config,
+                    path;
+                config = new Config();
+                path = libpath.resolve(mojito, 'broken.yml');
+                config._readConfigContents(path, function (err, config) {
+                    expect(err).to.have.property('message');
+                    expect(err).to.have.property('stack');
+                    next();
+                });
+            });
+
+            it('fails on malformed .js config files', function (next) {
+                var config,
+                    path;
+                config = new Config();
+                path = libpath.resolve(mojito, 'broken.j');
+                config._readConfigContents(path, function (err, config) {
+                    expect(err).to.have.property('message');
+                    expect(err).to.have.property('stack');
+                    next();
+                });
+            });
+
+            it('fails on malformed .toml config files', function (next) {
+                var config,
+                    path;
+                config = new Config();
+                path = libpath.resolve(mojito, 'broken.toml');
+                config._readConfigContents(path, function (err, config) {
+                    expect(err).to.have.property('message');
+                    expect(err).to.have.property('stack');
+                    next();
+                });
+            });
+
+            it('fails on malformed .hjson config files', function (next) {
+                var config,
+                    path;
+                config = new Config();
+                path = libpath.resolve(mojito, 'broken.hjson');
+                config._readConfigContents(path, function (err, config) {
+                    expect(err).to.have.property('message');
+                    expect(err).to.have.property('stack');
+                    next();
+                });
+            });
+
+            it('fails on unsupported formats', function (next) {
+                var config,
+                    path;
+                config = new Config();
+                path = libpath.resolve(mojito, 'testfile.ini');
+                config._readConfigContents(path, function (err) {
+                    try {
+                        expect(err.message).to.equal('Unsupported format ".ini" of config file "' + path + '"');
+                        next();
+                    } catch (e) {
+                        next(e);
+                    }
+                });
+            });
+
+        });
+
+
+        describe('readDimensions()', function () {
+            it('mojito-newsboxes', function (next) {
+                var config = new Config();
+                config.addConfig(
+                    'modown',
+                    'dimensions',
+                    libpath.resolve(mojito, 'node_modules/modown/dimensions.json'),
+                    function (err, data) {
+                        config.readDimensions(function (err, dims) {
+                            try {
+                                expect(dims).to.be.an('array');
+                                expect(dims[0]).to.have.property('runtime');
+                                next();
+                            } catch (err) {
+                                next(err);
+                            }
+                        });
+                    }
+                );
+            });
+
+            it('touchdown-simple', function (next) {
+                var config = new Config();
+                config.addConfig(
+                    'simple',
+                    'dimensions',
+                    libpath.resolve(touchdown, 'configs/dimensions.json'),
+                    function (err, data) {
+                        config.readDimensions(function (err, dims) {
+                            try {
+                                expect(dims).to.be.an('array');
+                                expect(dims[0]).to.have.property('ynet');
+                                next();
+                            } catch (err) {
+                                next(err);
+                            }
+                        });
+                    }
+                );
+            });
+        });
+
+
+        describe('addConfigDirectory()', function () {
+            it('derives bundle and config names', function (next) {
+                var config = new Config();
+                config.addConfigDirectory(touchdown, {
+                    include: ['configs/*.json', 'node_modules/*/configs/**/*.json']
+                }, function (err, manifest) {
+                    try {
+                        expect(err).to.equal(null);
+                        compareObjects(manifest.added, [
+                            {bundleName: 'simple', configName: 'app', path: libpath.resolve(touchdown, 'configs/app.json')},
+                            {bundleName: 'simple', configName: 'dimensions', path: libpath.resolve(touchdown, 'configs/dimensions.json')},
+                            {bundleName: 'roster', configName: 'roster', path: libpath.resolve(touchdown, 'node_modules/roster/configs/roster.json')}
+                        ]);
+                        expect(config._configPaths.roster.roster).to.equal(libpath.resolve(touchdown, 'node_modules/roster/configs/roster.json'));
+                        expect(config._dimensionsPath).to.equal(libpath.resolve(touchdown, 'configs/dimensions.json'));
+                        next();
+                    } catch (e) {
+                        next(e);
+                    }
+                });
+            });
+
+            it('reports skipped files', function (next) {
+                var config = new Config();
+                config.addConfigDirectory(touchdown, {
+                    include: ['**/*.json'],
+                    exclude: ['configs/app.json']
+                }, function (err, manifest) {
+                    var reasons = {};
+                    manifest.skipped.forEach(function (skip) {
+                        reasons[libpath.relative(touchdown, skip.path)] = skip.reason;
+                    });
+                    try {
+                        expect(reasons['configs/app.json']).to.equal('excluded');
+                        expect(reasons['configs/foo.js']).to.equal('not included');
+                        expect(reasons['package.json']).to.equal('package metadata');
+                        expect(reasons['node_modules/roster/package.json']).to.equal('package metadata');
+                        expect(reasons['node_modules/roster/configs/test/test.json']).to.contain('Failed to parse');
+                        expect(config._configPaths.simple).to.not.have.property('app');
+                        next();
+                    } catch (e) {
+                        next(e);
+                    }
+                });
+            });
+
+            it('does not register scripts unless included', function (next) {
+                var config = new Config();
+                config.addConfigDirectory(touchdown, function (err, manifest) {
+                    var reasons = {};
+                    manifest.skipped.forEach(function (skip) {
+                        reasons[libpath.relative(touchdown, skip.path)] = skip.reason;
+                    });
+                    try {
+                        expect(err).to.equal(null);
+                        expect(reasons['configs/foo.js']).to.equal('script not included');
+                        expect(reasons['configs/routes.js']).to.equal('script not included');
+                        expect(manifest.added.filter(function (added) {
+                            return '.js' === libpath.extname(added.path);
+                        })).to.deep.equal([]);
+                        config = new Config();
+                        config.addConfigDirectory(touchdown, {include: ['configs/foo.js']}, function (err, manifest) {
+                            try {
+                                expect(manifest.added).to.have.length(1);
+                                expect(manifest.added[0].configName).to.equal('foo');
+                                next();
+                            } catch (e) {
+                                next(e);
+                            }
+                        });
+                    } catch (e) {
+                        next(e);
+                    }
+                });
+            });
+
+            it('registers all supported extensions by default', function (next) {
+                var config = new Config();
+                config.addConfigDirectory(libpath.resolve(mojito, 'mojits'), function (err, manifest) {
+                    try {
+                        expect(manifest.added).to.have.length(1);
+                        expect(manifest.added[0].bundleName).to.equal('mojits');
+                        expect(manifest.added[0].configName).to.equal('definition');
+                        next();
+                    } catch (e) {
+                        next(e);
+                    }
+                });
+            });
+
+            it('skips duplicate configs in a bundle', function (next) {
+                var config = new Config();
+                config.addConfigDirectory(mojito, {
+                    include: ['testfile.{json5,yaml,yml}']
+                }, function (err, manifest) {
+                    try {
+                        expect(manifest.added).to.have.length(1);
+                        expect(manifest.added[0].path).to.equal(libpath.resolve(mojito, 'testfile.json5'));
+                        expect(manifest.skipped.filter(function (skip) {
+                            return skip.reason === 'Duplicate config "testfile" in bundle "modown-newsboxes"';
+                        })).to.have.length(2);
+                        next();
+                    } catch (e) {
+                        next(e);
+                    }
+                });
+            });
+
+            it('fails on a missing directory', function (next) {
+                var config = new Config();
+                config.addConfigDirectory(libpath.resolve(fixtures, 'does-not-exist'), {}, function (err) {
+                    try {
+                        expect(err.code).to.equal('ENOENT');
+                        next();
+                    } catch (e) {
+                        next(e);
+                    }
+                });
+            });
+        });
+
+
+        describe('read()', function () {
+            it('fails on unknown bundle', function (next) {
+                var config = new Config();
+                config.read('foo', 'bar', {}, function(err, data) {
+                    try {
+                        expect(err.message).to.equal('Unknown bundle "foo"');
+                        next();
+                    } catch (e) {
+                        next(e);
+                    }
+                });
+            });
+
+            it('strips undefined', function (next) {
+                var config = new Config();
+                config.addConfig(
+                    'simple',
+                    'dimensions',
+                    libpath.resolve(touchdown, 'configs/dimensions.json'),
+                    function (err) {
+                        if (err) { throw err; }
+                        config.addConfig(
+                            'simple',
+                            'foo',
+                            libpath.resolve(touchdown, 'configs/undefined-config.js'),
+                            function (err) {
+                                if (err) { throw err; }
+                                config.read('simple', 'foo', {device: 'mobile'}, function (err, have) {
+                                    try {
+                                        expect(have).to.be.an('object');
+                                        expect(Object.keys(have).length).to.be.equal(2);
+                                        next();
+                                    } catch (err) {
+                                        next(err);
+                                    }
+                                });
+                            }
+                        );
+                    });
+            });
+
+            it('fails on unknown config', function (next) {
+                var config = new Config();
+                config.addConfig(
+                    'modown-newsboxes',
+                    'application',
+                    libpath.resolve(mojito, 'application.json'),
+                    function (err) {
+                        config.read('modown-newsboxes', 'foo', {}, function (err, data) {
+                            try {
+                                expect(err.message).to.equal('Unknown config "foo" in bundle "modown-newsboxes"');
+                                next();
+                            } catch (e) {
+                                next(e);
+                            }
+                        });
+                    }
+                );
+            });
+
+            it('reads non-contextualized .json config files', function (next) {
+                var config = new Config();
+                config.addConfig(
+                    'simple',
+                    'routes',
+                    libpath.resolve(touchdown, 'configs/dimensions.json'),
+                    function (err) {
+                        config.read('simple', 'routes', {}, function (err, have) {
+                            try {
+                                expect(err).to.equal(null);
+                                expect(have).to.be.an('array');
+                                expect(have[0]).to.be.an('object');
+                                expect(have[0].dimensions).to.be.an('array');
+                                next();
+                            } catch (err) {
+                                next(err);
+                            }
+                        });
+                    }
+                );
+            });
+
+            it('reads contextualized .js config files', function (next) {
+                var config = new Config();
+                config.addConfig(
+                    'simple',
+                    'dimensions',
+                    libpath.resolve(touchdown, 'configs/dimensions.json'),
+                    function (err) {
+                        if (err) { throw err; }
+                        config.addConfig(
+                            'simple',
+                            'foo',
+                            libpath.resolve(touchdown, 'configs/foo.js'),
+                            function (err) {
+                                if (err) { throw err; }
+                                config.read('simple', 'foo', {device: 'mobile'}, function (err, have) {
+                                    try {
+                                        expect(have).to.be.an('object');
+                                        expect(have.TODO).to.equal('TODO');
+                                        expect(have.selector).to.equal('mobile');
+                                        next();
+                                    } catch (err) {
+                                        next(err);
+                                    }
+                                });
+                            }
+                        );
+                    });
+            });
+
+            it('reads contextualized .json config files', function (next) {
+                var config = new Config();
+                config.addConfig(
+                    'modown',
+                    'dimensions',
+                    libpath.resolve(mojito, 'node_modules/modown/dimensions.json'),
+                    function (err) {
+                        if (err) { throw err; }
+                        config.addConfig(
+                            'modown-newsboxes',
+                            'application',
+                            libpath.resolve(mojito, 'application.json'),
+                            function (err) {
+                                if (err) { throw err; }
+                                config.read('modown-newsboxes',
+                                    'application', {device: 'mobile'}, function (err, have) {
+                                        try {
+                                            expect(have).to.be.an('object');
+                                            expect(have.TODO).to.equal('TODO');
+                                            expect(have.selector).to.equal('mobile');
+                                            next();
+                                        } catch (err) {
+                                            next(err);
+                                        }
+                                    });
+                            }
+                        );
+                    });
+            });
+
+            it('applies baseContext', function (next) {
+                var config = new Config({
+                    baseContext: {
+                        device: 'mobile'
+                    }
+                });
+                config.addConfig(
+                    'modown',
+                    'dimensions',
+                    libpath.resolve(mojito, 'node_modules/modown/dimensions.json'),
+                    function () {
+                        config.addConfig(
+                            'modown-newsboxes',
+                            'application',
+                            libpath.resolve(mojito, 'application.json'),
+                            function (err) {
+                                if (err) { throw err; }
+                                config.read('modown-newsboxes', 'application', {},
+                                    function (err, have) {
+                                        try {
+                                            expect(have).to.be.an('object');
+                                            expect(have.TODO).to.equal('TODO');
+                                            expect(have.selector).to.equal('mobile');
+                                            next();
+                                        } catch (err) {
+                                            next(err);
+                                        }
+                                    }
+                                );
+                            }
+                        );
+                    });
+            });
+
+            it('survives a bad context', function (next) {
+                var config,
+                    context;
+                context = {device: 'torture'};
+                config = new Config();
+                config.addConfig(
+                    'simple',
+                    'dimensions',
+                    libpath.resolve(touchdown, 'configs/dimensions.json'),
+                    function (err) {
+                        if (err) { throw err; }
+                        config.addConfig(
+                            'simple',
+                            'foo',
+                            libpath.resolve(touchdown, 'configs/foo.js'),
+                            function (err) {
+                                if (err) { throw err; }
+                                config.read('simple', 'foo', context, function (err, have) {
+                                    try {
+                                        expect(have.selector).to.be.an('undefined');
+                                        next();
+                                    } catch (err) {
+                                        next(err);
+                                    }
+                                });
+                            }
+                        );
+                    }
+                );
+            });
+
+            it('freezes the config object if the `safeMode` option is passed', function (next) {
+                var config = new Config({
+                    safeMode: true
+                });
+                config.addConfig(
+                    'simple',
+                    'dimensions',
+                    libpath.resolve(touchdown, 'configs/dimensions.json'),
+                    function (err) {
+                        if (err) { throw err; }
+                        config.addConfig(
+                            'simple',
+                            'foo',
+                            libpath.resolve(touchdown, 'configs/foo.js'),
+                            function (err) {
+                                if (err) { throw err; }
+                                config.read('simple', 'foo', {device: 'mobile'}, function (err, have) {
+                                    expect(have).to.be.an('object');
+                                    expect(have.TODO).to.equal('TODO');
+                                    try {
+                                        have.TODO = 'DONE';
+                                    } catch (err) {
+                                        expect(err.message).to.equal('Cannot assign to read only property \'TODO\' of object \'#<Object>\'');
+                                        next();
+                                    }
+                                });
+                            }
+                        );
+                    }
+                );
+            });
+        });
+
+
+        describe('readNoMerge()', function () {
+            it('fails on unknown bundle', function (next) {
+                var config = new Config();
+                config.readNoMerge('foo', 'bar', {}, function (err) {
+                    if (err) {
+                        try {
+                            expect(err.message).to.equal('Unknown bundle "foo"');
+                            next();
+                        } catch (e) {
+                            next(e);
+                        }
+                    } else {
+                        next(new Error("Shouldn't get here."));
+                    }
+                });
+            });
+
+            it('fails on unknown config', function (next) {
+                var config = new Config();
+                config.addConfig(
+                    'modown-newsboxes',
+                    'application',
+                    libpath.resolve(mojito, 'application.json'),
+                    function (err) {
+                        if (err) { throw err; }
+                        config.readNoMerge('modown-newsboxes', 'foo', {}, function (err, have) {
+                            try {
+                                expect(err.message).to.equal('Unknown config "foo" in bundle "modown-newsboxes"');
+                                next();
+                            } catch (e) {
+                                next(e);
+                            }
+                        });
+                    }
+                );
+            });
+
+            it('reads non-contextualized .json config files', function (next) {
+                var config = new Config();
+                config.addConfig(
+                    'simple',
+                    'routes',
+                    libpath.resolve(touchdown, 'configs/dimensions.json'),
+                    function (err) {
+                        if (err) { throw err; }
+                        config.readNoMerge('simple', 'routes', {}, function (err, have) {
+                            try {
+                                expect(have).to.be.an('array');
+                                expect(have[0]).to.be.an('array');
+                                expect(have[0][0]).to.be.an('object');
+                                expect(have[0][0].dimensions).to.be.an('array');
+                                next();
+                            } catch (err) {
+                                next(err);
+                            }
+                        });
+                    });
+            });
+
+            it('reads contextualized .js config files', function (next) {
+                var config = new Config();
+                config.addConfig(
+                    'simple',
+                    'dimensions',
+                    libpath.resolve(touchdown, 'configs/dimensions.json'),
+                    function (err) {
+                        if (err) { throw err; }
+                        config.addConfig(
+                            'simple',
+                            'foo',
+                            libpath.resolve(touchdown, 'configs/foo.js'),
+                            function (err) {
+                                config.readNoMerge('simple', 'foo', {device: 'mobile'},
+                                    function (err, have) {
+                                        try {
+                                            expect(have).to.be.an('array');
+                                            expect(have[0]).to.be.an('object');
+                                            expect(have[0].TODO).to.equal('TODO');
+                                            expect(have[1]).to.be.an('object');
+                                            expect(have[1].selector).to.equal('mobile');
+                                            next();
+                                        } catch (err) {
+                                            next(err);
+                                        }
+                                    });
+                            }
+                        );
+                    });
+            });
+
+            it('reads contextualized .json config files', function (next) {
+                var config = new Config();
+                config.addConfig(
+                    'modown',
+                    'dimensions',
+                    libpath.resolve(mojito, 'node_modules/modown/dimensions.json'),
+                    function (err) {
+                        if (err) { throw err; }
+                        config.addConfig(
+                            'modown-newsboxes',
+                            'application',
+                            libpath.resolve(mojito, 'application.json'),
+                            function (err) {
+                                if (err) { throw err; }
+                                config.readNoMerge('modown-newsboxes', 'application', {device: 'mobile'},
+                                    function (err, have) {
+                                        try {
+                                            expect(have).to.be.an('array');
+                                            expect(have[0]).to.be.an('object');
+                                            expect(have[0].TODO).to.equal('TODO');
+                                            expect(have[1]).to.be.an('object');
+                                            expect(have[1].selector).to.equal('mobile');
+                                            next();
+                                        } catch (err) {
+                                            next(err);
+                                        }
+                                    });
+                            }
+                        );
+                    });
+            });
+
+            it('applies baseContext', function (next) {
+                var config = new Config({
+                    baseContext: {
+                        device: 'mobile'
+                    }
+                });
+                config.addConfig(
+                    'modown',
+                    'dimensions',
+                    libpath.resolve(mojito, 'node_modules/modown/dimensions.json'),
+                    function (err) {
+                        if (err) { throw err; }
+                        config.addConfig(
+                            'modown-newsboxes',
+                            'application',
+                            libpath.resolve(mojito, 'application.json'),
+                            function (err) {
+                                if (err) { throw err; }
+                                config.readNoMerge('modown-newsboxes', 'application', {},
+                                    function (err, have) {
+                                        try {
+                                            expect(have).to.be.an('array');
+                                            expect(have[0]).to.be.an('object');
+                                            expect(have[0].TODO).to.equal('TODO');
+                                            expect(have[1]).to.be.an('object');
+                                            expect(have[1].selector).to.equal('mobile');
+                                            next();
+                                        } catch (err) {
+                                            next(err);
+                                        }
+                                    });
+                            }
+                        );
+                    });
+            });
+
+            it('survives a bad context', function (next) {
+                var config,
+                    context;
+                context = {device: 'torture'};
+                config = new Config();
+                config.addConfig(
+                    'simple',
+                    'dimensions',
+                    libpath.resolve(touchdown, 'configs/dimensions.json'),
+                    function (err) {
+                        if (err) { throw err; }
+                        config.addConfig(
+                            'simple',
+                            'foo',
+                            libpath.resolve(touchdown, 'configs/foo.js'),
+                            function (err) {
+                                if (err) { throw err; }
+                                config.readNoMerge('simple', 'foo', context, function (err, have) {
+                                    try {
+                                        expect(have.selector).to.be.an('undefined');
+                                        next();
+                                    } catch (err) {
+                                        next(err);
+                                    }
+                                });
+                            }
+                        );
+                    });
+            });
+
+            it('freezes the config object if the `safeMode` option is passed', function (next) {
+                var config = new Config({
+                    safeMode: true
+                });
+                config.addConfig(
+                    'simple',
+                    'dimensions',
+                    libpath.resolve(touchdown, 'configs/dimensions.json'),
+                    function (err) {
+                        if (err) { throw err; }
+                        config.addConfig(
+                            'simple',
+                            'foo',
+                            libpath.resolve(touchdown, 'configs/foo.js'),
+                            function (err) {
+                                if (err) { throw err; }
+                                config.readNoMerge('simple', 'foo', {device: 'mobile'}, function (err, have) {
+                                    expect(have).to.be.an('array');
+                                    expect(have[0]).to.be.an('object');
+                                    expect(have[0].TODO).to.equal('TODO');
+                                    try {
+                                        have[0].TODO = 'DONE';
+                                    } catch (err) {
+                                        expect(err.message).to.equal('Cannot assign to read only property \'TODO\' of object \'#<Object>\'');
+                                        next();
+                                    }
+                                });
+                            }
+                        );
+                    }
+                );
+            });
+        });
+
+
+        describe('time-functionality', function () {
+            function intervalHelper(intervals, time) {
+                var applicable = [];
+                var next = Number.POSITIVE_INFINITY;
+                for(var i=0; i<intervals.length; i++) {
+                    var interval = intervals[i];
+                    var valid = true;
+                    if(interval.start) {
+                        valid = valid && interval.start <= time;
+                        if(interval.start > time && interval.start < next) {
+                            next = interval.start;
+                        }
+                    }
+                    if(interval.end) {
+                        valid = valid && interval.end >= time;
+                        if(valid && interval.end < next) {
+                            next = interval.end+1;
+                        }
+                    }
+                    if(valid) {
+                        applicable.push(interval.name);
+                    }
+                }
+                next = next === Number.POSITIVE_INFINITY ? undefined : next;
+                return {configs: applicable, next: next};
+            }
+
+            it('scheduled configs should match timestamp', function (done) {
+                var bundle, ycb;
+                var path = libpath.join(__dirname, '..', 'fixtures' , 'time', 'time-test.json');
+                var data = libfs.readFileSync(path, 'utf8');
+                bundle = JSON.parse(data);
+                var intervals = [];
+                var minTime = Number.POSITIVE_INFINITY;
+                var maxTime = 0;
+                bundle.forEach(function(config) {
+                    if(config.settings) {
+                        var name = config.name;
+                        var interval = config.intervals[name];
+                        if(interval.start || interval.end) {
+                            if(interval.start && interval.start < minTime) {
+                                minTime = interval.start;
+                            }
+                            if(interval.end && interval.end > maxTime) {
+                                maxTime = interval.end;
+                            }
+                            interval = {start: interval.start, end: interval.end, name:name};
+                            intervals.push(interval);
+                        }
+                    }
+                });
+                var config = new Config({'timeAware': true, cache: {max: 1000}});
+                config.addConfig(
+                    'test',
+                    'dimensions',
+                    libpath.join(__dirname, '..', 'fixtures' , 'time', 'time-test-dimensions.json'),
+                    function() {
+                        config.addConfig(
+                            'test',
+                            'configs',
+                            libpath.join(__dirname, '..', 'fixtures' , 'time', 'time-test-configs.json'),
+                            function(err) {
+                                var context = {environment: 'prod', device: 'smartphone'};
+                                var times = [];
+                                for(var t=minTime-2; t<maxTime+2; t++) {
+                                    times.push(t);
+                                }
+                                var temp = times.slice();
+                                temp.reverse();
+                                times = times.concat(temp);
+                                for(var i=0; i<times.length; i++) {
+                                    t = times[i];
+                                    var ret = intervalHelper(intervals, t);
+                                    var valid = ret.configs;
+                                    var next = ret.next;
+                                    context = {environment: 'prod', device: 'smartphone', time: t};
+                                    /* jshint ignore:start */
+                                    config.read('test', 'configs', context, function(err, config) {
+                                        assert.equal(err, null, 'error should be null');
+                                        assert(Object.keys(config.intervals).length === valid.length, 'Number of valid configs should be equal');
+                                        valid.forEach(function(name) {
+                                            assert(config.intervals[name] !== undefined, 'Config ' + name + ' should be valid');
+                                        });
+                                    });
+                                    config.readNoMerge('test', 'configs', context, function(err, config) {
+                                        assert.equal(err, null, 'error should be null');
+                                        assert(config.length === valid.length, 'Number of unmerged configs should be equal');
+                                    });
+                                    /* jshint ignore:end */
+                                }
+                                done();
+                            }
+                        );
+                    }
+                );
+            });
+
+            it('custom time dimension is honored', function (next) {
+                var config = new Config({timeDimension: 'mytime'});
+                config.addConfig(
+                    'simple',
+                    'dimensions',
+                    libpath.resolve(touchdown, 'configs/dimensions.json'),
+                    function (err) {
+                        if (err) { throw err; }
+                        config.addConfig(
+                            'simple',
+                            'foo',
+                            libpath.resolve(touchdown, 'configs/no-master.js'),
+                            function (err) {
+                                if (err) { throw err; }
+                                config.read('simple', 'foo', {device: 'mobile', mytime:1572872362000}, function (err, have) {
+                                    if (err) { throw err; }
+                                    expect(have).to.be.an('object');
+                                    expect(have.name).to.equal('new');
+                                    next();
+                                });
+                            }
+                        );
+                    }
+                );
+            });
+
+            it('readNoMerge time aware should correctly determine expiration time', function (next) {
+                var config = new Config({timeAware: true});
+                config.addConfig(
+                    'simple',
+                    'dimensions',
+                    libpath.resolve(touchdown, 'configs/dimensions.json'),
+                    function (err) {
+                        if (err) { throw err; }
+                        config.addConfig(
+                            'simple',
+                            'foo',
+                            libpath.resolve(touchdown, 'configs/no-master.js'),
+                            function (err) {
+                                if (err) { throw err; }
+                                config.readNoMerge('simple', 'foo', {device: 'desktop', time: 0}, function (err, have) {
+                                    if (err) { throw err; }
+                                    have[0] = {foo: 'bar'};
+                                    config.readNoMerge('simple', 'foo', {device: 'desktop', time: Number.MAX_SAFE_INTEGER}, function (err, have) {
+                                        if (err) { throw err; }
+                                        expect(have).to.be.an('array');
+                                        expect(have[0].foo).to.equal('bar');
+                                        next();
+                                    });
+                                });
+                            }
+                        );
+                    }
+                );
+            });
+
+            describe('staleWhileRevalidate', function () {
+                function makeConfig(options, start) {
+                    var config = new Config(options);
+                    config.addConfigContents('foo', 'dimensions', 'dimensions.json',
+                        '[{"dimensions": [{"device": {"mobile": null}}]}]');
+                    config.addConfigContents('foo', 'app', 'app.json', JSON.stringify([
+                        {settings: ['master'], name: 'before'},
+                        {settings: {dimensions: ['master'], schedule: {start: start}}, name: 'after'}
+                    ]));
+                    return config;
+                }
+
+                it('is only used in time aware mode', function () {
+                    expect(makeConfig({staleWhileRevalidate: true}, 1000)._revalidator).to.equal(null);
+                    expect(makeConfig({timeAware: true, staleWhileRevalidate: true}, 1000)._revalidator._maxStale)
+                        .to.equal(10000);
+                });
+
+                it('serves expired reads while reading them again', function (next) {
+                    var config = makeConfig({timeAware: true, staleWhileRevalidate: {maxStale: 5000}}, 1000),
+                        hits = [];
+                    config.on('cacheHit', function (event) {
+                        hits.push(event.key);
+                    });
+                    expect(config.readSync('foo', 'app', {time: 500}).name).to.equal('before');
+                    expect(config.readNoMergeSync('foo', 'app', {time: 500})).to.have.length(1);
+                    expect(config.readSync('foo', 'app', {time: 1005}).name).to.equal('before');
+                    expect(config.readNoMergeSync('foo', 'app', {time: 1005})).to.have.length(1);
+                    expect(hits).to.deep.equal(['foo:m:app[]', 'foo:um:app[]']);
+                    setImmediate(function () {
+                        try {
+                            expect(config.readSync('foo', 'app', {time: 1010}).name).to.equal('after');
+                            expect(config.readNoMergeSync('foo', 'app', {time: 1010})).to.have.length(2);
+                            expect(hits).to.have.length(4);
+                            config.addConfigContents('foo', 'app', 'app.json', '[{"settings": ["master"], "name": "new"}]');
+                            expect(config.readSync('foo', 'app', {time: 1020}).name).to.equal('new');
+                            next();
+                        } catch (e) {
+                            next(e);
+                        }
+                    });
+                });
+
+                it('does not serve reads which expired too long ago', function () {
+                    var config = makeConfig({timeAware: true, staleWhileRevalidate: {maxStale: 5000}}, 1000);
+                    expect(config.readSync('foo', 'app', {time: 500}).name).to.equal('before');
+                    expect(config.readSync('foo', 'app', {time: 6000}).name).to.equal('after');
+                });
+
+                it('computes reads ahead of schedule boundaries', function (next) {
+                    var start = Date.now() + 1030,
+                        config = makeConfig({timeAware: true, staleWhileRevalidate: true}, start),
+                        hits = 0;
+                    config.on('cacheHit', function () {
+                        hits += 1;
+                    });
+                    expect(config.readSync('foo', 'app', {time: start - 1030}).name).to.equal('before');
+                    expect(config.readNoMergeSync('foo', 'app', {time: start - 1030})).to.have.length(1);
+                    setTimeout(function () {
+                        try {
+                            expect(config.readSync('foo', 'app', {time: start}).name).to.equal('after');
+                            expect(config.readNoMergeSync('foo', 'app', {time: start})).to.have.length(2);
+                            expect(hits).to.equal(2);
+                            config.close();
+                            next();
+                        } catch (e) {
+                            next(e);
+                        }
+                    }, 80);
+                });
+            });
+        });
+
+
+        describe('cache-functionality', function () {
+            it('[read] caches the config', function (next) {
+                var config = new Config({});
+                config.addConfig(
+                    'simple',
+                    'dimensions',
+                    libpath.resolve(touchdown, 'configs/dimensions.json'),
+                    function (err) {
+                        if (err) { throw err; }
+                        config.addConfig(
+                            'simple',
+                            'foo',
+                            libpath.resolve(touchdown, 'configs/foo.js'),
+                            function (err) {
+                                if (err) { throw err; }
+                                config.read('simple', 'foo', {device: 'mobile'}, function (err, have) {
+                                    have.foo = 'bar';
+                                    config.read('simple', 'foo', {device: 'mobile'}, function (err, have) {
+                                        expect(have).to.be.an('object');
+                                        expect(have.foo).to.equal('bar');
+                                        next();
+                                    });
+                                });
+                            }
+                        );
+                    }
+                );
+            });
+
+            it('[read-time-aware] caches the config', function (next) {
+                var config = new Config({timeAware: true});
+                config.addConfig(
+                    'simple',
+                    'dimensions',
+                    libpath.resolve(touchdown, 'configs/dimensions.json'),
+                    function (err) {
+                        if (err) { throw err; }
+                        config.addConfig(
+                            'simple',
+                            'foo',
+                            libpath.resolve(touchdown, 'configs/foo.js'),
+                            function (err) {
+                                if (err) { throw err; }
+                                config.read('simple', 'foo', {device: 'mobile', time:0}, function (err, have) {
+                                    if (err) { throw err; }
+                                    have.foo = 'bar';
+                                    config.read('simple', 'foo', {device: 'mobile', time:0}, function (err, have) {
+                                        if (err) { throw err; }
+                                        expect(have).to.be.an('object');
+                                        expect(have.foo).to.equal('bar');
+                                        next();
+                                    });
+                                });
+                            }
+                        );
+                    }
+                );
+            });
+
+            it('[read-no-merge]caches the config', function (next) {
+                var config = new Config({});
+                config.addConfig(
+                    'simple',
+                    'dimensions',
+                    libpath.resolve(touchdown, 'configs/dimensions.json'),
+                    function (err) {
+                        if (err) { throw err; }
+                        config.addConfig(
+                            'simple',
+                            'foo',
+                            libpath.resolve(touchdown, 'configs/foo.js'),
+                            function (err) {
+                                if (err) { throw err; }
+                                config.readNoMerge('simple', 'foo', {device: 'mobile'}, function (err, have) {
+                                    if (err) { throw err; }
+                                    have[0].foo = 'bar';
+                                    config.readNoMerge('simple', 'foo', {device: 'mobile'}, function (err, have) {
+                                        if (err) { throw err; }
+                                        expect(have).to.be.an('array');
+                                        expect(have[0].foo).to.equal('bar');
+                                        next();
+                                    });
+                                });
+                            }
+                        );
+                    }
+                );
+            });
+
+            it('[read-no-merge-time-aware] caches the config', function (next) {
+                var config = new Config({timeAware: true});
+                config.addConfig(
+                    'simple',
+                    'dimensions',
+                    libpath.resolve(touchdown, 'configs/dimensions.json'),
+                    function (err) {
+                        if (err) { throw err; }
+                        config.addConfig(
+                            'simple',
+                            'foo',
+                            libpath.resolve(touchdown, 'configs/foo.js'),
+                            function (err) {
+                                if (err) { throw err; }
+                                config.readNoMerge('simple', 'foo', {device: 'mobile', time: 0}, function (err, have) {
+                                    if (err) { throw err; }
+                                    have[0].foo = 'bar';
+                                    config.readNoMerge('simple', 'foo', {device: 'mobile', time: 0}, function (err, have) {
+                                        if (err) { throw err; }
+                                        expect(have).to.be.an('array');
+                                        expect(have[0].foo).to.equal('bar');
+                                        next();
+                                    });
+                                });
+                            }
+                        );
+                    }
+                );
+            });
+
+            it('cache capacity option is honored', function (next) {
+                var config = new Config({cache:{max:0}});
+                config.addConfig(
+                    'simple',
+                    'dimensions',
+                    libpath.resolve(touchdown, 'configs/dimensions.json'),
+                    function (err) {
+                        if (err) { throw err; }
+                        config.addConfig(
+                            'simple',
+                            'foo',
+                            libpath.resolve(touchdown, 'configs/foo.js'),
+                            function (err) {
+                                if (err) { throw err; }
+                                config.read('simple', 'foo', {device: 'mobile'}, function (err, have) {
+                                    have.foo = 'bar';
+                                    config.read('simple', 'foo', {device: 'mobile'}, function (err, have) {
+                                        expect(have).to.be.an('object');
+                                        expect(have.foo).to.equal(undefined);
+                                        next();
+                                    });
+                                });
+                            }
+                        );
+                    }
+                );
+            });
+
+            it('[read] adding config should invalidate current cache entries', function (next) {
+                var config = new Config({});
+                config.addConfig(
+                    'simple',
+                    'dimensions',
+                    libpath.resolve(touchdown, 'configs/dimensions.json'),
+                    function (err) {
+                        if (err) { throw err; }
+                        config.addConfig(
+                            'simple',
+                            'foo',
+                            libpath.resolve(touchdown, 'configs/foo.js'),
+                            function (err) {
+                                if (err) { throw err; }
+                                config.read('simple', 'foo', {device: 'mobile'}, function (err, have) {
+                                    if (err) { throw err; }
+                                    have.foo = 'bar';
+                                    config.addConfig(
+                                        'simple',
+                                        'foo',
+                                        libpath.resolve(touchdown, 'configs/foo.js'),
+                                        function (err) {
+                                            if (err) { throw err; }
+                                            config.read('simple', 'foo', {device: 'mobile'}, function (err, have) {
+                                                if (err) { throw err; }
+                                                expect(have).to.be.an('object');
+                                                expect(have.foo).to.equal(undefined);
+                                                next();
+                                            });
+                                        }
+                                    );
+                                });
+                            }
+                        );
+                    }
+                );
+            });
+
+            it('[read-time-aware] adding config should invalidate current cache entries', function (next) {
+                var config = new Config({timeAware: true});
+                config.addConfig(
+                    'simple',
+                    'dimensions',
+                    libpath.resolve(touchdown, 'configs/dimensions.json'),
+                    function (err) {
+                        if (err) { throw err; }
+                        config.addConfig(
+                            'simple',
+                            'foo',
+                            libpath.resolve(touchdown, 'configs/foo.js'),
+                            function (err) {
+                                if (err) { throw err; }
+                                config.read('simple', 'foo', {device: 'mobile', time:0}, function (err, have) {
+                                    if (err) { throw err; }
+                                    have.foo = 'bar';
+                                    config.addConfig(
+                                        'simple',
+                                        'foo',
+                                        libpath.resolve(touchdown, 'configs/foo.js'),
+                                        function (err) {
+                                            if (err) { throw err; }
+                                            config.read('simple', 'foo', {device: 'mobile', time:0}, function (err, have) {
+                                                if (err) { throw err; }
+                                                expect(have).to.be.an('object');
+                                                expect(have.foo).to.equal(undefined);
+                                                next();
+                                            });
+                                        }
+                                    );
+                                });
+                            }
+                        );
+                    }
+                );
+            });
+
+            it('[read-no-merge] adding config should invalidate current cache entries', function (next) {
+                var config = new Config({});
+                config.addConfig(
+                    'simple',
+                    'dimensions',
+                    libpath.resolve(touchdown, 'configs/dimensions.json'),
+                    function (err) {
                         if (err) { throw err; }
                         config.addConfig(
-                            'modown-newsboxes',
-                            'application',
-                            libpath.resolve(mojito, 'application.json'),
+                            'simple',
+                            'foo',
+                            libpath.resolve(touchdown, 'configs/foo.js'),
                             function (err) {
                                 if (err) { throw err; }
-                                config.readNoMerge('modown-newsboxes', 'application', {},
-                                    function (err, have) {
-                                        try {
-                                            expect(have).to.be.an('array');
-                                            expect(have[0]).to.be.an('object');
-                                            expect(have[0].TODO).to.equal('TODO');
-                                            expect(have[1]).to.be.an('object');
-                                            expect(have[1].selector).to.equal('mobile');
-                                            next();
-                                        } catch (err) {
-                                            next(err);
+                                config.readNoMerge('simple', 'foo', {device: 'mobile'}, function (err, have) {
+                                    if (err) { throw err; }
+                                    have[0].foo = 'bar';
+                                    config.addConfig(
+                                        'simple',
+                                        'foo',
+                                        libpath.resolve(touchdown, 'configs/foo.js'),
+                                        function (err) {
+                                            if (err) { throw err; }
+                                            config.readNoMerge('simple', 'foo', {device: 'mobile'}, function (err, have) {
+                                                if (err) { throw err; }
+                                                expect(have).to.be.an('array');
+                                                expect(have[0].foo).to.equal(undefined);
+                                                next();
+                                            });
+                                        }
+                                    );
+                                });
+                            }
+                        );
+                    }
+                );
+            });
+
+            it('[read-no-merge-time-aware] adding config should invalidate current cache entries', function (next) {
+                var config = new Config({timeAware: true});
+                config.addConfig(
+                    'simple',
+                    'dimensions',
+                    libpath.resolve(touchdown, 'configs/dimensions.json'),
+                    function (err) {
+                        if (err) { throw err; }
+                        config.addConfig(
+                            'simple',
+                            'foo',
+                            libpath.resolve(touchdown, 'configs/foo.js'),
+                            function (err) {
+                                if (err) { throw err; }
+                                config.readNoMerge('simple', 'foo', {device: 'mobile', time:0}, function (err, have) {
+                                    if (err) { throw err; }
+                                    have[0].foo = 'bar';
+                                    config.addConfig(
+                                        'simple',
+                                        'foo',
+                                        libpath.resolve(touchdown, 'configs/foo.js'),
+                                        function (err) {
+                                            if (err) { throw err; }
+                                            config.readNoMerge('simple', 'foo', {device: 'mobile', time:0}, function (err, have) {
+                                                if (err) { throw err; }
+                                                expect(have).to.be.an('array');
+                                                expect(have[0].foo).to.equal(undefined);
+                                                next();
+                                            });
                                         }
+                                    );
+                                });
+                            }
+                        );
+                    }
+                );
+            });
+
+            it('read and read-no-merge do not cache collide', function (next) {
+                var config = new Config({});
+                config.addConfig(
+                    'simple',
+                    'dimensions',
+                    libpath.resolve(touchdown, 'configs/dimensions.json'),
+                    function (err) {
+                        if (err) { throw err; }
+                        config.addConfig(
+                            'simple',
+                            'foo',
+                            libpath.resolve(touchdown, 'configs/foo.js'),
+                            function (err) {
+                                if (err) { throw err; }
+                                config.read('simple', 'foo', {device: 'mobile'}, function (err, have) {
+                                    if (err) { throw err; }
+                                    config.readNoMerge('simple', 'foo', {device: 'mobile'}, function (err, have) {
+                                        expect(have).to.be.an('array');
+                                        next();
                                     });
+                                });
                             }
                         );
+                    }
+                );
+            });
+
+            it('counts what happens to cached reads by config', function () {
+                var config = new Config(),
+                    stats;
+                config.addConfigContents('foo', 'dimensions', 'dimensions.json',
+                    '[{"dimensions": [{"device": {"mobile": null}}]}]');
+                config.addConfigContents('foo', 'app', 'app.json', '[{"settings": ["master"], "name": "app"}]');
+                config.addConfigContents('bar', 'other', 'other.json', '{"name": "other"}');
+                config.readSync('foo', 'app', {});
+                config.readSync('foo', 'app', {});
+                config.readNoMergeSync('foo', 'app', {});
+                config.readSync('bar', 'other', {});
+                config.addConfigContents('foo', 'app', 'app.json', '[{"settings": ["master"], "name": "app2"}]');
+                config.readSync('foo', 'app', {});
+                stats = config.getCacheStats();
+                // re-adding the config purged its entries, so the last read is a plain miss
+                expect(stats).to.include({size: 2, hits: 1, misses: 4, staleGroup: 0, staleTime: 0,
+                    evictions: 0, overwrites: 0});
+                expect(stats.configs).to.deep.equal({
+                    foo: {app: {hits: 1, misses: 3, staleGroup: 0, staleTime: 0, evictions: 0, overwrites: 0}},
+                    bar: {other: {hits: 0, misses: 1, staleGroup: 0, staleTime: 0, evictions: 0, overwrites: 0}}
+                });
+                expect(config.getCacheKeys()).to.deep.equal(['bar:m:other', 'foo:m:app[]']);
+                config.resetCacheStats();
+                stats = config.getCacheStats();
+                expect(stats).to.include({size: 2, hits: 0, misses: 0});
+                expect(stats.configs).to.deep.equal({});
+            });
+
+            it('purges cached reads of replaced and deleted configs', function () {
+                var config = new Config();
+                config.addConfigContents('foo', 'dimensions', 'dimensions.json',
+                    '[{"dimensions": [{"device": {"mobile": null}}]}]');
+                config.addConfigContents('foo', 'app', 'app.json', '[{"settings": ["master"], "name": "app"}]');
+                config.addConfigContents('foo', 'other', 'other.json', '[{"settings": ["master"], "name": "other"}]');
+                config.readSync('foo', 'app', {});
+                config.readNoMergeSync('foo', 'app', {device: 'mobile'});
+                config.readSync('foo', 'other', {});
+                config.addConfigContents('foo', 'app', 'app.json', '[{"settings": ["master"], "name": "app2"}]');
+                expect(config.getCacheKeys()).to.deep.equal(['foo:m:other[]']);
+                config.readSync('foo', 'app', {});
+                config.setSchema('foo', 'other', {type: 'object'});
+                expect(config.getCacheKeys()).to.deep.equal(['foo:m:app[]']);
+                config.deleteConfig('foo', 'app', 'app.json');
+                expect(config.getCacheKeys()).to.deep.equal([]);
+                expect(config.getCacheStats()).to.include({size: 0, evictions: 0});
+            });
+
+            it('forgets the groups of replaced and deleted configs', function () {
+                var config = new Config(),
+                    i;
+                config.addConfigContents('foo', 'dimensions', 'dimensions.json',
+                    '[{"dimensions": [{"device": {"mobile": null}}]}]');
+                for (i = 0; i < 5; i += 1) {
+                    config.addConfigContents('foo', 'app', 'app.json', '[{"settings": ["master"], "name": "app"}]');
+                    config.readSync('foo', 'app', {});
+                }
+                config.setSchema('foo', 'app', {type: 'object'});
+                config.readSync('foo', 'app', {});
+                expect(Object.keys(config._groupNames)).to.have.length(2);
+                expect(Object.keys(config._cache.stats().groups)).to.deep.equal([
+                    String(config._configIdMap.foo.app)
+                ]);
+                expect(config.getCacheStats().configs.foo.app).to.include({misses: 6});
+                config.deleteConfig('foo', 'app', 'app.json');
+                expect(config._groupNames).to.have.keys([String(config._configIdMap.foo.dimensions)]);
+                expect(config.getCacheStats()).to.include({misses: 6});
+                expect(config.getCacheStats().configs).to.deep.equal({});
+            });
+
+            it('keeps the cache within the memory budget', function () {
+                var config = new Config({cache: {maxBytes: 300}}),
+                    stats;
+                config.addConfigContents('foo', 'dimensions', 'dimensions.json',
+                    '[{"dimensions": [{"device": {"mobile": null, "desktop": null}}]}]');
+                config.addConfigContents('foo', 'app', 'app.json', JSON.stringify([
+                    {settings: ['master'], name: new Array(101).join('x')},
+                    {settings: ['device:mobile'], mobile: true},
+                    {settings: ['device:desktop'], desktop: true}
+                ]));
+                expect(config.getCacheStats()).to.include({size: 0, max: Infinity, bytes: 0, maxBytes: 300});
+                config.readSync('foo', 'app', {device: 'mobile'});
+                stats = config.getCacheStats();
+                expect(stats.size).to.equal(1);
+                expect(stats.bytes).to.be.above(200);
+                config.readSync('foo', 'app', {device: 'desktop'});
+                stats = config.getCacheStats();
+                expect(stats.size).to.equal(1);
+                expect(stats.bytes).to.be.at.most(300);
+                expect(config.readSync('foo', 'app', {device: 'desktop'}).desktop).to.equal(true);
+                expect(config.getCacheStats().size).to.equal(1);
+                expect(new Config().getCacheStats()).to.include({size: 0, max: 250, bytes: 0, maxBytes: 0});
+            });
+
+            describe('cache backends', function () {
+                var FileCache = require('../../lib/filecache'),
+                    dimensions = '[{"dimensions": [{"device": {"mobile": null}}]}]',
+                    dir;
+
+                function makeConfig(options, name) {
+                    var config = new Config(options);
+                    config.addConfigContents('foo', 'dimensions', 'dimensions.json', dimensions);
+                    config.addConfigContents('foo', 'app', 'app.json',
+                        JSON.stringify([{settings: ['master'], name: name}]));
+                    return config;
+                }
+
+                beforeEach(function () {
+                    dir = libfs.mkdtempSync(libpath.join(libos.tmpdir(), 'ycb-config-'));
+                });
+
+                afterEach(function () {
+                    libfs.readdirSync(dir).forEach(function (name) {
+                        libfs.unlinkSync(libpath.resolve(dir, name));
+                    });
+                    libfs.rmdirSync(dir);
+                });
+
+                function flush(config) {
+                    return new Promise(function (resolve) {
+                        config._cache.flush(resolve);
+                    });
+                }
+
+                it('shares reads between helpers', function () {
+                    var one = makeConfig({cache: new FileCache({dir: dir})}, 'app'),
+                        two = new Config({cache: new FileCache({dir: dir})}),
+                        hits = [];
+                    // other configs, and setSchema(), change the group ids but not the contents
+                    two.addConfigContents('foo', 'other', 'other.json', '{"name": "other"}');
+                    two.addConfigContents('foo', 'dimensions', 'dimensions.json', dimensions);
+                    two.addConfigContents('foo', 'app', 'app.json', JSON.stringify([{settings: ['master'], name: 'app'}]));
+                    two.setSchema('foo', 'other', {type: 'object'});
+                    two.on('cacheHit', function (event) {
+                        hits.push(event.key);
+                    });
+                    expect(one.readSync('foo', 'app', {})).to.deep.equal({name: 'app'});
+                    expect(one.readNoMergeSync('foo', 'app', {})[0]).to.deep.equal({name: 'app'});
+                    return flush(one).then(function () {
+                        two.readSync('foo', 'app', {});
+                        two.readNoMergeSync('foo', 'app', {});
+                        return flush(two);
+                    }).then(function () {
+                        expect(two.readSync('foo', 'app', {})).to.deep.equal({name: 'app'});
+                        expect(two.readNoMergeSync('foo', 'app', {})[0]).to.deep.equal({name: 'app'});
+                        expect(hits).to.deep.equal(['foo:m:app[]', 'foo:um:app[]']);
+                        expect(two.getCacheKeys()).to.have.members(['foo:m:app[]', 'foo:um:app[]']);
+                        expect(two.getCacheStats()).to.include({size: 2, hits: 2, misses: 2, overwrites: 0});
+                        expect(two.getCacheStats().configs.foo.app).to.include({hits: 2});
+                    });
+                });
+
+                it('keeps the reads of other contents apart', function () {
+                    var one = makeConfig({cache: new FileCache({dir: dir})}, 'app'),
+                        two = makeConfig({cache: new FileCache({dir: dir})}, 'other');
+                    expect(one.readSync('foo', 'app', {})).to.deep.equal({name: 'app'});
+                    expect(one.readNoMergeSync('foo', 'app', {})[0]).to.deep.equal({name: 'app'});
+                    return flush(one).then(function () {
+                        two.readSync('foo', 'app', {});
+                        return flush(two);
+                    }).then(function () {
+                        expect(two.readSync('foo', 'app', {})).to.deep.equal({name: 'other'});
+                        expect(two.readNoMergeSync('foo', 'app', {})[0]).to.deep.equal({name: 'other'});
+                        expect(two.getCacheStats()).to.include({hits: 1, misses: 2});
+                        return flush(two);
+                    });
+                });
+
+                it('keeps the reads of replaced configs apart', function () {
+                    var one = makeConfig({cache: new FileCache({dir: dir})}, 'app');
+                    expect(one.readSync('foo', 'app', {})).to.deep.equal({name: 'app'});
+                    one.addConfigContents('foo', 'app', 'app.json', '[{"settings": ["master"], "name": "app2"}]');
+                    expect(one.readSync('foo', 'app', {})).to.deep.equal({name: 'app2'});
+                    expect(one.readSync('foo', 'app', {})).to.deep.equal({name: 'app2'});
+                    expect(one.getCacheStats()).to.include({hits: 1, misses: 2});
+                    return flush(one);
+                });
+
+                it('keeps reads with secrets out of shared caches', function () {
+                    var config = new Config({cache: new FileCache({dir: dir}), secrets: {env: {PW: 'hunter2'}}});
+                    config.addConfigContents('foo', 'app', 'app.json', '{"pw": "${env:PW}"}');
+                    return config.promises.read('foo', 'app', {}).then(function (have) {
+                        expect(have).to.deep.equal({pw: 'hunter2'});
+                        expect(config.getCacheKeys()).to.deep.equal([]);
+                        return flush(config);
+                    }).then(function () {
+                        expect(libfs.readdirSync(dir)).to.deep.equal([]);
+                    });
+                });
+
+                it('freezes shared reads in safe mode', function () {
+                    var one = makeConfig({cache: new FileCache({dir: dir}), safeMode: true}, 'app'),
+                        two = makeConfig({cache: new FileCache({dir: dir}), safeMode: true}, 'app');
+                    one.readSync('foo', 'app', {});
+                    one.readNoMergeSync('foo', 'app', {});
+                    return flush(one).then(function () {
+                        two.readSync('foo', 'app', {});
+                        two.readNoMergeSync('foo', 'app', {});
+                        return flush(two);
+                    }).then(function () {
+                        expect(Object.isFrozen(two.readSync('foo', 'app', {}))).to.equal(true);
+                        expect(Object.isFrozen(two.readNoMergeSync('foo', 'app', {})[0])).to.equal(true);
+                        expect(two.getCacheStats()).to.include({hits: 2});
+                    });
+                });
+
+                it('needs only the read and write methods', function () {
+                    var entries = {},
+                        config = makeConfig({cache: {
+                            get: function (key, groupId) {
+                                var entry = entries[key];
+                                return entry && entry.groupId === groupId ? entry.value : undefined;
+                            },
+                            set: function (key, value, groupId) {
+                                entries[key] = {value: value, groupId: groupId};
+                            },
+                            getTimeAware: function () {
+                                return undefined;
+                            },
+                            setTimeAware: function () {
+                                return undefined;
+                            }
+                        }}, 'app');
+                    expect(config.readSync('foo', 'app', {})).to.deep.equal({name: 'app'});
+                    expect(Object.keys(entries)).to.deep.equal(['foo:m:app[]']);
+                    config.deleteConfig('foo', 'app', 'app.json');
+                    expect(function () {
+                        config.getCacheStats();
+                    }).to.throw('The cache given as the cache option has no stats() method');
+                    expect(function () {
+                        config.resetCacheStats();
+                    }).to.throw('The cache given as the cache option has no resetStats() method');
+                    expect(function () {
+                        config.getCacheKeys();
+                    }).to.throw('The cache given as the cache option has no keys() method');
+                });
+            });
+        });
+
+
+        describe('concurrent cold reads', function () {
+            var dimensionsPath = libpath.resolve(touchdown, 'configs/dimensions.json'),
+                contents = JSON.stringify([
+                    {settings: ['master'], name: 'master'},
+                    {settings: ['device:mobile'], name: 'mobile'}
+                ]);
+
+            function countBuilds(config) {
+                var make = config._makeYCBFromDimensions,
+                    counts = {builds: 0, dimensions: 0};
+                config._makeYCBFromDimensions = function () {
+                    counts.builds += 1;
+                    return make.apply(this, arguments);
+                };
+                config.on('dimensionsLoaded', function () {
+                    counts.dimensions += 1;
+                });
+                return counts;
+            }
+
+            it('share one YCB build and dimensions load', function (next) {
+                var config = new Config({dimensionsPath: dimensionsPath}),
+                    counts = countBuilds(config),
+                    pending = 5,
+                    i;
+                config.addConfigContents('foo', 'app', 'app.json', contents);
+                config.addConfigContents('foo', 'other', 'other.json', contents);
+                function done(err, have) {
+                    if (err) {
+                        return next(err);
+                    }
+                    pending -= 1;
+                    if (pending) {
+                        return;
+                    }
+                    try {
+                        expect([].concat(have)[0].name).to.equal('master');
+                        expect(counts).to.deep.equal({builds: 2, dimensions: 1});
+                        expect(config._pendingYCBs).to.deep.equal({});
+                        expect(config._pendingDimensions).to.deep.equal({});
+                        next();
+                    } catch (e) {
+                        next(e);
+                    }
+                }
+                for (i = 0; i < 4; i += 1) {
+                    config.read('foo', 'app', {}, done);
+                }
+                config.readNoMerge('foo', 'other', {}, done);
+            });
+
+            it('call back every waiter when one throws', function () {
+                var config = new Config({dimensionsPath: dimensionsPath}),
+                    loaded,
+                    calls = [];
+                config._readConfigContents = function (path, callback) {
+                    loaded = callback;
+                };
+                config.readDimensions(function () {
+                    calls.push(1);
+                    throw new Error('first');
+                });
+                config.readDimensions(function (err, dimensions) {
+                    calls.push(dimensions.length);
+                });
+                expect(function () {
+                    loaded(null, [{dimensions: [{device: {}}]}]);
+                }).to.throw('first');
+                expect(calls).to.deep.equal([1, 1]);
+                expect(config._pendingDimensions).to.deep.equal({});
+            });
+
+            it('do not share builds of a replaced config', function (next) {
+                var config = new Config({dimensionsPath: dimensionsPath}),
+                    counts = countBuilds(config);
+                config.addConfigContents('foo', 'app', 'app.json', contents);
+                config.read('foo', 'app', {}, function (err, have) {
+                    try {
+                        expect(have.name).to.equal('master');
+                    } catch (e) {
+                        return next(e);
+                    }
+                });
+                config.addConfigContents('foo', 'app', 'app.json', JSON.stringify([{settings: ['master'], name: 'new'}]));
+                config.read('foo', 'app', {}, function (err, have) {
+                    try {
+                        expect(have.name).to.equal('new');
+                        expect(counts.builds).to.equal(2);
+                        expect(config._configYCBs['app.json'].read({}).name).to.equal('new');
+                        next();
+                    } catch (e) {
+                        next(e);
+                    }
+                });
+            });
+
+            it('share errors', function (next) {
+                var config = new Config({dimensionsPath: libpath.resolve(touchdown, 'configs/nope.json')}),
+                    errors = [];
+                config.addConfigContents('foo', 'app', 'app.json', contents);
+                function done(err) {
+                    errors.push(err);
+                    if (errors.length === 2) {
+                        try {
+                            expect(errors[0]).to.equal(errors[1]);
+                            expect(errors[0].code).to.equal('ENOENT');
+                            next();
+                        } catch (e) {
+                            next(e);
+                        }
+                    }
+                }
+                config.read('foo', 'app', {}, done);
+                config.read('foo', 'app', {}, done);
+            });
+        });
+
+
+        describe('readAccessor()', function () {
+            var dimensions = '[{"dimensions": [{"device": {"mobile": null}}]}]',
+                contents = JSON.stringify([
+                    {settings: ['master'], name: 'master', db: {host: 'db1', timeout: '5s'}},
+                    {settings: ['device:mobile'], name: 'mobile', db: {host: 'mobile-db'}}
+                ]);
+
+            function makeConfig(options) {
+                var config = new Config(options);
+                config.addConfigContents('foo', 'dimensions', 'dimensions.json', dimensions);
+                config.addConfigContents('foo', 'app', 'app.json', contents);
+                return config;
+            }
+
+            it('wraps the merged config', function (next) {
+                makeConfig({safeMode: true}).readAccessor('foo', 'app', {device: 'mobile'}, function (err, have) {
+                    try {
+                        expect(err).to.equal(null);
+                        expect(have.get('db.host')).to.equal('mobile-db');
+                        expect(have.getDuration('db.timeout')).to.equal(5000);
+                        expect(have.get('db.port', 5432)).to.equal(5432);
+                        expect(Object.isFrozen(have.config)).to.equal(true);
+                        expect(function () {
+                            have.require('db.user');
+                        }).to.throw('Missing required key "db.user" in config "app" of bundle "foo" ' +
+                            'for context {"device":"mobile"}');
+                        next();
+                    } catch (e) {
+                        next(e);
+                    }
+                });
+            });
+
+            it('wraps the sections with readNoMergeAccessor()', function (next) {
+                makeConfig().readNoMergeAccessor('foo', 'app', {device: 'mobile'}, function (err, have) {
+                    try {
+                        expect(err).to.equal(null);
+                        expect(have.config).to.have.length(2);
+                        expect(have.get('name')).to.equal('mobile');
+                        expect(have.get('db.timeout')).to.equal('5s');
+                        next();
+                    } catch (e) {
+                        next(e);
+                    }
+                });
+            });
+
+            it('passes read errors', function (next) {
+                makeConfig().readAccessor('foo', 'nope', {}, function (err, have) {
+                    try {
+                        expect(err.message).to.equal('Unknown config "nope" in bundle "foo"');
+                        expect(have).to.equal(undefined);
+                        next();
+                    } catch (e) {
+                        next(e);
+                    }
+                });
+            });
+
+            it('wraps configs read otherwise with Config.accessor()', function () {
+                var config = makeConfig(),
+                    have = Config.accessor(config.readSync('foo', 'app', {}), 'foo', 'app', {});
+                expect(have.get('name')).to.equal('master');
+                expect(function () {
+                    have.getNumber('db.host');
+                }).to.throw('Value "db1" of key "db.host" in config "app" of bundle "foo" for context {} is not a number');
+            });
+        });
+
+
+        describe('readSync()', function () {
+            var dimensions = '[{"dimensions": [{"device": {"mobile": null}}]}]',
+                contents = JSON.stringify([
+                    {settings: ['master'], name: 'master'},
+                    {settings: ['device:mobile'], name: 'mobile'}
+                ]);
+
+            function makeConfig(options) {
+                var config = new Config(options);
+                config.addConfigContents('foo', 'dimensions', 'dimensions.json', dimensions);
+                config.addConfigContents('foo', 'app', 'app.json', contents);
+                return config;
+            }
+
+            it('reads preloaded configs', function () {
+                var config = makeConfig();
+                expect(config.readDimensionsSync()).to.deep.equal([{device: {mobile: null}}]);
+                expect(config.readSync('foo', 'app', {device: 'mobile'})).to.deep.equal({name: 'mobile'});
+                expect(config.readNoMergeSync('foo', 'app', {device: 'mobile'})).to.deep.equal([
+                    {name: 'master'},
+                    {name: 'mobile'}
+                ]);
+            });
+
+            it('shares the cache with read()', function (next) {
+                var config = makeConfig(),
+                    want = config.readSync('foo', 'app', {}),
+                    hits = 0;
+                config.on('cacheHit', function () {
+                    hits += 1;
+                });
+                config.read('foo', 'app', {}, function (err, have) {
+                    try {
+                        expect(hits).to.equal(1);
+                        expect(have).to.equal(want);
+                        expect(config.readSync('foo', 'app', {})).to.equal(want);
+                        next();
+                    } catch (e) {
+                        next(e);
+                    }
+                });
+            });
+
+            it('reads after addConfig() calls back', function (next) {
+                var config = new Config();
+                config.addConfig('simple', 'dimensions', libpath.resolve(touchdown, 'configs/dimensions.json'), function () {
+                    config.addConfig('simple', 'foo', libpath.resolve(touchdown, 'configs/foo.js'), function () {
+                        try {
+                            expect(config.readSync('simple', 'foo', {device: 'mobile'})).to.deep.equal({
+                                TODO: 'TODO',
+                                selector: 'mobile'
+                            });
+                            next();
+                        } catch (e) {
+                            next(e);
+                        }
                     });
+                });
             });
 
-            it('survives a bad context', function (next) {
-                var config,
-                    context;
-                context = {device: 'torture'};
-                config = new Config();
-                config.addConfig(
-                    'simple',
-                    'dimensions',
-                    libpath.resolve(touchdown, 'configs/dimensions.json'),
-                    function (err) {
-                        if (err) { throw err; }
-                        config.addConfig(
-                            'simple',
-                            'foo',
-                            libpath.resolve(touchdown, 'configs/foo.js'),
-                            function (err) {
-                                if (err) { throw err; }
-                                config.readNoMerge('simple', 'foo', context, function (err, have) {
-                                    try {
-                                        expect(have.selector).to.be.an('undefined');
-                                        next();
-                                    } catch (err) {
-                                        next(err);
-                                    }
-                                });
-                            }
-                        );
+            it('is time aware', function () {
+                var config = makeConfig({timeAware: true});
+                expect(config.readSync('foo', 'app', {time: 0})).to.deep.equal({name: 'master'});
+                expect(function () {
+                    config.readSync('foo', 'app', {});
+                }).to.throw('No time dimension, time, in context, {}, during time aware mode');
+                expect(function () {
+                    config.readNoMergeSync('foo', 'app', {});
+                }).to.throw('No time dimension');
+            });
+
+            it('throws for unknown configs', function () {
+                var config = makeConfig();
+                expect(function () {
+                    config.readSync('foo', 'nope', {});
+                }).to.throw('Unknown config "nope" in bundle "foo"');
+            });
+
+            it('throws if the contents are not loaded', function () {
+                var path = libpath.resolve(touchdown, 'configs/dimensions.json'),
+                    config = new Config({dimensionsPath: path});
+                config.addConfigContents('foo', 'app', 'app.json', contents);
+                expect(function () {
+                    config.readDimensionsSync();
+                }).to.throw('The contents of "' + path + '" have not been loaded');
+                expect(function () {
+                    config.readSync('foo', 'app', {});
+                }).to.throw('The contents of "' + path + '" have not been loaded');
+            });
+
+            it('throws if secrets are resolved asynchronously', function () {
+                var config = makeConfig();
+                config.addConfigContents('foo', 'secret', 'secret.json', '{"password": "${vault:db}"}');
+                config.addSecretResolver('vault', function (ref, callback) {
+                    setImmediate(function () {
+                        callback(null, 'hunter2');
                     });
+                });
+                expect(function () {
+                    config.readSync('foo', 'secret', {});
+                }).to.throw('Config "secret" in bundle "foo" has secrets which are resolved asynchronously, use read() instead');
             });
+        });
 
-            it('freezes the config object if the `safeMode` option is passed', function (next) {
-                var config = new Config({
-                    safeMode: true
+
+        describe('snapshot()', function () {
+            var dir;
+
+            it('snapshots the registered contents after reads', function (next) {
+                var config = new Config({keepContents: true}),
+                    file = libpath.join(libos.tmpdir(), 'ycb-config-' + process.pid + '-snapshot.json'),
+                    onDisk = libpath.resolve(touchdown, 'configs/app.json');
+                config.addConfigContents('foo', 'dimensions', '/x/dimensions.json',
+                    '[{"dimensions": [{"device": {"mobile": null}}]}]');
+                config.addConfigContents('foo', 'app', '/x/app.json', '[{"settings": ["master"], "name": "app"}]');
+                config.addConfigContents('foo', 'disk', onDisk, '{"name": "registered"}');
+                expect(config.readSync('foo', 'app', {}).name).to.equal('app');
+                expect(config.readSync('foo', 'disk', {}).name).to.equal('registered');
+                config.snapshot(file, function (err) {
+                    var copy;
+                    try {
+                        expect(err).to.equal(null);
+                        copy = Config.fromSnapshot(file);
+                        libfs.unlinkSync(file);
+                        expect(copy.readSync('foo', 'app', {}).name).to.equal('app');
+                        expect(copy.readSync('foo', 'disk', {}).name).to.equal('registered');
+                        next();
+                    } catch (e) {
+                        next(e);
+                    }
                 });
-                config.addConfig(
-                    'simple',
-                    'dimensions',
-                    libpath.resolve(touchdown, 'configs/dimensions.json'),
-                    function (err) {
-                        if (err) { throw err; }
-                        config.addConfig(
-                            'simple',
-                            'foo',
-                            libpath.resolve(touchdown, 'configs/foo.js'),
-                            function (err) {
-                                if (err) { throw err; }
-                                config.readNoMerge('simple', 'foo', {device: 'mobile'}, function (err, have) {
-                                    expect(have).to.be.an('array');
-                                    expect(have[0]).to.be.an('object');
-                                    expect(have[0].TODO).to.equal('TODO');
-                                    try {
-                                        have[0].TODO = 'DONE';
-                                    } catch (err) {
-                                        expect(err.message).to.equal('Cannot assign to read only property \'TODO\' of object \'#<Object>\'');
-                                        next();
-                                    }
+            });
+
+            it('frees the registered contents after reads', function () {
+                var config = new Config();
+                config.addConfigContents('foo', 'app', '/x/app.json', '{"name": "app"}');
+                expect(config.readSync('foo', 'app', {}).name).to.equal('app');
+                expect(config._configContents).to.not.have.property('/x/app.json');
+            });
+
+            // copies a fixture into the temporary directory, so that it can be removed
+            function copyFixture(name) {
+                var path = libpath.resolve(dir, libpath.basename(name));
+                libfs.writeFileSync(path, libfs.readFileSync(libpath.resolve(touchdown, name)));
+                return path;
+            }
+
+            function makeConfig(next) {
+                var config = new Config(),
+                    dimensions = copyFixture('configs/dimensions.json'),
+                    foo = copyFixture('configs/foo.js');
+                config.addConfig('simple', 'dimensions', dimensions, function (err) {
+                    if (err) {
+                        return next(err);
+                    }
+                    config.addConfig('simple', 'foo', foo, function (err) {
+                        next(err, config);
+                    });
+                });
+            }
+
+            beforeEach(function () {
+                dir = libfs.mkdtempSync(libpath.join(libos.tmpdir(), 'ycb-config-'));
+            });
+
+            afterEach(function () {
+                libfs.readdirSync(dir).forEach(function (name) {
+                    libfs.unlinkSync(libpath.resolve(dir, name));
+                });
+                libfs.rmdirSync(dir);
+            });
+
+            it('rehydrates without the original files', function (next) {
+                makeConfig(function (err, config) {
+                    var file = libpath.resolve(dir, 'snapshot.json');
+                    if (err) {
+                        return next(err);
+                    }
+                    config.readDimensions(function (err) {
+                        if (err) {
+                            return next(err);
+                        }
+                        config.snapshot(file, function (err, hash) {
+                            var copy;
+                            try {
+                                expect(err).to.equal(null);
+                                expect(hash).to.match(/^[0-9a-f]{64}$/);
+                                libfs.unlinkSync(libpath.resolve(dir, 'dimensions.json'));
+                                libfs.unlinkSync(libpath.resolve(dir, 'foo.js'));
+                                copy = Config.fromSnapshot(file, {hash: hash});
+                                expect(copy._options).to.deep.equal({});
+                                expect(copy._configPaths).to.deep.equal(config._configPaths);
+                                expect(copy.readDimensionsSync()).to.deep.equal(config.readDimensionsSync());
+                                expect(copy.readSync('simple', 'foo', {device: 'mobile'})).to.deep.equal({
+                                    TODO: 'TODO',
+                                    selector: 'mobile'
                                 });
+                            } catch (e) {
+                                return next(e);
                             }
-                        );
-                    }
-                );
+                            copy.read('simple', 'foo', {}, function (err, have) {
+                                try {
+                                    expect(err).to.equal(null);
+                                    expect(have).to.deep.equal({TODO: 'TODO'});
+                                    next();
+                                } catch (e) {
+                                    next(e);
+                                }
+                            });
+                        });
+                    });
+                });
             });
-        });
 
+            it('is available as a promise', function () {
+                var config = new Config(),
+                    file = libpath.resolve(dir, 'snapshot.json');
+                config.addConfigContents('foo', 'app', 'app.json', '{"name": "app"}');
+                return config.promises.snapshot(file).then(function (hash) {
+                    var copy = Config.fromSnapshot(file, {hash: hash});
+                    expect(copy.readSync('foo', 'app', {})).to.deep.equal({name: 'app'});
+                });
+            });
 
-        describe('time-functionality', function () {
-            function intervalHelper(intervals, time) {
-                var applicable = [];
-                var next = Number.POSITIVE_INFINITY;
-                for(var i=0; i<intervals.length; i++) {
-                    var interval = intervals[i];
-                    var valid = true;
-                    if(interval.start) {
-                        valid = valid && interval.start <= time;
-                        if(interval.start > time && interval.start < next) {
-                            next = interval.start;
+            it('rejects stale snapshots', function (next) {
+                var config = new Config(),
+                    file = libpath.resolve(dir, 'snapshot.json');
+                config.addConfigContents('foo', 'app', 'app.json', '{"name": "old"}');
+                config.snapshot(file, function (err, oldHash) {
+                    config.addConfigContents('foo', 'app', 'app.json', '{"name": "new"}');
+                    config.snapshot(file, function (err, hash) {
+                        try {
+                            expect(hash).to.not.equal(oldHash);
+                            expect(function () {
+                                Config.fromSnapshot(file, {hash: oldHash});
+                            }).to.throw('Snapshot "' + file + '" is stale, its hash is ' + hash +
+                                ' but ' + oldHash + ' was expected');
+                            next();
+                        } catch (e) {
+                            next(e);
                         }
+                    });
+                });
+            });
+
+            it('rejects snapshots whose files have changed', function (next) {
+                makeConfig(function (err, config) {
+                    var file = libpath.resolve(dir, 'snapshot.json'),
+                        foo = libpath.resolve(dir, 'foo.js');
+                    if (err) {
+                        return next(err);
                     }
-                    if(interval.end) {
-                        valid = valid && interval.end >= time;
-                        if(valid && interval.end < next) {
-                            next = interval.end+1;
+                    config.snapshot(file, function (err, hash) {
+                        try {
+                            expect(err).to.equal(null);
+                            expect(Config.fromSnapshot(file, {hash: hash})._configPaths)
+                                .to.deep.equal(config._configPaths);
+                            libfs.appendFileSync(foo, '\n');
+                            expect(function () {
+                                Config.fromSnapshot(file, {hash: hash});
+                            }).to.throw('Snapshot "' + file + '" is stale, "' + foo + '" has changed since it was written');
+                            next();
+                        } catch (e) {
+                            next(e);
                         }
+                    });
+                });
+            });
+
+            it('rejects corrupt snapshots', function (next) {
+                var config = new Config(),
+                    file = libpath.resolve(dir, 'snapshot.json');
+                config.addConfigContents('foo', 'app', 'app.json', '{"name": "app"}');
+                config.snapshot(file, function () {
+                    try {
+                        libfs.writeFileSync(file, libfs.readFileSync(file, 'utf8').replace('"app"}', '"evil"}'));
+                        expect(function () {
+                            Config.fromSnapshot(file);
+                        }).to.throw('Snapshot "' + file + '" is corrupt, its contents do not match its hash');
+                        next();
+                    } catch (e) {
+                        next(e);
                     }
-                    if(valid) {
-                        applicable.push(interval.name);
+                });
+            });
+
+            it('fails on configs which failed to parse', function (next) {
+                var config = new Config();
+                config.addConfigContents('foo', 'app', 'app.json', '{');
+                config.snapshot(libpath.resolve(dir, 'snapshot.json'), function (err) {
+                    try {
+                        expect(err.message).to.contain('Failed to parse "app.json"');
+                        expect(libfs.readdirSync(dir)).to.deep.equal([]);
+                        next();
+                    } catch (e) {
+                        next(e);
                     }
-                }
-                next = next === Number.POSITIVE_INFINITY ? undefined : next;
-                return {configs: applicable, next: next};
-            }
+                });
+            });
+        });
 
-            it('scheduled configs should match timestamp', function (done) {
-                var bundle, ycb;
-                var path = libpath.join(__dirname, '..', 'fixtures' , 'time', 'time-test.json');
-                var data = libfs.readFileSync(path, 'utf8');
-                bundle = JSON.parse(data);
-                var intervals = [];
-                var minTime = Number.POSITIVE_INFINITY;
-                var maxTime = 0;
-                bundle.forEach(function(config) {
-                    if(config.settings) {
-                        var name = config.name;
-                        var interval = config.intervals[name];
-                        if(interval.start || interval.end) {
-                            if(interval.start && interval.start < minTime) {
-                                minTime = interval.start;
+
+        describe('readAllContexts()', function () {
+            it('reads every distinct context', function (next) {
+                var config = new Config();
+                config.addConfig('simple', 'dimensions', libpath.resolve(touchdown, 'configs/dimensions.json'), function () {
+                    config.addConfig('simple', 'foo', libpath.resolve(touchdown, 'configs/foo.js'), function () {
+                        config.readAllContexts('simple', 'foo', function (err, results) {
+                            try {
+                                expect(err).to.equal(null);
+                                expect(results).to.deep.equal([
+                                    {context: {}, config: {TODO: 'TODO'}},
+                                    {context: {device: 'mobile'}, config: {TODO: 'TODO', selector: 'mobile'}}
+                                ]);
+                                next();
+                            } catch (e) {
+                                next(e);
                             }
-                            if(interval.end && interval.end > maxTime) {
-                                maxTime = interval.end;
+                        });
+                    });
+                });
+            });
+
+            it('reads scheduled sections at the given time', function (next) {
+                var config = new Config();
+                config.addConfig('simple', 'dimensions', libpath.resolve(touchdown, 'configs/dimensions.json'), function () {
+                    config.addConfig('simple', 'no-master', libpath.resolve(touchdown, 'configs/no-master.js'), function () {
+                        config.readAllContexts('simple', 'no-master', {time: 0}, function (err, results) {
+                            try {
+                                expect(results).to.deep.equal([
+                                    {context: {}, config: {}},
+                                    {context: {device: 'mobile'}, config: {selector: 'mobile', name: 'old'}}
+                                ]);
+                                next();
+                            } catch (e) {
+                                next(e);
                             }
-                            interval = {start: interval.start, end: interval.end, name:name};
-                            intervals.push(interval);
+                        });
+                    });
+                });
+            });
+
+            it('reads non-contextualized configs once', function (next) {
+                var config = new Config();
+                config.addConfig('simple', 'app', libpath.resolve(touchdown, 'configs/app.json'), function () {
+                    config.readAllContexts('simple', 'app', function (err, results) {
+                        try {
+                            expect(results).to.deep.equal([{context: {}, config: {}}]);
+                            next();
+                        } catch (e) {
+                            next(e);
                         }
-                    }
+                    });
                 });
-                var config = new Config({'timeAware': true, cache: {max: 1000}});
-                config.addConfig(
-                    'test',
-                    'dimensions',
-                    libpath.join(__dirname, '..', 'fixtures' , 'time', 'time-test-dimensions.json'),
-                    function() {
-                        config.addConfig(
-                            'test',
-                            'configs',
-                            libpath.join(__dirname, '..', 'fixtures' , 'time', 'time-test-configs.json'),
-                            function(err) {
-                                var context = {environment: 'prod', device: 'smartphone'};
-                                var times = [];
-                                for(var t=minTime-2; t<maxTime+2; t++) {
-                                    times.push(t);
-                                }
-                                var temp = times.slice();
-                                temp.reverse();
-                                times = times.concat(temp);
-                                for(var i=0; i<times.length; i++) {
-                                    t = times[i];
-                                    var ret = intervalHelper(intervals, t);
-                                    var valid = ret.configs;
-                                    var next = ret.next;
-                                    context = {environment: 'prod', device: 'smartphone', time: t};
-                                    /* jshint ignore:start */
-                                    config.read('test', 'configs', context, function(err, config) {
-                                        assert.equal(err, null, 'error should be null');
-                                        assert(Object.keys(config.intervals).length === valid.length, 'Number of valid configs should be equal');
-                                        valid.forEach(function(name) {
-                                            assert(config.intervals[name] !== undefined, 'Config ' + name + ' should be valid');
-                                        });
-                                    });
-                                    config.readNoMerge('test', 'configs', context, function(err, config) {
-                                        assert.equal(err, null, 'error should be null');
-                                        assert(config.length === valid.length, 'Number of unmerged configs should be equal');
-                                    });
-                                    /* jshint ignore:end */
-                                }
-                                done();
-                            }
-                        );
+            });
+
+            it('fails on unknown bundle', function (next) {
+                var config = new Config();
+                config.readAllContexts('foo', 'bar', function (err) {
+                    try {
+                        expect(err.message).to.equal('Unknown bundle "foo"');
+                        next();
+                    } catch (e) {
+                        next(e);
                     }
-                );
+                });
             });
+        });
 
-            it('custom time dimension is honored', function (next) {
-                var config = new Config({timeDimension: 'mytime'});
-                config.addConfig(
-                    'simple',
-                    'dimensions',
-                    libpath.resolve(touchdown, 'configs/dimensions.json'),
-                    function (err) {
-                        if (err) { throw err; }
-                        config.addConfig(
-                            'simple',
-                            'foo',
-                            libpath.resolve(touchdown, 'configs/no-master.js'),
-                            function (err) {
-                                if (err) { throw err; }
-                                config.read('simple', 'foo', {device: 'mobile', mytime:1572872362000}, function (err, have) {
-                                    if (err) { throw err; }
-                                    expect(have).to.be.an('object');
-                                    expect(have.name).to.equal('new');
-                                    next();
-                                });
-                            }
-                        );
+        describe('generateTypes()', function () {
+            it('declares an interface per config', function (next) {
+                var config = new Config();
+                config.addConfigContents('app', 'dimensions', 'dimensions.json',
+                    '[{"dimensions": [{"device": {"mobile": null}}]}]');
+                config.addConfigContents('app', 'widget', 'widget.json', JSON.stringify([
+                    {settings: ['master'], api: {host: 'h'}},
+                    {settings: ['device:mobile'], api: {retries: 3}},
+                    {settings: {dimensions: ['master'], schedule: {start: '2020-01-01'}}, promo: true}
+                ]));
+                config.addConfigContents('other', 'plain', 'plain.json', '{"name": "plain"}');
+                config.generateTypes(function (err, have) {
+                    try {
+                        expect(err).to.equal(null);
+                        expect(have).to.contain([
+                            'export interface AppWidgetConfig {',
+                            '    api: {',
+                            '        host: string;',
+                            '        retries?: number;',
+                            '    };',
+                            '}'
+                        ].join('\n'));
+                        expect(have).to.contain('export interface OtherPlainConfig {\n    name: string;\n}\n');
+                        expect(have).to.not.contain('Dimensions');
+                        expect(have).to.contain('    app: {\n        widget: AppWidgetConfig;\n    };\n');
+                        next();
+                    } catch (e) {
+                        next(e);
                     }
-                );
+                });
             });
 
-            it('readNoMerge time aware should correctly determine expiration time', function (next) {
-                var config = new Config({timeAware: true});
-                config.addConfig(
-                    'simple',
-                    'dimensions',
-                    libpath.resolve(touchdown, 'configs/dimensions.json'),
-                    function (err) {
-                        if (err) { throw err; }
-                        config.addConfig(
-                            'simple',
-                            'foo',
-                            libpath.resolve(touchdown, 'configs/no-master.js'),
-                            function (err) {
-                                if (err) { throw err; }
-                                config.readNoMerge('simple', 'foo', {device: 'desktop', time: 0}, function (err, have) {
-                                    if (err) { throw err; }
-                                    have[0] = {foo: 'bar'};
-                                    config.readNoMerge('simple', 'foo', {device: 'desktop', time: Number.MAX_SAFE_INTEGER}, function (err, have) {
-                                        if (err) { throw err; }
-                                        expect(have).to.be.an('array');
-                                        expect(have[0].foo).to.equal('bar');
-                                        next();
-                                    });
-                                });
-                            }
-                        );
+            it('fails on configs which fail to load', function (next) {
+                var config = new Config();
+                config.addConfigContents('app', 'widget', 'widget.json', '[{"settings": ["master"], "a": 1}]');
+                config.generateTypes(function (err) {
+                    try {
+                        expect(err.message).to.equal('Failed to find a dimensions.json file');
+                        next();
+                    } catch (e) {
+                        next(e);
                     }
-                );
+                });
+            });
+
+            it('is available as a promise', function () {
+                var config = new Config();
+                config.addConfigContents('app', 'plain', 'plain.json', '{"name": "plain"}');
+                return config.promises.generateTypes().then(function (have) {
+                    expect(have).to.contain('export interface AppPlainConfig {');
+                });
             });
         });
 
+        describe('index.d.ts', function () {
+            it('declares every public method', function () {
+                var typings = libfs.readFileSync(libpath.resolve(__dirname, '../../lib/index.d.ts'), 'utf8'),
+                    config = new Config(),
+                    name;
+                for (name in config) {
+                    if ('_' !== name.charAt(0) && 'function' === typeof config[name] &&
+                            !libevents.EventEmitter.prototype[name]) {
+                        expect(typings).to.match(new RegExp('\\n    ' + name + '(<T = any>)?\\('), name);
+                    }
+                }
+                Object.keys(Config).forEach(function (name) {
+                    if ('test' !== name) {
+                        expect(typings).to.contain('    static ' + name, name);
+                    }
+                });
+                Object.keys(Object.getPrototypeOf(config.promises)).forEach(function (name) {
+                    if ('_' !== name.charAt(0)) {
+                        expect(typings).to.match(new RegExp('\\n        ' + name + '(<T = any>)?\\('), name);
+                    }
+                });
+            });
+        });
 
-        describe('cache-functionality', function () {
-            it('[read] caches the config', function (next) {
-                var config = new Config({});
-                config.addConfig(
-                    'simple',
-                    'dimensions',
-                    libpath.resolve(touchdown, 'configs/dimensions.json'),
-                    function (err) {
-                        if (err) { throw err; }
-                        config.addConfig(
-                            'simple',
-                            'foo',
-                            libpath.resolve(touchdown, 'configs/foo.js'),
-                            function (err) {
-                                if (err) { throw err; }
-                                config.read('simple', 'foo', {device: 'mobile'}, function (err, have) {
-                                    have.foo = 'bar';
-                                    config.read('simple', 'foo', {device: 'mobile'}, function (err, have) {
-                                        expect(have).to.be.an('object');
-                                        expect(have.foo).to.equal('bar');
-                                        next();
-                                    });
-                                });
-                            }
-                        );
+        describe('lint()', function () {
+            it('finds unknown dimension values', function (next) {
+                var config = new Config({dimensionsPath: libpath.resolve(touchdown, 'configs/dimensions.json')}),
+                    path = libpath.resolve(mojito, 'unknown-dim.json');
+                config.addConfig('app', 'unknown-dim', path, function () {
+                    config.lint('app', 'unknown-dim', function (err, findings) {
+                        try {
+                            expect(err).to.equal(null);
+                            expect(findings).to.deep.equal([{
+                                rule: 'unknown-value',
+                                severity: 'error',
+                                message: 'Unknown value "unknown" of dimension "device" in settings ["device:unknown"]',
+                                index: 1,
+                                settings: ['device:unknown'],
+                                path: path,
+                                line: 7
+                            }]);
+                            next();
+                        } catch (e) {
+                            next(e);
+                        }
+                    });
+                });
+            });
+
+            it('is available as a promise', function () {
+                var config = new Config();
+                config.addConfigContents('app', 'dimensions', 'dimensions.json', '[{"dimensions": [{"lang": {"en": null}}]}]');
+                config.addConfigContents('app', 'app', 'app.json', JSON.stringify([
+                    {settings: {dimensions: ['lang:en'], schedule: {end: 1000}}, a: 1}
+                ]));
+                return config.promises.lint('app', 'app', {time: 999}).then(function (findings) {
+                    expect(findings).to.deep.equal([]);
+                    return config.promises.lint('app', 'app');
+                }).then(function (findings) {
+                    expect(findings[0].rule).to.equal('ended-schedule');
+                    expect(findings[0].line).to.equal(undefined);
+                });
+            });
+
+            it('does not check configs which are not YCB', function (next) {
+                var config = new Config();
+                config.addConfigContents('app', 'app', 'app.json', '{"a": 1}');
+                config.lint('app', 'app', function (err, findings) {
+                    try {
+                        expect(err).to.equal(null);
+                        expect(findings).to.deep.equal([]);
+                        next();
+                    } catch (e) {
+                        next(e);
                     }
-                );
+                });
             });
 
-            it('[read-time-aware] caches the config', function (next) {
-                var config = new Config({timeAware: true});
-                config.addConfig(
-                    'simple',
-                    'dimensions',
-                    libpath.resolve(touchdown, 'configs/dimensions.json'),
-                    function (err) {
-                        if (err) { throw err; }
-                        config.addConfig(
-                            'simple',
-                            'foo',
-                            libpath.resolve(touchdown, 'configs/foo.js'),
-                            function (err) {
-                                if (err) { throw err; }
-                                config.read('simple', 'foo', {device: 'mobile', time:0}, function (err, have) {
-                                    if (err) { throw err; }
-                                    have.foo = 'bar';
-                                    config.read('simple', 'foo', {device: 'mobile', time:0}, function (err, have) {
-                                        if (err) { throw err; }
-                                        expect(have).to.be.an('object');
-                                        expect(have.foo).to.equal('bar');
-                                        next();
-                                    });
-                                });
-                            }
-                        );
+            it('fails on unknown configs', function (next) {
+                var config = new Config();
+                config.addConfigContents('app', 'app', 'app.json', '{"a": 1}');
+                config.lint('app', 'nope', function (err) {
+                    try {
+                        expect(err.message).to.equal('Unknown config "nope" in bundle "app"');
+                        next();
+                    } catch (e) {
+                        next(e);
                     }
-                );
+                });
             });
+        });
 
-            it('[read-no-merge]caches the config', function (next) {
-                var config = new Config({});
-                config.addConfig(
-                    'simple',
-                    'dimensions',
-                    libpath.resolve(touchdown, 'configs/dimensions.json'),
-                    function (err) {
-                        if (err) { throw err; }
-                        config.addConfig(
-                            'simple',
-                            'foo',
-                            libpath.resolve(touchdown, 'configs/foo.js'),
-                            function (err) {
-                                if (err) { throw err; }
-                                config.readNoMerge('simple', 'foo', {device: 'mobile'}, function (err, have) {
-                                    if (err) { throw err; }
-                                    have[0].foo = 'bar';
-                                    config.readNoMerge('simple', 'foo', {device: 'mobile'}, function (err, have) {
-                                        if (err) { throw err; }
-                                        expect(have).to.be.an('array');
-                                        expect(have[0].foo).to.equal('bar');
-                                        next();
-                                    });
-                                });
-                            }
-                        );
+        describe('compile()', function () {
+            var reader = require('../../lib/reader'),
+                dimensions = JSON.stringify([{dimensions: [
+                    {device: {desktop: null, mobile: {tablet: null, phone: null}}},
+                    {lang: {en: {'en-US': null}, fr: null}}
+                ]}]),
+                contents = JSON.stringify([
+                    {settings: ['master'], name: 'master', lang: 'any'},
+                    {settings: ['device:mobile'], name: 'mobile'},
+                    {settings: ['lang:en'], lang: 'en'}
+                ]),
+                contexts = [
+                    {},
+                    {device: 'desktop'},
+                    {device: 'tablet', lang: 'en-US'},
+                    {device: 'phone', lang: 'fr'},
+                    {device: 'smartwatch', lang: 'en'}
+                ];
+
+            function makeConfig(options) {
+                var config = new Config(options);
+                config.addConfigContents('foo', 'dimensions', 'dimensions.json', dimensions);
+                config.addConfigContents('foo', 'app', 'app.json', contents);
+                return config;
+            }
+
+            it('compiles every reachable context', function (next) {
+                var config = makeConfig();
+                config.compile('foo', 'app', function (err, artifact) {
+                    try {
+                        expect(err).to.equal(null);
+                        expect(Object.keys(artifact.keys)).to.have.length(4);
+                        expect(artifact.configs).to.have.length(4);
+                        contexts.forEach(function (context) {
+                            expect(reader.read(JSON.parse(JSON.stringify(artifact)), context))
+                                .to.deep.equal(config.readSync('foo', 'app', context));
+                        });
+                        next();
+                    } catch (e) {
+                        next(e);
                     }
-                );
+                });
             });
 
-            it('[read-no-merge-time-aware] caches the config', function (next) {
-                var config = new Config({timeAware: true});
-                config.addConfig(
-                    'simple',
-                    'dimensions',
-                    libpath.resolve(touchdown, 'configs/dimensions.json'),
-                    function (err) {
-                        if (err) { throw err; }
-                        config.addConfig(
-                            'simple',
-                            'foo',
-                            libpath.resolve(touchdown, 'configs/foo.js'),
-                            function (err) {
-                                if (err) { throw err; }
-                                config.readNoMerge('simple', 'foo', {device: 'mobile', time: 0}, function (err, have) {
-                                    if (err) { throw err; }
-                                    have[0].foo = 'bar';
-                                    config.readNoMerge('simple', 'foo', {device: 'mobile', time: 0}, function (err, have) {
-                                        if (err) { throw err; }
-                                        expect(have).to.be.an('array');
-                                        expect(have[0].foo).to.equal('bar');
-                                        next();
-                                    });
-                                });
-                            }
-                        );
+            it('compiles the given contexts', function (next) {
+                var config = makeConfig();
+                config.compile('foo', 'app', {contexts: [{device: 'mobile'}, {device: 'phone'}]}, function (err, artifact) {
+                    try {
+                        expect(err).to.equal(null);
+                        expect(artifact.configs).to.deep.equal([{name: 'mobile', lang: 'any'}]);
+                        expect(reader.read(artifact, {device: 'tablet'})).to.deep.equal({name: 'mobile', lang: 'any'});
+                        expect(reader.read(artifact, {})).to.equal(undefined);
+                        next();
+                    } catch (e) {
+                        next(e);
                     }
-                );
+                });
             });
 
-            it('cache capacity option is honored', function (next) {
-                var config = new Config({cache:{max:0}});
-                config.addConfig(
-                    'simple',
-                    'dimensions',
-                    libpath.resolve(touchdown, 'configs/dimensions.json'),
-                    function (err) {
-                        if (err) { throw err; }
-                        config.addConfig(
-                            'simple',
-                            'foo',
-                            libpath.resolve(touchdown, 'configs/foo.js'),
-                            function (err) {
-                                if (err) { throw err; }
-                                config.read('simple', 'foo', {device: 'mobile'}, function (err, have) {
-                                    have.foo = 'bar';
-                                    config.read('simple', 'foo', {device: 'mobile'}, function (err, have) {
-                                        expect(have).to.be.an('object');
-                                        expect(have.foo).to.equal(undefined);
-                                        next();
-                                    });
-                                });
-                            }
-                        );
+            it('applies the base context', function (next) {
+                var config = makeConfig({baseContext: {lang: 'en'}});
+                config.compile('foo', 'app', function (err, artifact) {
+                    try {
+                        expect(artifact.baseContext).to.deep.equal({lang: 'en'});
+                        contexts.forEach(function (context) {
+                            expect(reader.read(artifact, context)).to.deep.equal(config.readSync('foo', 'app', context));
+                        });
+                        next();
+                    } catch (e) {
+                        next(e);
                     }
-                );
+                });
             });
 
-            it('[read] adding config should invalidate current cache entries', function (next) {
-                var config = new Config({});
-                config.addConfig(
-                    'simple',
-                    'dimensions',
-                    libpath.resolve(touchdown, 'configs/dimensions.json'),
-                    function (err) {
-                        if (err) { throw err; }
-                        config.addConfig(
-                            'simple',
-                            'foo',
-                            libpath.resolve(touchdown, 'configs/foo.js'),
-                            function (err) {
-                                if (err) { throw err; }
-                                config.read('simple', 'foo', {device: 'mobile'}, function (err, have) {
-                                    if (err) { throw err; }
-                                    have.foo = 'bar';
-                                    config.addConfig(
-                                        'simple',
-                                        'foo',
-                                        libpath.resolve(touchdown, 'configs/foo.js'),
-                                        function (err) {
-                                            if (err) { throw err; }
-                                            config.read('simple', 'foo', {device: 'mobile'}, function (err, have) {
-                                                if (err) { throw err; }
-                                                expect(have).to.be.an('object');
-                                                expect(have.foo).to.equal(undefined);
-                                                next();
-                                            });
-                                        }
-                                    );
-                                });
-                            }
-                        );
+            it('compiles configs which are not YCB', function (next) {
+                var config = new Config();
+                config.addConfigContents('foo', 'app', 'app.json', '{"name": "app"}');
+                config.compile('foo', 'app', function (err, artifact) {
+                    try {
+                        expect(artifact.keys).to.deep.equal({'[]': 0});
+                        expect(reader.read(artifact, {device: 'mobile'})).to.deep.equal({name: 'app'});
+                        next();
+                    } catch (e) {
+                        next(e);
                     }
-                );
+                });
             });
 
-            it('[read-time-aware] adding config should invalidate current cache entries', function (next) {
-                var config = new Config({timeAware: true});
-                config.addConfig(
-                    'simple',
-                    'dimensions',
-                    libpath.resolve(touchdown, 'configs/dimensions.json'),
-                    function (err) {
-                        if (err) { throw err; }
-                        config.addConfig(
-                            'simple',
-                            'foo',
-                            libpath.resolve(touchdown, 'configs/foo.js'),
-                            function (err) {
-                                if (err) { throw err; }
-                                config.read('simple', 'foo', {device: 'mobile', time:0}, function (err, have) {
-                                    if (err) { throw err; }
-                                    have.foo = 'bar';
-                                    config.addConfig(
-                                        'simple',
-                                        'foo',
-                                        libpath.resolve(touchdown, 'configs/foo.js'),
-                                        function (err) {
-                                            if (err) { throw err; }
-                                            config.read('simple', 'foo', {device: 'mobile', time:0}, function (err, have) {
-                                                if (err) { throw err; }
-                                                expect(have).to.be.an('object');
-                                                expect(have.foo).to.equal(undefined);
-                                                next();
-                                            });
-                                        }
-                                    );
-                                });
-                            }
-                        );
+            it('reads scheduled sections at the given time', function (next) {
+                var config = makeConfig({timeAware: true});
+                config.addConfigContents('foo', 'app', 'app.json', JSON.stringify([
+                    {settings: ['master'], name: 'master'},
+                    {settings: {dimensions: ['master'], schedule: {start: 1000}}, name: 'later'}
+                ]));
+                config.compile('foo', 'app', {time: 2000}, function (err, artifact) {
+                    try {
+                        expect(err).to.equal(null);
+                        expect(artifact.configs).to.deep.equal([{name: 'later'}]);
+                        next();
+                    } catch (e) {
+                        next(e);
                     }
-                );
+                });
             });
 
-            it('[read-no-merge] adding config should invalidate current cache entries', function (next) {
-                var config = new Config({});
-                config.addConfig(
-                    'simple',
-                    'dimensions',
-                    libpath.resolve(touchdown, 'configs/dimensions.json'),
-                    function (err) {
-                        if (err) { throw err; }
-                        config.addConfig(
-                            'simple',
-                            'foo',
-                            libpath.resolve(touchdown, 'configs/foo.js'),
-                            function (err) {
-                                if (err) { throw err; }
-                                config.readNoMerge('simple', 'foo', {device: 'mobile'}, function (err, have) {
-                                    if (err) { throw err; }
-                                    have[0].foo = 'bar';
-                                    config.addConfig(
-                                        'simple',
-                                        'foo',
-                                        libpath.resolve(touchdown, 'configs/foo.js'),
-                                        function (err) {
-                                            if (err) { throw err; }
-                                            config.readNoMerge('simple', 'foo', {device: 'mobile'}, function (err, have) {
-                                                if (err) { throw err; }
-                                                expect(have).to.be.an('array');
-                                                expect(have[0].foo).to.equal(undefined);
-                                                next();
-                                            });
-                                        }
-                                    );
-                                });
-                            }
-                        );
+            it('is available as a promise', function () {
+                return makeConfig().promises.compile('foo', 'app', {contexts: [{}]}).then(function (artifact) {
+                    expect(reader.read(artifact, {lang: 'fr'})).to.deep.equal({name: 'master', lang: 'any'});
+                });
+            });
+
+            it('fails with too many reachable contexts', function (next) {
+                makeConfig().compile('foo', 'app', {maxContexts: 3}, function (err) {
+                    try {
+                        expect(err.message).to.equal('Config "app" in bundle "foo" has more than 3 reachable ' +
+                            'contexts, pass the contexts to compile or a higher maxContexts');
+                        next();
+                    } catch (e) {
+                        next(e);
                     }
-                );
+                });
             });
 
-            it('[read-no-merge-time-aware] adding config should invalidate current cache entries', function (next) {
-                var config = new Config({timeAware: true});
-                config.addConfig(
-                    'simple',
-                    'dimensions',
-                    libpath.resolve(touchdown, 'configs/dimensions.json'),
-                    function (err) {
-                        if (err) { throw err; }
-                        config.addConfig(
-                            'simple',
-                            'foo',
-                            libpath.resolve(touchdown, 'configs/foo.js'),
-                            function (err) {
-                                if (err) { throw err; }
-                                config.readNoMerge('simple', 'foo', {device: 'mobile', time:0}, function (err, have) {
-                                    if (err) { throw err; }
-                                    have[0].foo = 'bar';
-                                    config.addConfig(
-                                        'simple',
-                                        'foo',
-                                        libpath.resolve(touchdown, 'configs/foo.js'),
-                                        function (err) {
-                                            if (err) { throw err; }
-                                            config.readNoMerge('simple', 'foo', {device: 'mobile', time:0}, function (err, have) {
-                                                if (err) { throw err; }
-                                                expect(have).to.be.an('array');
-                                                expect(have[0].foo).to.equal(undefined);
-                                                next();
-                                            });
-                                        }
-                                    );
-                                });
-                            }
-                        );
+            it('refuses configs with secrets', function (next) {
+                var config = makeConfig({timeAware: true, secrets: {env: {TOKEN: 'hunter2'}}});
+                config.addConfigContents('foo', 'app', 'app.json', JSON.stringify([
+                    {settings: ['master'], name: 'master'},
+                    {settings: {dimensions: ['master'], schedule: {start: 1000}}, token: '${env:TOKEN}'}
+                ]));
+                config.compile('foo', 'app', {contexts: [{}]}, function (err, artifact) {
+                    try {
+                        expect(err.message).to.equal('Config "app" in bundle "foo" has secrets, ' +
+                            'which compile() doesn\'t embed in artifacts');
+                        expect(artifact).to.equal(undefined);
+                        next();
+                    } catch (e) {
+                        next(e);
                     }
-                );
+                });
             });
 
-            it('read and read-no-merge do not cache collide', function (next) {
-                var config = new Config({});
-                config.addConfig(
-                    'simple',
-                    'dimensions',
-                    libpath.resolve(touchdown, 'configs/dimensions.json'),
-                    function (err) {
-                        if (err) { throw err; }
-                        config.addConfig(
-                            'simple',
-                            'foo',
-                            libpath.resolve(touchdown, 'configs/foo.js'),
-                            function (err) {
-                                if (err) { throw err; }
-                                config.read('simple', 'foo', {device: 'mobile'}, function (err, have) {
-                                    if (err) { throw err; }
-                                    config.readNoMerge('simple', 'foo', {device: 'mobile'}, function (err, have) {
-                                        expect(have).to.be.an('array');
-                                        next();
-                                    });
-                                });
-                            }
-                        );
+            it('fails on unknown bundles', function (next) {
+                new Config().compile('foo', 'bar', function (err) {
+                    try {
+                        expect(err.message).to.equal('Unknown bundle "foo"');
+                        next();
+                    } catch (e) {
+                        next(e);
                     }
-                );
+                });
             });
         });
 
+        describe('readExplain()', function () {
+            var explainFixtures = libpath.resolve(fixtures, 'explain');
+
+            function makeConfig(callback) {
+                var config = new Config();
+                config.addConfig('app', 'dimensions', libpath.resolve(explainFixtures, 'dimensions.json'), function () {
+                    config.addConfig('app', 'app', libpath.resolve(explainFixtures, 'app.json'), function () {
+                        callback(config);
+                    });
+                });
+            }
+
+            it('explains where values came from', function (next) {
+                var path = libpath.resolve(explainFixtures, 'app.json');
+                makeConfig(function (config) {
+                    config.readExplain('app', 'app', {environment: 'prod', device: 'phone'}, function (err, have) {
+                        try {
+                            expect(err).to.equal(null);
+                            expect(have.config).to.deep.equal({
+                                db: {host: 'db.example.com', port: 5432},
+                                features: ['a', 'm'],
+                                title: 'prod phone'
+                            });
+                            expect(have.sources).to.deep.equal({
+                                'db.host': {settings: ['environment:prod'], path: path, line: 19},
+                                'db.port': {settings: ['master'], path: path, line: 6},
+                                'features': {settings: ['device:mobile'], path: path, line: 14},
+                                'title': {settings: ['environment:prod', 'device:phone'], path: path, line: 24}
+                            });
+                            expect(have.overridden).to.deep.equal([
+                                {key: 'title', value: 'default', settings: ['master'], path: path, line: 9, by: ['device:mobile']},
+                                {key: 'features', value: ['a'], settings: ['master'], path: path, line: 8, by: ['device:mobile']},
+                                {key: 'db.host', value: 'localhost', settings: ['master'], path: path, line: 5, by: ['environment:prod']},
+                                {key: 'title', value: 'mobile', settings: ['device:mobile'], path: path, line: 13,
+                                    by: ['environment:prod', 'device:phone']}
+                            ]);
+                            next();
+                        } catch (e) {
+                            next(e);
+                        }
+                    });
+                });
+            });
+
+            it('explains the config that read() returns', function (next) {
+                var config = new Config({envOverrides: {prefix: 'APP', env: {APP__app__app__db__port: '6543'}}}),
+                    path = libpath.resolve(explainFixtures, 'app.json');
+                config.addConfig('app', 'dimensions', libpath.resolve(explainFixtures, 'dimensions.json'), function () {
+                    config.addConfig('app', 'app', path, function () {
+                        config.readExplain('app', 'app', {environment: 'prod'}, function (err, have) {
+                            try {
+                                expect(err).to.equal(null);
+                                expect(have.config.db).to.deep.equal({host: 'db.example.com', port: 6543});
+                                expect(have.config).to.equal(config.readSync('app', 'app', {environment: 'prod'}));
+                                expect(have.sources['db.port']).to.deep.equal({settings: ['master'], path: path, line: 6});
+                                next();
+                            } catch (e) {
+                                next(e);
+                            }
+                        });
+                    });
+                });
+            });
+
+            it('explains non-contextualized configs', function (next) {
+                var config = new Config(),
+                    path = libpath.resolve(mojito, 'testfile.json5');
+                config.addConfig('app', 'testfile', path, function () {
+                    config.readExplain('app', 'testfile', {}, function (err, have) {
+                        try {
+                            expect(have.config.foo).to.equal('bar');
+                            expect(have.sources.foo).to.deep.equal({settings: ['master'], path: path, line: 2});
+                            expect(have.overridden).to.deep.equal([]);
+                            next();
+                        } catch (e) {
+                            next(e);
+                        }
+                    });
+                });
+            });
+
+            it('fails on unknown bundle', function (next) {
+                var config = new Config();
+                config.readExplain('foo', 'bar', {}, function (err) {
+                    try {
+                        expect(err.message).to.equal('Unknown bundle "foo"');
+                        next();
+                    } catch (e) {
+                        next(e);
+                    }
+                });
+            });
+        });
 
         describe('_getYCB()', function () {
             it('fails on unknown bundle', function (next) {
@@ -1991,6 +4186,23 @@ describe('config', function () {
           });
         });
 
+        describe('promises.addConfigDirectory()', function() {
+          it('touchdown-simple', function(next) {
+            var config = new Config();
+            config
+              .promises.addConfigDirectory(touchdown, {include: ['configs/dimensions.json']})
+              .then(manifest => {
+                expect(manifest.added).to.have.length(1);
+                return config.promises.readDimensions();
+              })
+              .then(dims => {
+                expect(dims[0]).to.have.property('ynet');
+                next();
+              })
+              .catch(next);
+          });
+        });
+
         describe('promises.readDimensions()', function() {
           it('mojito-newsboxes', function(next) {
             var config = new Config();
@@ -0,0 +1,101 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+/*globals describe, it */
+"use strict";
+
+
+var libpath = require('path'),
+    libfs = require('fs'),
+    expect = require('chai').expect,
+    lint = require('../../lib/lint'),
+    fixtures = libpath.resolve(__dirname, '../fixtures/lint'),
+    dimensions = require(libpath.resolve(fixtures, 'dimensions.json'))[0].dimensions;
+
+
+describe('lint', function () {
+    function rules(findings) {
+        return findings.map(function (finding) {
+            return finding.index + ':' + finding.rule + (finding.key ? ':' + finding.key : '');
+        });
+    }
+
+    it('checks the fixture', function () {
+        var path = libpath.resolve(fixtures, 'app.json'),
+            have = lint.lint(require(path), dimensions, {
+                path: path,
+                source: libfs.readFileSync(path, 'utf8'),
+                time: Date.UTC(2021, 0, 1)
+            });
+        expect(rules(have)).to.deep.equal([
+            '1:unknown-value',
+            '2:unread-key:title',
+            '3:duplicate-selector',
+            '4:unknown-dimension',
+            '5:shadowed-section',
+            '6:duplicate-selector',
+            '7:ended-schedule'
+        ]);
+        expect(have[0]).to.deep.equal({
+            rule: 'unknown-value',
+            severity: 'error',
+            message: 'Unknown value "watch" of dimension "device" in settings ["device:watch"]',
+            index: 1,
+            settings: ['device:watch'],
+            path: path,
+            line: 8
+        });
+        expect(have[1].severity).to.equal('info');
+        expect(have[1].message).to.equal('Key "title" of settings ["lang:fr","device:mobile"] is overridden by section 3');
+        expect(have[1].line).to.equal(13);
+        expect(have[4].message).to.equal('Every value of settings ["lang:en"] is overridden by section(s) 6');
+        expect(have[6].message).to.equal('Schedule of settings ["master"] ended at 2020-01-01T00:00:00.000Z');
+    });
+
+    it('checks schedules against the time', function () {
+        var path = libpath.resolve(fixtures, 'app.json'),
+            have = lint.lint(require(path), dimensions, {time: Date.UTC(2019, 0, 1)});
+        expect(rules(have)).to.not.contain('7:ended-schedule');
+        expect(have[0].line).to.equal(undefined);
+    });
+
+    it('finds invalid settings and schedules', function () {
+        expect(rules(lint.lint([
+            {settings: ['master', 'device:mobile'], a: 1},
+            {settings: ['device'], a: 1},
+            {settings: [], a: 1},
+            {settings: {dimensions: ['master'], schedule: {}}, a: 1},
+            {settings: {dimensions: ['master'], schedule: {start: 'soon'}}, a: 1},
+            {settings: ['device:mobile,watch'], a: 1}
+        ], dimensions))).to.deep.equal([
+            '0:invalid-settings',
+            '1:invalid-settings',
+            '2:invalid-settings',
+            '3:invalid-schedule',
+            '4:invalid-schedule',
+            '5:unknown-value'
+        ]);
+    });
+
+    it('finds overridden keys through nested objects', function () {
+        expect(rules(lint.lint([
+            {settings: ['master'], a: {b: 1, c: 1}, d: 1},
+            {settings: ['main'], a: 2},
+            {settings: ['master'], e: 1}
+        ], dimensions))).to.deep.equal([
+            '0:unread-key:a.b',
+            '0:unread-key:a.c',
+            '1:duplicate-selector',
+            '2:duplicate-selector'
+        ]);
+    });
+
+    it('does not check configs which are not YCB', function () {
+        expect(lint.lint({a: 1}, dimensions)).to.deep.equal([]);
+    });
+});
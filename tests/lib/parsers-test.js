@@ -0,0 +1,61 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+/*globals describe, it */
+"use strict";
+
+
+var expect = require('chai').expect,
+    parsers = require('../../lib/parsers');
+
+
+describe('parsers', function () {
+    describe('get()', function () {
+        it('has the built-in formats', function () {
+            ['.json', '.json5', '.yaml', '.yml', '.toml', '.hjson', '.js'].forEach(function (ext) {
+                expect(parsers.get(ext)).to.be.a('function');
+                expect(parsers.extensions()).to.contain(ext);
+            });
+        });
+
+        it('ignores case and leading dots', function () {
+            expect(parsers.get('JSON')).to.equal(parsers.get('.json'));
+        });
+
+        it('returns undefined for unknown extensions', function () {
+            expect(parsers.get('.ini')).to.equal(undefined);
+            expect(parsers.get('')).to.equal(undefined);
+            expect(parsers.get('.hasOwnProperty')).to.equal(undefined);
+        });
+
+        it('parses the built-in formats', function () {
+            expect(parsers.get('.json')('{"a": 1}')).to.deep.equal({a: 1});
+            expect(parsers.get('.json5')('{a: 1, // comment\n}')).to.deep.equal({a: 1});
+            expect(parsers.get('.yaml')('a: 1')).to.deep.equal({a: 1});
+            expect(parsers.get('.toml')('a = 1\n[b]\nc = "d"')).to.deep.equal({a: 1, b: {c: 'd'}});
+            expect(parsers.get('.hjson')('{\n  a: 1\n  b: some text\n}')).to.deep.equal({a: 1, b: 'some text'});
+        });
+    });
+
+    describe('register()', function () {
+        it('registers parsers for extensions', function () {
+            function parse(contents) {
+                return {text: contents};
+            }
+            parsers.register(['.parsers-test-a', 'parsers-test-b'], parse);
+            expect(parsers.get('.parsers-test-a')).to.equal(parse);
+            expect(parsers.get('.parsers-test-b')).to.equal(parse);
+        });
+
+        it('rejects parsers which are not functions', function () {
+            expect(function () {
+                parsers.register('.parsers-test-c', 'nope');
+            }).to.throw('The parser must be a function');
+        });
+    });
+});
@@ -0,0 +1,242 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true, esversion:6 */
+/*globals describe, it, AbortController */
+"use strict";
+
+
+var libpath = require('path'),
+    libfs = require('fs'),
+    expect = require('chai').expect,
+    Config = require('../../lib/index'),
+    fixtures = libpath.resolve(__dirname, '../fixtures'),
+    touchdown = libpath.resolve(fixtures, 'touchdown-simple');
+
+
+describe('promises', function () {
+    var dimensions = '[{"dimensions": [{"device": {"mobile": null}}]}]',
+        contents = JSON.stringify([
+            {settings: ['master'], name: 'master'},
+            {settings: ['device:mobile'], name: 'mobile'}
+        ]);
+
+    function makeConfig() {
+        var config = new Config();
+        config.addConfigContents('foo', 'dimensions', 'dimensions.json', dimensions);
+        config.addConfigContents('foo', 'app', 'app.json', contents);
+        return config;
+    }
+
+    it('is shared by the instance methods', function () {
+        var one = new Config(),
+            two = new Config();
+        expect(one.promises.read).to.equal(two.promises.read);
+        expect(one.promises).to.not.equal(two.promises);
+    });
+
+    describe('addConfig()', function () {
+        it('reads the file', function () {
+            var config = new Config();
+            return config.promises.addConfig('simple', 'foo', libpath.resolve(touchdown, 'configs/foo.js')).then(function (have) {
+                expect(have).to.be.an('array');
+                expect(config._configPaths.simple.foo).to.equal(libpath.resolve(touchdown, 'configs/foo.js'));
+            });
+        });
+
+        it('rejects malformed files', function () {
+            var config = new Config(),
+                path = libpath.resolve(fixtures, 'mojito-newsboxes/broken.json');
+            return config.promises.addConfig('foo', 'broken', path).then(function () {
+                throw new Error('should have failed');
+            }, function (err) {
+                expect(err.message).to.contain('Failed to parse "' + path + '"');
+                expect(config._configPaths.foo).to.equal(undefined);
+            });
+        });
+
+        it('uses the registered contents of the path', function () {
+            var config = makeConfig();
+            return config.promises.addConfig('bar', 'app', 'app.json').then(function (have) {
+                expect(have).to.equal(config._configContents['app.json']);
+                expect(config._configPaths.bar.app).to.equal('app.json');
+            });
+        });
+
+        it('can be aborted', function () {
+            var config = new Config(),
+                controller = new AbortController();
+            controller.abort();
+            return config.promises.addConfig('simple', 'foo', libpath.resolve(touchdown, 'configs/foo.js'), {
+                signal: controller.signal
+            }).then(function () {
+                throw new Error('should have failed');
+            }, function (err) {
+                expect(err.name).to.equal('AbortError');
+                expect(config._configPaths.simple).to.equal(undefined);
+            });
+        });
+    });
+
+    describe('addConfigContents()', function () {
+        it('rejects malformed contents', function () {
+            var config = new Config();
+            return config.promises.addConfigContents('foo', 'app', 'app.json', '{').then(function () {
+                throw new Error('should have failed');
+            }, function (err) {
+                expect(err.message).to.contain('Failed to parse "app.json"');
+            });
+        });
+    });
+
+    describe('deleteConfig()', function () {
+        it('unregisters the config', function () {
+            var config = makeConfig();
+            return config.promises.deleteConfig('foo', 'app', 'app.json').then(function () {
+                return config.promises.read('foo', 'app', {});
+            }).then(function () {
+                throw new Error('should have failed');
+            }, function (err) {
+                expect(err.message).to.equal('Unknown config "app" in bundle "foo"');
+            });
+        });
+    });
+
+    describe('read()', function () {
+        it('reads the merged config', function () {
+            return makeConfig().promises.read('foo', 'app', {device: 'mobile'}).then(function (have) {
+                expect(have).to.deep.equal({name: 'mobile'});
+            });
+        });
+
+        it('shares one build between concurrent first reads', function () {
+            var config = makeConfig(),
+                builds = 0,
+                loads = 0,
+                make = config._makeYCBFromDimensions,
+                reads = [];
+            config._makeYCBFromDimensions = function () {
+                builds += 1;
+                return make.apply(this, arguments);
+            };
+            config.on('dimensionsLoaded', function () {
+                loads += 1;
+            });
+            while (reads.length < 5) {
+                reads.push(config.promises.read('foo', 'app', {device: 'mobile'}));
+            }
+            return Promise.all(reads).then(function (have) {
+                expect(builds).to.equal(1);
+                expect(loads).to.equal(1);
+                expect(have[4]).to.deep.equal({name: 'mobile'});
+                expect(config._pendingYCBs).to.deep.equal({});
+            });
+        });
+
+        it('can be aborted without failing other reads', function () {
+            var config = makeConfig(),
+                controller = new AbortController(),
+                aborted = config.promises.read('foo', 'app', {}, {signal: controller.signal}),
+                other = config.promises.read('foo', 'app', {});
+            controller.abort();
+            return Promise.all([
+                aborted.then(function () {
+                    throw new Error('should have failed');
+                }, function (err) {
+                    expect(err.name).to.equal('AbortError');
+                }),
+                other.then(function (have) {
+                    expect(have).to.deep.equal({name: 'master'});
+                })
+            ]);
+        });
+
+        it('aborts reading the files', function () {
+            var config = new Config(),
+                path = libpath.resolve(touchdown, 'configs/app.json'),
+                controller = new AbortController(),
+                readFile = libfs.promises.readFile,
+                signals = [];
+            libfs.promises.readFile = function (file, options) {
+                signals.push(options.signal);
+                return readFile.apply(this, arguments);
+            };
+            return config.promises.addConfig('simple', 'dimensions', libpath.resolve(touchdown, 'configs/dimensions.json')).then(function () {
+                return config.promises.addConfig('simple', 'app', path);
+            }).then(function () {
+                // as after the dimensions changed, the file is read again
+                delete config._configContents[path];
+                return config.promises.read('simple', 'app', {}, {signal: controller.signal});
+            }).then(function () {
+                expect(signals.slice(2)).to.deep.equal([controller.signal]);
+                delete config._configYCBs[path];
+                controller = new AbortController();
+                controller.abort();
+                return config.promises.read('simple', 'app', {}, {signal: controller.signal});
+            }).then(function () {
+                throw new Error('should have failed');
+            }, function (err) {
+                expect(err.name).to.equal('AbortError');
+                expect(signals).to.have.length(4);
+            }).finally(function () {
+                libfs.promises.readFile = readFile;
+            });
+        });
+
+        it('fails on unknown bundles', function () {
+            return new Config().promises.read('foo', 'bar', {}).then(function () {
+                throw new Error('should have failed');
+            }, function (err) {
+                expect(err.message).to.equal('Unknown bundle "foo"');
+            });
+        });
+    });
+
+    describe('readNoMerge()', function () {
+        it('reads the sections', function () {
+            return makeConfig().promises.readNoMerge('foo', 'app', {device: 'mobile'}).then(function (have) {
+                expect(have).to.deep.equal([{name: 'master'}, {name: 'mobile'}]);
+            });
+        });
+    });
+
+    describe('readDimensions()', function () {
+        it('reads the dimensions', function () {
+            return makeConfig().promises.readDimensions().then(function (have) {
+                expect(have).to.deep.equal([{device: {mobile: null}}]);
+            });
+        });
+
+        it('fails without a dimensions file', function () {
+            return new Config().promises.readDimensions().then(function () {
+                throw new Error('should have failed');
+            }, function (err) {
+                expect(err.message).to.equal('Failed to find a dimensions.json file');
+            });
+        });
+    });
+
+    describe('other methods', function () {
+        it('wraps the callback methods', function () {
+            var config = makeConfig();
+            config.setSchema('foo', 'app', {properties: {name: {type: 'string'}}});
+            return Promise.all([
+                config.promises.readExplain('foo', 'app', {device: 'mobile'}),
+                config.promises.readAllContexts('foo', 'app'),
+                config.promises.validateAll(),
+                config.promises.readAccessor('foo', 'app', {device: 'mobile'}),
+                config.promises.readNoMergeAccessor('foo', 'app', {device: 'mobile'})
+            ]).then(function (have) {
+                expect(have[0].config).to.deep.equal({name: 'mobile'});
+                expect(have[1]).to.have.length(2);
+                expect(have[2]).to.deep.equal([]);
+                expect(have[3].get('name')).to.equal('mobile');
+                expect(have[4].config).to.have.length(2);
+            });
+        });
+    });
+});
@@ -0,0 +1,109 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+/*globals describe, it */
+"use strict";
+
+
+var expect = require('chai').expect,
+    Config = require('../../lib/index'),
+    compile = require('../../lib/compile'),
+    reader = require('../../lib/reader'),
+    dimensions = [
+        {environment: {dev: null, prod: {stage: null}}},
+        {device: {desktop: null, mobile: {tablet: null, phone: null}}},
+        {lang: {en: {'en-US': null}, fr: null}}
+    ],
+    contents = [
+        {settings: ['master'], name: 'master'},
+        {settings: ['device:mobile'], name: 'mobile'},
+        {settings: ['device:phone', 'lang:en'], name: 'english phone'}
+    ];
+
+
+describe('reader', function () {
+    var ycb = Config.test.makeYCB(null, dimensions, contents, 'app.json'),
+        artifact = {
+            version: 1,
+            dimensions: compile.dimensionTables(ycb),
+            keys: {},
+            configs: [{name: 'master'}]
+        };
+
+    describe('getCacheKey()', function () {
+        it('computes the key like ycb', function () {
+            [
+                undefined,
+                {},
+                {device: 'mobile'},
+                {device: 'tablet', lang: 'en-US'},
+                {device: 'phone', lang: 'en', environment: 'prod'},
+                {device: 'smartwatch', lang: 'fr'},
+                {device: ['phone', 'tablet']},
+                {device: ['smartwatch'], lang: ['de', 'en']},
+                {device: null}
+            ].forEach(function (context) {
+                expect(reader.getCacheKey(artifact, context)).to.equal(ycb.getCacheKey(context));
+            });
+        });
+
+        it('merges the base context under the context', function () {
+            var base = {version: 1, dimensions: artifact.dimensions, baseContext: {device: 'phone'}};
+            expect(reader.getCacheKey(base, {})).to.equal(ycb.getCacheKey({device: 'phone'}));
+            expect(reader.getCacheKey(base, {device: 'mobile'})).to.equal(ycb.getCacheKey({device: 'mobile'}));
+        });
+    });
+
+    describe('read()', function () {
+        it('finds the config of the key', function () {
+            artifact.keys[ycb.getCacheKey({})] = 0;
+            expect(reader.read(artifact, {device: 'desktop'})).to.equal(artifact.configs[0]);
+            expect(reader.read(artifact, {device: 'mobile'})).to.equal(undefined);
+        });
+
+        // reads each context from the helper and from the artifact it compiles
+        function expectLikeHelper(options, contexts, next) {
+            var helper = new Config(options);
+            helper.addConfigContents('foo', 'dimensions', 'dimensions.json', [{dimensions: dimensions}]);
+            helper.addConfigContents('foo', 'app', 'app.json', contents);
+            helper.compile('foo', 'app', function (err, compiled) {
+                try {
+                    expect(err).to.equal(null);
+                    contexts.forEach(function (context) {
+                        expect(reader.read(compiled, context)).to.deep.equal(helper.readSync('foo', 'app', context));
+                    });
+                    next();
+                } catch (e) {
+                    next(e);
+                }
+            });
+        }
+
+        it('reads the first used value of a list, like the helper', function (next) {
+            expectLikeHelper({}, [
+                {device: ['phone', 'mobile']},
+                {device: ['smartwatch', 'tablet'], lang: ['de', 'en']},
+                {device: ['smartwatch']}
+            ], next);
+        });
+
+        it('reads undefined values from the base context, like the helper', function (next) {
+            expectLikeHelper({baseContext: {device: 'phone', lang: 'en'}}, [
+                {device: undefined},
+                {device: null},
+                {lang: undefined}
+            ], next);
+        });
+
+        it('rejects other versions', function () {
+            expect(function () {
+                reader.read({version: 99}, {});
+            }).to.throw('Unsupported version 99 of compiled configs, expected version 1');
+        });
+    });
+});
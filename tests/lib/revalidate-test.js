@@ -0,0 +1,175 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+/*globals describe, it */
+"use strict";
+
+
+var expect = require('chai').expect,
+    ConfigCache = require('../../lib/cache'),
+    ConfigRevalidator = require('../../lib/revalidate');
+
+
+describe('ConfigRevalidator', function () {
+    // versions of a config which change every 100ms
+    function compute(time, callback) {
+        compute.calls.push(time);
+        callback(null, 'v' + Math.floor(time / 100), (Math.floor(time / 100) + 1) * 100);
+    }
+
+    function make(options, current) {
+        compute.calls = [];
+        return new ConfigRevalidator(new ConfigCache({max: 10}), options, function (groupId) {
+            return groupId === (current || 1);
+        });
+    }
+
+    it('serves expired entries while computing them again', function (next) {
+        var revalidator = make({maxStale: 50, prewarm: 0});
+        revalidator.set('k', 'v1', 100, 200, 1, undefined, compute);
+        expect(revalidator._cache.getTimeAware('k', 210, 1)).to.equal(undefined);
+        expect(revalidator.get('k', 210, 1, compute)).to.equal('v1');
+        expect(revalidator.get('k', 220, 1, compute)).to.equal('v1');
+        expect(revalidator.get('k', 250, 1, compute)).to.equal(undefined);
+        expect(revalidator.get('k', 210, 2, compute)).to.equal(undefined);
+        expect(compute.calls).to.deep.equal([]);
+        setImmediate(function () {
+            try {
+                expect(compute.calls).to.deep.equal([210]);
+                expect(revalidator._cache.getTimeAware('k', 220, 1)).to.equal('v2');
+                next();
+            } catch (e) {
+                next(e);
+            }
+        });
+    });
+
+    it('does not keep reads of replaced configs', function (next) {
+        var revalidator = make({maxStale: 50, prewarm: 0}, 2);
+        revalidator.set('k', 'v1', 100, 200, 1, undefined, compute);
+        expect(revalidator.get('k', 210, 1, compute)).to.equal('v1');
+        setImmediate(function () {
+            try {
+                expect(compute.calls).to.deep.equal([210]);
+                expect(revalidator._cache.getStale('k', 1).value).to.equal('v1');
+                next();
+            } catch (e) {
+                next(e);
+            }
+        });
+    });
+
+    it('computes the next version before reads expire', function (next) {
+        var revalidator = make({maxStale: 0, prewarm: 1000}),
+            now = Date.now(),
+            expiresAt = now + 1020;
+        revalidator.set('k', 'now', now, expiresAt, 1, undefined, compute);
+        revalidator.set('j', 'now', now, expiresAt, 1, undefined, compute);
+        expect(Object.keys(revalidator._timers)).to.have.length(1);
+        setTimeout(function () {
+            try {
+                expect(compute.calls).to.deep.equal([expiresAt, expiresAt]);
+                expect(revalidator.get('k', expiresAt - 1, 1, compute)).to.equal(undefined);
+                expect(revalidator.get('k', expiresAt, 1, compute)).to.equal('v' + Math.floor(expiresAt / 100));
+                expect(revalidator._cache.getTimeAware('k', expiresAt, 1)).to.equal('v' + Math.floor(expiresAt / 100));
+                expect(revalidator._cache.keys()).to.have.members(['k', 'k:next', 'j', 'j:next']);
+                revalidator.close();
+                next();
+            } catch (e) {
+                next(e);
+            }
+        }, 60);
+    });
+
+    it('keeps the versions computed ahead within the limits of the cache', function (next) {
+        var revalidator = make({maxStale: 0, prewarm: 1000}),
+            expiresAt = Date.now() + 1020;
+        revalidator._cache = new ConfigCache({max: 2});
+        revalidator.set('k', 'now', 0, expiresAt, 1, undefined, compute);
+        revalidator.set('j', 'now', 0, expiresAt, 1, undefined, compute);
+        setTimeout(function () {
+            try {
+                expect(revalidator._cache.keys()).to.deep.equal(['k:next', 'j:next']);
+                expect(revalidator.get('k', expiresAt, 1, compute)).to.equal('v' + Math.floor(expiresAt / 100));
+                revalidator.close();
+                next();
+            } catch (e) {
+                next(e);
+            }
+        }, 60);
+    });
+
+    it('survives reads which throw', function (next) {
+        var revalidator = make({maxStale: 50, prewarm: 1000}),
+            calls = 0;
+        function fail() {
+            calls += 1;
+            throw new Error('broken');
+        }
+        revalidator.set('k', 'v1', 100, 200, 1, undefined, fail);
+        revalidator._prewarmRead('k', 200, 1, fail);
+        expect(revalidator.get('k', 210, 1, fail)).to.equal('v1');
+        setImmediate(function () {
+            try {
+                expect(calls).to.equal(2);
+                expect(revalidator._refreshing).to.deep.equal({});
+                expect(revalidator.get('k', 220, 1, compute)).to.equal('v1');
+                setImmediate(function () {
+                    try {
+                        expect(compute.calls).to.deep.equal([220]);
+                        next();
+                    } catch (e) {
+                        next(e);
+                    }
+                });
+            } catch (e) {
+                next(e);
+            }
+        });
+    });
+
+    it('stops refreshing reads once closed', function (next) {
+        var revalidator = make({maxStale: 50, prewarm: 0});
+        revalidator.set('k', 'v1', 100, 200, 1, undefined, compute);
+        expect(revalidator.get('k', 210, 1, compute)).to.equal('v1');
+        revalidator.close();
+        expect(revalidator.get('k', 210, 1, compute)).to.equal(undefined);
+        setImmediate(function () {
+            try {
+                expect(compute.calls).to.deep.equal([]);
+                expect(revalidator._refreshing).to.deep.equal({});
+                expect(revalidator._cache.getStale('k', 1).value).to.equal('v1');
+                next();
+            } catch (e) {
+                next(e);
+            }
+        });
+    });
+
+    it('does not schedule reads which expired or expire too far ahead', function () {
+        var revalidator = make({maxStale: 0, prewarm: 1000});
+        revalidator.set('k', 'v', 0, Date.now() - 1, 1, undefined, compute);
+        revalidator.set('k', 'v', 0, Infinity, 1, undefined, compute);
+        revalidator.set('k', 'v', 0, Date.now() + 30 * 86400000, 1, undefined, compute);
+        expect(revalidator._timers).to.deep.equal({});
+        revalidator = make({maxStale: 0, prewarm: 0});
+        revalidator.set('k', 'v', 0, Date.now() + 1000, 1, undefined, compute);
+        expect(revalidator._timers).to.deep.equal({});
+    });
+
+    it('forgets the reads of purged groups', function () {
+        var revalidator = make({maxStale: 0, prewarm: 1000}),
+            expiresAt = Date.now() + 60000;
+        revalidator.set('k', 'v', 0, expiresAt, 1, undefined, compute);
+        revalidator.set('j', 'v', 0, expiresAt, 2, undefined, compute);
+        revalidator.purgeGroup(1);
+        expect(Object.keys(revalidator._timers[expiresAt - 1000].reads)).to.deep.equal(['j']);
+        revalidator.purgeGroup(2);
+        expect(revalidator._timers).to.deep.equal({});
+    });
+});
@@ -0,0 +1,161 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+/*globals describe, it */
+"use strict";
+
+
+var libpath = require('path'),
+    libfs = require('fs'),
+    libos = require('os'),
+    expect = require('chai').expect,
+    scan = require('../../lib/scan'),
+    fixtures = libpath.resolve(__dirname, '../fixtures/');
+
+
+describe('scan', function () {
+    describe('globToRegExp()', function () {
+        it('matches single segments with *', function () {
+            var re = scan.globToRegExp('configs/*.json');
+            expect(re.test('configs/app.json')).to.equal(true);
+            expect(re.test('configs/test/test.json')).to.equal(false);
+            expect(re.test('configs/app.json5')).to.equal(false);
+        });
+
+        it('matches any number of segments with **', function () {
+            var re = scan.globToRegExp('**/configs/**/*.json');
+            expect(re.test('configs/app.json')).to.equal(true);
+            expect(re.test('node_modules/roster/configs/test/test.json')).to.equal(true);
+            expect(re.test('node_modules/roster/package.json')).to.equal(false);
+        });
+
+        it('supports ? and alternatives', function () {
+            var re = scan.globToRegExp('test?ile.{yaml,yml}');
+            expect(re.test('testfile.yaml')).to.equal(true);
+            expect(re.test('testfile.yml')).to.equal(true);
+            expect(re.test('testfile.json')).to.equal(false);
+        });
+
+        it('escapes regexp characters', function () {
+            var re = scan.globToRegExp('a+b.json');
+            expect(re.test('a+b.json')).to.equal(true);
+            expect(re.test('aab.json')).to.equal(false);
+            expect(re.test('a+bxjson')).to.equal(false);
+        });
+    });
+
+    describe('matchesAny()', function () {
+        it('matches against a list of patterns', function () {
+            var patterns = ['*.json', '*.yml'].map(scan.globToRegExp);
+            expect(scan.matchesAny('a.yml', patterns)).to.equal(true);
+            expect(scan.matchesAny('a.yaml', patterns)).to.equal(false);
+            expect(scan.matchesAny('a.yaml', [])).to.equal(false);
+        });
+    });
+
+    describe('walk()', function () {
+        it('lists files with their bundles', function (next) {
+            var root = libpath.resolve(fixtures, 'touchdown-simple');
+            scan.walk(root, 'default', function (err, files) {
+                var bundles = {};
+                files.forEach(function (file) {
+                    bundles[file.relPath] = file.bundleName;
+                });
+                try {
+                    expect(err).to.equal(null);
+                    expect(bundles['configs/app.json']).to.equal('simple');
+                    expect(bundles['node_modules/roster/configs/roster.json']).to.equal('roster');
+                    expect(bundles['node_modules/roster/configs/test/test.json']).to.equal('roster');
+                    expect(files[0].path).to.equal(libpath.resolve(root, 'configs/app.json'));
+                    next();
+                } catch (e) {
+                    next(e);
+                }
+            });
+        });
+
+        it('walks each directory once through symbolic links', function (next) {
+            var root = libfs.mkdtempSync(libpath.join(libos.tmpdir(), 'ycb-config-'));
+            libfs.mkdirSync(libpath.join(root, 'configs'));
+            libfs.writeFileSync(libpath.join(root, 'configs', 'app.json'), '{}');
+            libfs.symlinkSync(root, libpath.join(root, 'configs', 'loop'), 'dir');
+            scan.walk(root, 'default', function (err, files) {
+                libfs.unlinkSync(libpath.join(root, 'configs', 'loop'));
+                libfs.unlinkSync(libpath.join(root, 'configs', 'app.json'));
+                libfs.rmdirSync(libpath.join(root, 'configs'));
+                libfs.rmdirSync(root);
+                try {
+                    expect(err).to.equal(null);
+                    expect(files.map(function (file) {
+                        return file.relPath;
+                    })).to.deep.equal(['configs/app.json']);
+                    next();
+                } catch (e) {
+                    next(e);
+                }
+            });
+        });
+
+        it('skips entries which cannot be looked at', function (next) {
+            var root = libfs.mkdtempSync(libpath.join(libos.tmpdir(), 'ycb-config-'));
+            libfs.writeFileSync(libpath.join(root, 'app.json'), '{}');
+            libfs.symlinkSync(libpath.join(root, 'missing.json'), libpath.join(root, 'broken.json'));
+            scan.walk(root, 'default', function (err, files, skipped) {
+                libfs.unlinkSync(libpath.join(root, 'broken.json'));
+                libfs.unlinkSync(libpath.join(root, 'app.json'));
+                libfs.rmdirSync(root);
+                try {
+                    expect(err).to.equal(null);
+                    expect(files.map(function (file) {
+                        return file.relPath;
+                    })).to.deep.equal(['app.json']);
+                    expect(skipped).to.have.length(1);
+                    expect(skipped[0].path).to.equal(libpath.join(root, 'broken.json'));
+                    expect(skipped[0].reason).to.contain('ENOENT');
+                    next();
+                } catch (e) {
+                    next(e);
+                }
+            });
+        });
+
+        it('does not descend into excluded directories', function (next) {
+            var root = libpath.resolve(fixtures, 'touchdown-simple'),
+                exclude = ['**/test/**', 'node_modules/*'].map(scan.globToRegExp);
+            scan.walk(root, 'default', exclude, function (err, files, skipped) {
+                try {
+                    expect(err).to.equal(null);
+                    expect(files.map(function (file) {
+                        return file.relPath;
+                    })).to.contain('node_modules/roster/configs/roster.json')
+                        .and.to.not.contain('node_modules/roster/configs/test/test.json');
+                    expect(skipped).to.deep.equal([
+                        {path: libpath.resolve(root, 'node_modules/roster/configs/test'), reason: 'excluded'}
+                    ]);
+                    next();
+                } catch (e) {
+                    next(e);
+                }
+            });
+        });
+
+        it('uses the default bundle outside of packages', function (next) {
+            scan.walk(libpath.resolve(fixtures, 'time'), 'default', function (err, files) {
+                try {
+                    expect(files).to.have.length(3);
+                    files.forEach(function (file) {
+                        expect(file.bundleName).to.equal('default');
+                    });
+                    next();
+                } catch (e) {
+                    next(e);
+                }
+            });
+        });
+    });
+});
@@ -0,0 +1,114 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+/*globals describe, it */
+"use strict";
+
+
+var expect = require('chai').expect,
+    schema = require('../../lib/schema');
+
+
+describe('schema', function () {
+    describe('validate()', function () {
+        it('checks types', function () {
+            expect(schema.validate({type: 'string'}, 'a')).to.deep.equal([]);
+            expect(schema.validate({type: 'integer'}, 1.5)).to.deep.equal([
+                {path: '', message: 'should be integer'}
+            ]);
+            expect(schema.validate({type: ['null', 'array']}, null)).to.deep.equal([]);
+            expect(schema.validate({type: 'object'}, [])).to.have.length(1);
+        });
+
+        it('checks objects', function () {
+            var s = {
+                type: 'object',
+                required: ['db'],
+                additionalProperties: false,
+                properties: {
+                    db: {
+                        type: 'object',
+                        properties: {
+                            port: {type: 'integer', minimum: 1, maximum: 65535}
+                        }
+                    }
+                }
+            };
+            expect(schema.validate(s, {db: {port: 80}})).to.deep.equal([]);
+            expect(schema.validate(s, {db: {port: '80'}, foo: 1})).to.deep.equal([
+                {path: 'db.port', message: 'should be integer'},
+                {path: '', message: 'should not have additional property "foo"'}
+            ]);
+            expect(schema.validate(s, {})).to.deep.equal([
+                {path: '', message: 'should have required property "db"'}
+            ]);
+        });
+
+        it('checks arrays', function () {
+            var s = {type: 'array', items: {type: 'string', minLength: 2}, maxItems: 2, uniqueItems: true};
+            expect(schema.validate(s, ['ab', 'cd'])).to.deep.equal([]);
+            expect(schema.validate(s, ['ab', 'a'])).to.deep.equal([
+                {path: '1', message: 'should not be shorter than 2 characters'}
+            ]);
+            expect(schema.validate(s, ['ab', 'ab', 'cd'])).to.have.length(2);
+        });
+
+        it('checks enum, const and pattern', function () {
+            expect(schema.validate({'enum': ['a', 'b']}, 'c')).to.have.length(1);
+            expect(schema.validate({'const': {a: 1}}, {a: 1})).to.deep.equal([]);
+            expect(schema.validate({pattern: '^[a-z]+$'}, 'ABC')).to.have.length(1);
+        });
+
+        it('checks combinators', function () {
+            expect(schema.validate({anyOf: [{type: 'string'}, {type: 'number'}]}, true)).to.deep.equal([
+                {path: '', message: 'should match some schema in anyOf'}
+            ]);
+            expect(schema.validate({oneOf: [{type: 'number'}, {type: 'integer'}]}, 1)).to.have.length(1);
+            expect(schema.validate({allOf: [{minimum: 1}, {maximum: 2}]}, 3)).to.have.length(1);
+            expect(schema.validate({not: {type: 'string'}}, 'a')).to.have.length(1);
+        });
+
+        it('resolves local $refs', function () {
+            var s = {
+                definitions: {port: {type: 'integer'}},
+                properties: {port: {$ref: '#/definitions/port'}}
+            };
+            expect(schema.validate(s, {port: 80})).to.deep.equal([]);
+            expect(schema.validate(s, {port: 'x'})).to.deep.equal([
+                {path: 'port', message: 'should be integer'}
+            ]);
+        });
+    });
+
+    describe('check()', function () {
+        it('rejects remote $refs', function () {
+            expect(function () {
+                schema.check({properties: {a: {$ref: 'http://example.com/schema.json'}}});
+            }).to.throw('Unsupported $ref "http://example.com/schema.json"');
+        });
+
+        it('rejects unresolvable $refs', function () {
+            expect(function () {
+                schema.check({$ref: '#/definitions/nope'});
+            }).to.throw('Unresolvable $ref "#/definitions/nope"');
+        });
+
+        it('accepts local $refs', function () {
+            schema.check({definitions: {a: {}}, items: {$ref: '#/definitions/a'}});
+        });
+    });
+
+    describe('format()', function () {
+        it('formats errors', function () {
+            expect(schema.format([
+                {path: '', message: 'should be object'},
+                {path: 'a.b', message: 'should be string'}
+            ])).to.equal('(root) should be object\na.b should be string');
+        });
+    });
+});
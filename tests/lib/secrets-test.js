@@ -0,0 +1,136 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+/*globals describe, it */
+"use strict";
+
+
+var libpath = require('path'),
+    libfs = require('fs'),
+    libos = require('os'),
+    expect = require('chai').expect,
+    secrets = require('../../lib/secrets');
+
+
+describe('secrets', function () {
+    var resolvers = {
+        env: secrets.envResolver({USER: 'app', PASSWORD: 'hunter2'}),
+        num: function (ref, callback) {
+            callback(null, Number(ref));
+        }
+    };
+
+    describe('find()', function () {
+        it('finds placeholders of registered resolvers', function () {
+            expect(secrets.find({
+                a: '${env:USER}',
+                b: ['x', {c: 'user ${env:USER} with ${env:PASSWORD}'}],
+                d: '${other:foo}',
+                e: '${env}',
+                f: 5
+            }, resolvers)).to.deep.equal({
+                '${env:USER}': {name: 'env', ref: 'USER'},
+                '${env:PASSWORD}': {name: 'env', ref: 'PASSWORD'}
+            });
+        });
+    });
+
+    describe('substitute()', function () {
+        it('replaces placeholders', function () {
+            var values = {'${num:5}': 5, '${env:USER}': 'app'};
+            expect(secrets.substitute({
+                port: '${num:5}',
+                name: 'port ${num:5} for ${env:USER}',
+                list: ['${env:USER}', '${other:x}']
+            }, values)).to.deep.equal({
+                port: 5,
+                name: 'port 5 for app',
+                list: ['app', '${other:x}']
+            });
+        });
+
+        it('copies only what changed', function () {
+            var config = {a: {b: '${env:USER}'}, c: {d: 'plain'}},
+                have = secrets.substitute(config, {'${env:USER}': 'app'});
+            expect(have).to.not.equal(config);
+            expect(have.a).to.not.equal(config.a);
+            expect(have.c).to.equal(config.c);
+            expect(config.a.b).to.equal('${env:USER}');
+        });
+    });
+
+    describe('resolve()', function () {
+        it('resolves placeholders', function (next) {
+            secrets.resolve({p: '${env:PASSWORD}', n: '${num:3}'}, resolvers, function (err, config, values) {
+                try {
+                    expect(err).to.equal(null);
+                    expect(config).to.deep.equal({p: 'hunter2', n: 3});
+                    expect(values.sort()).to.deep.equal([3, 'hunter2']);
+                    next();
+                } catch (e) {
+                    next(e);
+                }
+            });
+        });
+
+        it('calls back synchronously without placeholders', function () {
+            var config = {a: 'b'},
+                called = false;
+            secrets.resolve(config, resolvers, function (err, have, values) {
+                called = true;
+                expect(have).to.equal(config);
+                expect(values).to.deep.equal([]);
+            });
+            expect(called).to.equal(true);
+        });
+
+        it('reports the first error once', function () {
+            var calls = 0;
+            secrets.resolve({a: '${env:NOPE}', b: '${env:ALSO_NOPE}'}, resolvers, function (err) {
+                calls += 1;
+                expect(err.message).to.equal('Environment variable "NOPE" is not set');
+                expect(err.placeholder).to.equal('${env:NOPE}');
+            });
+            expect(calls).to.equal(1);
+        });
+    });
+
+    describe('redact()', function () {
+        it('replaces secret values', function () {
+            expect(secrets.redact('a hunter2 b hunter2 5', ['hunter2', 5, ''])).to.equal('a [redacted] b [redacted] [redacted]');
+        });
+    });
+
+    describe('fileResolver()', function () {
+        var dir = libfs.mkdtempSync(libpath.join(libos.tmpdir(), 'ycb-config-'));
+        libfs.writeFileSync(libpath.join(dir, 'password'), 'hunter2\n');
+
+        it('reads files relative to the directory', function (next) {
+            secrets.fileResolver(dir)('password', function (err, value) {
+                try {
+                    expect(err).to.equal(null);
+                    expect(value).to.equal('hunter2');
+                    next();
+                } catch (e) {
+                    next(e);
+                }
+            });
+        });
+
+        it('fails for missing files', function (next) {
+            secrets.fileResolver(dir)('nope', function (err) {
+                try {
+                    expect(err.message).to.equal('Unable to read secret file "' + libpath.join(dir, 'nope') + '": ENOENT');
+                    next();
+                } catch (e) {
+                    next(e);
+                }
+            });
+        });
+    });
+});
@@ -0,0 +1,102 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+/*globals describe, it, afterEach */
+"use strict";
+
+
+var libfs = require('fs'),
+    libos = require('os'),
+    libpath = require('path'),
+    expect = require('chai').expect,
+    snapshot = require('../../lib/snapshot');
+
+
+describe('snapshot', function () {
+    var configs = [{bundleName: 'foo', configName: 'app', path: 'app.json'}],
+        contents = {'app.json': {name: 'app'}};
+
+    describe('create()', function () {
+        it('versions and hashes the snapshot', function () {
+            var have = snapshot.create(configs, contents);
+            expect(have.version).to.equal(snapshot.VERSION);
+            expect(have.hash).to.equal(snapshot.hash(have));
+            expect(have.configs).to.equal(configs);
+            expect(have.contents).to.equal(contents);
+        });
+
+        it('hashes the contents', function () {
+            expect(snapshot.create(configs, {'app.json': {name: 'other'}}).hash)
+                .to.not.equal(snapshot.create(configs, contents).hash);
+            expect(snapshot.create(configs, contents, 'dimensions.json').hash)
+                .to.not.equal(snapshot.create(configs, contents).hash);
+        });
+    });
+
+    describe('parse()', function () {
+        var text = JSON.stringify(snapshot.create(configs, contents));
+
+        it('parses snapshots', function () {
+            var have = snapshot.parse(text, 'snap.json', JSON.parse(text).hash);
+            expect(have.contents).to.deep.equal(contents);
+        });
+
+        it('rejects malformed snapshots', function () {
+            expect(function () {
+                snapshot.parse('{', 'snap.json');
+            }).to.throw('Failed to parse snapshot "snap.json"');
+        });
+
+        it('rejects other versions', function () {
+            expect(function () {
+                snapshot.parse(text.replace('"version":2', '"version":99'), 'snap.json');
+            }).to.throw('Unsupported version 99 of snapshot "snap.json", expected version 2');
+        });
+
+        it('rejects snapshots which do not match their hash', function () {
+            expect(function () {
+                snapshot.parse(text.replace('"name":"app"', '"name":"evil"'), 'snap.json');
+            }).to.throw('Snapshot "snap.json" is corrupt');
+        });
+
+        it('rejects snapshots without the expected hash', function () {
+            expect(function () {
+                snapshot.parse(text, 'snap.json', 'abc');
+            }).to.throw('Snapshot "snap.json" is stale');
+        });
+    });
+
+    describe('checkSources()', function () {
+        var file = libpath.join(libos.tmpdir(), 'ycb-config-' + process.pid + '-source.json');
+
+        afterEach(function () {
+            if (libfs.existsSync(file)) {
+                libfs.unlinkSync(file);
+            }
+        });
+
+        it('accepts unchanged and missing files', function () {
+            var sources = {};
+            libfs.writeFileSync(file, '{}');
+            sources[file] = snapshot.source(libfs.statSync(file));
+            snapshot.checkSources(snapshot.create(configs, contents, undefined, sources), 'snap.json');
+            libfs.unlinkSync(file);
+            snapshot.checkSources(snapshot.create(configs, contents, undefined, sources), 'snap.json');
+        });
+
+        it('rejects changed files', function () {
+            var sources = {};
+            libfs.writeFileSync(file, '{}');
+            sources[file] = snapshot.source(libfs.statSync(file));
+            libfs.writeFileSync(file, '{"a": 1}');
+            expect(function () {
+                snapshot.checkSources(snapshot.create(configs, contents, undefined, sources), 'snap.json');
+            }).to.throw('Snapshot "snap.json" is stale, "' + file + '" has changed since it was written');
+        });
+    });
+});
@@ -0,0 +1,69 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+/*globals describe, it */
+"use strict";
+
+
+var expect = require('chai').expect,
+    contexts = require('../../lib/contexts'),
+    strict = require('../../lib/strict'),
+    lineages = contexts.lineage([
+        {environment: {dev: null, prod: {stage: null}}},
+        {device: {desktop: null, mobile: {tablet: null, phone: null}}},
+        {lang: {en: {'en-US': null}, fr: null}}
+    ]);
+
+
+describe('strict', function () {
+    describe('closest()', function () {
+        it('finds the closest candidate', function () {
+            expect(strict.closest('devcie', ['environment', 'device', 'lang'])).to.equal('device');
+            expect(strict.closest('moblie', ['desktop', 'mobile'])).to.equal('mobile');
+            expect(strict.closest('EN-us', ['en', 'en-US', 'fr'])).to.equal('en-US');
+            expect(strict.closest('fr', ['en', 'fr'])).to.equal('fr');
+        });
+
+        it('does not suggest candidates which are too far', function () {
+            expect(strict.closest('de', ['en', 'fr'])).to.equal(undefined);
+            expect(strict.closest('watch', ['desktop', 'mobile'])).to.equal(undefined);
+            expect(strict.closest('x', [])).to.equal(undefined);
+        });
+    });
+
+    describe('checkContext()', function () {
+        it('passes known dimensions and values', function () {
+            expect(strict.checkContext(lineages, {environment: 'stage', device: ['phone', 'tablet'], lang: 'en-US'}))
+                .to.equal(null);
+            expect(strict.checkContext(lineages, {device: null, lang: undefined})).to.equal(null);
+            expect(strict.checkContext(lineages)).to.equal(null);
+        });
+
+        it('names the unknown dimension', function () {
+            var error = strict.checkContext(lineages, {device: 'phone', langauge: 'en'});
+            expect(error.message).to.equal('Unknown dimension "langauge" in context {"device":"phone","langauge":"en"}');
+            expect(error.dimension).to.equal('langauge');
+            expect(error).to.not.have.property('value');
+            expect(error).to.not.have.property('suggestion');
+        });
+
+        it('names the unknown value', function () {
+            var error = strict.checkContext(lineages, {device: ['phone', 'tabelt']});
+            expect(error.message).to.equal('Unknown value "tabelt" of dimension "device" in context ' +
+                '{"device":["phone","tabelt"]}, did you mean "tablet"?');
+            expect(error.dimension).to.equal('device');
+            expect(error.value).to.equal('tabelt');
+            expect(error.suggestion).to.equal('tablet');
+        });
+
+        it('skips ignored keys', function () {
+            expect(strict.checkContext(lineages, {time: 1234, lang: 'fr'}, ['time'])).to.equal(null);
+            expect(strict.checkContext(lineages, {time: 1234}).message).to.contain('Unknown dimension "time"');
+        });
+    });
+});
@@ -0,0 +1,93 @@
+/*
+ * Copyright 2013 Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the BSD License.
+ * See the accompanying LICENSE.txt file for terms.
+ */
+
+
+/*jslint nomen:true, anon:true, node:true */
+/*globals describe, it */
+"use strict";
+
+
+var expect = require('chai').expect,
+    typings = require('../../lib/typings');
+
+
+describe('typings', function () {
+    function render(sections) {
+        return typings.render([{bundleName: 'foo', configName: 'app', type: typings.infer(sections)}]);
+    }
+
+    describe('infer()', function () {
+        it('makes keys which only appear under some dimensions optional', function () {
+            var have = render([
+                {selector: {}, config: {name: 'app', db: {host: 'db1'}}},
+                {selector: {device: 'mobile'}, config: {db: {port: 5432}, mobile: true}},
+                {selector: {lang: 'fr'}, config: {mobile: false}}
+            ]);
+            expect(have).to.contain([
+                'export interface FooAppConfig {',
+                '    name: string;',
+                '    db: {',
+                '        host: string;',
+                '        port?: number;',
+                '    };',
+                '    mobile?: boolean;',
+                '}'
+            ].join('\n'));
+        });
+
+        it('unions the values of every section', function () {
+            var have = render([
+                {selector: {}, config: {timeout: 5, options: null, hosts: ['a']}},
+                {selector: {device: 'mobile'}, config: {timeout: '5s', options: {ssl: true}, hosts: [1]}}
+            ]);
+            expect(have).to.contain('    timeout: string | number;\n');
+            expect(have).to.contain('    options: {\n        ssl?: boolean;\n    } | null;\n');
+            expect(have).to.contain('    hosts: Array<string | number>;\n');
+        });
+
+        it('makes properties which only some elements of arrays have optional', function () {
+            var have = render([
+                {selector: {}, config: {servers: [{host: 'a', port: 1}, {host: 'b'}], tags: []}}
+            ]);
+            expect(have).to.contain('    servers: Array<{\n        host: string;\n        port?: number;\n    }>;\n');
+            expect(have).to.contain('    tags: unknown[];\n');
+        });
+
+        it('handles configs without sections', function () {
+            expect(render([])).to.contain('export interface FooAppConfig {}\n');
+        });
+    });
+
+    describe('interfaceName()', function () {
+        it('makes identifiers', function () {
+            expect(typings.interfaceName('homepage', 'weather-widget')).to.equal('HomepageWeatherWidgetConfig');
+            expect(typings.interfaceName('@scope/pkg', 'app.v2')).to.equal('ScopePkgAppV2Config');
+            expect(typings.interfaceName('2fa', 'app')).to.equal('_2faAppConfig');
+        });
+    });
+
+    describe('render()', function () {
+        it('maps each bundle and config to its declaration', function () {
+            var have = typings.render([
+                {bundleName: 'a-b', configName: 'c', type: typings.infer([{selector: {}, config: {x: 1}}])},
+                {bundleName: 'a', configName: 'b-c', type: typings.infer([{selector: {}, config: ['x']}])}
+            ]);
+            expect(have).to.contain('export interface ABCConfig {\n    x: number;\n}\n');
+            expect(have).to.contain('export type ABCConfig2 = string[];\n');
+            expect(have).to.contain([
+                'export interface Configs {',
+                '    "a-b": {',
+                '        c: ABCConfig;',
+                '    };',
+                '    a: {',
+                '        "b-c": ABCConfig2;',
+                '    };',
+                '}'
+            ].join('\n'));
+            expect(have.indexOf('// Generated by ycb-config')).to.equal(0);
+        });
+    });
+});